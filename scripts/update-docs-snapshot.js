@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+// Refreshes the bundled docs snapshot from api.flutter.dev:
+//
+//   npm run docs:snapshot -- 3.27
+//
+// Classes already in the snapshot are fetched again; classes that cannot be
+// fetched keep their previous entry.
+
+import fs from 'fs';
+import { DocsSnapshot, SNAPSHOT_FILE } from '../src/services/docsSnapshot.js';
+import { FlutterDocsService } from '../src/services/flutterDocsService.js';
+
+const flutterVersion = process.argv[2];
+if (!flutterVersion) {
+  console.error('Usage: npm run docs:snapshot -- <flutter version>');
+  process.exit(1);
+}
+
+const current = DocsSnapshot.load();
+const docsService = new FlutterDocsService({ offline: false });
+const classes = [];
+
+for (const previous of current.classes) {
+  const fetched = await docsService.fetchFlutterClass(previous.className, previous.library);
+  if (!fetched || fetched.stale) {
+    console.error(`Keeping previous entry for ${previous.library}/${previous.className}`);
+    classes.push(previous);
+    continue;
+  }
+
+  const { className, description, constructors, properties, inheritance } = fetched;
+  classes.push({
+    className,
+    library: previous.library,
+    description,
+    constructors: constructors.map(({ name, signature }) => ({ name, signature })),
+    properties: properties.map(({ name, type, description }) => ({ name, type, description })),
+    inheritance,
+  });
+  console.error(`Updated ${previous.library}/${className}`);
+}
+
+const snapshot = {
+  version: current.version + 1,
+  flutterVersion,
+  source: docsService.baseUrl,
+  classes,
+};
+fs.writeFileSync(SNAPSHOT_FILE, JSON.stringify(snapshot, null, 2) + '\n');
+console.error(`Wrote snapshot v${snapshot.version} (${classes.length} classes)`);
+process.exit(0);
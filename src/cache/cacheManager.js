@@ -4,6 +4,8 @@ import { createHash } from 'crypto';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import fs from 'fs';
+import { getConfig } from '../config/config.js';
+import { isAbortError } from '../utils/errorHandler.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -11,8 +13,9 @@ const __dirname = dirname(__filename);
 export class CacheManager {
   constructor(options = {}) {
     this.cacheDir = options.cacheDir || join(__dirname, '../../.cache');
+    this.memoryTTL = options.memoryTTL ?? 300; // 5 minutes default
     this.memoryCache = new NodeCache({ 
-      stdTTL: options.memoryTTL || 300, // 5 minutes default
+      stdTTL: this.memoryTTL,
       checkperiod: 120 
     });
     
@@ -21,19 +24,19 @@ export class CacheManager {
       fs.mkdirSync(this.cacheDir, { recursive: true });
     }
 
-    // Initialize SQLite database
-    this.db = new Database(join(this.cacheDir, 'flutter_mcp.db'));
-    this.initDatabase();
-    
     // TTL configurations (in seconds)
     this.ttlConfig = {
-      widgetAnalysis: options.widgetAnalysisTTL || 86400, // 24 hours
-      pubPackage: options.pubPackageTTL || 43200, // 12 hours
-      flutterDocs: options.flutterDocsTTL || 86400, // 24 hours
-      performance: options.performanceTTL || 3600, // 1 hour
-      default: options.defaultTTL || 7200 // 2 hours
+      widgetAnalysis: options.widgetAnalysisTTL ?? 86400, // 24 hours
+      pubPackage: options.pubPackageTTL ?? 43200, // 12 hours
+      flutterDocs: options.flutterDocsTTL ?? 86400, // 24 hours
+      performance: options.performanceTTL ?? 3600, // 1 hour
+      scaffold: options.scaffoldTTL ?? 604800, // 7 days, for generated scaffold:// resources
+      default: options.defaultTTL ?? 7200 // 2 hours
     };
 
+    // How long expired entries are kept for offline use (in seconds)
+    this.staleTTL = options.staleTTL ?? 2592000; // 30 days
+
     // Cache statistics
     this.stats = {
       hits: 0,
@@ -41,6 +44,10 @@ export class CacheManager {
       writes: 0,
       evictions: 0
     };
+
+    // Initialize SQLite database
+    this.db = new Database(join(this.cacheDir, 'flutter_mcp.db'));
+    this.initDatabase();
   }
 
   initDatabase() {
@@ -86,6 +93,16 @@ export class CacheManager {
   }
 
   async get(type, params) {
+    const entry = await this.getEntry(type, params);
+    return entry ? entry.value : null;
+  }
+
+  /**
+   * Returns { value, stale, cachedAt } for a cached entry. Expired entries
+   * are only returned with `allowStale`, marked `stale: true`; they are kept
+   * for `staleTTL` seconds after expiry.
+   */
+  async getEntry(type, params, { allowStale = false } = {}) {
     const key = this.generateKey(type, params);
     
     // Check memory cache first
@@ -93,19 +110,20 @@ export class CacheManager {
     if (memoryResult) {
       this.stats.hits++;
       this.updateStats('hits');
-      return memoryResult;
+      return { value: memoryResult, stale: false, cachedAt: null };
     }
 
     // Check database cache
     const stmt = this.db.prepare(`
-      SELECT value, expires_at FROM cache 
-      WHERE key = ? AND expires_at > ?
+      SELECT value, created_at, expires_at FROM cache 
+      WHERE key = ?
     `);
     
     const now = Date.now();
-    const row = stmt.get(key, now);
+    const row = stmt.get(key);
+    const stale = Boolean(row) && row.expires_at <= now;
     
-    if (row) {
+    if (row && (!stale || allowStale)) {
       // Update hit count and last accessed
       this.db.prepare(`
         UPDATE cache 
@@ -116,11 +134,13 @@ export class CacheManager {
       const value = JSON.parse(row.value);
       
       // Store in memory cache for faster subsequent access
-      this.memoryCache.set(key, value, 300); // 5 minutes in memory
+      if (!stale) {
+        this.remember(key, value, (row.expires_at - now) / 1000);
+      }
       
       this.stats.hits++;
       this.updateStats('hits');
-      return value;
+      return { value, stale, cachedAt: new Date(row.created_at).toISOString() };
     }
     
     this.stats.misses++;
@@ -128,16 +148,53 @@ export class CacheManager {
     return null;
   }
 
+  /**
+   * Serves `type`/`params` from the cache, calling `fetch` and caching its
+   * result when the entry is missing or expired. When `offline`, or when
+   * `fetch` throws, an expired entry is returned instead with `stale: true`
+   * and `cachedAt` added; without one, offline lookups return null and fetch
+   * errors are rethrown.
+   */
+  async getOrFetch(type, params, fetch, { offline = false } = {}) {
+    const entry = await this.getEntry(type, params, { allowStale: true });
+    if (entry && !entry.stale) return entry.value;
+
+    if (offline) {
+      return entry ? markStale(entry) : null;
+    }
+
+    try {
+      const value = await fetch();
+      if (value) {
+        await this.set(type, params, value);
+      }
+      return value;
+    } catch (error) {
+      if (entry && !isAbortError(error)) return markStale(entry);
+      throw error;
+    }
+  }
+
+  // Keeps `value` in memory for memoryTTL seconds, but not past the entry's
+  // own `ttl`. A memoryTTL of 0 turns the memory cache off (NodeCache would
+  // read 0 as "never expires").
+  remember(key, value, ttl) {
+    const seconds = Math.min(ttl, this.memoryTTL);
+    if (seconds > 0) {
+      this.memoryCache.set(key, value, seconds);
+    }
+  }
+
   async set(type, params, value) {
     const key = this.generateKey(type, params);
-    const ttl = this.ttlConfig[type] || this.ttlConfig.default;
+    const ttl = this.ttlConfig[type] ?? this.ttlConfig.default;
     const now = Date.now();
     const expiresAt = now + (ttl * 1000);
     const valueStr = JSON.stringify(value);
     const size = Buffer.byteLength(valueStr);
 
     // Store in memory cache
-    this.memoryCache.set(key, value, ttl);
+    this.remember(key, value, ttl);
 
     // Store in database
     const stmt = this.db.prepare(`
@@ -173,8 +230,8 @@ export class CacheManager {
   cleanup() {
     const now = Date.now();
     
-    // Remove expired entries
-    const result = this.db.prepare('DELETE FROM cache WHERE expires_at < ?').run(now);
+    // Remove entries that expired more than staleTTL ago
+    const result = this.db.prepare('DELETE FROM cache WHERE expires_at < ?').run(now - this.staleTTL * 1000);
     const evicted = result.changes;
     
     if (evicted > 0) {
@@ -313,7 +370,28 @@ let cacheInstance = null;
 
 export function getCacheManager(options) {
   if (!cacheInstance) {
-    cacheInstance = new CacheManager(options);
+    cacheInstance = new CacheManager(options || cacheOptionsFromConfig(getConfig()));
   }
   return cacheInstance;
-}
\ No newline at end of file
+}
+
+function cacheOptionsFromConfig({ cache }) {
+  return {
+    cacheDir: cache.dir || undefined,
+    memoryTTL: cache.memoryTTL,
+    widgetAnalysisTTL: cache.ttl.widgetAnalysis,
+    pubPackageTTL: cache.ttl.pubPackage,
+    flutterDocsTTL: cache.ttl.flutterDocs,
+    performanceTTL: cache.ttl.performance,
+    scaffoldTTL: cache.ttl.scaffold,
+    defaultTTL: cache.ttl.default,
+    staleTTL: cache.staleTTL,
+  };
+}
+
+function markStale({ value, cachedAt }) {
+  const mark = item => (item !== null && typeof item === 'object' && !Array.isArray(item)
+    ? { ...item, stale: true, cachedAt }
+    : item);
+  return Array.isArray(value) ? value.map(mark) : mark(value);
+}
@@ -0,0 +1,199 @@
+import { posix } from 'path';
+import { getCacheManager } from './cacheManager.js';
+import { getConfig } from '../config/config.js';
+import { coveragePercent } from '../utils/lcovParser.js';
+
+const SERIES_LENGTH = 30;
+const REGRESSED_FILES = 10;
+
+/**
+ * Coverage results of analyze_test_coverage over time, one run per project,
+ * branch and commit, stored next to the cache in its SQLite database.
+ * Analyzing the same commit again replaces its run.
+ */
+export class CoverageHistory {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.retentionDays = options.retentionDays ?? 180;
+    this.maxRuns = options.maxRuns ?? 200; // per project and branch
+    this.initTables();
+  }
+
+  initTables() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS coverage_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project TEXT NOT NULL,
+        branch TEXT NOT NULL DEFAULT '',
+        commit_sha TEXT NOT NULL DEFAULT '',
+        recorded_at INTEGER NOT NULL,
+        lines_covered INTEGER NOT NULL,
+        lines_total INTEGER NOT NULL,
+        functions_covered INTEGER NOT NULL,
+        functions_total INTEGER NOT NULL,
+        branches_covered INTEGER NOT NULL,
+        branches_total INTEGER NOT NULL
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_coverage_runs_key ON coverage_runs(project, branch, commit_sha);
+      CREATE INDEX IF NOT EXISTS idx_coverage_runs_recorded_at ON coverage_runs(recorded_at);
+
+      CREATE TABLE IF NOT EXISTS coverage_files (
+        run_id INTEGER NOT NULL,
+        path TEXT NOT NULL,
+        lines_covered INTEGER NOT NULL,
+        lines_total INTEGER NOT NULL,
+        PRIMARY KEY (run_id, path)
+      );
+    `);
+  }
+
+  /**
+   * Records a coverage result: { project, branch, commit, files }, with the
+   * files' `lines`, `functions` and `branches` as { covered, total }. Runs
+   * beyond the retention policy are removed.
+   */
+  record({ project, branch = null, commit = null, files }, recordedAt = Date.now()) {
+    const total = key => files.reduce((sum, file) => ({
+      covered: sum.covered + file[key].covered,
+      total: sum.total + file[key].total,
+    }), { covered: 0, total: 0 });
+    const lines = total('lines');
+    const functions = total('functions');
+    const branches = total('branches');
+
+    const insertFile = this.db.prepare(`
+      INSERT INTO coverage_files (run_id, path, lines_covered, lines_total) VALUES (?, ?, ?, ?)
+    `);
+
+    this.db.transaction(() => {
+      this.deleteRuns(this.db.prepare(`
+        SELECT id FROM coverage_runs WHERE project = ? AND branch = ? AND commit_sha = ?
+      `).all(project, branch || '', commit || '').map(row => row.id));
+
+      const { lastInsertRowid: runId } = this.db.prepare(`
+        INSERT INTO coverage_runs
+        (project, branch, commit_sha, recorded_at, lines_covered, lines_total,
+         functions_covered, functions_total, branches_covered, branches_total)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(project, branch || '', commit || '', recordedAt, lines.covered, lines.total,
+        functions.covered, functions.total, branches.covered, branches.total);
+
+      files.forEach(file => insertFile.run(runId, file.path, file.lines.covered, file.lines.total));
+    })();
+
+    this.prune(project, branch, recordedAt);
+  }
+
+  /**
+   * Trends for a project and branch: the coverage series (oldest first),
+   * and the change since the previous run overall, per directory and for
+   * the files that lost the most coverage. Null without any runs.
+   */
+  getTrends(project, branch = null) {
+    const runs = this.db.prepare(`
+      SELECT * FROM coverage_runs
+      WHERE project = ? AND branch = ?
+      ORDER BY recorded_at DESC, id DESC
+      LIMIT ?
+    `).all(project, branch || '', SERIES_LENGTH).reverse();
+
+    if (runs.length === 0) return null;
+
+    const current = runs[runs.length - 1];
+    const previous = runs.length > 1 ? runs[runs.length - 2] : null;
+    const currentFiles = this.filesOf(current.id);
+    const previousFiles = previous ? this.filesOf(previous.id) : new Map();
+
+    const currentDirectories = byDirectory(currentFiles);
+    const previousDirectories = byDirectory(previousFiles);
+
+    return {
+      project,
+      branch,
+      runs: runs.length,
+      series: runs.map(run => ({
+        commit: run.commit_sha || null,
+        recordedAt: new Date(run.recorded_at).toISOString(),
+        coverage: coveragePercent({ covered: run.lines_covered, total: run.lines_total }),
+      })),
+      overall: change(
+        previous && { covered: previous.lines_covered, total: previous.lines_total },
+        { covered: current.lines_covered, total: current.lines_total }
+      ),
+      previousCommit: previous ? previous.commit_sha || null : null,
+      byDirectory: [...currentDirectories.keys()]
+        .map(directory => ({ directory, ...change(previousDirectories.get(directory), currentDirectories.get(directory)) }))
+        .sort((a, b) => (a.delta ?? 0) - (b.delta ?? 0) || a.directory.localeCompare(b.directory)),
+      regressedFiles: [...currentFiles]
+        .filter(([path]) => previousFiles.has(path))
+        .map(([path, lines]) => ({ path, ...change(previousFiles.get(path), lines) }))
+        .filter(file => file.delta < 0)
+        .sort((a, b) => a.delta - b.delta || a.path.localeCompare(b.path))
+        .slice(0, REGRESSED_FILES),
+    };
+  }
+
+  // Drops runs older than retentionDays, and all but the newest maxRuns of
+  // the branch.
+  prune(project, branch, now = Date.now()) {
+    const expired = this.db.prepare('SELECT id FROM coverage_runs WHERE recorded_at < ?')
+      .all(now - this.retentionDays * 86400 * 1000);
+    const excess = this.db.prepare(`
+      SELECT id FROM coverage_runs
+      WHERE project = ? AND branch = ?
+      ORDER BY recorded_at DESC, id DESC
+      LIMIT -1 OFFSET ?
+    `).all(project, branch || '', this.maxRuns);
+
+    const ids = [...expired, ...excess].map(row => row.id);
+    if (ids.length > 0) {
+      this.db.transaction(() => this.deleteRuns(ids))();
+    }
+    return ids.length;
+  }
+
+  deleteRuns(ids) {
+    const deleteFiles = this.db.prepare('DELETE FROM coverage_files WHERE run_id = ?');
+    const deleteRun = this.db.prepare('DELETE FROM coverage_runs WHERE id = ?');
+    ids.forEach(id => {
+      deleteFiles.run(id);
+      deleteRun.run(id);
+    });
+  }
+
+  filesOf(runId) {
+    const rows = this.db.prepare('SELECT path, lines_covered, lines_total FROM coverage_files WHERE run_id = ?').all(runId);
+    return new Map(rows.map(row => [row.path, { covered: row.lines_covered, total: row.lines_total }]));
+  }
+}
+
+function byDirectory(files) {
+  const directories = new Map();
+  files.forEach((lines, path) => {
+    const directory = posix.dirname(path);
+    const sum = directories.get(directory) || { covered: 0, total: 0 };
+    directories.set(directory, { covered: sum.covered + lines.covered, total: sum.total + lines.total });
+  });
+  return directories;
+}
+
+function change(previous, current) {
+  const before = previous ? coveragePercent(previous) : null;
+  const after = coveragePercent(current);
+  return {
+    previous: before,
+    current: after,
+    delta: before === null || after === null ? null : Math.round((after - before) * 10) / 10,
+  };
+}
+
+// Singleton instance, sharing the cache's database
+let historyInstance = null;
+
+export function getCoverageHistory(options) {
+  if (!historyInstance) {
+    historyInstance = new CoverageHistory(getCacheManager().db, options || getConfig().coverage.history);
+  }
+  return historyInstance;
+}
@@ -0,0 +1,382 @@
+import fs from 'fs';
+import { join, resolve } from 'path';
+import yaml from 'yaml';
+import { validateArguments } from '../utils/schemaValidator.js';
+
+export const CONFIG_FILE_NAME = '.fluttermcp.yaml';
+
+export const DEFAULT_CONFIG = {
+  cache: {
+    dir: null, // <repo>/.cache
+    memoryTTL: 300,
+    // Expired entries are kept this long to be served when offline
+    staleTTL: 2592000,
+    ttl: {
+      widgetAnalysis: 86400,
+      pubPackage: 43200,
+      flutterDocs: 86400,
+      performance: 3600,
+      scaffold: 604800,
+      default: 7200,
+    },
+  },
+  tokens: {
+    maxTokens: 4000,
+  },
+  registries: {
+    flutterDocs: 'https://api.flutter.dev',
+    dartDocs: 'https://api.dart.dev',
+    pub: 'https://pub.dev',
+  },
+  // ruleId -> { enabled, severity }; rules not listed keep their defaults
+  rules: {},
+  // Import rules for analyze_architecture; none means the built-in clean
+  // architecture rules
+  architecture: {
+    rules: [],
+  },
+  coverage: {
+    // analyze_test_coverage fails a change whose added lines are covered
+    // less than this (percent)
+    patchThreshold: 80,
+    // Coverage runs kept for trends, per project and branch
+    history: {
+      retentionDays: 180,
+      maxRuns: 200,
+    },
+  },
+  // Size budgets for analyze_bundle_size: apk, aab, ios, mainDartJsGzip,
+  // firstLoadGzip and packages.<name> (bytes, or "1.5MB")
+  bundleSize: {
+    budgets: {},
+  },
+  // Answer from the cache and the bundled docs snapshot only
+  offline: false,
+  logLevel: 'info',
+};
+
+// Environment variables, as set in docker/docker-compose.yml.
+const ENV_VARIABLES = {
+  CACHE_DIR: ['cache', 'dir'],
+  MEMORY_CACHE_TTL: ['cache', 'memoryTTL', Number],
+  WIDGET_ANALYSIS_TTL: ['cache', 'ttl', 'widgetAnalysis', Number],
+  PUB_PACKAGE_TTL: ['cache', 'ttl', 'pubPackage', Number],
+  FLUTTER_DOCS_TTL: ['cache', 'ttl', 'flutterDocs', Number],
+  SCAFFOLD_TTL: ['cache', 'ttl', 'scaffold', Number],
+  MAX_TOKENS: ['tokens', 'maxTokens', Number],
+  FLUTTER_DOCS_URL: ['registries', 'flutterDocs'],
+  DART_DOCS_URL: ['registries', 'dartDocs'],
+  PUB_URL: ['registries', 'pub'],
+  FLUTTER_MCP_OFFLINE: ['offline', parseBoolean],
+  LOG_LEVEL: ['logLevel'],
+};
+
+export const RULE_SEVERITIES = ['critical', 'error', 'high', 'medium', 'warning', 'low', 'info'];
+
+const ttlSchema = { type: 'integer', minimum: 0 };
+const tokensSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    maxTokens: { type: 'integer', minimum: 100 },
+  },
+};
+
+const architectureSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    rules: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['from', 'disallow'],
+        properties: {
+          name: { type: 'string' },
+          from: { type: 'string' },
+          disallow: { type: 'array', items: { type: 'string' }, minItems: 1 },
+          allow: { type: 'array', items: { type: 'string' } },
+          severity: { type: 'string', enum: RULE_SEVERITIES },
+        },
+      },
+    },
+  },
+};
+
+const patchThresholdSchema = { type: 'number', minimum: 0, maximum: 100 };
+
+const coverageSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    patchThreshold: patchThresholdSchema,
+    history: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        retentionDays: { type: 'integer', minimum: 1 },
+        maxRuns: { type: 'integer', minimum: 1 },
+      },
+    },
+  },
+};
+
+const sizeSchema = { type: ['number', 'string'] };
+
+const bundleSizeSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    budgets: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        apk: sizeSchema,
+        aab: sizeSchema,
+        ios: sizeSchema,
+        mainDartJsGzip: sizeSchema,
+        firstLoadGzip: sizeSchema,
+        packages: { type: 'object' },
+      },
+    },
+  },
+};
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    cache: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        dir: { type: ['string', 'null'] },
+        memoryTTL: ttlSchema,
+        staleTTL: ttlSchema,
+        ttl: {
+          type: 'object',
+          additionalProperties: false,
+          properties: Object.fromEntries(Object.keys(DEFAULT_CONFIG.cache.ttl).map(type => [type, ttlSchema])),
+        },
+      },
+    },
+    tokens: tokensSchema,
+    registries: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        flutterDocs: { type: 'string' },
+        dartDocs: { type: 'string' },
+        pub: { type: 'string' },
+      },
+    },
+    rules: { type: 'object' },
+    architecture: architectureSchema,
+    coverage: coverageSchema,
+    bundleSize: bundleSizeSchema,
+    offline: { type: 'boolean' },
+    logLevel: { type: 'string', enum: ['silent', 'error', 'warn', 'info', 'debug'] },
+  },
+};
+
+// The part of the configuration a single tool call may override. Cache and
+// registry settings are fixed for the lifetime of the server.
+export const REQUEST_CONFIG_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  description: 'Per-request configuration overrides: { tokens: { maxTokens }, rules: { <ruleId>: "off" | <severity> }, architecture: { rules: [{ from, disallow, allow }] }, coverage: { patchThreshold }, bundleSize: { budgets } }',
+  properties: {
+    tokens: tokensSchema,
+    rules: { type: 'object' },
+    architecture: architectureSchema,
+    coverage: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        patchThreshold: patchThresholdSchema,
+      },
+    },
+    bundleSize: bundleSizeSchema,
+  },
+};
+
+export class ConfigError extends Error {
+  constructor(message, source = null) {
+    super(source ? `${source}: ${message}` : message);
+    this.name = 'ConfigError';
+    this.source = source;
+  }
+}
+
+/**
+ * Resolves the configuration from, in increasing order of precedence: the
+ * defaults, `.fluttermcp.yaml` in the workspace (FLUTTER_MCP_WORKSPACE or
+ * the working directory; FLUTTER_MCP_CONFIG names a different file) and the
+ * environment variables. `sources` lists the layers that contributed.
+ */
+export function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const workspaceDir = resolve(options.workspaceDir || env.FLUTTER_MCP_WORKSPACE || process.cwd());
+  const configFile = env.FLUTTER_MCP_CONFIG
+    ? resolve(workspaceDir, env.FLUTTER_MCP_CONFIG)
+    : join(workspaceDir, CONFIG_FILE_NAME);
+
+  let config = structuredClone(DEFAULT_CONFIG);
+  const sources = ['defaults'];
+
+  if (fs.existsSync(configFile)) {
+    config = mergeConfig(config, checkConfig(readConfigFile(configFile), CONFIG_SCHEMA, configFile));
+    sources.push(configFile);
+  } else if (env.FLUTTER_MCP_CONFIG) {
+    throw new ConfigError('Config file not found', configFile);
+  }
+
+  const fromEnv = configFromEnv(env);
+  if (fromEnv.names.length > 0) {
+    config = mergeConfig(config, checkConfig(fromEnv.values, CONFIG_SCHEMA, 'environment'));
+    sources.push(`env: ${fromEnv.names.join(', ')}`);
+  }
+
+  return { ...config, sources };
+}
+
+/**
+ * Applies the per-request `config` argument on top of a resolved
+ * configuration.
+ */
+export function resolveRequestConfig(overrides, base = getConfig()) {
+  if (!overrides || Object.keys(overrides).length === 0) return base;
+
+  const config = mergeConfig(base, checkConfig(overrides, REQUEST_CONFIG_SCHEMA, 'config argument'));
+  return { ...config, sources: [...base.sources, 'request'] };
+}
+
+// Deep merge for plain objects; top-level rule entries are normalized first
+// so that `severity` from one layer and `enabled` from another combine.
+// Arrays are replaced.
+export function mergeConfig(base, overrides, topLevel = true) {
+  const result = { ...base };
+
+  for (const [key, value] of Object.entries(overrides)) {
+    if (topLevel && key === 'rules') {
+      result.rules = mergeRules(base.rules || {}, value);
+    } else if (isPlainObject(value) && isPlainObject(base[key])) {
+      result[key] = mergeConfig(base[key], value, false);
+    } else if (value !== undefined) {
+      result[key] = value;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Drops issues whose rule is disabled and applies severity overrides. An
+ * issue's rule id is its `rule` field, falling back to `type`.
+ */
+export function applyRuleConfig(issues, rules = {}) {
+  if (Object.keys(rules).length === 0) return issues;
+
+  return issues
+    .filter(issue => rules[ruleIdOf(issue)]?.enabled !== false)
+    .map(issue => {
+      const severity = rules[ruleIdOf(issue)]?.severity;
+      return severity ? { ...issue, severity } : issue;
+    });
+}
+
+function ruleIdOf(issue) {
+  return issue.rule || issue.type;
+}
+
+function mergeRules(base, overrides) {
+  const result = { ...base };
+  for (const [ruleId, setting] of Object.entries(overrides)) {
+    result[ruleId] = { ...base[ruleId], ...normalizeRule(ruleId, setting) };
+  }
+  return result;
+}
+
+// Accepts `off`/`false`, `on`/`true`, a severity, or { enabled, severity }.
+function normalizeRule(ruleId, setting) {
+  if (setting === false || setting === 'off') return { enabled: false };
+  if (setting === true || setting === 'on') return { enabled: true };
+  if (typeof setting === 'string' && RULE_SEVERITIES.includes(setting)) {
+    return { enabled: true, severity: setting };
+  }
+  if (isPlainObject(setting)
+    && Object.keys(setting).every(key => key === 'enabled' || key === 'severity')
+    && (setting.enabled === undefined || typeof setting.enabled === 'boolean')
+    && (setting.severity === undefined || RULE_SEVERITIES.includes(setting.severity))) {
+    return { ...setting };
+  }
+
+  throw new ConfigError(
+    `rules.${ruleId} must be "off", "on", one of ${RULE_SEVERITIES.join(', ')}, or { enabled, severity }`
+  );
+}
+
+function readConfigFile(file) {
+  try {
+    return yaml.parse(fs.readFileSync(file, 'utf8')) || {};
+  } catch (error) {
+    throw new ConfigError(`Cannot parse config file: ${error.message}`, file);
+  }
+}
+
+function checkConfig(values, schema, source) {
+  const { errors } = validateArguments(schema, values);
+  if (errors.length > 0) {
+    const details = errors.map(({ field, message }) => `${field} ${message.replace('argument', 'setting')}`).join('; ');
+    throw new ConfigError(`Invalid configuration: ${details}`, source);
+  }
+
+  // Validate rule settings now rather than on first use
+  if (values.rules) {
+    try {
+      mergeRules({}, values.rules);
+    } catch (error) {
+      throw new ConfigError(error.message, source);
+    }
+  }
+  return values;
+}
+
+function configFromEnv(env) {
+  const values = {};
+  const names = [];
+
+  for (const [name, [...path]] of Object.entries(ENV_VARIABLES)) {
+    if (env[name] === undefined || env[name] === '') continue;
+
+    const parse = typeof path[path.length - 1] === 'function' ? path.pop() : String;
+    const key = path.pop();
+    const target = path.reduce((node, segment) => (node[segment] ||= {}), values);
+    target[key] = parse(env[name]);
+    names.push(name);
+  }
+
+  return { values, names };
+}
+
+// Unrecognized values are passed through for validation to reject
+function parseBoolean(value) {
+  const normalized = value.toLowerCase();
+  if (['1', 'true', 'yes', 'on'].includes(normalized)) return true;
+  if (['0', 'false', 'no', 'off'].includes(normalized)) return false;
+  return value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+let configInstance = null;
+
+export function getConfig() {
+  if (!configInstance) {
+    configInstance = loadConfig();
+  }
+  return configInstance;
+}
@@ -0,0 +1,122 @@
+// Renders a tool result as a compact Markdown report. Flat objects become
+// bullet lists, arrays of records become tables and multi-line strings
+// (generated code, diagrams) become fenced blocks.
+
+const MAX_HEADING_DEPTH = 4;
+
+export function renderMarkdown(data, { title = null } = {}) {
+  const lines = [];
+  if (title) lines.push(`# ${title}`, '');
+
+  if (isPlainObject(data)) {
+    renderObject(data, 2, lines);
+  } else {
+    renderValue(data, 2, lines);
+  }
+
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
+}
+
+function renderObject(object, depth, lines) {
+  const entries = Object.entries(object).filter(([, value]) => !isEmpty(value));
+  const scalars = entries.filter(([, value]) => isInline(value));
+  const blocks = entries.filter(([, value]) => !isInline(value));
+
+  scalars.forEach(([key, value]) => lines.push(`- **${humanize(key)}**: ${inline(value)}`));
+  if (scalars.length > 0) lines.push('');
+
+  blocks.forEach(([key, value]) => {
+    if (depth > MAX_HEADING_DEPTH) {
+      lines.push(`- **${humanize(key)}**: \`${JSON.stringify(value)}\``);
+      return;
+    }
+    lines.push(`${'#'.repeat(depth)} ${humanize(key)}`, '');
+    renderValue(value, depth + 1, lines);
+    lines.push('');
+  });
+}
+
+function renderValue(value, depth, lines) {
+  if (typeof value === 'string' && value.includes('\n')) {
+    lines.push('```', value.trimEnd(), '```');
+  } else if (Array.isArray(value)) {
+    renderArray(value, depth, lines);
+  } else if (isPlainObject(value)) {
+    renderObject(value, depth, lines);
+  } else {
+    lines.push(inline(value));
+  }
+}
+
+function renderArray(items, depth, lines) {
+  if (items.every(isInline)) {
+    items.forEach(item => lines.push(`- ${inline(item)}`));
+    return;
+  }
+
+  if (items.every(isPlainObject)) {
+    renderTable(items, lines);
+    return;
+  }
+
+  items.forEach(item => {
+    renderValue(item, depth, lines);
+    lines.push('');
+  });
+}
+
+// Columns are the union of the records' keys in first-seen order. Nested
+// values that do not fit a cell are written as inline JSON.
+function renderTable(records, lines) {
+  const columns = [...new Set(records.flatMap(record => Object.keys(record)))]
+    .filter(column => records.some(record => !isEmpty(record[column])));
+
+  lines.push(`| ${columns.map(humanize).join(' | ')} |`);
+  lines.push(`| ${columns.map(() => '---').join(' | ')} |`);
+  records.forEach(record => {
+    const cells = columns.map(column => {
+      const value = record[column];
+      if (isEmpty(value)) return '';
+      return escapeCell(isInline(value) ? inline(value) : `\`${JSON.stringify(value)}\``);
+    });
+    lines.push(`| ${cells.join(' | ')} |`);
+  });
+}
+
+function isInline(value) {
+  if (Array.isArray(value)) {
+    return value.every(item => item === null || (typeof item !== 'object' && !String(item).includes('\n')));
+  }
+  return value === null || (typeof value !== 'object' && !String(value).includes('\n'));
+}
+
+function inline(value) {
+  if (Array.isArray(value)) return value.map(inline).join(', ');
+  if (value === null || value === undefined) return '—';
+  return String(value);
+}
+
+function isEmpty(value) {
+  if (value === null || value === undefined || value === '') return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (isPlainObject(value)) return Object.keys(value).length === 0;
+  return false;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// camelCase / snake_case keys to "Sentence case" headings.
+function humanize(key) {
+  const words = String(key)
+    .replace(/_/g, ' ')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function escapeCell(text) {
+  return text.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
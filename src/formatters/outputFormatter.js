@@ -0,0 +1,69 @@
+import { renderMarkdown } from './markdown.js';
+import { buildSarifLog } from './sarif.js';
+
+export const OUTPUT_FORMATS = ['json', 'markdown', 'sarif'];
+
+// Schemas of the output arguments the registry adds to every tool: `format`,
+// with `sarif` offered only by tools that declare `findings`, and
+// `sourcePath` for the SARIF locations of those tools.
+export function outputArgumentSchemas({ sarif = false } = {}) {
+  const schemas = {
+    format: {
+      type: 'string',
+      enum: sarif ? OUTPUT_FORMATS : OUTPUT_FORMATS.filter(format => format !== 'sarif'),
+      default: 'json',
+      description: sarif
+        ? 'Output format: json, markdown (compact report) or sarif (SARIF 2.1.0 for code scanning) (default: json)'
+        : 'Output format: json or markdown (compact report) (default: json)',
+    },
+  };
+
+  if (sarif) {
+    schemas.sourcePath = {
+      type: 'string',
+      description: 'Path of the analyzed file, recorded in SARIF locations',
+    };
+  }
+
+  return schemas;
+}
+
+/**
+ * Re-renders a handler result in the requested format. Handlers produce a
+ * single JSON text block; anything else (error messages, multi-part
+ * results) is returned unchanged.
+ */
+export function formatToolResult(tool, result, { format = 'json', sourcePath = null } = {}) {
+  if (format === 'json') return result;
+
+  const data = parseJsonResult(result);
+  if (data === undefined) return result;
+
+  switch (format) {
+    case 'markdown':
+      return textResult(renderMarkdown(data, { title: tool.name }));
+    case 'sarif':
+      if (!tool.findings) {
+        throw new Error(`Tool ${tool.name} does not support SARIF output`);
+      }
+      return textResult(JSON.stringify(buildSarifLog(tool, tool.findings(data), { sourcePath }), null, 2));
+    default:
+      throw new Error(`Unknown output format: ${format}`);
+  }
+}
+
+function parseJsonResult(result) {
+  if (result?.isError || result?.content?.length !== 1 || result.content[0].type !== 'text') {
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(result.content[0].text);
+  } catch {
+    return undefined;
+  }
+}
+
+function textResult(text) {
+  return { content: [{ type: 'text', text }] };
+}
@@ -0,0 +1,179 @@
+// SARIF 2.1.0 output for the issue-producing tools, suitable for uploading to
+// code scanning. Tools describe their issues as findings:
+//
+//   { rule | type, message | issue, severity | impact, line | lines | location, file }
+//
+// which is the shape the analyzers already emit, so most tools can hand
+// their issue arrays over unchanged.
+
+export const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const LEVELS = {
+  critical: 'error',
+  error: 'error',
+  very_high: 'error',
+  high: 'error',
+  medium: 'warning',
+  warning: 'warning',
+  low: 'note',
+  info: 'note',
+};
+
+// Rule-level descriptions for the rule ids the built-in tools report. What
+// a single finding says goes into its result message instead.
+const RULE_DESCRIPTIONS = {
+  // analyze_widget
+  image_semantic_label: 'Images should have a semantic label for screen readers',
+  icon_button_tooltip: 'IconButtons should have a tooltip',
+  interactive_semantics: 'Interactive widgets should expose semantics to screen readers',
+  excessive_set_state: 'A widget calls setState in many places',
+  listview_builder: 'Long lists should be built lazily with ListView.builder',
+  expensive_widget: 'A widget that is expensive to render',
+  missing_dispose: 'A State holds disposable resources without disposing them',
+  unclosed_stream_controller: 'A StreamController is never closed',
+  // analyze_performance
+  unsafe_rebuild: 'setState after an async gap without checking mounted',
+  missing_const: 'A widget with only constant arguments is created without const',
+  unoptimized_stream: 'A StreamBuilder rebuilds on every event, even unchanged ones',
+  expensive_build_calls: 'A build method repeats expensive lookups',
+  controller_leak: 'A controller is never disposed',
+  stream_leak: 'A StreamSubscription is never cancelled',
+  listener_leak: 'A listener is added but never removed',
+  timer_leak: 'A Timer may never be cancelled',
+  deep_nesting: 'The widget tree is deeply nested',
+  large_build_method: 'A build method is too large',
+  missing_repaint_boundary: 'A CustomPaint without a RepaintBoundary',
+  // diagnose_render_issues
+  horizontal_overflow: 'A Row whose children may overflow horizontally',
+  vertical_overflow: 'A Column whose children may overflow vertically',
+  text_overflow: 'Text without overflow handling',
+  container_color_decoration: 'A Container with both color and decoration',
+  unbounded_dimensions: 'A widget with infinite dimensions in an unbounded parent',
+  listview_unbounded_height: 'A ListView inside a Column without bounded height',
+  stack_infinite_size: 'A Stack without positioned children takes infinite size',
+  intrinsic_performance: 'IntrinsicHeight or IntrinsicWidth, which lay out their child twice',
+  custom_scroll_view_empty: 'A CustomScrollView without slivers',
+  redundant_padding: 'Nested Padding widgets that can be combined',
+  redundant_containers: 'Nested Containers that can be combined',
+  flex_missing_direction: 'A Flex widget without a direction',
+  redundant_center: 'Nested Center widgets',
+  // validate_flutter_docs
+  deprecated_widget: 'A deprecated widget',
+  column_unbounded_child: 'A scrollable child of a Column without bounded height',
+  listview_in_column: 'A ListView inside a Column without shrinkWrap or Expanded',
+  unguarded_set_state: 'setState without a mounted check',
+  media_query_maybe_of: 'MediaQuery.of where MediaQuery.maybeOf is safer',
+  // analyze_architecture
+  inappropriate_dependency: 'An import that crosses a layer boundary',
+  circular_dependency: 'Two layers depend on each other',
+  import_cycle: 'Files that import each other in a cycle',
+  god_class: 'A class with too many responsibilities',
+  leaked_abstraction: 'Data access code in the presentation layer',
+  missing_abstraction: 'Data sources used without a repository interface',
+  // audit_dependencies
+  discontinued_package: 'A dependency that is discontinued on pub.dev',
+  unlisted_package: 'A dependency that is unlisted on pub.dev',
+  sdk_incompatible: 'A dependency that does not support the project\'s SDK constraints',
+  outdated_dependency: 'A dependency behind its latest release',
+  low_pub_points: 'A dependency with few pub points',
+  dependency_conflict: 'Dependencies with conflicting constraints',
+  // validate_l10n
+  invalid_arb: 'An ARB file or message that cannot be read',
+  missing_translation: 'A message missing from a locale',
+  unknown_key: 'A message key that the template does not define',
+  unused_key: 'A message that the code never uses',
+  icu_syntax: 'A message with invalid ICU syntax',
+  plural_other: 'A plural message without an other case',
+  select_other: 'A select message without an other case',
+  plural_categories: 'A plural message missing categories the locale needs',
+  placeholder_mismatch: 'A translation that uses a placeholder the template does not have',
+  placeholder_missing: 'A translation that leaves out a placeholder of the template',
+  placeholder_type: 'A placeholder whose type does not fit its use or the template',
+  undeclared_placeholder: 'A placeholder used without being declared',
+  unused_placeholder: 'A declared placeholder the message never uses',
+};
+
+// Other rules, such as those of plugin tools, are described by their id:
+// 'missing_key' -> 'Missing key'.
+function describeRule(ruleId) {
+  if (RULE_DESCRIPTIONS[ruleId]) return RULE_DESCRIPTIONS[ruleId];
+  const words = ruleId.replace(/[_-]+/g, ' ').trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+export function severityToLevel(severity) {
+  return LEVELS[severity] || 'warning';
+}
+
+/**
+ * Builds a SARIF log with one run for `tool`. `sourcePath` is used as the
+ * artifact location for findings that do not name a file themselves
+ * (analyzers that work on a code snippet).
+ */
+export function buildSarifLog(tool, findings, { sourcePath = null } = {}) {
+  const rules = [];
+  const ruleIndex = new Map();
+
+  const results = findings.map(finding => {
+    const ruleId = finding.rule || finding.type || 'issue';
+    const message = finding.message || finding.issue || ruleId;
+    const level = severityToLevel(finding.severity || finding.impact);
+
+    if (!ruleIndex.has(ruleId)) {
+      ruleIndex.set(ruleId, rules.length);
+      rules.push({
+        id: ruleId,
+        shortDescription: { text: describeRule(ruleId) },
+        defaultConfiguration: { level },
+      });
+    }
+
+    const remedy = finding.fix || finding.suggestion;
+    const result = {
+      ruleId,
+      ruleIndex: ruleIndex.get(ruleId),
+      level,
+      message: { text: remedy ? `${message}. ${remedy}` : message },
+    };
+
+    const locations = locationsOf(finding, sourcePath);
+    if (locations.length > 0) result.locations = locations;
+
+    return result;
+  });
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'flutter-mcp-service',
+            version: tool.version,
+            rules,
+          },
+        },
+        automationDetails: { id: `${tool.name}/` },
+        results,
+      },
+    ],
+  };
+}
+
+function locationsOf(finding, sourcePath) {
+  const uri = finding.file || sourcePath;
+  const lines = [finding.line, finding.location, ...(finding.lines || [])]
+    .filter(line => Number.isInteger(line) && line > 0);
+
+  if (lines.length === 0) {
+    return uri ? [{ physicalLocation: { artifactLocation: { uri } } }] : [];
+  }
+
+  return [...new Set(lines)].map(startLine => ({
+    physicalLocation: {
+      ...(uri ? { artifactLocation: { uri } } : {}),
+      region: { startLine },
+    },
+  }));
+}
@@ -0,0 +1,156 @@
+import {
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  McpError,
+  ErrorCode,
+} from '@modelcontextprotocol/sdk/types.js';
+import { DEPRECATED_WIDGETS } from '../tools/docsValidator.js';
+
+// Prompt templates for common workflows. Each one tells the model which tools
+// to call and with which arguments; `tools` lists them so tests can check
+// that they exist.
+export const promptTemplates = [
+  {
+    name: 'review_widget',
+    description: 'Review a widget for accessibility and performance issues',
+    arguments: [
+      { name: 'widgetCode', description: 'The widget code to review', required: true },
+      { name: 'focus', description: 'accessibility, performance or all (default: all)', required: false },
+    ],
+    tools: ['analyze_widget', 'suggest_improvements'],
+    build({ widgetCode, focus = 'all' }) {
+      requireChoice('focus', focus, ['accessibility', 'performance', 'all']);
+
+      return `Review the following Flutter widget${focus === 'all' ? '' : ` with a focus on ${focus}`}.
+
+1. Call \`analyze_widget\` with ${toolArgs({
+        widgetCode: '<the code below>',
+        checkAccessibility: focus !== 'performance',
+        checkPerformance: focus !== 'accessibility',
+      })}.
+2. Call \`suggest_improvements\` with ${toolArgs({ code: '<the code below>', focusArea: focus })}.
+3. Summarize the findings ordered by severity, quoting the affected line for each, and show the corrected code for the most important ones.
+
+${dartBlock(widgetCode)}`;
+    },
+  },
+  {
+    name: 'migrate_deprecated',
+    description: 'Find deprecated Flutter APIs (e.g. FlatButton, RaisedButton) and migrate them',
+    arguments: [
+      { name: 'code', description: 'The code to migrate', required: true },
+      { name: 'widgetType', description: 'Only check this widget type', required: false },
+    ],
+    tools: ['validate_flutter_docs'],
+    build({ code, widgetType }) {
+      const replacements = Object.entries(DEPRECATED_WIDGETS)
+        .map(([widget, { replacement }]) => `   - \`${widget}\` → \`${replacement}\``)
+        .join('\n');
+
+      return `Migrate the deprecated Flutter APIs in the code below.
+
+1. Call \`validate_flutter_docs\` with ${toolArgs({ code: '<the code below>', ...(widgetType ? { widgetType } : {}) })} to find deprecated widgets and incorrect usage.
+2. Rewrite every deprecated usage. Known replacements:
+${replacements}
+   Move styling from removed parameters (e.g. \`color\`, \`textColor\`) into \`style:\` using \`styleFrom\`.
+3. Return the migrated code and a short list of the changes, each with its line number.
+
+${dartBlock(code)}`;
+    },
+  },
+  {
+    name: 'plan_feature',
+    description: 'Plan a clean-architecture feature and generate its scaffold',
+    arguments: [
+      { name: 'projectName', description: 'Project or package name', required: true },
+      { name: 'features', description: 'Comma-separated feature names, e.g. "cart, checkout"', required: true },
+      { name: 'stateManagement', description: 'riverpod, bloc, provider or getx (default: riverpod)', required: false },
+    ],
+    tools: ['generate_clean_architecture', 'generate_tests'],
+    build({ projectName, features, stateManagement = 'riverpod' }) {
+      requireChoice('stateManagement', stateManagement, ['riverpod', 'bloc', 'provider', 'getx']);
+      const featureList = features.split(',').map(feature => feature.trim()).filter(Boolean);
+
+      return `Plan the ${featureList.join(', ')} feature${featureList.length === 1 ? '' : 's'} for the Flutter project "${projectName}" using Clean Architecture and ${stateManagement}.
+
+1. Call \`generate_clean_architecture\` with ${toolArgs({ projectName, features: featureList, stateManagement, includeTests: true, includeDI: true })}.
+2. From the generated files, lay out the implementation order: entities and repository contracts, use cases, data sources and models, then presentation.
+3. For each page widget in the scaffold, call \`generate_tests\` with its code to get a starting test suite.
+4. List open questions (API contracts, offline behaviour, error states) that need answers before implementation.`;
+    },
+  },
+  {
+    name: 'write_widget_tests',
+    description: 'Generate a test suite for a widget',
+    arguments: [
+      { name: 'widgetCode', description: 'The widget code to test', required: true },
+      { name: 'includeGoldenTests', description: 'true to add golden tests (default: false)', required: false },
+    ],
+    tools: ['generate_tests'],
+    build({ widgetCode, includeGoldenTests = 'false' }) {
+      requireChoice('includeGoldenTests', includeGoldenTests, ['true', 'false']);
+
+      return `Write tests for the widget below.
+
+1. Call \`generate_tests\` with ${toolArgs({ widgetCode: '<the code below>', includeGoldenTests: includeGoldenTests === 'true' })}.
+2. Fill in the generated placeholders with real expectations based on what the widget renders and how it reacts to input.
+3. Return a complete \`_test.dart\` file.
+
+${dartBlock(widgetCode)}`;
+    },
+  },
+];
+
+function toolArgs(args) {
+  return `\`${JSON.stringify(args)}\``;
+}
+
+function dartBlock(code) {
+  return `\`\`\`dart\n${code.trim()}\n\`\`\``;
+}
+
+function requireChoice(name, value, choices) {
+  if (!choices.includes(value)) {
+    throw new McpError(ErrorCode.InvalidParams, `Invalid argument ${name}: must be one of ${choices.join(', ')}`);
+  }
+}
+
+export function getPrompt(name, args = {}) {
+  const template = promptTemplates.find(prompt => prompt.name === name);
+  if (!template) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+  }
+
+  for (const argument of template.arguments) {
+    if (argument.required && !args[argument.name]) {
+      throw new McpError(ErrorCode.InvalidParams, `Missing required argument: ${argument.name}`);
+    }
+  }
+
+  return {
+    description: template.description,
+    messages: [
+      {
+        role: 'user',
+        content: { type: 'text', text: template.build(args) },
+      },
+    ],
+  };
+}
+
+export function registerPromptHandlers(server) {
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    return {
+      prompts: promptTemplates.map(({ name, description, arguments: promptArguments }) => ({
+        name,
+        description,
+        arguments: promptArguments,
+      })),
+    };
+  });
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    const { name, arguments: args } = request.params;
+    return getPrompt(name, args);
+  });
+}
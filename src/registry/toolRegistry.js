@@ -0,0 +1,225 @@
+import { fileURLToPath, pathToFileURL } from 'url';
+import { dirname, join, resolve, extname } from 'path';
+import fs from 'fs';
+import { findSchemaDrift } from '../utils/schemaValidator.js';
+import { outputArgumentSchemas } from '../formatters/outputFormatter.js';
+import { REQUEST_CONFIG_SCHEMA } from '../config/config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const BUILTIN_TOOLS_DIR = join(__dirname, '../tools');
+const MODULE_EXTENSIONS = new Set(['.js', '.mjs']);
+const TOOL_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+export class ToolRegistrationError extends Error {
+  constructor(message, source = null) {
+    super(source ? `${message} (${source})` : message);
+    this.name = 'ToolRegistrationError';
+    this.source = source;
+  }
+}
+
+/**
+ * Collects tool descriptors ({ name, description, version, tags, inputSchema,
+ * handler, findings? }) from the modules in src/tools and from an optional
+ * plugins directory. A module contributes tools by exporting `tool`, `tools`
+ * or a default export holding either one.
+ *
+ * `findings(result)` maps a tool's JSON result to its list of issues and
+ * enables SARIF output for that tool.
+ */
+export class ToolRegistry {
+  constructor(options = {}) {
+    this.toolsDir = options.toolsDir || BUILTIN_TOOLS_DIR;
+    this.pluginsDir = options.pluginsDir || null;
+    this.tools = new Map();
+    this.loaded = false;
+  }
+
+  async load() {
+    if (this.loaded) return this;
+
+    for (const file of listModules(this.toolsDir)) {
+      const module = await import(pathToFileURL(file).href);
+      for (const descriptor of descriptorsOf(module)) {
+        this.register(descriptor, { source: file, builtin: true });
+      }
+    }
+
+    this.assertNoDrift([...this.tools.values()]);
+
+    if (this.pluginsDir) {
+      await this.loadPlugins(this.pluginsDir);
+    }
+
+    this.loaded = true;
+    return this;
+  }
+
+  // Plugins are optional extras: a broken plugin is logged and skipped
+  // instead of taking the whole server down.
+  async loadPlugins(pluginsDir) {
+    const dir = resolve(pluginsDir);
+    if (!fs.existsSync(dir)) {
+      console.error(`Plugins directory not found: ${dir}`);
+      return;
+    }
+
+    for (const file of listModules(dir)) {
+      try {
+        const module = await import(pathToFileURL(file).href);
+        const descriptors = descriptorsOf(module);
+        if (descriptors.length === 0) {
+          throw new ToolRegistrationError('Module does not export a tool descriptor', file);
+        }
+
+        for (const descriptor of descriptors) {
+          const drift = findSchemaDrift([descriptor]);
+          if (drift.length > 0) {
+            throw new ToolRegistrationError(`${descriptor.name}: ${drift[0].message}`, file);
+          }
+          this.register(descriptor, { source: file, builtin: false });
+          console.error(`Loaded plugin tool ${descriptor.name}@${this.tools.get(descriptor.name).version}`);
+        }
+      } catch (error) {
+        console.error(`Failed to load plugin ${file}: ${error.message}`);
+      }
+    }
+  }
+
+  register(descriptor, { source = null, builtin = false } = {}) {
+    const tool = normalizeDescriptor(descriptor, source);
+
+    if (this.tools.has(tool.name)) {
+      throw new ToolRegistrationError(`Duplicate tool name: ${tool.name}`, source);
+    }
+
+    this.tools.set(tool.name, { ...tool, source, builtin });
+    return this;
+  }
+
+  assertNoDrift(tools) {
+    const drift = findSchemaDrift(tools);
+    if (drift.length > 0) {
+      const details = drift.map(({ tool, message }) => `  ${tool}: ${message}`).join('\n');
+      throw new ToolRegistrationError(`Tool schema self-check failed:\n${details}`);
+    }
+  }
+
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  list({ tag = null } = {}) {
+    const tools = [...this.tools.values()];
+    return tag ? tools.filter(tool => tool.tags.includes(tag)) : tools;
+  }
+
+  // Tool listing in the shape of the MCP tools/list result.
+  describe() {
+    return this.list().map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      inputSchema: tool.inputSchema,
+      _meta: {
+        version: tool.version,
+        tags: tool.tags,
+      },
+    }));
+  }
+}
+
+function listModules(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isFile() && MODULE_EXTENSIONS.has(extname(entry.name)))
+    .map(entry => join(dir, entry.name))
+    .sort();
+}
+
+function descriptorsOf(module) {
+  const candidates = [module.tool, module.tools, module.default?.tool, module.default?.tools, module.default]
+    .filter(Boolean)
+    .flatMap(candidate => (Array.isArray(candidate) ? candidate : [candidate]));
+
+  // A default export may itself be a descriptor or a namespace of them.
+  return [...new Set(candidates)].filter(candidate => typeof candidate === 'object' && 'handler' in candidate);
+}
+
+function normalizeDescriptor(descriptor, source) {
+  const { name, description, version = '1.0.0', tags = [], inputSchema, handler, findings = null } = descriptor;
+
+  if (typeof name !== 'string' || !TOOL_NAME_PATTERN.test(name)) {
+    throw new ToolRegistrationError(`Invalid tool name: ${name}`, source);
+  }
+  if (typeof handler !== 'function') {
+    throw new ToolRegistrationError(`Tool ${name} has no handler function`, source);
+  }
+  if (!inputSchema || inputSchema.type !== 'object') {
+    throw new ToolRegistrationError(`Tool ${name} must declare an object inputSchema`, source);
+  }
+  if (typeof version !== 'string' || !/^\d+\.\d+\.\d+/.test(version)) {
+    throw new ToolRegistrationError(`Tool ${name} has an invalid version: ${version}`, source);
+  }
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    throw new ToolRegistrationError(`Tool ${name} tags must be an array of strings`, source);
+  }
+  if (findings !== null && typeof findings !== 'function') {
+    throw new ToolRegistrationError(`Tool ${name} findings must be a function`, source);
+  }
+
+  return {
+    name,
+    description: description || '',
+    version,
+    tags,
+    ...withSharedArguments(inputSchema, {
+      ...outputArgumentSchemas({ sarif: findings !== null }),
+      config: REQUEST_CONFIG_SCHEMA,
+    }),
+    handler,
+    findings,
+  };
+}
+
+// Adds the arguments every tool accepts (output format, per-request config)
+// to its inputSchema. Fields a tool declares itself are left alone;
+// `sharedArguments` lists the ones added.
+function withSharedArguments(inputSchema, schemas) {
+  const properties = { ...(inputSchema.properties || {}) };
+  const sharedArguments = [];
+
+  for (const [name, schema] of Object.entries(schemas)) {
+    if (properties[name]) continue;
+    properties[name] = schema;
+    sharedArguments.push(name);
+  }
+
+  return { inputSchema: { ...inputSchema, properties }, sharedArguments };
+}
+
+// Separates the shared arguments from the ones the handler reads.
+export function splitSharedArguments(tool, args) {
+  const toolArgs = { ...args };
+  const shared = {};
+
+  (tool.sharedArguments || []).forEach(name => {
+    if (name in toolArgs) shared[name] = toolArgs[name];
+    delete toolArgs[name];
+  });
+
+  return { toolArgs, shared };
+}
+
+let registryInstance = null;
+
+export function getToolRegistry(options) {
+  if (!registryInstance) {
+    registryInstance = new ToolRegistry(options);
+  }
+  return registryInstance;
+}
@@ -0,0 +1,110 @@
+import {
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  McpError,
+  ErrorCode,
+} from '@modelcontextprotocol/sdk/types.js';
+import { getFlutterDocsService } from '../services/flutterDocsService.js';
+import { getResourceStore, parseResourceUri, RESOURCE_TEMPLATES } from './resourceStore.js';
+
+// JSON-RPC error code the MCP spec reserves for unknown resources.
+const RESOURCE_NOT_FOUND = -32002;
+
+export const resourceCapabilities = {
+  subscribe: true,
+  listChanged: true,
+};
+
+/**
+ * Wires resources/list, resources/templates/list, resources/read and
+ * resources/(un)subscribe into a Server. Subscriptions are per server, i.e.
+ * per client session.
+ */
+export function registerResourceHandlers(server, options = {}) {
+  const store = options.store || getResourceStore();
+  const docsService = options.docsService || getFlutterDocsService();
+  const subscriptions = new Set();
+
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    return { resources: store.list() };
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return { resourceTemplates: RESOURCE_TEMPLATES };
+  });
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const { uri } = request.params;
+    const parsed = parseResourceUri(uri);
+    if (!parsed) {
+      throw new McpError(ErrorCode.InvalidParams, `Unsupported resource URI: ${uri}`);
+    }
+
+    return { contents: [await readResource(parsed, uri, { store, docsService })] };
+  });
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    subscriptions.add(request.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.delete(request.params.uri);
+    return {};
+  });
+
+  const onUpdated = uri => {
+    if (subscriptions.has(uri)) {
+      server.sendResourceUpdated({ uri }).catch(() => {});
+    }
+  };
+  const onListChanged = () => {
+    server.sendResourceListChanged().catch(() => {});
+  };
+
+  store.on('updated', onUpdated);
+  store.on('listChanged', onListChanged);
+
+  const previousOnClose = server.onclose;
+  server.onclose = () => {
+    store.off('updated', onUpdated);
+    store.off('listChanged', onListChanged);
+    previousOnClose?.();
+  };
+}
+
+// Documentation is fetched through FlutterDocsService, which serves it from
+// the cache and records it in the resource index on first fetch.
+async function readResource(parsed, uri, { store, docsService }) {
+  switch (parsed.scheme) {
+    case 'flutter-doc': {
+      const documentation = await docsService.fetchFlutterClass(parsed.className, parsed.library);
+      if (!documentation || documentation.error) {
+        throw new McpError(RESOURCE_NOT_FOUND, `Documentation not available: ${uri}`);
+      }
+      return { uri, mimeType: 'application/json', text: JSON.stringify(documentation, null, 2) };
+    }
+
+    case 'pub': {
+      const documentation = await docsService.fetchPackageDocumentation(parsed.packageName);
+      if (!documentation) {
+        throw new McpError(RESOURCE_NOT_FOUND, `Package not available: ${uri}`);
+      }
+      return { uri, mimeType: 'application/json', text: JSON.stringify(documentation, null, 2) };
+    }
+
+    case 'scaffold': {
+      const resource = store.get(uri);
+      if (!resource || resource.content === null) {
+        throw new McpError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`);
+      }
+      return { uri, mimeType: resource.mimeType, text: resource.content };
+    }
+
+    default:
+      throw new McpError(ErrorCode.InvalidParams, `Unsupported resource URI: ${uri}`);
+  }
+}
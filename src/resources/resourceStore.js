@@ -0,0 +1,231 @@
+import { EventEmitter } from 'events';
+import { extname } from 'path';
+import { getCacheManager } from '../cache/cacheManager.js';
+
+// Resource URIs served by the MCP resources capability:
+//   flutter-doc://<library>/<Class>   class documentation from api.flutter.dev
+//   pub://package/<name>              pub.dev package documentation
+//   scaffold://<project>/<path>       files produced by the generator tools
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'flutter-doc://{library}/{className}',
+    name: 'Flutter class documentation',
+    description: 'API documentation for a Flutter class, e.g. flutter-doc://material/Scaffold',
+    mimeType: 'application/json',
+  },
+  {
+    uriTemplate: 'pub://package/{name}',
+    name: 'pub.dev package',
+    description: 'Package metadata and documentation from pub.dev, e.g. pub://package/dio',
+    mimeType: 'application/json',
+  },
+  {
+    uriTemplate: 'scaffold://{project}/{+path}',
+    name: 'Generated scaffold file',
+    description: 'A file generated by generate_clean_architecture or generate_l10n',
+  },
+];
+
+const URI_PATTERN = /^([a-z][a-z0-9+.-]*):\/\/([^/]+)\/(.+)$/;
+
+const MIME_TYPES = {
+  '.dart': 'text/x-dart',
+  '.arb': 'application/json',
+  '.json': 'application/json',
+  '.yaml': 'application/yaml',
+  '.yml': 'application/yaml',
+  '.md': 'text/markdown',
+};
+
+export function parseResourceUri(uri) {
+  const match = URI_PATTERN.exec(uri || '');
+  if (!match) return null;
+
+  const [, scheme, authority, rawPath] = match;
+  const path = decodeURIComponent(rawPath);
+
+  switch (scheme) {
+    case 'flutter-doc':
+      return path.includes('/') ? null : { scheme, library: authority, className: path };
+    case 'pub':
+      return authority === 'package' && !path.includes('/') ? { scheme, packageName: path } : null;
+    case 'scaffold':
+      return { scheme, project: authority, path };
+    default:
+      return null;
+  }
+}
+
+export function flutterDocUri(library, className) {
+  return `flutter-doc://${library}/${encodeURIComponent(className)}`;
+}
+
+export function pubPackageUri(packageName) {
+  return `pub://package/${encodeURIComponent(packageName)}`;
+}
+
+export function scaffoldUri(project, path) {
+  return `scaffold://${encodeURIComponent(project)}/${path.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+/**
+ * Index of known resources, kept in the cache database next to the cached
+ * documentation. Documentation entries only record that a page has been
+ * fetched (the content itself lives in the regular cache); scaffold entries
+ * store the generated file and expire after the cache's `scaffold` TTL.
+ *
+ * Emits `updated` (uri) when a resource's content changes and `listChanged`
+ * when resources are added.
+ */
+export class ResourceStore extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.setMaxListeners(0);
+    const cache = options.cache || getCacheManager();
+    this.db = cache.db;
+    this.scaffoldTTL = cache.ttlConfig.scaffold;
+    this.initDatabase();
+  }
+
+  initDatabase() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS resources (
+        uri TEXT PRIMARY KEY,
+        scheme TEXT,
+        name TEXT,
+        description TEXT,
+        mime_type TEXT,
+        content TEXT,
+        updated_at INTEGER,
+        expires_at INTEGER
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_resources_scheme ON resources(scheme);
+    `);
+
+    // Databases created before resources could expire
+    const columns = this.db.prepare('PRAGMA table_info(resources)').all().map(column => column.name);
+    if (!columns.includes('expires_at')) {
+      this.db.exec('ALTER TABLE resources ADD COLUMN expires_at INTEGER');
+    }
+  }
+
+  list() {
+    return this.db.prepare(`
+      SELECT uri, name, description, mime_type FROM resources
+      WHERE expires_at IS NULL OR expires_at >= ?
+      ORDER BY scheme, uri
+    `).all(Date.now()).map(row => ({
+      uri: row.uri,
+      name: row.name,
+      description: row.description || undefined,
+      mimeType: row.mime_type || undefined,
+    }));
+  }
+
+  get(uri) {
+    const row = this.db.prepare('SELECT * FROM resources WHERE uri = ?').get(uri);
+    if (!row || (row.expires_at !== null && row.expires_at < Date.now())) return null;
+
+    return {
+      uri: row.uri,
+      name: row.name,
+      description: row.description,
+      mimeType: row.mime_type,
+      content: row.content,
+      updatedAt: row.updated_at,
+    };
+  }
+
+  // Inserts or updates a resource and notifies listeners. Content that did
+  // not change does not produce an `updated` event.
+  put(resource) {
+    this.notify([[resource.uri, this.write(resource)]]);
+  }
+
+  // Returns 'created', 'updated' or 'unchanged'. Resources with a `ttl`
+  // (seconds) expire that long after their last write.
+  write({ uri, name, description = null, mimeType = null, content = null, ttl = null }) {
+    const parsed = parseResourceUri(uri);
+    if (!parsed) {
+      throw new Error(`Invalid resource URI: ${uri}`);
+    }
+
+    const now = Date.now();
+    const existing = this.db.prepare('SELECT content FROM resources WHERE uri = ?').get(uri);
+    this.db.prepare(`
+      INSERT OR REPLACE INTO resources (uri, scheme, name, description, mime_type, content, updated_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(uri, parsed.scheme, name, description, mimeType, content, now, ttl === null ? null : now + ttl * 1000);
+
+    if (!existing) return 'created';
+    return existing.content === content ? 'unchanged' : 'updated';
+  }
+
+  notify(changes) {
+    if (changes.some(([, change]) => change === 'created')) {
+      this.emit('listChanged');
+    }
+    changes
+      .filter(([, change]) => change === 'updated')
+      .forEach(([uri]) => this.emit('updated', uri));
+  }
+
+  recordFlutterDoc(library, className) {
+    this.put({
+      uri: flutterDocUri(library, className),
+      name: `${className} (${library})`,
+      description: `Flutter ${library} library documentation for ${className}`,
+      mimeType: 'application/json',
+    });
+  }
+
+  recordPubPackage(packageName, description = null) {
+    this.put({
+      uri: pubPackageUri(packageName),
+      name: packageName,
+      description,
+      mimeType: 'application/json',
+    });
+  }
+
+  // Removes the resources that have expired; returns how many there were.
+  prune() {
+    return this.db.prepare('DELETE FROM resources WHERE expires_at < ?').run(Date.now()).changes;
+  }
+
+  // Stores generated files as scaffold://<project>/<path> resources and
+  // returns their URIs. Scaffold files from earlier runs that have expired
+  // are dropped.
+  putScaffold(project, files, source) {
+    const pruned = this.prune();
+    const changes = Object.entries(files)
+      .filter(([, content]) => typeof content === 'string')
+      .map(([path, content]) => {
+        const uri = scaffoldUri(project, path);
+        return [uri, this.write({
+          uri,
+          name: `${project}/${path}`,
+          description: source ? `Generated by ${source}` : null,
+          mimeType: MIME_TYPES[extname(path)] || 'text/plain',
+          content,
+          ttl: this.scaffoldTTL,
+        })];
+      });
+
+    if (pruned > 0 && !changes.some(([, change]) => change === 'created')) {
+      this.emit('listChanged');
+    }
+    this.notify(changes);
+    return changes.map(([uri]) => uri);
+  }
+}
+
+let storeInstance = null;
+
+export function getResourceStore(options) {
+  if (!storeInstance) {
+    storeInstance = new ResourceStore(options);
+  }
+  return storeInstance;
+}
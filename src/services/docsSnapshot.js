@@ -0,0 +1,50 @@
+import fs from 'fs';
+
+// Documentation for the core Flutter widgets shipped with the server
+// (src/data/flutter-docs-snapshot.json), used when api.flutter.dev cannot
+// be reached or the server runs offline. Regenerate it with
+// `npm run docs:snapshot -- <flutter version>`.
+export const SNAPSHOT_FILE = new URL('../data/flutter-docs-snapshot.json', import.meta.url);
+
+export class DocsSnapshot {
+  constructor(snapshot) {
+    this.version = snapshot.version;
+    this.flutterVersion = snapshot.flutterVersion;
+    this.classes = snapshot.classes;
+  }
+
+  static load(file = SNAPSHOT_FILE) {
+    return new DocsSnapshot(JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+
+  /**
+   * Returns the snapshot documentation for a class, marked `stale: true`,
+   * or null. Prefers an exact library match, since callers often default to
+   * `widgets` for material classes.
+   */
+  getClass(className, library = null) {
+    const documentation = this.classes.find(doc => doc.className === className && doc.library === library)
+      || this.classes.find(doc => doc.className === className);
+    if (!documentation) return null;
+
+    return {
+      ...documentation,
+      stale: true,
+      source: 'snapshot',
+      snapshot: { version: this.version, flutterVersion: this.flutterVersion },
+    };
+  }
+
+  listClasses() {
+    return this.classes.map(({ className, library }) => ({ className, library }));
+  }
+}
+
+let snapshotInstance = null;
+
+export function getDocsSnapshot() {
+  if (!snapshotInstance) {
+    snapshotInstance = DocsSnapshot.load();
+  }
+  return snapshotInstance;
+}
@@ -2,16 +2,22 @@ import axios from 'axios';
 import * as cheerio from 'cheerio';
 import { getCacheManager } from '../cache/cacheManager.js';
 import { getTokenManager } from '../utils/tokenManager.js';
-import { errorHandler } from '../utils/errorHandler.js';
+import { errorHandler, isAbortError } from '../utils/errorHandler.js';
+import { getResourceStore } from '../resources/resourceStore.js';
+import { getConfig } from '../config/config.js';
+import { getDocsSnapshot } from './docsSnapshot.js';
 
 const cache = getCacheManager();
 const tokenManager = getTokenManager();
+const resources = getResourceStore();
 
 export class FlutterDocsService {
-  constructor() {
-    this.baseUrl = 'https://api.flutter.dev';
-    this.pubUrl = 'https://pub.dev';
-    this.dartUrl = 'https://api.dart.dev';
+  constructor(options = {}) {
+    const { registries, offline } = getConfig();
+    this.baseUrl = options.baseUrl || registries.flutterDocs;
+    this.pubUrl = options.pubUrl || registries.pub;
+    this.dartUrl = options.dartUrl || registries.dartDocs;
+    this.offline = options.offline ?? offline;
     
     // Rate limiting
     this.requestQueue = [];
@@ -19,134 +25,137 @@ export class FlutterDocsService {
     this.minRequestInterval = 500; // 2 requests per second max
   }
 
-  async fetchFlutterClass(className, library = 'widgets') {
+  // Offline, or when a fetch fails, these answer from the cache (expired
+  // entries marked `stale: true`); Flutter classes then fall back to the
+  // bundled docs snapshot.
+  async fetchFlutterClass(className, library = 'widgets', options = {}) {
     const cacheKey = { className, library };
-    const cached = await cache.get('flutterDocs', cacheKey);
-    if (cached) return cached;
 
     try {
-      const url = `${this.baseUrl}/flutter/${library}/${className}-class.html`;
-      
-      const response = await errorHandler.executeWithProtection(
-        'flutter-docs',
-        async () => {
-          await this.rateLimit();
-          return axios.get(url, { timeout: 10000 });
-        },
-        {
-          retry: true,
-          timeout: 15000,
-          fallback: () => ({
-            error: 'Documentation temporarily unavailable',
-            className,
-            library
-          })
-        }
-      );
-
-      const documentation = this.parseFlutterDocumentation(response.data, className);
-      await cache.set('flutterDocs', cacheKey, documentation);
-      
-      return documentation;
+      const documentation = await cache.getOrFetch('flutterDocs', cacheKey, async () => {
+        const url = `${this.baseUrl}/flutter/${library}/${className}-class.html`;
+
+        const response = await errorHandler.executeWithProtection(
+          'flutter-docs',
+          async signal => {
+            await this.rateLimit();
+            return axios.get(url, { timeout: 10000, signal });
+          },
+          { retry: true, timeout: 15000, signal: options.signal }
+        );
+
+        resources.recordFlutterDoc(library, className);
+        return this.parseFlutterDocumentation(response.data, className);
+      }, { offline: this.offline });
+
+      return documentation || getDocsSnapshot().getClass(className, library);
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error(`Error fetching Flutter class ${className}:`, error.message);
-      return null;
+      return getDocsSnapshot().getClass(className, library);
     }
   }
 
-  async fetchDartClass(className, library = 'core') {
+  async fetchDartClass(className, library = 'core', options = {}) {
     const cacheKey = { className, library, type: 'dart' };
-    const cached = await cache.get('flutterDocs', cacheKey);
-    if (cached) return cached;
 
     try {
-      const url = `${this.dartUrl}/stable/dart-${library}/${className}-class.html`;
-      
-      const response = await errorHandler.executeWithProtection(
-        'dart-docs',
-        async () => {
-          await this.rateLimit();
-          return axios.get(url, { timeout: 10000 });
-        }
-      );
-
-      const documentation = this.parseDartDocumentation(response.data, className);
-      await cache.set('flutterDocs', cacheKey, documentation);
-      
-      return documentation;
+      return await cache.getOrFetch('flutterDocs', cacheKey, async () => {
+        const url = `${this.dartUrl}/stable/dart-${library}/${className}-class.html`;
+
+        const response = await errorHandler.executeWithProtection(
+          'dart-docs',
+          async signal => {
+            await this.rateLimit();
+            return axios.get(url, { timeout: 10000, signal });
+          },
+          { signal: options.signal }
+        );
+
+        return this.parseDartDocumentation(response.data, className);
+      }, { offline: this.offline });
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error(`Error fetching Dart class ${className}:`, error.message);
       return null;
     }
   }
 
-  async fetchPackageDocumentation(packageName, version = 'latest') {
+  async fetchPackageDocumentation(packageName, version = 'latest', options = {}) {
     const cacheKey = { packageName, version };
-    const cached = await cache.get('pubPackage', cacheKey);
-    if (cached) return cached;
 
     try {
-      // First get package info
-      const packageInfo = await this.fetchPackageInfo(packageName, version);
-      if (!packageInfo) return null;
-
-      // Then fetch documentation
-      const docUrl = `${this.pubUrl}/documentation/${packageName}/${packageInfo.version}/index.html`;
-      
-      const response = await errorHandler.executeWithProtection(
-        'pub-docs',
-        async () => {
-          await this.rateLimit();
-          return axios.get(docUrl, { timeout: 10000 });
-        }
-      );
-
-      const documentation = this.parsePackageDocumentation(response.data, packageName);
-      documentation.packageInfo = packageInfo;
-      
-      await cache.set('pubPackage', cacheKey, documentation);
-      return documentation;
+      return await cache.getOrFetch('pubPackage', cacheKey, async () => {
+        // First get package info
+        const packageInfo = await this.fetchPackageInfo(packageName, version, options);
+        if (!packageInfo) return null;
+
+        // Then fetch documentation
+        const docUrl = `${this.pubUrl}/documentation/${packageName}/${packageInfo.version}/index.html`;
+
+        const response = await errorHandler.executeWithProtection(
+          'pub-docs',
+          async signal => {
+            await this.rateLimit();
+            return axios.get(docUrl, { timeout: 10000, signal });
+          },
+          { signal: options.signal }
+        );
+
+        const documentation = this.parsePackageDocumentation(response.data, packageName);
+        documentation.packageInfo = packageInfo;
+
+        resources.recordPubPackage(packageName, packageInfo.description);
+        return documentation;
+      }, { offline: this.offline });
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error(`Error fetching package documentation for ${packageName}:`, error.message);
       return null;
     }
   }
 
-  async fetchPackageInfo(packageName, version = 'latest') {
+  async fetchPackageInfo(packageName, version = 'latest', options = {}) {
+    const cacheKey = { packageName, version, type: 'info' };
+
     try {
-      const url = `${this.pubUrl}/api/packages/${packageName}`;
-      
-      const response = await errorHandler.executeWithProtection(
-        'pub-api',
-        async () => {
-          await this.rateLimit();
-          return axios.get(url, { timeout: 10000 });
-        }
-      );
-
-      const data = response.data;
-      const latestVersion = data.latest.version;
-      const requestedVersion = version === 'latest' ? latestVersion : version;
-      
-      // Find the specific version
-      const versionInfo = data.versions.find(v => v.version === requestedVersion) || data.latest;
-      
-      return {
-        name: packageName,
-        version: versionInfo.version,
-        description: versionInfo.pubspec.description,
-        homepage: versionInfo.pubspec.homepage,
-        repository: versionInfo.pubspec.repository,
-        dependencies: versionInfo.pubspec.dependencies || {},
-        devDependencies: versionInfo.pubspec.dev_dependencies || {},
-        score: data.score,
-        popularity: data.metrics?.popularity,
-        likes: data.metrics?.likes,
-        points: data.metrics?.points,
-        grantedPoints: data.metrics?.grantedPoints,
-        maxPoints: data.metrics?.maxPoints
-      };
+      return await cache.getOrFetch('pubPackage', cacheKey, async () => {
+        const url = `${this.pubUrl}/api/packages/${packageName}`;
+
+        const response = await errorHandler.executeWithProtection(
+          'pub-api',
+          async signal => {
+            await this.rateLimit();
+            return axios.get(url, { timeout: 10000, signal });
+          },
+          { signal: options.signal }
+        );
+
+        const data = response.data;
+        const latestVersion = data.latest.version;
+        const requestedVersion = version === 'latest' ? latestVersion : version;
+
+        // Find the specific version
+        const versionInfo = data.versions.find(v => v.version === requestedVersion) || data.latest;
+
+        return {
+          name: packageName,
+          version: versionInfo.version,
+          description: versionInfo.pubspec.description,
+          homepage: versionInfo.pubspec.homepage,
+          repository: versionInfo.pubspec.repository,
+          dependencies: versionInfo.pubspec.dependencies || {},
+          devDependencies: versionInfo.pubspec.dev_dependencies || {},
+          score: data.score,
+          popularity: data.metrics?.popularity,
+          likes: data.metrics?.likes,
+          points: data.metrics?.points,
+          grantedPoints: data.metrics?.grantedPoints,
+          maxPoints: data.metrics?.maxPoints
+        };
+      }, { offline: this.offline });
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error(`Error fetching package info for ${packageName}:`, error.message);
       return null;
     }
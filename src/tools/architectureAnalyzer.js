@@ -1,4 +1,20 @@
-export async function analyzeArchitectureCompliance(args) {
+import { noopToolContext } from '../utils/toolContext.js';
+import { applyRuleConfig } from '../config/config.js';
+import { isAbortError } from '../utils/errorHandler.js';
+import { scanDartProject, LAYERS } from '../utils/projectScanner.js';
+import { checkLayerRules, ruleName, DEFAULT_LAYER_RULES } from '../utils/layerRules.js';
+import { findCycles } from '../utils/importGraph.js';
+
+const STATE_MANAGEMENT_PACKAGES = [
+  'provider', 'bloc', 'flutter_bloc', 'riverpod', 'flutter_riverpod', 'hooks_riverpod',
+  'get', 'mobx', 'flutter_mobx', 'redux', 'flutter_redux',
+];
+
+// What the domain layer may not depend on: the outer layers and the UI
+// framework.
+const DOMAIN_FORBIDDEN_DEPENDENCIES = ['presentation', 'data', 'infrastructure', 'flutter'];
+
+export async function analyzeArchitectureCompliance(args, context = noopToolContext) {
   const { projectPath, architectureType = 'clean', strictMode = true } = args;
   
   try {
@@ -12,13 +28,23 @@ export async function analyzeArchitectureCompliance(args) {
     };
     
     // Analyze project structure
-    const structure = await analyzeProjectStructure(projectPath);
+    const structure = await analyzeProjectStructure(projectPath, context.signal);
+    analysis.project = structure.project;
+    
+    // Check the import rules from the configuration, or the built-in ones
+    const configuredRules = context.config.architecture?.rules || [];
+    const rules = configuredRules.length > 0 ? configuredRules : DEFAULT_LAYER_RULES;
+    structure.ruleViolations = checkLayerRules(structure.files, rules);
+    analysis.rules = rules.map(ruleName);
     
     // Check architecture compliance
     analysis.compliance = checkArchitectureCompliance(structure, architectureType);
     
     // Find violations
-    analysis.violations = findArchitectureViolations(structure, architectureType, strictMode);
+    analysis.violations = applyRuleConfig(
+      findArchitectureViolations(structure, architectureType, strictMode),
+      context.config.rules
+    );
     
     // Analyze dependencies
     analysis.dependencies = analyzeDependencyFlow(structure);
@@ -27,7 +53,7 @@ export async function analyzeArchitectureCompliance(args) {
     analysis.layering = analyzeLayerSeparation(structure);
     
     // Calculate metrics
-    analysis.metrics = calculateArchitectureMetrics(structure);
+    analysis.metrics = calculateArchitectureMetrics(structure, analysis.violations);
     
     // Generate recommendations
     analysis.recommendations = generateArchitectureRecommendations(analysis);
@@ -53,6 +79,9 @@ export async function analyzeArchitectureCompliance(args) {
       ],
     };
   } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
     return {
       content: [
         {
@@ -64,48 +93,77 @@ export async function analyzeArchitectureCompliance(args) {
   }
 }
 
-async function analyzeProjectStructure(projectPath) {
-  // Simulate project structure analysis
+// Scans the project and summarizes it per layer (files, component folders,
+// the layers and packages it imports) and per feature.
+async function analyzeProjectStructure(projectPath, signal) {
+  const scan = await scanDartProject(projectPath, { signal });
+  const fileByPath = new Map(scan.files.map(file => [file.path, file]));
+
+  const imports = scan.imports.map(edge => {
+    const from = fileByPath.get(edge.from);
+    const to = fileByPath.get(edge.to);
+    return {
+      ...edge,
+      fromLayer: from.layer,
+      toLayer: to.layer,
+      fromFeature: from.feature,
+      toFeature: to.feature,
+    };
+  });
+
+  const layers = Object.fromEntries(LAYERS.map(layer => [layer, { files: 0, components: [], dependencies: [] }]));
+  const addUnique = (list, value) => {
+    if (value && !list.includes(value)) list.push(value);
+  };
+
+  scan.files.forEach(file => {
+    if (!file.layer) return;
+    const layer = layers[file.layer];
+    layer.files++;
+    addUnique(layer.components, file.component);
+    file.imports
+      .filter(entry => entry.kind === 'package')
+      .forEach(entry => addUnique(layer.dependencies, entry.package));
+  });
+
+  imports.forEach(edge => {
+    if (edge.fromLayer && edge.toLayer && edge.fromLayer !== edge.toLayer) {
+      addUnique(layers[edge.fromLayer].dependencies, edge.toLayer);
+    }
+  });
+
+  const modules = [];
+  scan.files.forEach(file => {
+    if (!file.feature) return;
+    let module = modules.find(m => m.name === file.feature);
+    if (!module) {
+      module = { name: file.feature, files: 0, layers: [], crossReferences: [] };
+      modules.push(module);
+    }
+    module.files++;
+    addUnique(module.layers, file.layer);
+  });
+
+  imports.forEach(edge => {
+    if (edge.fromFeature && edge.toFeature && edge.fromFeature !== edge.toFeature) {
+      addUnique(modules.find(m => m.name === edge.fromFeature).crossReferences, edge.toFeature);
+    }
+  });
+
   return {
-    layers: {
-      presentation: {
-        files: 45,
-        components: ['pages', 'widgets', 'controllers', 'view_models'],
-        dependencies: ['domain', 'flutter', 'state_management'],
-      },
-      domain: {
-        files: 28,
-        components: ['entities', 'use_cases', 'repositories'],
-        dependencies: [],  // Should have no dependencies
-      },
-      data: {
-        files: 32,
-        components: ['models', 'repositories', 'datasources', 'mappers'],
-        dependencies: ['domain', 'dio', 'sqflite'],
-      },
-      infrastructure: {
-        files: 15,
-        components: ['services', 'adapters', 'factories'],
-        dependencies: ['domain', 'data'],
-      },
+    project: {
+      root: scan.root,
+      packageName: scan.packageName,
+      files: scan.files.length,
+      unclassifiedFiles: scan.files.filter(file => !file.layer).map(file => file.path),
+      features: modules.map(module => module.name),
+      internalImports: imports.length,
+      ...(scan.truncated ? { truncated: true } : {}),
     },
-    modules: [
-      {
-        name: 'auth',
-        layers: ['presentation', 'domain', 'data'],
-        crossReferences: ['user', 'profile'],
-      },
-      {
-        name: 'user',
-        layers: ['presentation', 'domain', 'data'],
-        crossReferences: ['auth'],
-      },
-      {
-        name: 'product',
-        layers: ['presentation', 'domain', 'data'],
-        crossReferences: ['cart', 'catalog'],
-      },
-    ],
+    layers,
+    modules,
+    files: scan.files,
+    imports,
     violations: [],
   };
 }
@@ -173,7 +231,7 @@ function checkPresentationLayerCompliance(layer) {
   }
   
   // Check for proper state management
-  if (!layer.dependencies.some(d => ['provider', 'bloc', 'riverpod', 'getx'].includes(d))) {
+  if (!layer.dependencies.some(d => STATE_MANAGEMENT_PACKAGES.includes(d))) {
     score -= 10;
   }
   
@@ -183,10 +241,8 @@ function checkPresentationLayerCompliance(layer) {
 function checkDomainLayerCompliance(layer) {
   let score = 100;
   
-  // Domain should have no dependencies
-  if (layer.dependencies.length > 0) {
-    score -= layer.dependencies.length * 20;
-  }
+  // Domain should not depend on outer layers or Flutter
+  score -= domainForbiddenDependencies(layer).length * 20;
   
   // Check for required components
   const requiredComponents = ['entities', 'use_cases', 'repositories'];
@@ -202,10 +258,9 @@ function checkDomainLayerCompliance(layer) {
 function checkDataLayerCompliance(layer) {
   let score = 100;
   
-  // Should depend only on domain
-  const allowedDeps = ['domain', 'dio', 'sqflite', 'shared_preferences'];
+  // Of the other layers, should depend only on domain
   layer.dependencies.forEach(dep => {
-    if (!allowedDeps.includes(dep)) {
+    if (LAYERS.includes(dep) && dep !== 'domain') {
       score -= 10;
     }
   });
@@ -222,125 +277,87 @@ function checkDataLayerCompliance(layer) {
   return Math.max(0, score);
 }
 
+// Violations name files relative to the project root, as the other tools'
+// issues do; the scan is relative to lib/
+const projectFile = path => `lib/${path}`;
+
 function findArchitectureViolations(structure, architectureType, strictMode) {
   const violations = [];
   
-  // Check dependency violations
-  if (structure.layers.domain.dependencies.length > 0) {
+  // Check imports against the layer rules
+  structure.ruleViolations.forEach(violation => {
     violations.push({
-      type: 'dependency_violation',
-      severity: 'critical',
-      layer: 'domain',
-      message: 'Domain layer has external dependencies',
-      dependencies: structure.layers.domain.dependencies,
-      fix: 'Remove all dependencies from domain layer',
+      type: 'inappropriate_dependency',
+      severity: violation.severity,
+      file: projectFile(violation.file),
+      line: violation.line,
+      import: violation.import,
+      architectureRule: violation.rule,
+      message: `Layer boundary violation: imports ${violation.import}, but ${violation.rule}`,
+      fix: 'Remove inappropriate import and use proper abstraction',
     });
-  }
+  });
   
-  // Check presentation accessing data directly
-  if (structure.layers.presentation.dependencies.includes('data')) {
+  // Check for circular dependencies between features, then between files
+  const featureEdges = structure.imports
+    .filter(edge => edge.fromFeature && edge.toFeature && edge.fromFeature !== edge.toFeature)
+    .map(edge => ({ ...edge, file: edge.from, from: edge.fromFeature, to: edge.toFeature }));
+  findCycles(featureEdges).forEach(cycle => {
+    const via = featureEdges.find(edge => edge.from === cycle[0] && edge.to === cycle[1]);
     violations.push({
-      type: 'layer_violation',
+      type: 'circular_dependency',
       severity: 'high',
-      layer: 'presentation',
-      message: 'Presentation layer directly accesses data layer',
-      fix: 'Use domain layer use cases instead',
+      modules: cycle.slice(0, -1),
+      cycle,
+      file: projectFile(via.file),
+      line: via.line,
+      import: via.uri,
+      message: `Circular dependency between features: ${cycle.join(' → ')}`,
+      fix: 'Extract common functionality to shared module',
     });
-  }
+  });
   
-  // Check for circular dependencies
-  structure.modules.forEach(module => {
-    module.crossReferences.forEach(ref => {
-      const refModule = structure.modules.find(m => m.name === ref);
-      if (refModule && refModule.crossReferences.includes(module.name)) {
-        violations.push({
-          type: 'circular_dependency',
-          severity: 'high',
-          modules: [module.name, ref],
-          message: `Circular dependency between ${module.name} and ${ref}`,
-          fix: 'Extract common functionality to shared module',
-        });
-      }
+  findCycles(structure.imports).forEach(cycle => {
+    const via = structure.imports.find(edge => edge.from === cycle[0] && edge.to === cycle[1]);
+    const files = cycle.map(projectFile);
+    violations.push({
+      type: 'import_cycle',
+      severity: 'medium',
+      cycle: files,
+      file: projectFile(via.from),
+      line: via.line,
+      import: via.uri,
+      message: `Import cycle: ${files.join(' → ')}`,
+      fix: 'Move the shared declarations into a separate file, or depend on an abstraction',
     });
   });
   
   // Check for god classes
   if (strictMode) {
     checkForGodClasses(structure, violations);
-    checkForFeatureEnvy(structure, violations);
-    checkForInappropriateDependencies(structure, violations);
   }
   
   return violations;
 }
 
 function checkForGodClasses(structure, violations) {
-  // Simulate checking for god classes
-  const suspectedGodClasses = [
-    { name: 'AppController', methods: 45, dependencies: 12 },
-    { name: 'UserService', methods: 38, dependencies: 8 },
-  ];
-  
-  suspectedGodClasses.forEach(cls => {
-    if (cls.methods > 20 || cls.dependencies > 5) {
-      violations.push({
-        type: 'god_class',
-        severity: 'medium',
-        class: cls.name,
-        metrics: {
-          methods: cls.methods,
-          dependencies: cls.dependencies,
-        },
-        message: `${cls.name} has too many responsibilities`,
-        fix: 'Split into smaller, focused classes',
-      });
-    }
-  });
-}
-
-function checkForFeatureEnvy(structure, violations) {
-  // Check for classes that use other classes' data excessively
-  const featureEnvyInstances = [
-    {
-      class: 'OrderController',
-      accessing: 'UserModel',
-      frequency: 15,
-    },
-  ];
-  
-  featureEnvyInstances.forEach(instance => {
-    if (instance.frequency > 10) {
-      violations.push({
-        type: 'feature_envy',
-        severity: 'medium',
-        class: instance.class,
-        message: `${instance.class} accesses ${instance.accessing} excessively`,
-        fix: 'Move behavior to the data owner or use proper abstraction',
-      });
-    }
-  });
-}
-
-function checkForInappropriateDependencies(structure, violations) {
-  const inappropriateDeps = [
-    {
-      from: 'domain/entities/user.dart',
-      imports: 'package:flutter/material.dart',
-    },
-    {
-      from: 'data/repositories/product_repository.dart',
-      imports: 'presentation/widgets/product_card.dart',
-    },
-  ];
-  
-  inappropriateDeps.forEach(dep => {
-    violations.push({
-      type: 'inappropriate_dependency',
-      severity: 'critical',
-      file: dep.from,
-      import: dep.imports,
-      message: 'Layer boundary violation',
-      fix: 'Remove inappropriate import and use proper abstraction',
+  structure.files.filter(file => !file.generated).forEach(file => {
+    file.classes.forEach(cls => {
+      if (cls.methods > 20 || cls.dependencies > 5) {
+        violations.push({
+          type: 'god_class',
+          severity: 'medium',
+          class: cls.name,
+          file: projectFile(file.path),
+          line: cls.line,
+          metrics: {
+            methods: cls.methods,
+            dependencies: cls.dependencies,
+          },
+          message: `${cls.name} has too many responsibilities`,
+          fix: 'Split into smaller, focused classes',
+        });
+      }
     });
   });
 }
@@ -357,22 +374,18 @@ function analyzeDependencyFlow(structure) {
     flow.graph[layer] = data.dependencies;
   });
   
-  // Check flow direction
-  if (structure.layers.domain.dependencies.length > 0) {
+  // Check flow direction: every broken layer rule
+  const brokenRules = [...new Set(structure.ruleViolations.map(violation => violation.rule))];
+  if (brokenRules.length > 0) {
     flow.direction = 'mixed';
-    flow.violations.push('Domain layer has outward dependencies');
-  }
-  
-  if (structure.layers.presentation.dependencies.includes('data')) {
-    flow.direction = 'mixed';
-    flow.violations.push('Presentation bypasses domain layer');
+    flow.violations.push(...brokenRules);
   }
   
   // Calculate metrics
   flow.metrics = {
     coupling: calculateCoupling(flow.graph),
     cohesion: calculateCohesion(structure),
-    instability: calculateInstability(flow.graph),
+    instability: calculateInstability(structure),
   };
   
   return flow;
@@ -387,9 +400,10 @@ function analyzeLayerSeparation(structure) {
   
   // Check layer boundaries
   separation.boundaries = {
-    presentationDomain: checkBoundary(structure.layers.presentation, structure.layers.domain),
-    domainData: checkBoundary(structure.layers.domain, structure.layers.data),
-    dataDomain: checkBoundary(structure.layers.data, structure.layers.domain),
+    presentationDomain: checkBoundary(structure, 'presentation', 'domain'),
+    presentationData: checkBoundary(structure, 'presentation', 'data'),
+    domainData: checkBoundary(structure, 'domain', 'data'),
+    dataDomain: checkBoundary(structure, 'data', 'domain'),
   };
   
   // Check for leaked abstractions
@@ -416,33 +430,30 @@ function analyzeLayerSeparation(structure) {
   return separation;
 }
 
-function checkBoundary(fromLayer, toLayer) {
+// Imports from one layer into another, and how many of them break a rule
+function checkBoundary(structure, fromLayer, toLayer) {
+  const layerOf = path => structure.files.find(file => file.path === path)?.layer;
+  const imports = structure.imports.filter(edge => edge.fromLayer === fromLayer && edge.toLayer === toLayer);
+  const violations = structure.ruleViolations
+    .filter(violation => violation.target.layer === toLayer && layerOf(violation.file) === fromLayer);
+
   return {
-    clean: !fromLayer.dependencies.some(dep => 
-      toLayer.components.includes(dep)
-    ),
-    interfaces: true,  // Assume interfaces are used
-    abstraction: 'repository',  // Type of abstraction used
+    imports: imports.length,
+    violations: violations.length,
+    clean: violations.length === 0,
   };
 }
 
-function calculateArchitectureMetrics(structure) {
+function calculateArchitectureMetrics(structure, violations) {
   const metrics = {
-    modularity: 0,
     maintainability: 0,
     testability: 0,
     reusability: 0,
     complexity: 0,
   };
   
-  // Calculate modularity
-  const totalFiles = Object.values(structure.layers).reduce((sum, layer) => sum + layer.files, 0);
-  const avgFilesPerLayer = totalFiles / Object.keys(structure.layers).length;
-  metrics.modularity = Math.min(100, (avgFilesPerLayer / totalFiles) * 300);
-  
   // Calculate maintainability
-  const violations = structure.violations?.length || 0;
-  metrics.maintainability = Math.max(0, 100 - (violations * 10));
+  metrics.maintainability = Math.max(0, 100 - (violations.length * 10));
   
   // Calculate testability
   const hasUseCases = structure.layers.domain.components.includes('use_cases');
@@ -450,7 +461,7 @@ function calculateArchitectureMetrics(structure) {
   metrics.testability = (hasUseCases ? 50 : 0) + (hasInterfaces ? 50 : 0);
   
   // Calculate reusability
-  const domainIndependent = structure.layers.domain.dependencies.length === 0;
+  const domainIndependent = domainForbiddenDependencies(structure.layers.domain).length === 0;
   metrics.reusability = domainIndependent ? 90 : 40;
   
   // Calculate complexity
@@ -502,7 +513,7 @@ function generateArchitectureRecommendations(analysis) {
     });
   }
   
-  if (analysis.dependencies.flow.direction !== 'inward') {
+  if (analysis.dependencies.direction !== 'inward') {
     recommendations.push({
       category: 'dependencies',
       priority: 'critical',
@@ -644,6 +655,12 @@ function generateRefactoringPlan(type, violations) {
       'Update references in both modules',
       'Remove circular references',
     ],
+    import_cycle: [
+      'Follow the cycle path to find the import that closes it',
+      'Move the declarations both files need into a separate file',
+      'Or replace the import with an abstraction owned by the importing side',
+      'Run tests to verify functionality',
+    ],
     god_class: [
       'Analyze class responsibilities',
       'Group related methods',
@@ -661,6 +678,7 @@ function estimateRefactoringEffort(type, count) {
     dependency_violation: 4,
     layer_violation: 6,
     circular_dependency: 8,
+    import_cycle: 2,
     god_class: 12,
     feature_envy: 4,
     inappropriate_dependency: 2,
@@ -698,7 +716,7 @@ function calculateArchitectureScore(analysis) {
     compliance: analysis.compliance.overallCompliance,
     violations: Math.max(0, 100 - (analysis.violations.length * 10)),
     metrics: Object.values(analysis.metrics).reduce((a, b) => a + b, 0) / Object.keys(analysis.metrics).length,
-    dependencies: analysis.dependencies.flow.direction === 'inward' ? 100 : 50,
+    dependencies: analysis.dependencies.direction === 'inward' ? 100 : 50,
   };
   
   const weightedScore = Object.entries(weights).reduce((total, [key, weight]) => {
@@ -737,32 +755,40 @@ function generateMermaidDiagram(structure) {
   
   // Add layers
   Object.entries(structure.layers).forEach(([layer, data]) => {
-    diagram += `  subgraph ${layer}\n`;
+    if (data.files === 0) return;
+    diagram += `  subgraph ${layer}[${layer}: ${data.files} files]\n`;
     data.components.forEach(comp => {
       diagram += `    ${layer}_${comp}[${comp}]\n`;
     });
     diagram += `  end\n`;
   });
   
-  // Add dependencies
-  Object.entries(structure.layers).forEach(([layer, data]) => {
-    data.dependencies.forEach(dep => {
-      if (structure.layers[dep]) {
-        diagram += `  ${layer} --> ${dep}\n`;
-      }
-    });
+  // Add dependencies, labelled with the number of imports
+  const importCounts = {};
+  structure.imports.forEach(edge => {
+    if (edge.fromLayer && edge.toLayer && edge.fromLayer !== edge.toLayer) {
+      const key = `${edge.fromLayer} -->|IMPORTS| ${edge.toLayer}`;
+      importCounts[key] = (importCounts[key] || 0) + 1;
+    }
+  });
+  Object.entries(importCounts).forEach(([edge, count]) => {
+    diagram += `  ${edge.replace('IMPORTS', count)}\n`;
   });
   
   return diagram;
 }
 
 // Helper functions
+function domainForbiddenDependencies(layer) {
+  return layer.dependencies.filter(dep => DOMAIN_FORBIDDEN_DEPENDENCIES.includes(dep));
+}
+
+// Share of the project's imports that satisfy the layer rules
 function checkDependencyRule(structure) {
-  // Domain should have no dependencies
-  if (structure.layers.domain.dependencies.length === 0) {
-    return 100;
-  }
-  return 0;
+  const total = structure.files.reduce((sum, file) => sum + file.imports.length, 0);
+  if (total === 0) return 100;
+  const violating = new Set(structure.ruleViolations.map(violation => `${violation.file}:${violation.line}`)).size;
+  return Math.round((1 - violating / total) * 100);
 }
 
 function checkSingleResponsibility(structure) {
@@ -814,7 +840,7 @@ function checkUseCasePattern(structure) {
 
 function checkFactoryPattern(structure) {
   // Check for factory usage
-  const hasFactories = structure.layers.some(layer => 
+  const hasFactories = Object.values(structure.layers).some(layer => 
     layer.components.includes('factories') || layer.components.includes('builders')
   );
   
@@ -822,23 +848,28 @@ function checkFactoryPattern(structure) {
 }
 
 function checkModelCompliance(structure) {
-  // For MVVM/MVC
-  return 85;
+  // For MVVM/MVC: models exist and do not know about the UI
+  const { data, domain } = structure.layers;
+  if (data.files + domain.files === 0) return 0;
+  return [data, domain].some(layer => layer.dependencies.includes('presentation')) ? 60 : 100;
 }
 
 function checkViewCompliance(structure) {
-  // For MVVM/MVC
-  return 90;
+  // For MVVM/MVC: views exist and do not reach into the data layer
+  const { presentation } = structure.layers;
+  if (presentation.files === 0) return 0;
+  return presentation.dependencies.includes('data') ? 70 : 100;
 }
 
 function checkViewModelCompliance(structure) {
   // For MVVM
-  return 88;
+  const components = structure.layers.presentation.components;
+  return ['view_models', 'bloc', 'cubit', 'providers'].some(c => components.includes(c)) ? 100 : 40;
 }
 
 function checkControllerCompliance(structure) {
   // For MVC
-  return 82;
+  return structure.layers.presentation.components.includes('controllers') ? 100 : 40;
 }
 
 function calculateCoupling(graph) {
@@ -848,12 +879,52 @@ function calculateCoupling(graph) {
   return totalDeps / layerCount;
 }
 
+// Share of imports from feature code that stay within the feature
 function calculateCohesion(structure) {
-  // Simplified cohesion calculation
-  return 75;
+  const featureImports = structure.imports.filter(edge => edge.fromFeature && edge.toFeature);
+  if (featureImports.length === 0) return 100;
+  const internal = featureImports.filter(edge => edge.fromFeature === edge.toFeature).length;
+  return Math.round((internal / featureImports.length) * 100);
 }
 
-function calculateInstability(graph) {
-  // Ce / (Ca + Ce) where Ce = efferent coupling, Ca = afferent coupling
-  return 0.3;
-}
\ No newline at end of file
+// Per layer Ce / (Ca + Ce): Ce = layers it imports, Ca = layers importing it
+function calculateInstability(structure) {
+  const instability = {};
+  Object.entries(structure.layers).forEach(([layer, data]) => {
+    if (data.files === 0) return;
+    const efferent = data.dependencies.filter(dep => structure.layers[dep]).length;
+    const afferent = Object.values(structure.layers).filter(other => other.dependencies.includes(layer)).length;
+    instability[layer] = efferent + afferent === 0 ? 0 : Number((efferent / (efferent + afferent)).toFixed(2));
+  });
+  return instability;
+}
+
+export const tool = {
+  name: 'analyze_architecture',
+  version: '1.0.0',
+  tags: ['analysis', 'architecture', 'project'],
+  description: 'Analyze Flutter project architecture for compliance with Clean, MVVM, or MVC patterns',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      projectPath: {
+        type: 'string',
+        description: 'Path to the Flutter project root (the directory containing pubspec.yaml and lib/)',
+      },
+      architectureType: {
+        type: 'string',
+        enum: ['clean', 'mvvm', 'mvc'],
+        description: 'Architecture pattern to check against',
+        default: 'clean',
+      },
+      strictMode: {
+        type: 'boolean',
+        description: 'Also report minor violations such as naming conventions',
+        default: true,
+      },
+    },
+    required: ['projectPath'],
+  },
+  handler: analyzeArchitectureCompliance,
+  findings: ({ analysis }) => analysis.violations,
+};
@@ -1,5 +1,30 @@
-export async function analyzeBundleSize(args) {
-  const { projectPath, platform = 'all', includeAssets = true, includeTreemap = true } = args;
+import fs from 'fs/promises';
+import { isAbsolute, join, resolve } from 'path';
+import { noopToolContext } from '../utils/toolContext.js';
+import { isAbortError } from '../utils/errorHandler.js';
+import { findSizeAnalysisFiles, readSizeAnalysis, nodeName, nodeSize } from '../utils/sizeAnalysis.js';
+import { readPackageName } from '../utils/projectScanner.js';
+import { measureWebBuild, sumSizes } from '../utils/webBuild.js';
+import { checkBudgets } from '../utils/sizeBudgets.js';
+import { diffSizeAnalyses, diffWebBuilds } from '../utils/sizeDiff.js';
+import { inventoryAssets } from '../utils/assetInventory.js';
+
+const MB = 1024 * 1024;
+const TREEMAP_DEPTH = 6;
+const TREEMAP_CHILDREN = 20;
+const LARGEST_FILES = 20;
+
+export async function analyzeBundleSize(args, context = noopToolContext) {
+  const {
+    projectPath,
+    platform = 'all',
+    includeAssets = true,
+    includeTreemap = true,
+    sizeAnalysisFiles,
+    webBuildPath = 'build/web',
+    baselineSizeAnalysisFiles,
+    baselineWebBuildPath,
+  } = args;
   
   try {
     const analysis = {
@@ -11,30 +36,45 @@ export async function analyzeBundleSize(args) {
       optimizationPotential: {},
     };
     
+    // Size analyses written by `flutter build <target> --analyze-size`
+    const reports = await loadSizeReports(projectPath, sizeAnalysisFiles, context.signal);
+    analysis.sources = reports.map(report => report.source);
+    
     // Analyze bundle size by platform
+    let webFiles = [];
     if (platform === 'all' || platform === 'android') {
-      analysis.breakdown.android = await analyzeAndroidBundle(projectPath);
+      analysis.breakdown.android = analyzeAndroidBundle(reports);
     }
     
     if (platform === 'all' || platform === 'ios') {
-      analysis.breakdown.ios = await analyzeiOSBundle(projectPath);
+      analysis.breakdown.ios = analyzeiOSBundle(reports);
     }
     
     if (platform === 'all' || platform === 'web') {
-      analysis.breakdown.web = await analyzeWebBundle(projectPath);
+      const { files, ...web } = await analyzeWebBundle(resolve(projectPath, webBuildPath), context.signal);
+      analysis.breakdown.web = web;
+      webFiles = files;
     }
     
     // Analyze assets
     if (includeAssets) {
-      analysis.assets = await analyzeAssets(projectPath);
+      analysis.assets = await analyzeAssets(projectPath, context.signal);
     }
     
     // Analyze dependencies impact
-    analysis.dependencies = await analyzeDependencies(projectPath);
+    const platformReports = reports.filter(report => platform === 'all' || report.platform === platform);
+    const appPackage = await readPackageName(resolve(projectPath));
+    analysis.dependencies = analyzeDependencies(platformReports, appPackage);
     
     // Calculate summary
     analysis.summary = calculateSummary(analysis);
     
+    // Check the size budgets from the configuration
+    analysis.budgets = checkBudgets(
+      context.config.bundleSize?.budgets,
+      measureBudgetedSizes(analysis, platformReports, webFiles, appPackage)
+    );
+    
     // Generate recommendations
     analysis.recommendations = generateSizeRecommendations(analysis);
     
@@ -42,7 +82,7 @@ export async function analyzeBundleSize(args) {
     analysis.optimizationPotential = calculateOptimizationPotential(analysis);
     
     // Generate treemap visualization
-    const treemap = includeTreemap ? generateTreemap(analysis) : null;
+    const treemap = includeTreemap ? generateTreemap(analysis, platformReports, webFiles) : null;
     
     return {
       content: [
@@ -52,12 +92,20 @@ export async function analyzeBundleSize(args) {
             analysis,
             treemap,
             commands: getOptimizationCommands(),
-            comparison: generateSizeComparison(analysis),
+            comparison: await generateSizeComparison(
+              { projectPath, baselineSizeAnalysisFiles, baselineWebBuildPath },
+              platformReports,
+              webFiles,
+              context.signal
+            ),
           }, null, 2),
         },
       ],
     };
   } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
     return {
       content: [
         {
@@ -69,304 +117,418 @@ export async function analyzeBundleSize(args) {
   }
 }
 
-async function analyzeAndroidBundle(projectPath) {
-  // Simulate Android bundle analysis
+// The given size analysis files, or the newest of each type under build/
+async function loadSizeReports(projectPath, files, signal) {
+  const paths = files?.length
+    ? files.map(file => (isAbsolute(file) ? file : resolve(projectPath, file)))
+    : await findSizeAnalysisFiles(projectPath, { signal });
+
+  const reports = [];
+  for (const path of paths) {
+    reports.push(await readSizeAnalysis(path, projectPath));
+  }
+  return reports;
+}
+
+function analyzeAndroidBundle(reports) {
+  const apk = reports.find(report => report.type === 'apk');
+  const aab = reports.find(report => report.type === 'aab');
+  if (!apk && !aab) {
+    return missingSizeAnalysis('apk or aab', 'flutter build apk --release --analyze-size --target-platform android-arm64 --code-size-directory=build');
+  }
+
   return {
-    apkSize: {
-      total: 15.2,  // MB
-      breakdown: {
-        classes: 4.5,
-        resources: 3.2,
-        native: 2.8,
-        assets: 3.1,
-        other: 1.6,
-      },
-    },
-    aabSize: {
-      total: 12.8,  // MB
-      breakdown: {
-        base: 10.2,
-        dynamic: 2.6,
-      },
-    },
-    methodCount: 45832,
-    architecture: {
-      arm64: 4.2,
-      armeabi: 3.8,
-      x86: 3.9,
-    },
-    dexInfo: {
-      mainDex: 3.2,
-      multidex: true,
-      dexCount: 2,
-    },
+    available: true,
+    apk: apk ? describeSizeReport(apk) : null,
+    aab: aab ? describeSizeReport(aab) : null,
   };
 }
 
-async function analyzeiOSBundle(projectPath) {
-  // Simulate iOS bundle analysis
+function analyzeiOSBundle(reports) {
+  const ios = reports.find(report => report.type === 'ios');
+  if (!ios) {
+    return missingSizeAnalysis('ios', 'flutter build ios --release --analyze-size --code-size-directory=build');
+  }
+
   return {
-    ipaSize: {
-      total: 18.5,  // MB
-      breakdown: {
-        executable: 5.2,
-        frameworks: 6.8,
-        resources: 4.1,
-        assets: 2.4,
-      },
-    },
-    appThinning: {
-      universal: 18.5,
-      iPhone: 14.2,
-      iPad: 15.8,
-    },
-    bitcode: false,
-    swiftLibraries: 2.1,
-    architecture: {
-      arm64: 8.5,
-      armv7: 0,  // deprecated
-    },
+    available: true,
+    app: describeSizeReport(ios),
+  };
+}
+
+function describeSizeReport(report) {
+  return {
+    source: report.source,
+    name: report.name,
+    size: report.size,
+    architectures: report.architectures,
+    breakdown: report.breakdown,
+    dartCode: report.dart.size,
+    native: report.native,
+  };
+}
+
+function missingSizeAnalysis(type, command) {
+  return {
+    available: false,
+    reason: `No ${type} size analysis found under build/`,
+    command,
   };
 }
 
-async function analyzeWebBundle(projectPath) {
-  // Simulate web bundle analysis
+// Raw, gzip and brotli sizes of build/web, with the deferred parts, the
+// files of the first load and the ones the service worker caches
+async function analyzeWebBundle(buildDir, signal) {
+  const exists = await fs.stat(join(buildDir, 'index.html')).then(() => true, () => false);
+  if (!exists) {
+    return {
+      available: false,
+      reason: `No web build found at ${buildDir}`,
+      command: 'flutter build web --release',
+      files: [],
+    };
+  }
+
+  const build = await measureWebBuild(buildDir, { signal });
+  const { files } = build;
+  const deferred = files.filter(file => file.kind === 'deferred');
+  const firstLoad = files.filter(file => file.firstLoad);
+  const cached = files.filter(file => file.serviceWorker);
+  const byKind = {};
+  files.forEach(file => {
+    byKind[file.kind] = sumSizes([byKind[file.kind] || { raw: 0, gzip: 0, brotli: 0 }, file]);
+  });
+
   return {
-    totalSize: {
-      uncompressed: 8.5,  // MB
-      gzipped: 2.8,
-      brotli: 2.2,
+    available: true,
+    directory: buildDir,
+    renderer: build.renderer,
+    totalSize: { files: files.length, ...sumSizes(files) },
+    breakdown: byKind,
+    largestFiles: [...files].sort((a, b) => b.raw - a.raw).slice(0, LARGEST_FILES),
+    firstLoad: {
+      ...sumSizes(firstLoad),
+      criticalPath: firstLoad.map(file => file.path),
     },
-    breakdown: {
-      mainDart: 3.2,
-      flutterEngine: 2.8,
-      canvasKit: 1.5,
-      assets: 0.8,
-      other: 0.2,
+    deferred: {
+      count: deferred.length,
+      ...sumSizes(deferred),
+      parts: deferred.map(file => ({ path: file.path, raw: file.raw, gzip: file.gzip, brotli: file.brotli })),
     },
-    chunks: [
-      { name: 'main.dart.js', size: 3.2, gzipped: 1.1 },
-      { name: 'flutter.js', size: 2.8, gzipped: 0.9 },
-      { name: 'canvaskit.wasm', size: 1.5, gzipped: 0.6 },
-    ],
-    firstLoad: {
-      size: 2.1,  // MB
-      criticalPath: ['flutter.js', 'main.dart.js'],
+    serviceWorker: {
+      present: build.serviceWorker,
+      cached: cached.length,
+      core: cached.filter(file => file.serviceWorker === 'core').map(file => file.path),
+      ...sumSizes(cached),
     },
+    files,
   };
 }
 
-async function analyzeAssets(projectPath) {
-  // Simulate asset analysis
+// The declared assets by type, with what is unused, undeclared, missing
+// resolution variants or larger than it is ever drawn
+async function analyzeAssets(projectPath, signal) {
+  let inventory;
+  try {
+    inventory = await inventoryAssets(projectPath, { signal });
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    return { available: false, reason: error.message };
+  }
+  
+  // Sizes include the resolution variants
+  const sizeOf = file => file.size + (file.variants || []).reduce((sum, variant) => sum + variant.size, 0);
+  const byType = { images: [], fonts: [], json: [], other: [] };
+  inventory.files.forEach(file => {
+    byType[ASSET_TYPES[file.type]].push(file);
+  });
+  const total = files => ({ count: files.length, size: files.reduce((sum, file) => sum + sizeOf(file), 0) });
+  
   return {
-    total: {
-      count: 142,
-      size: 4.8,  // MB
-    },
+    available: true,
+    declared: inventory.declared,
+    total: total(inventory.files),
     byType: {
       images: {
-        count: 85,
-        size: 3.2,
-        largest: [
-          { name: 'background.png', size: 420, dimensions: '1920x1080' },
-          { name: 'logo.png', size: 380, dimensions: '512x512' },
-          { name: 'splash.png', size: 350, dimensions: '1024x1024' },
-        ],
+        ...total(byType.images),
+        largest: [...byType.images]
+          .sort((a, b) => sizeOf(b) - sizeOf(a))
+          .slice(0, 10)
+          .map(file => ({
+            path: file.path,
+            size: sizeOf(file),
+            dimensions: file.dimensions && `${file.dimensions.width}x${file.dimensions.height}`,
+            variants: file.variants.map(variant => variant.directory),
+          })),
       },
       fonts: {
-        count: 12,
-        size: 1.2,
-        list: [
-          { name: 'Roboto-Regular.ttf', size: 168 },
-          { name: 'Roboto-Bold.ttf', size: 172 },
-          { name: 'CustomIcons.ttf', size: 45 },
-        ],
-      },
-      json: {
-        count: 25,
-        size: 0.3,
-      },
-      other: {
-        count: 20,
-        size: 0.1,
+        ...total(byType.fonts),
+        list: byType.fonts.map(file => ({ family: file.family, path: file.path, size: file.size })),
+        unusedFamilies: inventory.unusedFonts,
       },
+      json: total(byType.json),
+      other: total(byType.other),
     },
+    missing: inventory.missing,
     unused: {
-      count: 8,
-      size: 0.6,
-      files: [
-        'old_logo.png',
-        'unused_animation.json',
-        'test_data.json',
-      ],
+      ...total(inventory.unused),
+      files: inventory.unused.map(file => file.path),
     },
+    undeclared: inventory.undeclared,
+    referencedMissing: inventory.referencedMissing,
+    missingVariants: inventory.missingVariants,
+    oversized: inventory.oversized,
     optimization: {
-      uncompressedImages: 12,
-      potentialSaving: 1.2,  // MB
+      oversizedImages: inventory.oversized.length,
+      potentialSaving: inventory.oversized.reduce((sum, image) => sum + image.potentialSaving, 0),
     },
   };
 }
 
-async function analyzeDependencies(projectPath) {
-  // Simulate dependency analysis
+const ASSET_TYPES = { image: 'images', font: 'fonts', json: 'json', other: 'other' };
+
+// Dart code size by package, from the first size analysis (the Dart code
+// is much the same on every platform)
+function analyzeDependencies(reports, appPackage) {
+  const report = reports.find(entry => entry.dart.packages.length > 0);
+  if (!report) {
+    return { available: false, total: { count: 0, size: 0 }, largest: [], byCategory: {} };
+  }
+
+  const packages = dartPackages(report, appPackage);
+  const byCategory = {};
+  packages.forEach(entry => {
+    const category = byCategory[entry.category] || { count: 0, size: 0 };
+    byCategory[entry.category] = { count: category.count + 1, size: category.size + entry.size };
+  });
+
+  const dependencies = packages.filter(entry => entry.category === 'package');
+
   return {
+    available: true,
+    source: report.source,
+    platform: report.platform,
     total: {
-      count: 28,
-      size: 6.5,  // MB
-    },
-    largest: [
-      { name: 'flutter_map', size: 1.2, version: '^3.0.0' },
-      { name: 'video_player', size: 0.9, version: '^2.5.0' },
-      { name: 'firebase_core', size: 0.8, version: '^2.4.0' },
-      { name: 'cached_network_image', size: 0.6, version: '^3.2.0' },
-      { name: 'provider', size: 0.3, version: '^6.0.0' },
-    ],
-    byCategory: {
-      ui: { count: 8, size: 2.1 },
-      networking: { count: 5, size: 1.8 },
-      state: { count: 3, size: 0.8 },
-      utilities: { count: 12, size: 1.8 },
-    },
-    treeshaking: {
-      eligible: 15,
-      potentialReduction: 1.8,
+      count: dependencies.length,
+      size: dependencies.reduce((sum, entry) => sum + entry.size, 0),
     },
-    duplicates: [
-      {
-        package: 'http',
-        versions: ['0.13.5', '1.0.0'],
-        impact: 0.2,
-      },
-    ],
+    dartCode: report.dart.size,
+    largest: dependencies.slice(0, 10),
+    byCategory,
   };
 }
 
+function dartPackages(report, appPackage) {
+  return report.dart.packages.map(entry => ({
+    name: entry.name.replace(/^package:/, ''),
+    category: packageCategory(entry.name, appPackage),
+    size: entry.size,
+    percentage: entry.percentage,
+    libraries: entry.libraries,
+  }));
+}
+
+// What the budgets measure; null for what was not analyzed
+function measureBudgetedSizes(analysis, reports, webFiles, appPackage) {
+  const { android, ios, web } = analysis.breakdown;
+  const report = reports.find(entry => entry.dart.packages.length > 0);
+  const packages = report ? dartPackages(report, appPackage) : null;
+  const mainDartJs = web?.available && webFiles.find(file => file.path === 'main.dart.js');
+
+  return {
+    apk: android?.apk?.size ?? null,
+    aab: android?.aab?.size ?? null,
+    ios: ios?.app?.size ?? null,
+    mainDartJsGzip: mainDartJs ? mainDartJs.gzip : null,
+    firstLoadGzip: web?.available ? web.firstLoad.gzip : null,
+    packages: packages && new Map(packages.map(entry => [entry.name, entry.size])),
+    dependencies: packages && packages.filter(entry => entry.category === 'package').map(entry => entry.name),
+  };
+}
+
+// sdk (dart:*), flutter (the framework packages), app (the project itself),
+// package (dependencies) or other (code not attributed to a library)
+function packageCategory(name, appPackage) {
+  if (name.startsWith('dart:')) return 'sdk';
+  if (name === '@other') return 'other';
+  const packageName = name.replace(/^package:/, '');
+  if (packageName === appPackage) return 'app';
+  if (FLUTTER_SDK_PACKAGES.includes(packageName)) return 'flutter';
+  return 'package';
+}
+
+const FLUTTER_SDK_PACKAGES = ['flutter', 'flutter_localizations', 'flutter_web_plugins', 'sky_engine'];
+
 function calculateSummary(analysis) {
   const summary = {
-    totalSize: {},
     largestComponents: [],
     platforms: {},
   };
+  const { android, ios, web } = analysis.breakdown;
   
   // Calculate total sizes
-  if (analysis.breakdown.android) {
+  if (android?.available) {
     summary.platforms.android = {
-      apk: analysis.breakdown.android.apkSize.total,
-      aab: analysis.breakdown.android.aabSize.total,
+      apk: android.apk?.size ?? null,
+      aab: android.aab?.size ?? null,
     };
   }
   
-  if (analysis.breakdown.ios) {
+  if (ios?.available) {
     summary.platforms.ios = {
-      ipa: analysis.breakdown.ios.ipaSize.total,
-      thinned: analysis.breakdown.ios.appThinning.iPhone,
+      app: ios.app.size,
     };
   }
   
-  if (analysis.breakdown.web) {
+  if (web?.available) {
     summary.platforms.web = {
-      uncompressed: analysis.breakdown.web.totalSize.uncompressed,
-      compressed: analysis.breakdown.web.totalSize.gzipped,
+      raw: web.totalSize.raw,
+      gzip: web.totalSize.gzip,
+      brotli: web.totalSize.brotli,
+      firstLoadGzip: web.firstLoad.gzip,
     };
   }
   
-  // Find largest components
-  const components = [];
-  
-  if (analysis.assets.total.size > 2) {
-    components.push({
-      name: 'Assets',
-      size: analysis.assets.total.size,
-      percentage: 25,
-    });
+  // Largest components of the first analyzed build
+  const build = android?.apk || android?.aab || ios?.app;
+  if (build) {
+    summary.largestComponents = build.breakdown.slice(0, 5).map(component => ({
+      name: component.name,
+      size: component.size,
+      percentage: percentage(component.size, build.size),
+    }));
   }
   
-  if (analysis.dependencies.total.size > 3) {
-    components.push({
-      name: 'Dependencies',
-      size: analysis.dependencies.total.size,
-      percentage: 35,
-    });
-  }
-  
-  summary.largestComponents = components.sort((a, b) => b.size - a.size);
-  
   return summary;
 }
 
+function formatMB(bytes) {
+  return Math.round((bytes / MB) * 100) / 100;
+}
+
+function percentage(part, total) {
+  return total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+}
+
 function generateSizeRecommendations(analysis) {
   const recommendations = [];
   
+  // Budget recommendations
+  analysis.budgets?.checks
+    .filter(check => check.status === 'exceeded')
+    .forEach(check => {
+      recommendations.push({
+        category: 'budget',
+        priority: 'critical',
+        title: `Size budget exceeded: ${check.name}`,
+        description: `${check.description} is ${formatMB(check.actual)}MB, ${formatMB(check.overBy)}MB over its ${formatMB(check.limit)}MB budget`,
+      });
+    });
+  
   // Asset recommendations
-  if (analysis.assets.optimization.uncompressedImages > 5) {
+  const { assets } = analysis;
+  if (assets.missing?.length > 0) {
+    recommendations.push({
+      category: 'assets',
+      priority: 'critical',
+      title: 'Fix missing assets',
+      description: `${assets.missing.length} assets declared in pubspec.yaml do not exist; the build fails on them`,
+      files: assets.missing,
+    });
+  }
+  
+  if (assets.undeclared?.length > 0) {
     recommendations.push({
       category: 'assets',
       priority: 'high',
-      title: 'Compress images',
-      description: `${analysis.assets.optimization.uncompressedImages} uncompressed images found`,
-      impact: `Could save ~${analysis.assets.optimization.potentialSaving}MB`,
+      title: 'Declare the assets the code loads',
+      description: `${assets.undeclared.length} asset paths used in lib/ are not declared under flutter.assets, so loading them fails at runtime`,
+      files: assets.undeclared.map(asset => asset.path),
+    });
+  }
+  
+  if (assets.referencedMissing?.length > 0) {
+    recommendations.push({
+      category: 'assets',
+      priority: 'high',
+      title: 'Add the assets the code loads',
+      description: `${assets.referencedMissing.length} asset paths used in lib/ do not exist, so loading them fails at runtime`,
+      files: assets.referencedMissing.map(asset => asset.path),
+    });
+  }
+  
+  if (assets.oversized?.length > 0) {
+    recommendations.push({
+      category: 'assets',
+      priority: 'high',
+      title: 'Resize oversized images',
+      description: `${assets.oversized.length} images have twice or more the pixels their largest rendered size needs`,
+      impact: `Could save ~${formatMB(assets.optimization.potentialSaving)}MB`,
+      files: assets.oversized.map(image => image.path),
       actions: [
-        'Use WebP format for better compression',
-        'Implement image optimization in CI/CD',
-        'Consider using flutter_image_compress',
+        'Scale the images down to the rendered size times the device pixel ratio',
+        'Provide 2.0x and 3.0x variants instead of one large image',
+        'Use WebP for photos',
       ],
     });
   }
   
-  if (analysis.assets.unused.count > 0) {
+  if (assets.unused?.count > 0) {
     recommendations.push({
       category: 'assets',
       priority: 'medium',
       title: 'Remove unused assets',
-      description: `${analysis.assets.unused.count} unused assets detected`,
-      impact: `Could save ${analysis.assets.unused.size}MB`,
-      files: analysis.assets.unused.files,
+      description: `${assets.unused.count} declared assets are not referenced in lib/`,
+      impact: `Could save ${formatMB(assets.unused.size)}MB`,
+      files: assets.unused.files,
     });
   }
   
-  // Dependency recommendations
-  if (analysis.dependencies.duplicates.length > 0) {
+  if (assets.missingVariants?.length > 0) {
     recommendations.push({
-      category: 'dependencies',
-      priority: 'high',
-      title: 'Resolve duplicate dependencies',
-      description: 'Multiple versions of same packages detected',
-      impact: `Could save ${analysis.dependencies.duplicates.reduce((sum, d) => sum + d.impact, 0)}MB`,
-      duplicates: analysis.dependencies.duplicates,
+      category: 'assets',
+      priority: 'low',
+      title: 'Add resolution variants',
+      description: `${assets.missingVariants.length} images lack a 2.0x or 3.0x variant and look blurry on high-density screens`,
+      files: assets.missingVariants.map(image => image.path),
     });
   }
   
-  if (analysis.dependencies.largest[0].size > 1) {
+  // Dependency recommendations
+  const largeDependencies = analysis.dependencies.largest.filter(dependency => dependency.percentage >= 10);
+  if (largeDependencies.length > 0) {
     recommendations.push({
       category: 'dependencies',
       priority: 'medium',
       title: 'Review large dependencies',
-      description: 'Some dependencies significantly impact bundle size',
-      packages: analysis.dependencies.largest.slice(0, 3),
-      suggestion: 'Consider lighter alternatives or lazy loading',
+      description: `${largeDependencies.map(dependency => dependency.name).join(', ')} each take 10% or more of the Dart code`,
+      packages: largeDependencies.slice(0, 3).map(({ name, size, percentage: share }) => ({ name, size, percentage: share })),
+      suggestion: 'Consider lighter alternatives, or deferred imports for the features that need them',
     });
   }
   
   // Platform-specific recommendations
-  if (analysis.breakdown.android?.methodCount > 64000) {
+  const build = analysis.breakdown.android?.apk || analysis.breakdown.android?.aab || analysis.breakdown.ios?.app;
+  if (build && percentage(build.dartCode, build.size) >= 40) {
     recommendations.push({
-      category: 'android',
-      priority: 'high',
-      title: 'Approaching method count limit',
-      description: 'Android DEX method limit approaching',
-      current: analysis.breakdown.android.methodCount,
-      limit: 65536,
-      suggestion: 'Enable R8/ProGuard for better optimization',
+      category: 'dart',
+      priority: 'low',
+      title: 'Split debug info out of the Dart code',
+      description: `Dart code is ${percentage(build.dartCode, build.size)}% of ${build.name}`,
+      suggestion: 'Build with --obfuscate --split-debug-info=<dir> to move symbols out of the app',
     });
   }
   
-  if (analysis.breakdown.web?.totalSize.uncompressed > 10) {
+  const web = analysis.breakdown.web;
+  if (web?.available && web.firstLoad.gzip > 2 * MB) {
     recommendations.push({
       category: 'web',
       priority: 'high',
-      title: 'Large web bundle size',
-      description: 'Web bundle exceeds recommended size',
-      suggestion: 'Enable deferred loading for better initial load',
+      title: 'Large web first load',
+      description: `The first page load downloads ${formatMB(web.firstLoad.gzip)}MB gzipped (${web.firstLoad.criticalPath.join(', ')})`,
+      suggestion: web.deferred.count === 0
+        ? 'Split features off main.dart.js with deferred imports (import ... deferred as ...)'
+        : 'Move more features behind deferred imports',
     });
   }
   
@@ -386,12 +548,6 @@ function calculateOptimizationPotential(analysis) {
     potential.totalPossibleReduction += analysis.assets.optimization.potentialSaving;
   }
   
-  // Calculate dependency optimization
-  if (analysis.dependencies.treeshaking) {
-    potential.byCategory.dependencies = analysis.dependencies.treeshaking.potentialReduction;
-    potential.totalPossibleReduction += analysis.dependencies.treeshaking.potentialReduction;
-  }
-  
   // Calculate unused asset removal
   if (analysis.assets.unused) {
     potential.byCategory.unusedAssets = analysis.assets.unused.size;
@@ -399,40 +555,50 @@ function calculateOptimizationPotential(analysis) {
   }
   
   // Determine effort level
-  if (potential.totalPossibleReduction > 5) {
+  if (potential.totalPossibleReduction > 5 * MB) {
     potential.effort = 'high';
-  } else if (potential.totalPossibleReduction < 2) {
+  } else if (potential.totalPossibleReduction < 2 * MB) {
     potential.effort = 'low';
   }
   
-  potential.percentageReduction = 
-    (potential.totalPossibleReduction / analysis.summary.platforms.android?.apk || 15) * 100;
+  const apk = analysis.summary.platforms.android?.apk;
+  potential.percentageReduction = apk ? percentage(potential.totalPossibleReduction, apk) : null;
   
   return potential;
 }
 
-function generateTreemap(analysis) {
+// The size analysis trees down to the Dart libraries, with the largest
+// children of each node and the rest summed up
+function generateTreemap(analysis, reports, webFiles) {
   const treemap = {
     name: 'app',
     value: 0,
     children: [],
   };
   
-  // Add platform breakdowns
-  if (analysis.breakdown.android) {
-    const android = {
-      name: 'Android',
-      children: [],
-    };
-    
-    Object.entries(analysis.breakdown.android.apkSize.breakdown).forEach(([key, value]) => {
-      android.children.push({
-        name: key,
-        value: value * 1024,  // Convert to KB
-      });
+  // Add platform builds
+  reports.forEach(report => {
+    treemap.children.push({
+      ...treemapNode(report.tree, 0),
+      name: `${report.platform} (${report.name})`,
+    });
+  });
+  
+  // Add the web build by top-level folder
+  if (webFiles.length > 0) {
+    const folders = new Map();
+    webFiles.forEach(file => {
+      const [first, ...rest] = file.path.split('/');
+      const name = rest.length > 0 ? `${first}/` : first;
+      folders.set(name, (folders.get(name) || 0) + file.raw);
     });
     
-    treemap.children.push(android);
+    treemap.children.push({
+      name: 'web (build/web)',
+      children: [...folders]
+        .map(([name, value]) => ({ name, value }))
+        .sort((a, b) => b.value - a.value),
+    });
   }
   
   // Add assets
@@ -445,26 +611,13 @@ function generateTreemap(analysis) {
     Object.entries(analysis.assets.byType).forEach(([type, data]) => {
       assets.children.push({
         name: type,
-        value: data.size * 1024,
+        value: data.size,
       });
     });
     
     treemap.children.push(assets);
   }
   
-  // Add dependencies
-  if (analysis.dependencies.largest) {
-    const deps = {
-      name: 'Dependencies',
-      children: analysis.dependencies.largest.map(dep => ({
-        name: dep.name,
-        value: dep.size * 1024,
-      })),
-    };
-    
-    treemap.children.push(deps);
-  }
-  
   // Calculate total
   treemap.value = treemap.children.reduce((sum, child) => 
     sum + (child.value || child.children.reduce((s, c) => s + c.value, 0)), 0
@@ -473,6 +626,22 @@ function generateTreemap(analysis) {
   return treemap;
 }
 
+function treemapNode(node, depth) {
+  const entry = { name: nodeName(node), value: nodeSize(node) };
+  const children = [...(node.children || [])].sort((a, b) => nodeSize(b) - nodeSize(a));
+  if (depth >= TREEMAP_DEPTH || children.length === 0) return entry;
+  
+  entry.children = children.slice(0, TREEMAP_CHILDREN).map(child => treemapNode(child, depth + 1));
+  const rest = children.slice(TREEMAP_CHILDREN);
+  if (rest.length > 0) {
+    entry.children.push({
+      name: `(${rest.length} more)`,
+      value: rest.reduce((sum, child) => sum + nodeSize(child), 0),
+    });
+  }
+  return entry;
+}
+
 function getOptimizationCommands() {
   return {
     android: {
@@ -487,9 +656,9 @@ function getOptimizationCommands() {
       enableBitcode: 'Enable bitcode in Xcode build settings',
     },
     web: {
-      buildOptimized: 'flutter build web --release --web-renderer canvaskit --tree-shake-icons',
-      analyzeSize: 'flutter build web --analyze-size',
-      enablePWA: 'flutter build web --pwa-strategy offline-first',
+      buildOptimized: 'flutter build web --release',
+      buildWasm: 'flutter build web --release --wasm',
+      sourceMaps: 'flutter build web --release --source-maps',
     },
     assets: {
       optimizeImages: 'flutter pub run flutter_image_compress:compress',
@@ -498,27 +667,82 @@ function getOptimizationCommands() {
   };
 }
 
-function generateSizeComparison(analysis) {
-  // Generate size comparison with industry standards
-  return {
-    android: {
-      current: analysis.breakdown.android?.apkSize.total || 0,
-      recommended: 10,
-      status: analysis.breakdown.android?.apkSize.total > 10 ? 'above' : 'within',
-    },
-    ios: {
-      current: analysis.breakdown.ios?.ipaSize.total || 0,
-      recommended: 15,
-      status: analysis.breakdown.ios?.ipaSize.total > 15 ? 'above' : 'within',
-    },
-    web: {
-      current: analysis.breakdown.web?.totalSize.gzipped || 0,
-      recommended: 3,
-      status: analysis.breakdown.web?.totalSize.gzipped > 3 ? 'above' : 'within',
-    },
-    benchmark: {
-      source: 'Industry standards for production apps',
-      lastUpdated: '2024',
+// Compares the analyzed builds with baseline size analyses (paired by
+// type) and a baseline web build. Null without baselines.
+async function generateSizeComparison({ projectPath, baselineSizeAnalysisFiles, baselineWebBuildPath }, reports, webFiles, signal) {
+  if (!baselineSizeAnalysisFiles?.length && !baselineWebBuildPath) return null;
+  
+  const comparison = { builds: [], web: null };
+  
+  if (baselineSizeAnalysisFiles?.length) {
+    const baselines = await loadSizeReports(projectPath, baselineSizeAnalysisFiles, signal);
+    baselines.forEach(baseline => {
+      const current = reports.find(report => report.type === baseline.type);
+      comparison.builds.push(current
+        ? { type: baseline.type, ...diffSizeAnalyses(baseline, current) }
+        : { type: baseline.type, error: `No ${baseline.type} size analysis to compare ${baseline.source} with` });
+    });
+  }
+  
+  if (baselineWebBuildPath) {
+    const baseline = await measureWebBuild(resolve(projectPath, baselineWebBuildPath), { signal });
+    comparison.web = webFiles.length > 0
+      ? diffWebBuilds(baseline.files, webFiles)
+      : { error: 'No web build to compare the baseline with' };
+  }
+  
+  return comparison;
+}
+
+export const tool = {
+  name: 'analyze_bundle_size',
+  version: '1.0.0',
+  tags: ['build', 'size', 'project'],
+  description: 'Analyze Flutter app bundle size across platforms from `flutter build --analyze-size` output, with optimization recommendations',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      projectPath: {
+        type: 'string',
+        description: 'Path to the Flutter project root',
+      },
+      sizeAnalysisFiles: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Size analysis files (*-code-size-analysis_*.json), relative to the project; default: the newest of each type under build/',
+      },
+      baselineSizeAnalysisFiles: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Size analysis files of an earlier build to compare with, paired by type (apk, aab, ios)',
+      },
+      baselineWebBuildPath: {
+        type: 'string',
+        description: 'An earlier `flutter build web` output to compare build/web with, relative to the project',
+      },
+      webBuildPath: {
+        type: 'string',
+        description: 'Output of `flutter build web`, relative to the project',
+        default: 'build/web',
+      },
+      platform: {
+        type: 'string',
+        enum: ['android', 'ios', 'web', 'all'],
+        description: 'Platform to analyze',
+        default: 'all',
+      },
+      includeAssets: {
+        type: 'boolean',
+        description: 'Inventory the assets declared in pubspec.yaml: unused, undeclared, missing variants and oversized images',
+        default: true,
+      },
+      includeTreemap: {
+        type: 'boolean',
+        description: 'Include treemap visualization data',
+        default: true,
+      },
     },
-  };
-}
\ No newline at end of file
+    required: ['projectPath'],
+  },
+  handler: analyzeBundleSize,
+};
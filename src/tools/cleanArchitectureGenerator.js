@@ -1,3 +1,5 @@
+import { getResourceStore } from '../resources/resourceStore.js';
+
 export async function generateCleanArchitecture(args) {
   const { 
     projectName, 
@@ -18,6 +20,8 @@ export async function generateCleanArchitecture(args) {
     };
     
     const files = generateAllFiles(architecture, stateManagement, includeDI);
+    // Published as scaffold://<projectName>/<path> MCP resources
+    const resources = getResourceStore().putScaffold(projectName, files, 'generate_clean_architecture');
     const tests = includeTests ? generateTestStructure(architecture) : null;
     const documentation = generateArchitectureDocumentation(architecture);
     
@@ -28,6 +32,7 @@ export async function generateCleanArchitecture(args) {
           text: JSON.stringify({
             architecture,
             files,
+            resources,
             tests,
             documentation,
             commands: getSetupCommands(projectName),
@@ -1411,4 +1416,43 @@ function getCleanArchitectureBestPractices() {
 
 function capitalize(str) {
   return str.charAt(0).toUpperCase() + str.slice(1);
-}
\ No newline at end of file
+}
+
+export const tool = {
+  name: 'generate_clean_architecture',
+  version: '1.0.0',
+  tags: ['generation', 'architecture'],
+  description: 'Generate a complete Clean Architecture structure for Flutter project',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      projectName: {
+        type: 'string',
+        description: 'Name of the project/feature',
+      },
+      features: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'List of features to generate',
+      },
+      stateManagement: {
+        type: 'string',
+        enum: ['riverpod', 'bloc', 'provider', 'getx'],
+        description: 'State management solution',
+        default: 'riverpod',
+      },
+      includeTests: {
+        type: 'boolean',
+        description: 'Include test scaffolding',
+        default: true,
+      },
+      includeDI: {
+        type: 'boolean',
+        description: 'Include dependency injection setup',
+        default: true,
+      },
+    },
+    required: ['projectName', 'features'],
+  },
+  handler: generateCleanArchitecture,
+};
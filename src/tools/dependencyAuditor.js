@@ -0,0 +1,545 @@
+import fs from 'fs/promises';
+import { isAbsolute, join } from 'path';
+import yaml from 'yaml';
+import { noopToolContext } from '../utils/toolContext.js';
+import { applyRuleConfig, getConfig } from '../config/config.js';
+import { isAbortError, throwIfAborted } from '../utils/errorHandler.js';
+import {
+  VersionFormatError,
+  parseVersion,
+  formatVersion,
+  compareVersions,
+  allows,
+  intersect,
+  isEmpty,
+  minimumVersion,
+  dependencyConstraint,
+  dartSdkConstraint,
+} from '../utils/pubVersion.js';
+import { fetchPackageInfo, fetchPackageScores, fetchPackageOptions } from './pubAnalyzer.js';
+
+// Packages looked up on pub.dev at the same time
+const BATCH_SIZE = 8;
+
+const PUB_DEV_HOSTS = ['https://pub.dev', 'https://pub.dartlang.org'];
+
+const SECTIONS = {
+  'direct main': 'dependencies',
+  'direct dev': 'dev_dependencies',
+  'direct overridden': 'dependency_overrides',
+};
+
+export async function auditDependencies(args, context = noopToolContext) {
+  const { projectPath, dartVersion, flutterVersion } = args;
+
+  try {
+    const project = await readProject(projectPath);
+    const hosted = [...project.lock.keys()].filter(name => isPubDevPackage(project.lock.get(name)));
+    const lookups = await lookUpPackages(hosted, context);
+
+    const sdks = {
+      dart: sdkVersion(dartVersion, project.pubspec.environment?.sdk),
+      flutter: sdkVersion(flutterVersion, project.pubspec.environment?.flutter),
+    };
+    const graph = await dependencyGraph(project, lookups, context.signal);
+    const origins = traceOrigins(project, graph.edges);
+    const dependents = dependentsOf(project, graph.edges);
+
+    const packages = [...project.lock].map(([name, locked]) => describePackage(
+      name, locked, project, lookups.get(name), origins.get(name), dependents, sdks
+    ));
+    packages.sort((a, b) => kindOrder(a.kind) - kindOrder(b.kind) || a.name.localeCompare(b.name));
+
+    const conflicts = findConflicts(dependents);
+    const issues = [
+      ...packages.flatMap(entry => packageIssues(entry, project, sdks)),
+      ...conflicts.map(conflict => conflictIssue(conflict, project, origins)),
+    ];
+    const reported = applyRuleConfig(issues, context.config.rules);
+    const errors = reported.filter(entry => entry.severity === 'high' || entry.severity === 'critical').length;
+    // Packages pub.dev could not tell us about were not checked
+    const lookupFailures = packages.filter(entry => entry.error).length;
+
+    const report = {
+      project: {
+        name: project.pubspec.name,
+        environment: project.pubspec.environment || {},
+        checkedAgainst: sdks,
+      },
+      summary: {
+        packages: packages.length,
+        direct: packages.filter(entry => entry.kind === 'direct main').length,
+        dev: packages.filter(entry => entry.kind === 'direct dev').length,
+        transitive: packages.filter(entry => entry.kind === 'transitive').length,
+        outdated: packages.filter(entry => entry.outdated).length,
+        discontinued: packages.filter(entry => entry.discontinued).length,
+        unlisted: packages.filter(entry => entry.unlisted).length,
+        sdkIncompatible: packages.filter(entry => entry.sdk?.compatible === false).length,
+        conflicts: conflicts.length,
+        lookupFailures,
+        issues: reported.length,
+        errors,
+        warnings: reported.length - errors,
+        status: auditStatus(errors, lookupFailures),
+      },
+      packages,
+      conflicts,
+      issues: reported,
+    };
+    if (graph.unknown.length > 0) {
+      // Their own dependencies are not attributed to anything
+      report.unknownDependencies = graph.unknown;
+    }
+    if (context.config.offline) {
+      report.offline = true;
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(report, null, 2),
+        },
+      ],
+    };
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Error auditing dependencies: ${error.message}`,
+        },
+      ],
+    };
+  }
+}
+
+async function readProject(projectPath) {
+  const pubspecSource = await readProjectFile(projectPath, 'pubspec.yaml');
+  const lockSource = await readProjectFile(projectPath, 'pubspec.lock', 'Run flutter pub get first');
+
+  const lineCounter = new yaml.LineCounter();
+  const document = yaml.parseDocument(pubspecSource, { lineCounter });
+  if (document.errors.length > 0) {
+    throw new Error(`pubspec.yaml: ${document.errors[0].message}`);
+  }
+  const pubspec = document.toJS() || {};
+
+  // Where each dependency is declared, for the findings
+  const lines = new Map();
+  Object.values(SECTIONS).forEach(section => {
+    document.get(section, true)?.items?.forEach(pair => {
+      if (!lines.has(String(pair.key.value)) && pair.key.range) {
+        lines.set(String(pair.key.value), lineCounter.linePos(pair.key.range[0]).line);
+      }
+    });
+  });
+
+  let lockfile;
+  try {
+    lockfile = yaml.parse(lockSource) || {};
+  } catch (error) {
+    throw new Error(`pubspec.lock: ${error.message}`);
+  }
+
+  return {
+    root: projectPath,
+    pubspec,
+    lines,
+    lock: new Map(Object.entries(lockfile.packages || {})),
+  };
+}
+
+async function readProjectFile(projectPath, name, hint) {
+  try {
+    return await fs.readFile(join(projectPath, name), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`${name} not found in ${projectPath}${hint ? `. ${hint}` : ''}`);
+    }
+    throw error;
+  }
+}
+
+function isPubDevPackage(locked) {
+  if (locked.source !== 'hosted') return false;
+  const url = (locked.description?.url || 'https://pub.dev').replace(/\/+$/, '');
+  return PUB_DEV_HOSTS.includes(url) || url === getConfig().registries.pub.replace(/\/+$/, '');
+}
+
+// FAILING on errors; INCOMPLETE when packages could not be looked up, since
+// they may hide some
+function auditStatus(errors, lookupFailures) {
+  if (errors > 0) return 'FAILING';
+  return lookupFailures > 0 ? 'INCOMPLETE' : 'PASSING';
+}
+
+// pub.dev in batches of BATCH_SIZE packages; every response is cached
+async function lookUpPackages(names, context) {
+  const { signal } = context;
+  const { offline } = context.config;
+  const lookups = new Map();
+
+  for (let start = 0; start < names.length; start += BATCH_SIZE) {
+    throwIfAborted(signal);
+    const batch = names.slice(start, start + BATCH_SIZE);
+    const results = await Promise.all(batch.map(async name => {
+      const [info, scores, options] = await Promise.all([
+        fetchPackageInfo(name, signal, offline).catch(error => {
+          if (isAbortError(error)) throw error;
+          return { error: error.message };
+        }),
+        fetchPackageScores(name, signal, offline),
+        fetchPackageOptions(name, signal, offline),
+      ]);
+      return { info, scores, options };
+    }));
+    batch.forEach((name, i) => lookups.set(name, results[i]));
+
+    const done = start + batch.length;
+    await context.reportProgress(done, names.length, `Looked up ${done} of ${names.length} packages`);
+  }
+
+  return lookups;
+}
+
+// Each locked package's own dependencies with their constraints: from
+// pub.dev for the resolved version, from disk for path packages. SDK and
+// git packages are listed as unknown.
+async function dependencyGraph(project, lookups, signal) {
+  const edges = new Map();
+  const unknown = [];
+
+  for (const [name, locked] of project.lock) {
+    throwIfAborted(signal);
+    let pubspec = null;
+    if (lookups.has(name)) {
+      pubspec = resolvedRelease(lookups.get(name).info, locked.version)?.pubspec;
+    } else if (locked.source === 'path' && locked.description?.path) {
+      pubspec = await readPathPackage(project.root, locked.description);
+    }
+
+    if (pubspec) {
+      edges.set(name, new Map(Object.entries(pubspec.dependencies || {})
+        .filter(([dependency]) => project.lock.has(dependency))
+        .map(([dependency, entry]) => [dependency, dependencyConstraint(entry)])));
+    } else {
+      unknown.push(name);
+    }
+  }
+
+  return { edges, unknown };
+}
+
+async function readPathPackage(root, description) {
+  const dir = isAbsolute(description.path) ? description.path : join(root, description.path);
+  try {
+    return yaml.parse(await fs.readFile(join(dir, 'pubspec.yaml'), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// For each package, the direct dependencies that pull it in and the
+// shortest chain from one of them
+function traceOrigins(project, edges) {
+  const origins = new Map();
+  const direct = [...project.lock].filter(([, locked]) => locked.dependency !== 'transitive');
+
+  direct.forEach(([root, locked]) => {
+    const chains = new Map([[root, [root]]]);
+    const queue = [root];
+    while (queue.length > 0) {
+      const name = queue.shift();
+      [...(edges.get(name)?.keys() || [])].forEach(dependency => {
+        if (chains.has(dependency)) return;
+        chains.set(dependency, [...chains.get(name), dependency]);
+        queue.push(dependency);
+      });
+    }
+
+    chains.forEach((chain, name) => {
+      if (name === root) return;
+      if (!origins.has(name)) origins.set(name, { pulledInBy: [], chain, devOnly: true });
+      const origin = origins.get(name);
+      origin.pulledInBy.push(root);
+      if (chain.length < origin.chain.length) origin.chain = chain;
+      if (locked.dependency !== 'direct dev') origin.devOnly = false;
+    });
+  });
+
+  return origins;
+}
+
+function describePackage(name, locked, project, lookup, origin, dependents, sdks) {
+  const entry = {
+    name,
+    kind: locked.dependency,
+    source: locked.source,
+    resolved: locked.version,
+  };
+  const section = SECTIONS[locked.dependency];
+  const constraint = section && project.pubspec[section]?.[name];
+  if (typeof constraint === 'string') entry.constraint = constraint;
+
+  if (locked.dependency === 'transitive') {
+    entry.pulledInBy = origin?.pulledInBy || [];
+    if (origin) {
+      entry.chain = origin.chain.join(' > ');
+      entry.devOnly = origin.devOnly;
+    }
+  }
+
+  if (!lookup) return entry;
+  const { info, scores, options } = lookup;
+  if (info.error) {
+    entry.error = info.error;
+    return entry;
+  }
+
+  const latest = info.latest?.version;
+  entry.latest = latest;
+  entry.outdated = Boolean(latest && whenValid(() => compareVersions(locked.version, latest) < 0));
+  if (entry.outdated) {
+    entry.upgrade = whenValid(() => allows(`^${locked.version}`, latest)) ? 'compatible' : 'breaking';
+    const allowsLatest = entry.constraint && whenValid(() => allows(entry.constraint, latest));
+    if (typeof allowsLatest === 'boolean') entry.constraintAllowsLatest = allowsLatest;
+    const conflicts = upgradeConflicts(name, info.latest.pubspec, dependents);
+    if (conflicts.length > 0) entry.upgradeConflicts = conflicts;
+  }
+
+  entry.discontinued = Boolean(options?.isDiscontinued ?? info.isDiscontinued);
+  const replacedBy = options?.replacedBy ?? info.replacedBy;
+  if (replacedBy) entry.replacedBy = replacedBy;
+  entry.unlisted = Boolean(options?.isUnlisted);
+
+  if (scores) {
+    entry.pubPoints = scores.grantedPoints;
+    entry.maxPoints = scores.maxPoints;
+    entry.likes = scores.likeCount;
+  }
+
+  const release = resolvedRelease(info, locked.version);
+  const sdk = release && sdkCompatibility(release.pubspec, sdks);
+  if (sdk) entry.sdk = sdk;
+  if (entry.outdated && sdk) {
+    const latestSdk = sdkCompatibility(info.latest.pubspec, sdks);
+    if (latestSdk?.compatible === false) entry.latestSupportsSdk = false;
+  }
+
+  if (info.stale || scores?.stale || options?.stale) entry.stale = true;
+  return entry;
+}
+
+// The release's SDK constraints, and whether the SDK versions the project
+// supports satisfy them
+function sdkCompatibility(pubspec, sdks) {
+  const environment = pubspec?.environment || {};
+  const enforced = (sdk, constraint) => (sdk === 'dart' ? dartSdkConstraint(constraint) : constraint);
+  const checks = [['dart', environment.sdk], ['flutter', environment.flutter]]
+    .filter(([sdk, constraint]) => constraint && sdks[sdk])
+    .map(([sdk, constraint]) => [sdk, constraint, whenValid(() => allows(enforced(sdk, constraint), sdks[sdk]))])
+    .filter(([, , allowed]) => allowed !== null);
+  if (checks.length === 0) return null;
+
+  const failing = checks.filter(([, , allowed]) => !allowed);
+  return {
+    ...Object.fromEntries(checks.map(([sdk, constraint]) => [sdk, constraint])),
+    compatible: failing.length === 0,
+    ...(failing.length > 0 ? { requires: failing.map(([sdk, constraint]) => `${sdk} ${constraint}`) } : {}),
+  };
+}
+
+function resolvedRelease(info, version) {
+  if (!info || info.error) return null;
+  return (info.versions || []).find(release => release.version === version)
+    || (info.latest?.version === version ? info.latest : null);
+}
+
+// Who depends on each locked package, and with which constraint: the
+// project through its pubspec.yaml, and the other locked packages
+function dependentsOf(project, edges) {
+  const dependents = new Map();
+  const add = (dependency, dependent) => {
+    if (dependent.constraint === null) return;
+    if (!dependents.has(dependency)) dependents.set(dependency, []);
+    dependents.get(dependency).push(dependent);
+  };
+
+  ['dependencies', 'dev_dependencies'].forEach(section => {
+    Object.entries(project.pubspec[section] || {}).forEach(([dependency, entry]) => {
+      add(dependency, { name: project.pubspec.name, version: null, constraint: dependencyConstraint(entry) });
+    });
+  });
+  edges.forEach((dependencies, name) => {
+    dependencies.forEach((constraint, dependency) => {
+      add(dependency, { name, version: project.lock.get(name).version, constraint });
+    });
+  });
+  return dependents;
+}
+
+// Two dependents whose constraints on the same package allow no version
+// in common; only dependency_overrides get a lock file there
+function findConflicts(dependents) {
+  const conflicts = [];
+  dependents.forEach((list, name) => {
+    list.forEach((first, i) => list.slice(i + 1).forEach(second => {
+      if (whenValid(() => isEmpty(intersect(first.constraint, second.constraint)))) {
+        conflicts.push({ package: name, between: [first, second] });
+      }
+    }));
+  });
+  return conflicts;
+}
+
+// The dependencies of a package's latest release that the other
+// dependents' constraints leave no version for
+function upgradeConflicts(name, pubspec, dependents) {
+  return Object.entries(pubspec?.dependencies || {}).flatMap(([dependency, entry]) => {
+    const constraint = dependencyConstraint(entry);
+    if (constraint === null) return [];
+    return (dependents.get(dependency) || [])
+      .filter(other => other.name !== name && whenValid(() => isEmpty(intersect(constraint, other.constraint))))
+      .map(other => ({ dependency, needs: constraint, conflictsWith: dependentLabel(other), constraint: other.constraint }));
+  });
+}
+
+function dependentLabel({ name, version }) {
+  return version ? `${name} ${version}` : `${name} (pubspec.yaml)`;
+}
+
+// The SDK version to check against: the one given, or the lowest the
+// project's environment allows
+function sdkVersion(given, constraint) {
+  if (given) return formatVersion(parseVersion(given));
+  return whenValid(() => minimumVersion(constraint));
+}
+
+// The result of a version check, or null when a version or constraint
+// from pub.dev or the project does not parse
+function whenValid(check) {
+  try {
+    return check();
+  } catch (error) {
+    if (error instanceof VersionFormatError) return null;
+    throw error;
+  }
+}
+
+// A finding on the pubspec.yaml line that declares `declaredBy`
+function issueAt(project, declaredBy, fields) {
+  const { fix, ...rest } = fields;
+  return {
+    ...rest,
+    file: 'pubspec.yaml',
+    ...(project.lines.has(declaredBy) ? { line: project.lines.get(declaredBy) } : {}),
+    ...(fix ? { fix } : {}),
+  };
+}
+
+function conflictIssue({ package: name, between: [first, second] }, project, origins) {
+  const locked = project.lock.get(name);
+  const overridden = locked?.dependency === 'direct overridden';
+  const declaredBy = [name, first.name, second.name].find(candidate => project.lines.has(candidate))
+    || origins.get(first.name)?.pulledInBy[0];
+
+  return issueAt(project, declaredBy, {
+    type: 'dependency_conflict',
+    severity: overridden ? 'medium' : 'high',
+    package: name,
+    message: `${dependentLabel(first)} needs ${name} ${first.constraint} and ${dependentLabel(second)} needs ${name} ${second.constraint}: no version allows both`
+      + (overridden ? `; ${name} is overridden to ${locked.version}` : ''),
+    fix: overridden
+      ? `Check that ${name} ${locked.version} works with both, and drop the override once they agree`
+      : `Upgrade ${first.name} or ${second.name} to releases that agree on ${name}`,
+  });
+}
+
+function packageIssues(entry, project, sdks) {
+  const issues = [];
+  const direct = entry.kind !== 'transitive';
+  const declaredBy = direct ? entry.name : entry.pulledInBy?.[0];
+  const via = direct ? '' : ` (${entry.chain || 'transitive'})`;
+  const issue = (type, severity, message, fix) => issueAt(project, declaredBy, {
+    type,
+    severity,
+    package: entry.name,
+    message,
+    fix,
+  });
+
+  if (entry.discontinued) {
+    issues.push(issue(
+      'discontinued_package', 'high',
+      `${entry.name} is discontinued${via}`,
+      entry.replacedBy
+        ? `Replace it with ${entry.replacedBy}`
+        : `Replace ${direct || !declaredBy ? entry.name : `or upgrade ${declaredBy}, which pulls it in`}`
+    ));
+  }
+  if (entry.unlisted) {
+    issues.push(issue('unlisted_package', 'medium', `${entry.name} is unlisted on pub.dev${via}`));
+  }
+  if (entry.sdk?.compatible === false) {
+    const supported = Object.entries(sdks).filter(([, version]) => version).map(([sdk, version]) => `${sdk} ${version}`);
+    issues.push(issue(
+      'sdk_incompatible', 'high',
+      `${entry.name} ${entry.resolved} requires ${entry.sdk.requires.join(' and ')}, but the project supports ${supported.join(' and ')}${via}`,
+      'Raise the environment constraints in pubspec.yaml, or depend on a release that supports them'
+    ));
+  }
+  if (direct && entry.outdated) {
+    const blocked = entry.upgradeConflicts?.[0];
+    issues.push(issue(
+      'outdated_dependency', entry.upgrade === 'breaking' ? 'medium' : 'low',
+      `${entry.name} ${entry.resolved} is behind the latest ${entry.latest}`,
+      (entry.constraintAllowsLatest === false
+        ? `Change the constraint ${entry.constraint} to allow ${entry.latest}`
+        : `Run flutter pub upgrade ${entry.name}`)
+        + (blocked ? `. ${entry.latest} needs ${blocked.dependency} ${blocked.needs}, which ${blocked.conflictsWith} does not allow (${blocked.constraint})` : '')
+    ));
+  }
+  if (direct && entry.maxPoints > 0 && entry.pubPoints / entry.maxPoints < 0.5) {
+    issues.push(issue(
+      'low_pub_points', 'low',
+      `${entry.name} has ${entry.pubPoints} of ${entry.maxPoints} pub points`
+    ));
+  }
+
+  return issues;
+}
+
+function kindOrder(kind) {
+  return ['direct main', 'direct dev', 'direct overridden', 'transitive'].indexOf(kind);
+}
+
+export const tool = {
+  name: 'audit_dependencies',
+  version: '1.0.0',
+  tags: ['pub', 'dependencies', 'project'],
+  description: 'Audit every direct and transitive package in pubspec.yaml and pubspec.lock: resolved vs latest versions, discontinued or unlisted packages, pub points, SDK compatibility, conflicting constraints on shared dependencies and which direct dependency pulls in each transitive one',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      projectPath: {
+        type: 'string',
+        description: 'Path to the Dart or Flutter project root (the directory containing pubspec.yaml and pubspec.lock)',
+      },
+      dartVersion: {
+        type: 'string',
+        description: 'Dart SDK version to check the packages against (default: the lower bound of environment.sdk)',
+      },
+      flutterVersion: {
+        type: 'string',
+        description: 'Flutter SDK version to check the packages against (default: the lower bound of environment.flutter)',
+      },
+    },
+    required: ['projectPath'],
+  },
+  handler: auditDependencies,
+  findings: ({ issues }) => issues,
+};
@@ -1,12 +1,26 @@
 import axios from 'axios';
 import * as cheerio from 'cheerio';
 import { flutterAPIPatterns } from '../validators/apiPatterns.js';
-
-const FLUTTER_DOCS_BASE = 'https://api.flutter.dev/flutter';
+import { parseDart } from '../utils/dartParser.js';
+import {
+  findNodes,
+  buildWidgetTree,
+  flattenWidgetTree,
+  findWidgetAncestor,
+  findUnguardedSetStateCalls,
+  getNamedArgument,
+  hasNamedArgument,
+  sourceOf,
+} from '../utils/dartAst.js';
+import { noopToolContext } from '../utils/toolContext.js';
+import { applyRuleConfig, getConfig } from '../config/config.js';
+
+const flutterDocsBase = () => `${getConfig().registries.flutterDocs}/flutter`;
 const FLUTTER_WIDGETS_CATALOG = 'https://docs.flutter.dev/ui/widgets';
 
-export async function validateFlutterDocs(args) {
+export async function validateFlutterDocs(args, context = noopToolContext) {
   const { code, widgetType } = args;
+  const { rules } = context.config;
   
   const validationResults = {
     deprecatedAPIs: [],
@@ -16,17 +30,22 @@ export async function validateFlutterDocs(args) {
   };
 
   try {
-    const usedWidgets = extractWidgets(code);
-    const usedMethods = extractMethods(code);
+    const parsed = parseDart(code);
+    const widgetEntries = flattenWidgetTree(buildWidgetTree(parsed.unit));
+    const usedWidgets = extractWidgets(widgetEntries);
 
     for (const widget of usedWidgets) {
-      const widgetValidation = await validateWidget(widget, code);
+      const occurrences = widgetEntries.filter(entry => entry.node.typeName === widget);
+      const widgetValidation = await validateWidget(widget, occurrences, parsed);
       if (widgetValidation.issues.length > 0) {
         validationResults.incorrectUsage.push(...widgetValidation.issues);
       }
       if (widgetValidation.deprecated) {
         validationResults.deprecatedAPIs.push({
           widget,
+          rule: 'deprecated_widget',
+          severity: 'warning',
+          lines: occurrences.map(entry => entry.node.span.line),
           replacement: widgetValidation.replacement,
           reason: widgetValidation.reason,
         });
@@ -39,10 +58,12 @@ export async function validateFlutterDocs(args) {
       }
     }
 
-    const propertyValidation = validateProperties(code, usedWidgets);
+    const propertyValidation = validateProperties(parsed, usedWidgets);
     validationResults.incorrectUsage.push(...propertyValidation);
+    validationResults.deprecatedAPIs = applyRuleConfig(validationResults.deprecatedAPIs, rules);
+    validationResults.incorrectUsage = applyRuleConfig(validationResults.incorrectUsage, rules);
 
-    const bestPractices = checkBestPractices(code, usedWidgets);
+    const bestPractices = checkBestPractices(parsed, widgetEntries);
     validationResults.recommendations.push(...bestPractices);
 
     if (widgetType) {
@@ -74,58 +95,54 @@ export async function validateFlutterDocs(args) {
   }
 }
 
-function extractWidgets(code) {
-  const widgetPattern = /\b([A-Z][a-zA-Z]*)\s*\(/g;
-  const matches = [...code.matchAll(widgetPattern)];
-  const widgets = matches.map(match => match[1]);
-  
+export const DEPRECATED_WIDGETS = {
+  'FlatButton': { replacement: 'TextButton', reason: 'Deprecated in Flutter 2.0' },
+  'RaisedButton': { replacement: 'ElevatedButton', reason: 'Deprecated in Flutter 2.0' },
+  'OutlineButton': { replacement: 'OutlinedButton', reason: 'Deprecated in Flutter 2.0' },
+};
+
+function extractWidgets(widgetEntries) {
   const flutterWidgets = [
     'Container', 'Row', 'Column', 'Stack', 'Scaffold', 'AppBar',
     'Text', 'Image', 'Icon', 'IconButton', 'ElevatedButton', 'TextButton',
     'ListView', 'GridView', 'SingleChildScrollView', 'CustomScrollView',
     'AnimatedBuilder', 'AnimatedContainer', 'Hero', 'Transform',
     'GestureDetector', 'InkWell', 'Draggable', 'DragTarget',
+    ...Object.keys(DEPRECATED_WIDGETS),
   ];
   
-  return widgets.filter(w => flutterWidgets.includes(w));
+  const widgets = widgetEntries.map(entry => entry.node.typeName);
+  return [...new Set(widgets)].filter(w => flutterWidgets.includes(w));
 }
 
-function extractMethods(code) {
-  const methodPattern = /\.(\w+)\s*\(/g;
-  const matches = [...code.matchAll(methodPattern)];
-  return matches.map(match => match[1]);
-}
-
-async function validateWidget(widget, code) {
+async function validateWidget(widget, occurrences, parsed) {
   const validation = {
     issues: [],
     deprecated: false,
     replacement: null,
     reason: null,
-    docLink: `${FLUTTER_DOCS_BASE}/widgets/${widget}-class.html`,
+    docLink: `${flutterDocsBase()}/widgets/${widget}-class.html`,
   };
 
-  const deprecatedWidgets = {
-    'FlatButton': { replacement: 'TextButton', reason: 'Deprecated in Flutter 2.0' },
-    'RaisedButton': { replacement: 'ElevatedButton', reason: 'Deprecated in Flutter 2.0' },
-    'OutlineButton': { replacement: 'OutlinedButton', reason: 'Deprecated in Flutter 2.0' },
-  };
-
-  if (deprecatedWidgets[widget]) {
+  if (DEPRECATED_WIDGETS[widget]) {
     validation.deprecated = true;
-    validation.replacement = deprecatedWidgets[widget].replacement;
-    validation.reason = deprecatedWidgets[widget].reason;
+    validation.replacement = DEPRECATED_WIDGETS[widget].replacement;
+    validation.reason = DEPRECATED_WIDGETS[widget].reason;
   }
 
   const widgetRules = getWidgetRules(widget);
   if (widgetRules) {
     for (const rule of widgetRules) {
-      if (!rule.validate(code)) {
-        validation.issues.push({
-          widget,
-          issue: rule.message,
-          severity: rule.severity,
-        });
+      for (const entry of occurrences) {
+        if (!rule.validate(entry, parsed)) {
+          validation.issues.push({
+            widget,
+            rule: rule.id,
+            issue: rule.message,
+            line: entry.node.span.line,
+            severity: rule.severity,
+          });
+        }
       }
     }
   }
@@ -133,51 +150,35 @@ async function validateWidget(widget, code) {
   return validation;
 }
 
+const SCROLLABLES = ['ListView', 'GridView', 'CustomScrollView'];
+const BOUNDED_PARENTS = ['Expanded', 'Flexible', 'SizedBox', 'ConstrainedBox'];
+
+// Rules take a widget tree entry and return false when the usage is wrong.
 function getWidgetRules(widget) {
   const rules = {
     'Container': [
       {
-        validate: (code) => {
-          const containerMatch = code.match(/Container\s*\([^)]*\)/);
-          if (containerMatch) {
-            const hasChild = containerMatch[0].includes('child:');
-            const hasDecoration = containerMatch[0].includes('decoration:');
-            const hasColor = containerMatch[0].includes('color:');
-            return !(hasDecoration && hasColor);
-          }
-          return true;
-        },
+        id: 'container_color_decoration',
+        validate: ({ node }) => !(hasNamedArgument(node, 'decoration') && hasNamedArgument(node, 'color')),
         message: 'Cannot provide both color and decoration properties',
         severity: 'error',
       },
     ],
     'Column': [
       {
-        validate: (code) => {
-          const columnMatch = code.match(/Column\s*\([^{]*{[^}]*}\s*\)/);
-          if (columnMatch && columnMatch[0].includes('Expanded')) {
-            return true;
-          }
-          if (columnMatch && columnMatch[0].includes('Flexible')) {
-            return true;
-          }
-          return !code.includes('RenderFlex overflowed');
-        },
+        id: 'column_unbounded_child',
+        // Scrollables placed directly in a Column get unbounded height.
+        validate: (entry, parsed) => !entry.children.some(child => SCROLLABLES.includes(child.node.typeName)
+          && !isShrinkWrapped(child.node, parsed)),
         message: 'Consider using Expanded or Flexible for children that might overflow',
         severity: 'warning',
       },
     ],
     'ListView': [
       {
-        validate: (code) => {
-          const listViewMatch = code.match(/ListView\s*\([^)]*\)/);
-          if (listViewMatch) {
-            return listViewMatch[0].includes('shrinkWrap: true') || 
-                   !code.includes('Column') || 
-                   code.includes('Expanded');
-          }
-          return true;
-        },
+        id: 'listview_in_column',
+        validate: (entry, parsed) => isShrinkWrapped(entry.node, parsed)
+          || findWidgetAncestor(entry, ['Column', ...BOUNDED_PARENTS])?.node.typeName !== 'Column',
         message: 'ListView inside Column requires shrinkWrap: true or wrap with Expanded',
         severity: 'error',
       },
@@ -187,22 +188,34 @@ function getWidgetRules(widget) {
   return rules[widget] || null;
 }
 
-function validateProperties(code, widgets) {
+function isShrinkWrapped(node, parsed) {
+  const shrinkWrap = getNamedArgument(node, 'shrinkWrap');
+  return !!shrinkWrap && sourceOf(parsed, shrinkWrap) === 'true';
+}
+
+function validateProperties(parsed, widgets) {
   const issues = [];
 
-  if (code.includes('setState') && !code.includes('mounted')) {
+  findUnguardedSetStateCalls(parsed.unit).forEach(call => {
     issues.push({
       property: 'setState',
+      rule: 'unguarded_set_state',
       issue: 'Always check mounted before calling setState',
+      line: call.span.line,
       severity: 'warning',
       suggestion: 'if (mounted) { setState(() { ... }); }',
     });
-  }
+  });
 
-  if (code.includes('MediaQuery.of(context)') && !code.includes('MediaQuery.maybeOf')) {
+  const mediaQueryCalls = findNodes(parsed.unit, node => (
+    node.type === 'InstanceCreationExpression' && node.name === 'MediaQuery.of'
+  ));
+  if (mediaQueryCalls.length > 0) {
     issues.push({
       property: 'MediaQuery',
+      rule: 'media_query_maybe_of',
       issue: 'Consider using MediaQuery.maybeOf for safer null handling',
+      lines: mediaQueryCalls.map(node => node.span.line),
       severity: 'info',
     });
   }
@@ -210,28 +223,40 @@ function validateProperties(code, widgets) {
   return issues;
 }
 
-function checkBestPractices(code, widgets) {
+function checkBestPractices(parsed, widgetEntries) {
   const recommendations = [];
+  const { unit } = parsed;
 
-  if (widgets.includes('Container') && !hasConstraints(code)) {
+  // A Container with no child and no size expands to fill its parent.
+  const unconstrained = widgetEntries.filter(({ node }) => (
+    node.typeName === 'Container' && !hasNamedArgument(node, 'child') && !hasConstraints(node)
+  ));
+  if (unconstrained.length > 0) {
     recommendations.push({
       type: 'best_practice',
       message: 'Container without constraints can expand infinitely',
+      lines: unconstrained.map(entry => entry.node.span.line),
       suggestion: 'Provide width/height or use constraints',
     });
   }
 
-  if (code.includes('Key(') && !code.includes('ValueKey') && !code.includes('UniqueKey')) {
+  const genericKeys = findNodes(unit, node => node.type === 'InstanceCreationExpression' && node.typeName === 'Key');
+  if (genericKeys.length > 0) {
     recommendations.push({
       type: 'best_practice',
       message: 'Use specific Key types (ValueKey, UniqueKey, ObjectKey) instead of generic Key',
+      lines: genericKeys.map(node => node.span.line),
     });
   }
 
-  if (widgets.includes('Image') && !code.includes('errorBuilder')) {
+  const imagesWithoutErrorBuilder = widgetEntries.filter(({ node }) => (
+    node.typeName === 'Image' && !hasNamedArgument(node, 'errorBuilder')
+  ));
+  if (imagesWithoutErrorBuilder.length > 0) {
     recommendations.push({
       type: 'robustness',
       message: 'Add errorBuilder to Image widgets for better error handling',
+      lines: imagesWithoutErrorBuilder.map(entry => entry.node.span.line),
     });
   }
 
@@ -272,9 +297,9 @@ async function validateSpecificWidget(widgetType, code) {
   return recommendations;
 }
 
-function hasConstraints(code) {
-  const constraintProperties = ['width:', 'height:', 'constraints:'];
-  return constraintProperties.some(prop => code.includes(prop));
+function hasConstraints(node) {
+  const constraintProperties = ['width', 'height', 'constraints'];
+  return constraintProperties.some(prop => hasNamedArgument(node, prop));
 }
 
 function generateValidationSummary(results) {
@@ -299,4 +324,34 @@ function calculateComplianceScore(results) {
   score -= results.deprecatedAPIs.length * 15;
   
   return Math.max(0, score);
-}
\ No newline at end of file
+}
+
+export const tool = {
+  name: 'validate_flutter_docs',
+  version: '1.0.0',
+  tags: ['docs', 'validation'],
+  description: 'Validate code against official Flutter documentation and best practices',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      code: {
+        type: 'string',
+        description: 'Flutter/Dart code to validate',
+      },
+      widgetType: {
+        type: 'string',
+        description: 'Specific widget type to focus on',
+      },
+    },
+    required: ['code'],
+  },
+  handler: validateFlutterDocs,
+  findings: ({ validationResults }) => [
+    ...validationResults.deprecatedAPIs.map(api => ({
+      ...api,
+      message: `${api.widget} is deprecated (${api.reason})`,
+      fix: `Use ${api.replacement}`,
+    })),
+    ...validationResults.incorrectUsage,
+  ],
+};
@@ -385,4 +385,28 @@ function calculateImpact(improvements) {
     effortRequired: counts.total > 10 ? 'High' : 'Medium',
     recommendedApproach: counts.highImpact > 3 ? 'Prioritize high-impact changes' : 'Incremental improvements',
   };
-}
\ No newline at end of file
+}
+
+export const tool = {
+  name: 'suggest_improvements',
+  version: '1.0.0',
+  tags: ['analysis', 'refactoring'],
+  description: 'Suggest improvements for Flutter code based on official documentation',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      code: {
+        type: 'string',
+        description: 'Flutter code to improve',
+      },
+      focusArea: {
+        type: 'string',
+        enum: ['performance', 'accessibility', 'maintainability', 'all'],
+        description: 'Area to focus improvements on',
+        default: 'all',
+      },
+    },
+    required: ['code'],
+  },
+  handler: suggestImprovements,
+};
@@ -0,0 +1,317 @@
+import fs from 'fs/promises';
+import { isAbsolute, join, posix } from 'path';
+import { noopToolContext } from '../utils/toolContext.js';
+import { isAbortError, throwIfAborted } from '../utils/errorHandler.js';
+import { runGit } from '../utils/git.js';
+import { loadArbFiles, localeArbPath } from '../utils/l10nProject.js';
+import { setArbMessages } from '../utils/arbEdits.js';
+import { createPatch } from '../utils/sourceEdits.js';
+import { parseIcuMessage, messageArguments, comparePlaceholders } from '../utils/icuMessage.js';
+import {
+  TRANSLATION_FORMATS,
+  translationFileExtension,
+  writeTranslationFile,
+  readTranslationFile,
+  normalizeLocale,
+} from '../utils/translationFiles.js';
+
+export async function exchangeTranslations(args, context = noopToolContext) {
+  const {
+    projectPath,
+    action = 'export',
+    fileFormat = 'xliff12',
+    locales = [],
+    baseRef,
+    files = [],
+    content,
+  } = args;
+
+  try {
+    const arbFiles = await loadArbFiles(projectPath);
+    const result = action === 'import'
+      ? await importTranslations(arbFiles, { files, content }, context.signal)
+      : await exportTranslations(arbFiles, { fileFormat, locales, baseRef }, context.signal);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result, null, 2),
+        },
+      ],
+    };
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Error exchanging translations: ${error.message}`,
+        },
+      ],
+    };
+  }
+}
+
+// One file per locale with the keys it lacks, and with the ones whose
+// template message changed since `baseRef` (with their current translation)
+async function exportTranslations({ config, template, translations }, { fileFormat, locales, baseRef }, signal) {
+  if (!TRANSLATION_FORMATS.includes(fileFormat)) {
+    throw new Error(`fileFormat must be one of ${TRANSLATION_FORMATS.join(', ')}`);
+  }
+  const messages = arbMessages(template.arb);
+  const previous = baseRef ? await readTemplateAt(config.root, template.path, baseRef, signal) : null;
+
+  const wanted = locales.map(normalizeLocale);
+  const targets = wanted.length > 0
+    ? wanted.map(locale => translations.find(file => file.locale === locale) || { locale, arb: {} })
+    : translations.filter(file => file.locale !== template.locale);
+
+  const exported = [];
+  const output = {};
+  targets.forEach(file => {
+    if (file.error) throw new Error(`${file.path}: ${file.error}`);
+    const translated = arbMessages(file.arb);
+    const units = [];
+
+    messages.forEach((source, key) => {
+      const target = translated.get(key);
+      const before = previous?.get(key);
+      const changed = typeof target === 'string' && target !== '' && before !== undefined && before !== source;
+      if (target && !changed) return;
+
+      units.push({
+        key,
+        source,
+        target: changed ? target : '',
+        state: changed ? 'changed' : 'new',
+        notes: {
+          description: template.arb[`@${key}`]?.description,
+          placeholders: describePlaceholders(source, template.arb[`@${key}`], config),
+          previousSource: changed ? before : undefined,
+        },
+      });
+    });
+
+    const name = posix.basename(localeArbPath(config, template.locale, file.locale))
+      .replace(/\.arb$/, `.${translationFileExtension(fileFormat)}`);
+    if (units.length > 0) {
+      output[name] = writeTranslationFile(fileFormat, units, {
+        sourceLocale: template.locale,
+        targetLocale: file.locale,
+        original: template.path,
+      });
+    }
+    exported.push({
+      locale: file.locale,
+      file: units.length > 0 ? name : null,
+      new: units.filter(unit => unit.state === 'new').length,
+      changed: units.filter(unit => unit.state === 'changed').length,
+    });
+  });
+
+  return {
+    action: 'export',
+    format: fileFormat,
+    template: template.path,
+    baseRef: baseRef || null,
+    exported,
+    files: output,
+  };
+}
+
+// Translated files back into the locale ARB files, as a patch
+async function importTranslations({ config, template, translations }, { files, content }, signal) {
+  const inputs = [];
+  for (const path of files) {
+    throwIfAborted(signal);
+    inputs.push({ name: path, text: await fs.readFile(isAbsolute(path) ? path : join(config.root, path), 'utf8') });
+  }
+  if (content) inputs.push({ name: 'content', text: content });
+  if (inputs.length === 0) throw new Error('Pass the translated files as files or content');
+
+  const messages = arbMessages(template.arb);
+  const order = [...messages.keys()];
+  const byLocale = new Map();
+  const rejected = [];
+  let skipped = 0;
+
+  inputs.forEach(input => {
+    const { locale, units } = readTranslationFile(input.text);
+    if (!locale) throw new Error(`${input.name} does not name its target language`);
+    if (!byLocale.has(locale)) byLocale.set(locale, new Map());
+    const accepted = byLocale.get(locale);
+
+    units.forEach(({ key, target }) => {
+      if (!target) {
+        skipped++;
+        return;
+      }
+      const reason = checkImportedMessage(key, target, messages, template.arb[`@${key}`], config);
+      if (reason) {
+        rejected.push({ file: input.name, locale, key, ...reason });
+      } else {
+        accepted.set(key, target);
+      }
+    });
+  });
+
+  const imported = [];
+  const patches = [];
+  byLocale.forEach((accepted, locale) => {
+    const file = translations.find(entry => entry.locale === locale);
+    if (file?.error) throw new Error(`${file.path}: ${file.error}`);
+    const existing = file ? arbMessages(file.arb) : new Map();
+    const changes = new Map([...accepted].filter(([key, text]) => existing.get(key) !== text));
+    const path = file?.path || localeArbPath(config, template.locale, locale);
+
+    if (changes.size > 0) {
+      patches.push(file
+        ? createPatch(path, file.source, setArbMessages(file.source, changes, order))
+        : createPatch(path, null, [{ start: 0, end: 0, text: newArbFile(locale, changes, order) }]));
+    }
+    imported.push({
+      locale,
+      file: path,
+      created: !file && changes.size > 0,
+      updated: [...changes.keys()].filter(key => existing.has(key)).length,
+      added: [...changes.keys()].filter(key => !existing.has(key)).length,
+      unchanged: accepted.size - changes.size,
+      rejected: rejected.filter(entry => entry.locale === locale).length,
+    });
+  });
+
+  return {
+    action: 'import',
+    template: template.path,
+    imported,
+    rejected,
+    skipped,
+    patch: patches.join(''),
+  };
+}
+
+// Why an imported message cannot go into the ARB file, or null
+function checkImportedMessage(key, target, messages, metadata, config) {
+  if (!messages.has(key)) {
+    return { reason: 'unknown_key', message: `${key} is not in the template` };
+  }
+
+  let nodes;
+  try {
+    nodes = parseIcuMessage(target, { escaping: config.useEscaping });
+  } catch (error) {
+    return { reason: 'icu_syntax', message: error.message };
+  }
+
+  let templateNodes;
+  try {
+    templateNodes = parseIcuMessage(messages.get(key), { escaping: config.useEscaping });
+  } catch {
+    return null;
+  }
+  const { unexpected, missing } = comparePlaceholders(templateNodes, nodes, Object.keys(metadata?.placeholders || {}));
+  if (unexpected.length === 0 && missing.length === 0) return null;
+
+  const problems = [
+    ...unexpected.map(name => `adds {${name}}`),
+    ...missing.map(name => `leaves out {${name}}`),
+  ];
+  return { reason: 'placeholder_mismatch', message: `The translation ${problems.join(' and ')}` };
+}
+
+// The template's placeholders with their types and examples, for the notes
+function describePlaceholders(source, metadata, config) {
+  const declared = metadata?.placeholders || {};
+  let used = [];
+  try {
+    used = [...messageArguments(parseIcuMessage(source, { escaping: config.useEscaping })).keys()];
+  } catch {
+    // The validator reports the syntax; the declared ones still help
+  }
+
+  const names = [...new Set([...used, ...Object.keys(declared)])];
+  return names.map(name => {
+    const details = [declared[name]?.type, declared[name]?.example && `e.g. ${declared[name].example}`].filter(Boolean);
+    return details.length > 0 ? `{${name}}: ${details.join(', ')}` : `{${name}}`;
+  }).join('; ');
+}
+
+async function readTemplateAt(root, path, baseRef, signal) {
+  if (!baseRef || baseRef.startsWith('-')) {
+    throw new Error(`Invalid base revision: ${baseRef}`);
+  }
+  let source;
+  try {
+    source = await runGit(root, ['show', `${baseRef}:./${path}`], { signal });
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    // Not there yet at baseRef: every key is new since then
+    if (/does not exist in|exists on disk, but not in/.test(error.message)) return new Map();
+    throw error;
+  }
+  try {
+    return arbMessages(JSON.parse(source));
+  } catch (error) {
+    throw new Error(`${path} at ${baseRef}: ${error.message}`);
+  }
+}
+
+function newArbFile(locale, messages, order) {
+  const entries = order.filter(key => messages.has(key)).map(key => [key, messages.get(key)]);
+  return `${JSON.stringify({ '@@locale': locale, ...Object.fromEntries(entries) }, null, 2)}\n`;
+}
+
+function arbMessages(arb) {
+  return new Map(Object.entries(arb).filter(([key, value]) => !key.startsWith('@') && typeof value === 'string'));
+}
+
+export const tool = {
+  name: 'exchange_translations',
+  version: '1.0.0',
+  tags: ['l10n', 'project'],
+  description: 'Export untranslated or changed ARB messages to XLIFF or CSV for translators, and import the translated files back into the locale ARB files',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      projectPath: {
+        type: 'string',
+        description: 'Path to the Flutter project root (the directory containing l10n.yaml or lib/l10n)',
+      },
+      action: {
+        type: 'string',
+        enum: ['export', 'import'],
+        description: 'export writes translation files from the template ARB; import reads translated files back',
+        default: 'export',
+      },
+      fileFormat: {
+        type: 'string',
+        enum: TRANSLATION_FORMATS,
+        description: 'Format of the exported files (imports detect it)',
+        default: 'xliff12',
+      },
+      locales: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Locales to export (default: every locale that has an ARB file)',
+      },
+      baseRef: {
+        type: 'string',
+        description: 'Git revision of the last handoff: translated keys whose template message changed since then are exported again',
+      },
+      files: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Translated XLIFF or CSV files to import, relative to projectPath',
+      },
+      content: {
+        type: 'string',
+        description: 'A translated XLIFF or CSV file to import, as text',
+      },
+    },
+    required: ['projectPath'],
+  },
+  handler: exchangeTranslations,
+};
@@ -1,25 +1,43 @@
-export async function generateL10nSetup(args) {
+import fs from 'fs/promises';
+import { join, posix } from 'path';
+import { getResourceStore } from '../resources/resourceStore.js';
+import { noopToolContext } from '../utils/toolContext.js';
+import { isAbortError } from '../utils/errorHandler.js';
+import { extractUserFacingStrings } from '../utils/stringExtractor.js';
+import { readL10nConfig, localeArbPath } from '../utils/l10nProject.js';
+import { createPatch } from '../utils/sourceEdits.js';
+import { PSEUDO_LOCALES, pseudoLocalizeArb } from '../utils/pseudoLocalization.js';
+
+export async function generateL10nSetup(args, context = noopToolContext) {
   const { 
+    projectPath,
     supportedLocales = ['en', 'es', 'fr', 'de'],
     extractExisting = true,
     includeRTL = false,
     usePlurals = true,
-    useGenderRules = false
+    useGenderRules = false,
+    pseudoLocales = [],
+    projectName = 'app'
   } = args;
   
   try {
     const setup = {
       configuration: generateL10nConfiguration(supportedLocales, includeRTL),
       structure: generateL10nStructure(supportedLocales),
-      implementation: generateImplementationCode(supportedLocales, usePlurals, useGenderRules),
-      extractedStrings: extractExisting ? await extractStringsFromCode() : null,
+      implementation: generateImplementationCode(supportedLocales, usePlurals, useGenderRules, pseudoLocales),
+      extractedStrings: extractExisting ? await extractStringsFromCode(projectPath, context.signal) : null,
       arbFiles: generateARBFiles(supportedLocales, usePlurals, useGenderRules),
       integration: generateIntegrationGuide(),
       bestPractices: getL10nBestPractices(),
     };
+    if (pseudoLocales.length > 0) {
+      setup.pseudoLocalization = await generatePseudoLocales(projectPath, pseudoLocales, setup.arbFiles);
+    }
     
     const files = generateAllL10nFiles(setup);
-    const documentation = generateL10nDocumentation(setup);
+    // Published as scaffold://<projectName>/<path> MCP resources
+    const resources = getResourceStore().putScaffold(projectName, files, 'generate_l10n');
+    const documentation = generateL10nDocumentation(setup, supportedLocales);
     const commands = getL10nCommands();
     
     return {
@@ -29,6 +47,7 @@ export async function generateL10nSetup(args) {
           text: JSON.stringify({
             setup,
             files,
+            resources,
             documentation,
             commands,
             tooling: recommendL10nTools(),
@@ -37,6 +56,9 @@ export async function generateL10nSetup(args) {
       ],
     };
   } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
     return {
       content: [
         {
@@ -105,12 +127,17 @@ ${locales.filter(l => l !== 'en').map(l => `│   ├── app_${l}.arb
 └── main.dart               # Updated with localization`;
 }
 
-function generateImplementationCode(locales, usePlurals, useGender) {
+function generateImplementationCode(locales, usePlurals, useGender, pseudoLocales = []) {
+  const pseudo = pseudoLocales.length > 0;
+  // Locale('en', 'XA') for en_XA
+  const localeConstructor = code => `Locale(${code.split('_').map(part => `'${part}'`).join(', ')})`;
+
   const mainApp = `
 import 'package:flutter/material.dart';
 import 'package:flutter_localizations/flutter_localizations.dart';
 import 'package:flutter_gen/gen_l10n/app_localizations.dart';
-import 'core/localization/locale_provider.dart';
+import 'core/localization/locale_provider.dart';${pseudo ? `
+import 'core/localization/locale_service.dart';` : ''}
 
 void main() {
   runApp(MyApp());
@@ -149,8 +176,10 @@ class _MyAppState extends State<MyApp> {
       theme: ThemeData(
         primarySwatch: Colors.blue,
       ),
-      locale: _locale,
-      supportedLocales: AppLocalizations.supportedLocales,
+      locale: _locale,${pseudo ? `
+      // Includes the pseudo-locales in debug builds only
+      supportedLocales: LocaleService().supportedLocales,` : `
+      supportedLocales: AppLocalizations.supportedLocales,`}
       localizationsDelegates: [
         AppLocalizations.delegate,
         GlobalMaterialLocalizations.delegate,
@@ -209,7 +238,9 @@ Locale _locale(String languageCode) {
     case FRENCH:
       return Locale(FRENCH, 'FR');
     case GERMAN:
-      return Locale(GERMAN, 'DE');
+      return Locale(GERMAN, 'DE');${pseudoLocales.map(code => `
+    case '${code}':
+      return ${localeConstructor(code)};`).join('')}
     default:
       return Locale(ENGLISH, 'US');
   }
@@ -225,13 +256,23 @@ String getTranslatedLanguageName(BuildContext context, String languageCode) {
     case FRENCH:
       return 'Français';
     case GERMAN:
-      return 'Deutsch';
+      return 'Deutsch';${pseudoLocales.map(code => `
+    case '${code}':
+      return 'Pseudo (${PSEUDO_LOCALES[code].rtl ? 'RTL' : 'accented'})';`).join('')}
     default:
       return 'English';
   }
-}`;
+}${pseudo ? `
 
-  const localeService = `
+// The code a locale is stored and selected by: pseudo-locales differ from
+// the real language only by their region
+String localeCode(Locale locale) {
+  const pseudoLocales = [${pseudoLocales.map(code => `'${code}'`).join(', ')}];
+  return pseudoLocales.contains(locale.toString()) ? locale.toString() : locale.languageCode;
+}` : ''}`;
+
+  const localeService = `${pseudo ? `
+import 'package:flutter/foundation.dart';` : ''}
 import 'package:flutter/material.dart';
 import 'locale_provider.dart';
 
@@ -241,7 +282,9 @@ class LocaleService {
   LocaleService._internal();
   
   final List<Locale> supportedLocales = [
-${locales.map(l => `    Locale('${l}'),`).join('\n')}
+${locales.map(l => `    ${localeConstructor(l)},`).join('\n')}${pseudo ? `
+    // Pseudo-locales for layout testing
+${pseudoLocales.map(code => `    if (kDebugMode) ${localeConstructor(code)},`).join('\n')}` : ''}
   ];
   
   Future<void> changeLocale(BuildContext context, String languageCode) async {
@@ -250,13 +293,14 @@ ${locales.map(l => `    Locale('${l}'),`).join('\n')}
   }
   
   bool isRTL(String languageCode) {
-    return ['ar', 'he', 'fa', 'ur'].contains(languageCode);
+    return ['ar', 'he', 'fa', 'ur'].contains(languageCode.split('_').first);
   }
 }`;
 
   const languageSelector = `
 import 'package:flutter/material.dart';
 import 'package:flutter_gen/gen_l10n/app_localizations.dart';
+import 'core/localization/locale_provider.dart';
 import 'core/localization/locale_service.dart';
 
 class LanguageSelector extends StatelessWidget {
@@ -273,13 +317,13 @@ class LanguageSelector extends StatelessWidget {
       itemBuilder: (BuildContext context) {
         return LocaleService().supportedLocales.map((Locale locale) {
           return PopupMenuItem<String>(
-            value: locale.languageCode,
+            value: ${pseudo ? 'localeCode(locale)' : 'locale.languageCode'},
             child: Row(
               children: [
                 Text(getLanguageFlag(locale.languageCode)),
                 SizedBox(width: 8),
-                Text(getTranslatedLanguageName(context, locale.languageCode)),
-                if (currentLocale.languageCode == locale.languageCode)
+                Text(getTranslatedLanguageName(context, ${pseudo ? 'localeCode(locale)' : 'locale.languageCode'})),
+                if (${pseudo ? 'localeCode(currentLocale) == localeCode(locale)' : 'currentLocale.languageCode == locale.languageCode'})
                   Padding(
                     padding: EdgeInsets.only(left: 8),
                     child: Icon(Icons.check, size: 16),
@@ -335,33 +379,70 @@ class ExampleWidget extends StatelessWidget {
   };
 }
 
-async function extractStringsFromCode() {
-  // Simulate extracting hardcoded strings
+// The project's hardcoded user-facing strings, with ARB keys and a patch
+// that localizes them
+async function extractStringsFromCode(projectPath, signal) {
+  if (!projectPath) {
+    return { available: false, reason: 'Pass projectPath to extract the hardcoded strings of a project' };
+  }
+  return extractUserFacingStrings(projectPath, { signal });
+}
+
+// Pseudo-locale ARB files from the project's template, or from the generated
+// one without a project. They join the generated ARB files; for a project
+// there is also a patch that adds them to its ARB directory.
+async function generatePseudoLocales(projectPath, pseudoLocales, arbFiles) {
+  const unknown = pseudoLocales.filter(locale => !PSEUDO_LOCALES[locale]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown pseudo-locales: ${unknown.join(', ')} (use ${Object.keys(PSEUDO_LOCALES).join(', ')})`);
+  }
+
+  let config = null;
+  let template = JSON.parse(arbFiles['app_en.arb']);
+  let source = null;
+  if (projectPath) {
+    config = await readL10nConfig(projectPath);
+    source = posix.join(config.arbDir, config.templateArbFile);
+    try {
+      template = JSON.parse(await fs.readFile(join(config.root, source), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw new Error(`Cannot read ${source}: ${error.message}`);
+      config = null;
+      source = null;
+    }
+  }
+  const templateLocale = template['@@locale'] || 'en';
+
+  const locales = [];
+  const patches = [];
+  for (const locale of pseudoLocales) {
+    const { arb, skipped } = pseudoLocalizeArb(template, locale, { escaping: config?.useEscaping ?? false });
+    const content = `${JSON.stringify(arb, null, 2)}\n`;
+    const path = config ? localeArbPath(config, templateLocale, locale) : `lib/l10n/app_${locale}.arb`;
+    arbFiles[posix.basename(path)] = content;
+    if (config) patches.push(await pseudoLocalePatch(config, path, content));
+    locales.push({
+      locale,
+      file: path,
+      rtl: PSEUDO_LOCALES[locale].rtl,
+      messages: Object.keys(arb).length - 1,
+      skipped,
+    });
+  }
+
   return {
-    foundStrings: [
-      { text: 'Welcome to our app', location: 'lib/screens/home.dart:45', key: 'welcomeMessage' },
-      { text: 'Continue', location: 'lib/widgets/button.dart:23', key: 'continueButton' },
-      { text: 'Cancel', location: 'lib/widgets/button.dart:30', key: 'cancelButton' },
-      { text: 'Please enter your email', location: 'lib/screens/login.dart:67', key: 'emailHint' },
-      { text: 'Password must be at least 8 characters', location: 'lib/utils/validators.dart:12', key: 'passwordError' },
-      { text: 'Settings', location: 'lib/screens/settings.dart:15', key: 'settingsTitle' },
-      { text: 'Profile', location: 'lib/screens/profile.dart:20', key: 'profileTitle' },
-      { text: 'Logout', location: 'lib/widgets/drawer.dart:45', key: 'logoutButton' },
-    ],
-    statistics: {
-      totalStrings: 156,
-      extracted: 8,
-      remaining: 148,
-      byFile: {
-        'lib/screens': 45,
-        'lib/widgets': 38,
-        'lib/utils': 15,
-        'lib/core': 58,
-      },
-    },
+    source: source || 'generated app_en.arb',
+    locales,
+    patch: config ? patches.join('') : null,
   };
 }
 
+// Creates the file, or regenerates it
+async function pseudoLocalePatch(config, path, content) {
+  const existing = await fs.readFile(join(config.root, path), 'utf8').catch(() => null);
+  return createPatch(path, existing, [{ start: 0, end: existing?.length ?? 0, text: content }]);
+}
+
 function generateARBFiles(locales, usePlurals, useGender) {
   const templateARB = {
     '@@locale': 'en',
@@ -660,12 +741,12 @@ export '../core/localization/locale_service.dart';`;
   return files;
 }
 
-function generateL10nDocumentation(setup) {
+function generateL10nDocumentation(setup, locales) {
   return `
 # Localization Documentation
 
 ## Supported Languages
-${setup.configuration.supportedLocales.map(l => `- ${getLocaleName(l)} (${l})`).join('\n')}
+${locales.map(l => `- ${getLocaleName(l)} (${l})`).join('\n')}
 
 ## File Structure
 ${setup.structure}
@@ -712,7 +793,14 @@ final formattedDate = DateFormat.yMMMd(l10n.localeName).format(date);
 - Automatic for Arabic, Hebrew, etc.
 - Use Directionality widget when needed
 - Test layouts in both directions
-
+${setup.pseudoLocalization ? `
+## Pseudo-localization
+${setup.pseudoLocalization.locales.map(entry => `- ${entry.locale}: ${entry.file}${entry.rtl ? ' (right to left)' : ''}`).join('\n')}
+
+Pseudo-locales accent the template's text, make it 30-40% longer and wrap it in brackets.
+Switch to one in a debug build: clipped or overflowing text shows a layout problem,
+and text without brackets is hardcoded. Regenerate the files after changing the template.
+` : ''}
 ## Best Practices
 1. Keep keys descriptive and hierarchical
 2. Always add descriptions for translators
@@ -734,9 +822,9 @@ function getL10nCommands() {
       'flutter gen-l10n --arb-dir=lib/l10n --output-dir=lib/generated',
     ],
     extract: [
-      '# Extract strings using external tools',
-      'flutter pub global activate intl_translation',
-      'flutter pub global run intl_translation:extract_to_arb --output-dir=lib/l10n lib/main.dart',
+      '# Save extractedStrings.patch as l10n.patch (needs projectPath), then:',
+      'git apply l10n.patch',
+      'flutter gen-l10n',
     ],
     validate: [
       'flutter analyze',
@@ -844,4 +932,58 @@ function getLocaleName(code) {
   };
   
   return names[code] || code.toUpperCase();
-}
\ No newline at end of file
+}
+
+export const tool = {
+  name: 'generate_l10n',
+  version: '1.0.0',
+  tags: ['generation', 'l10n'],
+  description: 'Generate complete localization setup for Flutter with ARB files',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      projectPath: {
+        type: 'string',
+        description: 'Path to the Flutter project root, to extract its hardcoded strings',
+      },
+      supportedLocales: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Locale codes to support (e.g., ["en", "es", "fr"])',
+        default: ['en', 'es', 'fr', 'de'],
+      },
+      extractExisting: {
+        type: 'boolean',
+        description: 'Extract the hardcoded user-facing strings of projectPath, with ARB keys and a patch that localizes them',
+        default: true,
+      },
+      includeRTL: {
+        type: 'boolean',
+        description: 'Include RTL language support',
+        default: false,
+      },
+      usePlurals: {
+        type: 'boolean',
+        description: 'Include pluralization examples',
+        default: true,
+      },
+      useGenderRules: {
+        type: 'boolean',
+        description: 'Include gender select examples',
+        default: false,
+      },
+      pseudoLocales: {
+        type: 'array',
+        items: { type: 'string', enum: Object.keys(PSEUDO_LOCALES) },
+        description: 'Pseudo-locale ARB files to generate from the template ARB for layout testing: en_XA (accented, expanded) and ar_XB (right to left)',
+        default: [],
+      },
+      projectName: {
+        type: 'string',
+        description: 'Project name used in the scaffold:// resource URIs of the generated files',
+        default: 'app',
+      },
+    },
+  },
+  handler: generateL10nSetup,
+};
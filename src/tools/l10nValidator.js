@@ -0,0 +1,329 @@
+import fs from 'fs/promises';
+import { join, posix } from 'path';
+import { noopToolContext } from '../utils/toolContext.js';
+import { applyRuleConfig } from '../config/config.js';
+import { isAbortError, throwIfAborted } from '../utils/errorHandler.js';
+import { loadArbFiles } from '../utils/l10nProject.js';
+import { listDartFiles } from '../utils/projectScanner.js';
+import { tokenize } from '../utils/dartLexer.js';
+import {
+  parseIcuMessage,
+  messageArguments,
+  complexNodes,
+  comparePlaceholders,
+  pluralCategories,
+  selectorCategory,
+} from '../utils/icuMessage.js';
+
+const NUMERIC_TYPES = new Set(['num', 'int', 'double']);
+const GENERATED_FILE = /\.(g|freezed|gr|config|mocks)\.dart$/;
+
+export async function validateL10n(args, context = noopToolContext) {
+  const { projectPath } = args;
+
+  try {
+    const { config, template, translations } = await loadArbFiles(projectPath);
+    const templateMessages = arbMessages(template.arb);
+    const issues = [];
+
+    // The template's own messages, and the placeholders they declare
+    const parsedTemplate = new Map();
+    templateMessages.forEach((message, key) => {
+      const nodes = checkMessage(template, key, message, config, issues);
+      if (!nodes) return;
+      parsedTemplate.set(key, nodes);
+      checkTemplatePlaceholders(template, key, nodes, template.arb[`@${key}`], issues);
+    });
+
+    const locales = [];
+    for (const file of translations) {
+      if (file.error) {
+        issues.push(issue('invalid_arb', 'high', file, null, file.error));
+        continue;
+      }
+      const messages = arbMessages(file.arb);
+      const missing = [...templateMessages.keys()].filter(key => !messages.has(key));
+      missing.forEach(key => issues.push(issue(
+        'missing_translation', 'medium', file, key,
+        `${key} has no ${file.locale} translation`,
+        `Translate ${key} in ${file.path}`
+      )));
+
+      messages.forEach((message, key) => {
+        if (!templateMessages.has(key)) {
+          issues.push(issue(
+            'unknown_key', 'low', file, key,
+            `${key} is not in the template ${template.path}`,
+            `Remove ${key} or add it to the template`
+          ));
+          return;
+        }
+        const nodes = checkMessage(file, key, message, config, issues);
+        if (nodes && parsedTemplate.has(key)) {
+          checkTranslationPlaceholders(file, key, nodes, parsedTemplate.get(key), template.arb[`@${key}`], issues);
+        }
+      });
+
+      const translated = templateMessages.size - missing.length;
+      locales.push({
+        locale: file.locale,
+        file: file.path,
+        translated,
+        missing: missing.length,
+        coverage: templateMessages.size > 0 ? Math.round((translated / templateMessages.size) * 100) : 100,
+      });
+    }
+
+    const unusedKeys = await findUnusedKeys(config, [...templateMessages.keys()], context.signal);
+    unusedKeys?.forEach(key => issues.push(issue(
+      'unused_key', 'low', template, key,
+      `${key} is not used in the Dart code`,
+      `Remove ${key} from every ARB file, or use it`
+    )));
+
+    const reported = applyRuleConfig(issues, context.config.rules);
+    const errors = reported.filter(entry => entry.severity === 'high').length;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            summary: {
+              template: template.path,
+              locales: [template.locale, ...locales.map(entry => entry.locale)],
+              keys: templateMessages.size,
+              issues: reported.length,
+              errors,
+              warnings: reported.length - errors,
+              status: errors === 0 ? 'PASSING' : 'FAILING',
+            },
+            locales,
+            issues: reported,
+            unusedKeys: unusedKeys ?? { available: false, reason: 'No lib/ directory to search for the keys' },
+          }, null, 2),
+        },
+      ],
+    };
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Error validating localizations: ${error.message}`,
+        },
+      ],
+    };
+  }
+}
+
+// The messages of an ARB file: its keys that are not @metadata or @@settings
+function arbMessages(arb) {
+  return new Map(Object.entries(arb).filter(([key]) => !key.startsWith('@')));
+}
+
+// Parses one message and checks its plural and select cases
+function checkMessage(file, key, message, config, issues) {
+  if (typeof message !== 'string') {
+    issues.push(issue('invalid_arb', 'high', file, key, `${key} must be a string`));
+    return null;
+  }
+
+  let nodes;
+  try {
+    nodes = parseIcuMessage(message, { escaping: config.useEscaping });
+  } catch (error) {
+    issues.push(issue(
+      'icu_syntax', 'high', file, key,
+      `${key}: ${error.message}`,
+      'Fix the ICU message syntax'
+    ));
+    return null;
+  }
+
+  const required = pluralCategories(file.locale) || ['other'];
+  complexNodes(nodes).forEach(node => {
+    const selectors = node.options.map(option => option.selector);
+    if (!selectors.includes('other')) {
+      issues.push(issue(
+        node.type === 'select' ? 'select_other' : 'plural_other',
+        'high', file, key,
+        `The ${node.type} on ${node.name} in ${key} has no other case`,
+        `Add other{...} to the ${node.type}`
+      ));
+    }
+    if (node.type !== 'plural') return;
+
+    const covered = new Set(selectors.map(selectorCategory));
+    const missing = required.filter(category => category !== 'other' && !covered.has(category));
+    if (missing.length > 0) {
+      issues.push(issue(
+        'plural_categories', 'medium', file, key,
+        `The plural on ${node.name} in ${key} has no ${missing.join(', ')} case for ${file.locale}`,
+        `Add ${missing.map(category => `${category}{...}`).join(' ')}`
+      ));
+    }
+  });
+
+  return nodes;
+}
+
+// The template's @key placeholders against what its message uses
+function checkTemplatePlaceholders(file, key, nodes, metadata, issues) {
+  const used = messageArguments(nodes);
+  const declared = placeholdersOf(metadata);
+
+  used.forEach((kinds, name) => {
+    if (!declared[name]) {
+      issues.push(issue(
+        'undeclared_placeholder', 'low', file, key,
+        `${key} uses {${name}} without declaring it in @${key}`,
+        `Declare ${name} in @${key}.placeholders with its type`
+      ));
+      return;
+    }
+    const type = declared[name].type;
+    if (!type) return;
+    if ((kinds.has('plural') || kinds.has('selectordinal')) && !NUMERIC_TYPES.has(type)) {
+      issues.push(issue(
+        'placeholder_type', 'high', file, key,
+        `${name} is the count of a plural in ${key} but has type ${type}`,
+        `Declare ${name} as int or num`
+      ));
+    }
+    if (kinds.has('select') && type !== 'String') {
+      issues.push(issue(
+        'placeholder_type', 'high', file, key,
+        `${name} chooses a select case in ${key} but has type ${type}`,
+        `Declare ${name} as String`
+      ));
+    }
+  });
+
+  Object.keys(declared).filter(name => !used.has(name)).forEach(name => issues.push(issue(
+    'unused_placeholder', 'low', file, key,
+    `@${key} declares ${name}, which the message does not use`,
+    `Remove ${name} from @${key}.placeholders`
+  )));
+}
+
+// A translation's placeholders against the template's
+function checkTranslationPlaceholders(file, key, nodes, templateNodes, templateMetadata, issues) {
+  const declaredNames = Object.keys(placeholdersOf(templateMetadata));
+  const { unexpected, missing } = comparePlaceholders(templateNodes, nodes, declaredNames);
+  const allowed = [...new Set([...messageArguments(templateNodes).keys(), ...declaredNames])];
+
+  unexpected.forEach(name => issues.push(issue(
+    'placeholder_mismatch', 'high', file, key,
+    `${key} uses {${name}}, which the template does not have`,
+    `Use the template's placeholders: ${allowed.map(entry => `{${entry}}`).join(', ') || 'none'}`
+  )));
+  missing.forEach(name => issues.push(issue(
+    'placeholder_missing', 'medium', file, key,
+    `${key} does not use {${name}} from the template`,
+    `Add {${name}} to the ${file.locale} message`
+  )));
+
+  // Types come from the template; a translation may only repeat them
+  const declared = placeholdersOf(file.arb[`@${key}`]);
+  const templateDeclared = placeholdersOf(templateMetadata);
+  Object.entries(declared).forEach(([name, placeholder]) => {
+    const expectedType = templateDeclared[name]?.type;
+    if (placeholder?.type && expectedType && placeholder.type !== expectedType) {
+      issues.push(issue(
+        'placeholder_type', 'high', file, key,
+        `${name} in ${key} has type ${placeholder.type}, the template declares ${expectedType}`,
+        `Remove the type from ${file.path} or make it ${expectedType}`
+      ));
+    }
+  });
+}
+
+function placeholdersOf(metadata) {
+  const placeholders = metadata?.placeholders;
+  return placeholders && typeof placeholders === 'object' ? placeholders : {};
+}
+
+function issue(type, severity, file, key, message, fix) {
+  return {
+    type,
+    severity,
+    file: file.path,
+    locale: file.locale,
+    ...(key !== null ? { key, line: keyLine(file.source, key) } : {}),
+    message,
+    ...(fix ? { fix } : {}),
+  };
+}
+
+// The line of `"key":` in an ARB file
+function keyLine(source, key) {
+  const pattern = new RegExp(`^\\s*${escapeRegExp(JSON.stringify(key))}\\s*:`, 'm');
+  const match = pattern.exec(source);
+  return match ? source.slice(0, match.index).split('\n').length : undefined;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Keys that no member access (`.key`) in lib/ refers to, or null without lib/
+async function findUnusedKeys(config, keys, signal) {
+  const lib = join(config.root, 'lib');
+  const stat = await fs.stat(lib).catch(() => null);
+  if (!stat?.isDirectory()) return null;
+
+  // The localizations class gen-l10n writes when it is not a synthetic package
+  const generatedPrefix = posix.join(config.outputDir, config.outputFile.replace(/\.dart$/, ''));
+  const paths = (await listDartFiles(lib, signal))
+    .map(path => `lib/${path}`)
+    .filter(path => !GENERATED_FILE.test(path) && !path.startsWith(generatedPrefix));
+
+  const remaining = new Set(keys);
+  for (const path of paths) {
+    throwIfAborted(signal);
+    if (remaining.size === 0) break;
+    const { tokens } = tokenize(await fs.readFile(join(config.root, path), 'utf8'));
+    memberNames(tokens).forEach(name => remaining.delete(name));
+  }
+
+  return keys.filter(key => remaining.has(key));
+}
+
+// Identifiers that follow a `.` or `?.`, string interpolations included
+function memberNames(tokens, names = new Set()) {
+  tokens.forEach((token, index) => {
+    const previous = tokens[index - 1];
+    if (token.type === 'identifier' && previous?.type === 'punctuator' && (previous.value === '.' || previous.value === '?.')) {
+      names.add(token.value);
+    }
+    if (token.type === 'string') {
+      token.parts
+        .filter(part => part.kind === 'interpolation')
+        .forEach(part => memberNames(part.tokens, names));
+    }
+  });
+  return names;
+}
+
+export const tool = {
+  name: 'validate_l10n',
+  version: '1.0.0',
+  tags: ['l10n', 'validation', 'project'],
+  description: 'Check the ARB files of a Flutter project: missing translations, placeholder mismatches, ICU plural and select syntax, and unused keys',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      projectPath: {
+        type: 'string',
+        description: 'Path to the Flutter project root (the directory containing l10n.yaml or lib/l10n)',
+      },
+    },
+    required: ['projectPath'],
+  },
+  handler: validateL10n,
+  findings: ({ issues }) => issues,
+};
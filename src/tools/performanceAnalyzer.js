@@ -1,7 +1,25 @@
 import { parseWidgetTree } from '../utils/treeParser.js';
-
-export async function analyzePerformance(args) {
+import { parseDart } from '../utils/dartParser.js';
+import {
+  findNodes,
+  sourceOf,
+  getNamedArgument,
+  getPositionalArguments,
+  getBuildMethods,
+  isInvocationOf,
+  findConstCandidates,
+  findAssignedName,
+  collectReleasedTargets,
+  findUnguardedSetStateCalls,
+  buildWidgetTree,
+  flattenWidgetTree,
+} from '../utils/dartAst.js';
+import { noopToolContext } from '../utils/toolContext.js';
+import { applyRuleConfig } from '../config/config.js';
+
+export async function analyzePerformance(args, context = noopToolContext) {
   const { widgetTree, checkRebuildOptimization = true, checkMemoryLeaks = true } = args;
+  const { rules } = context.config;
   
   const analysis = {
     rebuildIssues: [],
@@ -13,18 +31,19 @@ export async function analyzePerformance(args) {
 
   try {
     const treeStructure = parseWidgetTree(widgetTree);
+    const parsed = parseDart(widgetTree);
     
     analysis.metrics = calculatePerformanceMetrics(treeStructure);
     
     if (checkRebuildOptimization) {
-      analysis.rebuildIssues = detectRebuildIssues(widgetTree, treeStructure);
+      analysis.rebuildIssues = applyRuleConfig(detectRebuildIssues(parsed, treeStructure), rules);
     }
     
     if (checkMemoryLeaks) {
-      analysis.memoryLeaks = detectMemoryLeaks(widgetTree, treeStructure);
+      analysis.memoryLeaks = applyRuleConfig(detectMemoryLeaks(parsed, treeStructure), rules);
     }
     
-    analysis.performanceBottlenecks = detectBottlenecks(widgetTree, treeStructure);
+    analysis.performanceBottlenecks = applyRuleConfig(detectBottlenecks(parsed, treeStructure), rules);
     analysis.optimizationSuggestions = generateOptimizations(analysis, treeStructure);
 
     const score = calculatePerformanceScore(analysis);
@@ -66,127 +85,164 @@ function calculatePerformanceMetrics(treeStructure) {
   };
 }
 
-function detectRebuildIssues(code, structure) {
+function detectRebuildIssues(parsed, structure) {
   const issues = [];
+  const { unit } = parsed;
+  const setStateCalls = findNodes(unit, node => isInvocationOf(node, 'setState') && !node.target);
 
-  if (code.includes('setState') && !code.includes('if (mounted)')) {
+  findUnguardedSetStateCalls(unit).forEach(call => {
     issues.push({
       type: 'unsafe_rebuild',
       severity: 'high',
-      message: 'setState called without checking mounted state',
-      location: 'setState usage',
+      message: 'setState called after an async gap without checking mounted state',
+      location: `line ${call.span.line}`,
+      line: call.span.line,
       fix: 'Always check if (mounted) before setState',
     });
-  }
+  });
 
-  const setStateMatches = [...code.matchAll(/setState\s*\(\s*\(\)\s*\{[^}]*\}\s*\)/g)];
-  setStateMatches.forEach((match, index) => {
-    const stateUpdate = match[0];
-    if (stateUpdate.length > 200) {
+  setStateCalls.forEach((call, index) => {
+    const callback = getPositionalArguments(call)[0];
+    if (callback && callback.type === 'FunctionExpression' && sourceOf(parsed, callback).length > 200) {
       issues.push({
         type: 'heavy_setState',
         severity: 'medium',
         message: 'Large setState callback detected',
         location: `setState #${index + 1}`,
+        line: call.span.line,
         fix: 'Move complex logic outside setState callback',
       });
     }
   });
 
-  if (!code.includes('const') && structure.statelessCount > 5) {
+  const constCandidates = findConstCandidates(unit);
+  if (constCandidates.length > 0) {
     issues.push({
       type: 'missing_const',
-      severity: 'medium',
-      message: 'Stateless widgets without const constructors',
-      count: structure.statelessCount,
+      severity: constCandidates.length > 5 ? 'medium' : 'low',
+      message: 'Widgets with only constant arguments created without const',
+      count: constCandidates.length,
+      lines: constCandidates.map(node => node.span.line),
       fix: 'Use const constructors for static widgets',
     });
   }
 
-  if (code.includes('StreamBuilder') && !code.includes('distinct')) {
-    issues.push({
-      type: 'unoptimized_stream',
-      severity: 'low',
-      message: 'StreamBuilder without distinct() may cause unnecessary rebuilds',
-      fix: 'Use stream.distinct() to prevent duplicate rebuilds',
+  findNodes(unit, node => node.type === 'InstanceCreationExpression' && node.typeName === 'StreamBuilder')
+    .forEach(builder => {
+      const stream = getNamedArgument(builder, 'stream');
+      if (stream && findNodes(stream, node => isInvocationOf(node, 'distinct')).length === 0) {
+        issues.push({
+          type: 'unoptimized_stream',
+          severity: 'low',
+          message: 'StreamBuilder without distinct() may cause unnecessary rebuilds',
+          line: builder.span.line,
+          fix: 'Use stream.distinct() to prevent duplicate rebuilds',
+        });
+      }
     });
-  }
 
   const expensiveInBuild = ['MediaQuery.of', 'Theme.of', 'Navigator.of'];
-  expensiveInBuild.forEach(call => {
-    const callCount = (code.match(new RegExp(call.replace('.', '\\.'), 'g')) || []).length;
-    if (callCount > 2) {
-      issues.push({
-        type: 'expensive_build_calls',
-        severity: 'medium',
-        message: `Multiple ${call} calls in build method`,
-        count: callCount,
-        fix: `Cache ${call} result in a variable`,
-      });
-    }
+  getBuildMethods(unit).forEach(method => {
+    expensiveInBuild.forEach(call => {
+      const calls = findNodes(method.body, node => node.type === 'InstanceCreationExpression' && node.name === call);
+      if (calls.length > 2) {
+        issues.push({
+          type: 'expensive_build_calls',
+          severity: 'medium',
+          message: `Multiple ${call} calls in build method`,
+          count: calls.length,
+          line: method.span.line,
+          fix: `Cache ${call} result in a variable`,
+        });
+      }
+    });
   });
 
   return issues;
 }
 
-function detectMemoryLeaks(code, structure) {
+function detectMemoryLeaks(parsed, structure) {
   const leaks = [];
+  const { unit } = parsed;
 
   const disposableControllers = [
     'AnimationController', 'TextEditingController', 'ScrollController',
     'PageController', 'TabController', 'StreamController'
   ];
 
-  disposableControllers.forEach(controller => {
-    if (code.includes(controller)) {
-      const hasDispose = code.includes('.dispose()');
-      const properlyDisposed = new RegExp(`${controller}[^;]*\\.dispose\\(\\)`).test(code);
-      
-      if (!hasDispose || !properlyDisposed) {
-        leaks.push({
-          type: 'controller_leak',
-          severity: 'high',
-          controller,
-          message: `${controller} may not be properly disposed`,
-          fix: `Dispose ${controller} in dispose() method`,
-        });
-      }
-    }
-  });
+  const released = collectReleasedTargets(unit);
+
+  findNodes(unit, node => node.type === 'InstanceCreationExpression' && disposableControllers.includes(node.typeName))
+    .forEach(creation => {
+      const owner = findAssignedName(unit, creation);
+      if (owner && released.has(owner)) return;
+
+      leaks.push({
+        type: 'controller_leak',
+        severity: 'high',
+        controller: creation.typeName,
+        field: owner,
+        line: creation.span.line,
+        message: owner
+          ? `${creation.typeName} '${owner}' is never disposed`
+          : `${creation.typeName} is not stored and cannot be disposed`,
+        fix: `Dispose ${creation.typeName} in dispose() method`,
+      });
+    });
+
+  findNodes(unit, node => isInvocationOf(node, 'listen') && node.target).forEach(listen => {
+    const owner = findAssignedName(unit, listen);
+    if (owner && released.has(owner)) return;
 
-  if (code.includes('StreamSubscription') && !code.includes('.cancel()')) {
     leaks.push({
       type: 'stream_leak',
       severity: 'high',
-      message: 'StreamSubscription not cancelled',
+      line: listen.span.line,
+      message: owner ? `StreamSubscription '${owner}' not cancelled` : 'StreamSubscription not stored or cancelled',
       fix: 'Cancel StreamSubscription in dispose()',
     });
-  }
+  });
+
+  const removedListeners = new Set(
+    findNodes(unit, node => isInvocationOf(node, 'removeListener'))
+      .map(node => sourceOf(parsed, node.target))
+  );
+  findNodes(unit, node => isInvocationOf(node, 'addListener')).forEach(call => {
+    if (removedListeners.has(sourceOf(parsed, call.target))) return;
 
-  if (code.includes('addListener') && !code.includes('removeListener')) {
     leaks.push({
       type: 'listener_leak',
       severity: 'medium',
+      line: call.span.line,
       message: 'Listener added but not removed',
       fix: 'Remove listeners in dispose()',
     });
-  }
+  });
 
-  const timerPattern = /Timer\s*\(/;
-  if (timerPattern.test(code) && !code.includes('?.cancel()')) {
-    leaks.push({
-      type: 'timer_leak',
-      severity: 'medium',
-      message: 'Timer may not be cancelled',
-      fix: 'Store Timer reference and cancel in dispose()',
+  findNodes(unit, node => node.type === 'InstanceCreationExpression' && node.typeName === 'Timer')
+    .forEach(timer => {
+      const owner = findAssignedName(unit, timer);
+      if (owner && released.has(owner)) return;
+      // One-shot timers that are never stored are only a problem when they
+      // touch state after the widget is gone.
+      if (!owner && timer.constructorName !== 'periodic') return;
+
+      leaks.push({
+        type: 'timer_leak',
+        severity: 'medium',
+        line: timer.span.line,
+        message: 'Timer may not be cancelled',
+        fix: 'Store Timer reference and cancel in dispose()',
+      });
     });
-  }
 
   return leaks;
 }
 
-function detectBottlenecks(code, structure) {
+function detectBottlenecks(parsed, structure) {
   const bottlenecks = [];
+  const { unit } = parsed;
+  const widgets = flattenWidgetTree(buildWidgetTree(unit));
 
   const expensiveWidgets = [
     { name: 'BackdropFilter', impact: 'very_high' },
@@ -197,13 +253,14 @@ function detectBottlenecks(code, structure) {
   ];
 
   expensiveWidgets.forEach(({ name, impact }) => {
-    if (code.includes(name)) {
-      const count = (code.match(new RegExp(name, 'g')) || []).length;
+    const matches = widgets.filter(widget => widget.node.typeName === name);
+    if (matches.length > 0) {
       bottlenecks.push({
         type: 'expensive_widget',
         widget: name,
         impact,
-        count,
+        count: matches.length,
+        lines: matches.map(widget => widget.node.span.line),
         message: `${name} is computationally expensive`,
         suggestion: `Minimize usage of ${name} or use alternatives`,
       });
@@ -220,21 +277,35 @@ function detectBottlenecks(code, structure) {
     });
   }
 
-  const buildMethodLength = code.match(/Widget\s+build\s*\([^)]*\)\s*\{([^}]*)\}/s)?.[1]?.length || 0;
-  if (buildMethodLength > 1000) {
-    bottlenecks.push({
-      type: 'large_build_method',
-      size: buildMethodLength,
-      impact: 'high',
-      message: 'Build method is too large',
-      suggestion: 'Break down into smaller widget components',
+  getBuildMethods(unit).forEach(method => {
+    const buildMethodLength = sourceOf(parsed, method.body).length;
+    if (buildMethodLength > 1000) {
+      bottlenecks.push({
+        type: 'large_build_method',
+        size: buildMethodLength,
+        line: method.span.line,
+        impact: 'high',
+        message: 'Build method is too large',
+        suggestion: 'Break down into smaller widget components',
+      });
+    }
+  });
+
+  const unboundedPaints = [];
+  const collectPaints = (entries, insideBoundary) => {
+    entries.forEach(entry => {
+      const isBoundary = insideBoundary || entry.node.typeName === 'RepaintBoundary';
+      if (entry.node.typeName === 'CustomPaint' && !isBoundary) unboundedPaints.push(entry);
+      collectPaints(entry.children, isBoundary);
     });
-  }
+  };
+  collectPaints(buildWidgetTree(unit), false);
 
-  if (!code.includes('RepaintBoundary') && structure.hasCustomPaint) {
+  if (unboundedPaints.length > 0) {
     bottlenecks.push({
       type: 'missing_repaint_boundary',
       impact: 'medium',
+      lines: unboundedPaints.map(entry => entry.node.span.line),
       message: 'CustomPaint without RepaintBoundary',
       suggestion: 'Wrap CustomPaint with RepaintBoundary',
     });
@@ -404,4 +475,37 @@ function getTopPriorities(analysis) {
   }
   
   return priorities.slice(0, 3);
-}
\ No newline at end of file
+}
+
+export const tool = {
+  name: 'analyze_performance',
+  version: '1.0.0',
+  tags: ['analysis', 'performance'],
+  description: 'Analyze Flutter widget tree for performance issues',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      widgetTree: {
+        type: 'string',
+        description: 'Flutter widget tree code',
+      },
+      checkRebuildOptimization: {
+        type: 'boolean',
+        description: 'Check for unnecessary rebuilds',
+        default: true,
+      },
+      checkMemoryLeaks: {
+        type: 'boolean',
+        description: 'Check for potential memory leaks',
+        default: true,
+      },
+    },
+    required: ['widgetTree'],
+  },
+  handler: analyzePerformance,
+  findings: ({ analysis }) => [
+    ...analysis.rebuildIssues,
+    ...analysis.memoryLeaks,
+    ...analysis.performanceBottlenecks,
+  ],
+};
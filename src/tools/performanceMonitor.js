@@ -1085,4 +1085,38 @@ function getMonitoringBestPractices() {
       ],
     },
   ];
-}
\ No newline at end of file
+}
+
+export const tool = {
+  name: 'monitor_performance',
+  version: '1.0.0',
+  tags: ['generation', 'performance'],
+  description: 'Generate comprehensive performance monitoring setup for Flutter apps',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      monitoringType: {
+        type: 'string',
+        enum: ['comprehensive', 'balanced', 'lightweight'],
+        description: 'Level of monitoring to implement',
+        default: 'comprehensive',
+      },
+      duration: {
+        type: 'number',
+        description: 'Monitoring duration in seconds',
+        default: 60,
+      },
+      includeNetworkAnalysis: {
+        type: 'boolean',
+        description: 'Monitor network performance',
+        default: true,
+      },
+      includeBatteryImpact: {
+        type: 'boolean',
+        description: 'Monitor battery impact',
+        default: true,
+      },
+    },
+  },
+  handler: monitorPerformanceMetrics,
+};
@@ -1,13 +1,46 @@
 import axios from 'axios';
 import yaml from 'yaml';
-
-const PUB_API_BASE = 'https://pub.dev/api';
-
-export async function analyzePubPackage(args) {
+import { errorHandler, isAbortError } from '../utils/errorHandler.js';
+import { noopToolContext } from '../utils/toolContext.js';
+import { getConfig } from '../config/config.js';
+import { getCacheManager } from '../cache/cacheManager.js';
+import {
+  VersionFormatError,
+  allows,
+  intersect,
+  isEmpty,
+  dependencyConstraint,
+  dartSdkConstraint,
+} from '../utils/pubVersion.js';
+
+const cache = getCacheManager();
+const pubApiBase = () => `${getConfig().registries.pub}/api`;
+
+export async function analyzePubPackage(args, context = noopToolContext) {
   const { packageName, checkDependencies = true, checkScores = true } = args;
+  const { signal } = context;
+  const { offline } = context.config;
   
   try {
-    const packageInfo = await fetchPackageInfo(packageName);
+    const packageInfo = await fetchPackageInfo(packageName, signal, offline);
+    const dependencies = packageInfo.latest.pubspec.dependencies || {};
+    const devDependencies = packageInfo.latest.pubspec.dev_dependencies || {};
+
+    // One step for the package itself, one for its scores, one per
+    // dependency and one for the compatibility/security checks
+    const dependencyCount = checkDependencies
+      ? Object.keys(dependencies).length + Object.keys(devDependencies).length
+      : 0;
+    const progress = {
+      done: 1,
+      total: 2 + (checkScores ? 1 : 0) + dependencyCount,
+      step(message) {
+        this.done++;
+        return context.reportProgress(this.done, this.total, message);
+      },
+    };
+    await context.reportProgress(progress.done, progress.total, `Fetched ${packageName}`);
+
     const analysis = {
       package: {
         name: packageInfo.name,
@@ -22,26 +55,35 @@ export async function analyzePubPackage(args) {
       recommendations: [],
     };
 
+    if (offline) {
+      analysis.offline = true;
+    }
+    if (packageInfo.stale) {
+      analysis.stale = true;
+      analysis.cachedAt = packageInfo.cachedAt;
+    }
+
     if (checkScores) {
-      const scores = await fetchPackageScores(packageName);
-      analysis.metrics = {
-        likes: scores.likeCount,
-        pubPoints: scores.grantedPoints,
-        maxPoints: scores.maxPoints,
-        popularity: scores.popularityScore,
-        health: calculateHealthScore(scores),
-      };
-      
-      analysis.recommendations.push(...generateScoreRecommendations(scores));
+      const scores = await fetchPackageScores(packageName, signal, offline);
+      await progress.step('Fetched scores');
+      if (scores) {
+        analysis.metrics = {
+          likes: scores.likeCount,
+          pubPoints: scores.grantedPoints,
+          maxPoints: scores.maxPoints,
+          popularity: scores.popularityScore,
+          health: calculateHealthScore(scores),
+          ...(scores.stale ? { stale: true } : {}),
+        };
+        
+        analysis.recommendations.push(...generateScoreRecommendations(scores));
+      }
     }
 
     if (checkDependencies) {
-      const dependencies = packageInfo.latest.pubspec.dependencies || {};
-      const devDependencies = packageInfo.latest.pubspec.dev_dependencies || {};
-      
       analysis.dependencies = {
-        runtime: await analyzeDependencies(dependencies),
-        dev: await analyzeDependencies(devDependencies),
+        runtime: await analyzeDependencies(dependencies, context, progress),
+        dev: await analyzeDependencies(devDependencies, context, progress),
       };
       
       analysis.recommendations.push(...generateDependencyRecommendations(analysis.dependencies));
@@ -69,6 +111,7 @@ export async function analyzePubPackage(args) {
     }
 
     analysis.summary = generatePackageSummary(analysis);
+    await progress.step('Analysis complete');
 
     return {
       content: [
@@ -79,6 +122,9 @@ export async function analyzePubPackage(args) {
       ],
     };
   } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
     return {
       content: [
         {
@@ -90,24 +136,68 @@ export async function analyzePubPackage(args) {
   }
 }
 
-async function fetchPackageInfo(packageName) {
+// 404s are expected for unknown packages, so these requests are not retried.
+// Responses are cached; offline, or when pub.dev is unreachable, expired
+// entries are served marked `stale: true`.
+export async function fetchPackageInfo(packageName, signal = null, offline = false) {
+  const packageInfo = await cache.getOrFetch('pubPackage', { packageName, type: 'pub_api' }, async () => {
+    try {
+      const response = await errorHandler.executeWithProtection(
+        'pub-api',
+        requestSignal => axios.get(`${pubApiBase()}/packages/${packageName}`, { timeout: 10000, signal: requestSignal }),
+        { retry: false, timeout: 15000, signal }
+      );
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        throw new Error(`Package '${packageName}' not found on pub.dev`);
+      }
+      throw error;
+    }
+  }, { offline });
+
+  if (!packageInfo) {
+    throw new Error(`Package '${packageName}' is not available offline: it has not been cached`);
+  }
+  return packageInfo;
+}
+
+export async function fetchPackageScores(packageName, signal = null, offline = false) {
   try {
-    const response = await axios.get(`${PUB_API_BASE}/packages/${packageName}`);
-    return response.data;
+    return await cache.getOrFetch('pubPackage', { packageName, type: 'pub_score' }, async () => {
+      const response = await errorHandler.executeWithProtection(
+        'pub-api',
+        requestSignal => axios.get(`${pubApiBase()}/packages/${packageName}/score`, { timeout: 10000, signal: requestSignal }),
+        { retry: false, timeout: 15000, signal }
+      );
+      return response.data;
+    }, { offline });
   } catch (error) {
-    if (error.response?.status === 404) {
-      throw new Error(`Package '${packageName}' not found on pub.dev`);
+    if (isAbortError(error)) {
+      throw error;
     }
-    throw error;
+    console.error('Error fetching scores:', error.message);
+    return null;
   }
 }
 
-async function fetchPackageScores(packageName) {
+// Whether the package is discontinued (and by what it was replaced) or
+// unlisted from search; null when pub.dev cannot say
+export async function fetchPackageOptions(packageName, signal = null, offline = false) {
   try {
-    const response = await axios.get(`${PUB_API_BASE}/packages/${packageName}/score`);
-    return response.data;
+    return await cache.getOrFetch('pubPackage', { packageName, type: 'pub_options' }, async () => {
+      const response = await errorHandler.executeWithProtection(
+        'pub-api',
+        requestSignal => axios.get(`${pubApiBase()}/packages/${packageName}/options`, { timeout: 10000, signal: requestSignal }),
+        { retry: false, timeout: 15000, signal }
+      );
+      return response.data;
+    }, { offline });
   } catch (error) {
-    console.error('Error fetching scores:', error.message);
+    if (isAbortError(error)) {
+      throw error;
+    }
+    console.error('Error fetching package options:', error.message);
     return null;
   }
 }
@@ -122,7 +212,7 @@ function calculateHealthScore(scores) {
   return 'Poor';
 }
 
-async function analyzeDependencies(deps) {
+async function analyzeDependencies(deps, context, progress) {
   const analysis = {
     count: Object.keys(deps).length,
     packages: {},
@@ -130,40 +220,43 @@ async function analyzeDependencies(deps) {
 
   for (const [depName, version] of Object.entries(deps)) {
     try {
-      const depInfo = await fetchPackageInfo(depName);
+      const depInfo = await fetchPackageInfo(depName, context.signal, context.config.offline);
       const latestVersion = depInfo.latest.version;
-      const isOutdated = !isVersionCompatible(version, latestVersion);
+      const outdated = checkOutdated(version, latestVersion);
       
       analysis.packages[depName] = {
         specified: version,
         latest: latestVersion,
-        isOutdated,
+        ...outdated,
         lastUpdated: depInfo.latest.published,
+        ...(depInfo.stale ? { stale: true } : {}),
       };
     } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
       analysis.packages[depName] = {
         specified: version,
-        error: 'Failed to fetch package info',
+        error: context.config.offline ? 'Not cached, unavailable offline' : 'Failed to fetch package info',
       };
     }
+
+    await progress.step(`Checked ${depName}`);
   }
 
   return analysis;
 }
 
-function isVersionCompatible(specified, latest) {
-  if (specified === 'any' || specified === latest) return true;
-  
-  if (specified.startsWith('^')) {
-    const specParts = specified.substring(1).split('.').map(Number);
-    const latestParts = latest.split('.').map(Number);
-    
-    return specParts[0] === latestParts[0] && 
-           (latestParts[1] >= specParts[1] || 
-            (latestParts[1] === specParts[1] && latestParts[2] >= specParts[2]));
+// Outdated: the constraint leaves out the latest release. SDK, git and
+// path dependencies are never outdated.
+function checkOutdated(specified, latest) {
+  try {
+    const constraint = dependencyConstraint(specified);
+    return { isOutdated: constraint !== null && !allows(constraint, latest) };
+  } catch (error) {
+    if (!(error instanceof VersionFormatError)) throw error;
+    return { isOutdated: false, constraintError: error.message };
   }
-  
-  return false;
 }
 
 async function checkFlutterCompatibility(packageInfo) {
@@ -194,18 +287,34 @@ async function checkFlutterCompatibility(packageInfo) {
     compatibility.issues.push('Package mentions Flutter but doesn\'t declare Flutter dependency');
   }
 
-  if (compatibility.dart && !isValidDartConstraint(compatibility.dart)) {
-    compatibility.issues.push('Dart SDK constraint might be too restrictive');
+  if (compatibility.dart) {
+    compatibility.issues.push(...checkSdkConstraint(compatibility.dart));
   }
 
   return compatibility;
 }
 
-function isValidDartConstraint(constraint) {
-  if (!constraint.includes('>=') || !constraint.includes('<')) {
-    return false;
+function checkSdkConstraint(constraint) {
+  let parsed;
+  try {
+    // As Dart 3 reads it: null-safe `<3.0.0` constraints allow Dart 3
+    parsed = dartSdkConstraint(constraint);
+  } catch (error) {
+    if (!(error instanceof VersionFormatError)) throw error;
+    return [`Dart SDK constraint is not valid: ${error.message}`];
+  }
+
+  if (isEmpty(parsed)) {
+    return [`Dart SDK constraint ${constraint} allows no SDK version`];
+  }
+  const issues = [];
+  if (parsed.ranges.some(range => range.max === null)) {
+    issues.push(`Dart SDK constraint ${constraint} has no upper bound`);
+  }
+  if (isEmpty(intersect(parsed, '>=3.0.0'))) {
+    issues.push(`Dart SDK constraint ${constraint} does not allow Dart 3`);
   }
-  return true;
+  return issues;
 }
 
 async function performSecurityCheck(packageName, packageInfo) {
@@ -338,4 +447,32 @@ function generatePackageSummary(analysis) {
     : 'Consider alternatives or proceed with caution';
 
   return summary;
-}
\ No newline at end of file
+}
+
+export const tool = {
+  name: 'analyze_pub_package',
+  version: '1.0.0',
+  tags: ['pub', 'dependencies'],
+  description: 'Analyze a package from pub.dev for quality, popularity, and compatibility',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      packageName: {
+        type: 'string',
+        description: 'Name of the package on pub.dev',
+      },
+      checkDependencies: {
+        type: 'boolean',
+        description: 'Analyze package dependencies',
+        default: true,
+      },
+      checkScores: {
+        type: 'boolean',
+        description: 'Retrieve pub.dev scores',
+        default: true,
+      },
+    },
+    required: ['packageName'],
+  },
+  handler: analyzePubPackage,
+};
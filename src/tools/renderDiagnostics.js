@@ -1,7 +1,18 @@
-import { parseWidgetTree } from '../utils/treeParser.js';
+import { parseDart } from '../utils/dartParser.js';
+import {
+  buildWidgetTree,
+  flattenWidgetTree,
+  findWidgetAncestor,
+  getNamedArgument,
+  hasNamedArgument,
+  sourceOf,
+} from '../utils/dartAst.js';
+import { noopToolContext } from '../utils/toolContext.js';
+import { applyRuleConfig } from '../config/config.js';
 
-export async function diagnoseRenderIssues(args) {
+export async function diagnoseRenderIssues(args, context = noopToolContext) {
   const { widgetCode, includeVisualizations = true, checkConstraints = true } = args;
+  const { rules } = context.config;
   
   try {
     const issues = {
@@ -12,19 +23,22 @@ export async function diagnoseRenderIssues(args) {
       solutions: [],
     };
     
+    const parsed = parseDart(widgetCode);
+    const widgets = flattenWidgetTree(buildWidgetTree(parsed.unit));
+    
     // Detect overflow issues
-    issues.overflowErrors = detectOverflowIssues(widgetCode);
+    issues.overflowErrors = applyRuleConfig(detectOverflowIssues(parsed, widgets), rules);
     
     // Check constraint violations
     if (checkConstraints) {
-      issues.constraintViolations = detectConstraintViolations(widgetCode);
+      issues.constraintViolations = applyRuleConfig(detectConstraintViolations(parsed, widgets), rules);
     }
     
     // Find infinite dimension problems
-    issues.infiniteDimensions = detectInfiniteDimensions(widgetCode);
+    issues.infiniteDimensions = applyRuleConfig(detectInfiniteDimensions(parsed, widgets), rules);
     
     // General layout issues
-    issues.layoutIssues = detectLayoutIssues(widgetCode);
+    issues.layoutIssues = applyRuleConfig(detectLayoutIssues(parsed, widgets), rules);
     
     // Generate solutions
     issues.solutions = generateSolutions(issues);
@@ -63,195 +77,221 @@ export async function diagnoseRenderIssues(args) {
   }
 }
 
-function detectOverflowIssues(code) {
+// Widgets that give their child bounded constraints along the main axis.
+const BOUNDING_WIDGETS = new Set(['Expanded', 'Flexible', 'SizedBox', 'ConstrainedBox', 'LimitedBox', 'AspectRatio']);
+
+function detectOverflowIssues(parsed, widgets) {
   const overflowIssues = [];
   
   // Check for Row overflow
-  if (code.includes('Row') && !code.includes('Flexible') && !code.includes('Expanded')) {
-    const rowMatches = code.matchAll(/Row\s*\([^)]*children:\s*\[[^\]]*\]/gs);
-    for (const match of rowMatches) {
-      const rowContent = match[0];
-      const childCount = (rowContent.match(/,/g) || []).length + 1;
-      
-      if (childCount > 3 && !rowContent.includes('MainAxisSize.min')) {
-        overflowIssues.push({
-          type: 'horizontal_overflow',
-          widget: 'Row',
-          location: findLineNumber(code, match.index),
-          severity: 'high',
-          message: 'Row with multiple children may overflow horizontally',
-          code: rowContent.substring(0, 100) + '...',
-        });
-      }
+  widgets.filter(entry => entry.node.typeName === 'Row').forEach(entry => {
+    const children = entry.children.filter(child => isInList(entry, child, 'children'));
+    const hasFlexChild = children.some(child => ['Flexible', 'Expanded', 'Spacer'].includes(child.node.typeName));
+    const mainAxisSize = getNamedArgument(entry.node, 'mainAxisSize');
+    const isMinSize = mainAxisSize && sourceOf(parsed, mainAxisSize) === 'MainAxisSize.min';
+
+    if (children.length > 3 && !hasFlexChild && !isMinSize) {
+      const rowContent = sourceOf(parsed, entry.node);
+      overflowIssues.push({
+        type: 'horizontal_overflow',
+        widget: 'Row',
+        location: entry.node.span.line,
+        severity: 'high',
+        message: 'Row with multiple children may overflow horizontally',
+        code: rowContent.substring(0, 100) + '...',
+      });
     }
-  }
+  });
   
-  // Check for Column in Column without proper constraints
-  if (code.includes('Column')) {
-    const nestedColumns = /Column[^{]*{[^}]*Column/gs.test(code);
-    if (nestedColumns && !code.includes('Expanded') && !code.includes('Flexible')) {
+  // Check for a Column with flexible children inside another Column
+  widgets.filter(entry => entry.node.typeName === 'Column').forEach(entry => {
+    const parent = findWidgetAncestor(entry, ['Column', ...BOUNDING_WIDGETS]);
+    const hasFlexChild = entry.children.some(child => ['Expanded', 'Flexible'].includes(child.node.typeName));
+    if (parent?.node.typeName === 'Column' && hasFlexChild) {
       overflowIssues.push({
         type: 'vertical_overflow',
         widget: 'Column',
+        location: entry.node.span.line,
         severity: 'high',
         message: 'Nested Columns without Expanded/Flexible may cause overflow',
       });
     }
-  }
+  });
   
-  // Check for Text overflow
-  const textOverflowPattern = /Text\s*\([^)]+\)/g;
-  const textMatches = code.matchAll(textOverflowPattern);
-  for (const match of textMatches) {
-    if (!match[0].includes('overflow:') && !match[0].includes('maxLines:')) {
-      overflowIssues.push({
-        type: 'text_overflow',
-        widget: 'Text',
-        location: findLineNumber(code, match.index),
-        severity: 'medium',
-        message: 'Text widget without overflow handling',
-        suggestion: 'Add overflow: TextOverflow.ellipsis',
-      });
-    }
-  }
+  // Check for Text overflow inside rows
+  widgets.filter(entry => entry.node.typeName === 'Text').forEach(entry => {
+    const { node } = entry;
+    if (hasNamedArgument(node, 'overflow') || hasNamedArgument(node, 'maxLines')) return;
+    if (findWidgetAncestor(entry, ['Row', 'Column', 'Expanded', 'Flexible'])?.node.typeName !== 'Row') return;
+
+    overflowIssues.push({
+      type: 'text_overflow',
+      widget: 'Text',
+      location: node.span.line,
+      severity: 'medium',
+      message: 'Text widget without overflow handling',
+      suggestion: 'Add overflow: TextOverflow.ellipsis',
+    });
+  });
   
   return overflowIssues;
 }
 
-function detectConstraintViolations(code) {
+function detectConstraintViolations(parsed, widgets) {
   const violations = [];
   
   // Container with both color and decoration
-  const containerPattern = /Container\s*\([^)]*\)/gs;
-  const containers = code.matchAll(containerPattern);
-  
-  for (const match of containers) {
-    const containerCode = match[0];
-    if (containerCode.includes('color:') && containerCode.includes('decoration:')) {
+  widgets.filter(entry => entry.node.typeName === 'Container').forEach(entry => {
+    if (hasNamedArgument(entry.node, 'color') && hasNamedArgument(entry.node, 'decoration')) {
       violations.push({
         type: 'container_color_decoration',
         widget: 'Container',
-        location: findLineNumber(code, match.index),
+        location: entry.node.span.line,
         severity: 'error',
         message: 'Container cannot have both color and decoration',
         fix: 'Move color inside BoxDecoration',
       });
     }
-  }
+  });
   
-  // Unbounded height/width
-  if (code.includes('height: double.infinity') || code.includes('width: double.infinity')) {
-    const parent = findParentWidget(code, code.indexOf('double.infinity'));
-    violations.push({
-      type: 'unbounded_dimensions',
-      severity: 'high',
-      message: 'Widget with infinite dimensions needs bounded parent',
-      parent,
-      fix: 'Wrap with Container with fixed dimensions or use Expanded',
+  // Unbounded height/width along a flex or scroll axis
+  widgets.forEach(entry => {
+    ['height', 'width'].forEach(dimension => {
+      const value = getNamedArgument(entry.node, dimension);
+      if (!value || sourceOf(parsed, value) !== 'double.infinity') return;
+
+      const axisParents = dimension === 'height'
+        ? ['Column', 'ListView', 'SingleChildScrollView', 'CustomScrollView']
+        : ['Row'];
+      const parent = findWidgetAncestor(entry, [...axisParents, 'Row', 'Column', ...BOUNDING_WIDGETS]);
+      if (!parent || !axisParents.includes(parent.node.typeName)) return;
+
+      violations.push({
+        type: 'unbounded_dimensions',
+        location: value.span.line,
+        severity: 'high',
+        message: 'Widget with infinite dimensions needs bounded parent',
+        parent: parent.node.typeName,
+        fix: 'Wrap with Container with fixed dimensions or use Expanded',
+      });
     });
-  }
+  });
   
   // ListView inside Column without proper constraints
-  if (code.includes('ListView') && code.includes('Column')) {
-    const listViewInColumn = /Column[^}]*ListView(?!\.builder)/;
-    if (listViewInColumn.test(code) && !code.includes('Expanded') && !code.includes('shrinkWrap: true')) {
+  widgets.filter(entry => entry.node.typeName === 'ListView').forEach(entry => {
+    const shrinkWrap = getNamedArgument(entry.node, 'shrinkWrap');
+    if (shrinkWrap && sourceOf(parsed, shrinkWrap) === 'true') return;
+
+    const parent = findWidgetAncestor(entry, ['Column', ...BOUNDING_WIDGETS]);
+    if (parent?.node.typeName === 'Column') {
       violations.push({
         type: 'listview_unbounded_height',
+        location: entry.node.span.line,
         severity: 'error',
         message: 'ListView inside Column needs bounded height',
         fix: 'Either wrap ListView with Expanded or set shrinkWrap: true',
       });
     }
-  }
+  });
   
   return violations;
 }
 
-function detectInfiniteDimensions(code) {
+function detectInfiniteDimensions(parsed, widgets) {
   const infiniteIssues = [];
   
   // Stack without positioned children
-  if (code.includes('Stack')) {
-    const stackPattern = /Stack\s*\([^)]*children:\s*\[[^\]]*\]/gs;
-    const stacks = code.matchAll(stackPattern);
-    
-    for (const match of stacks) {
-      if (!match[0].includes('Positioned')) {
-        infiniteIssues.push({
-          type: 'stack_infinite_size',
-          widget: 'Stack',
-          severity: 'warning',
-          message: 'Stack without Positioned children takes infinite size',
-          suggestion: 'Use Positioned or give Stack explicit dimensions',
-        });
-      }
+  widgets.filter(entry => entry.node.typeName === 'Stack').forEach(entry => {
+    const children = entry.children.filter(child => isInList(entry, child, 'children'));
+    if (children.length > 0 && !children.some(child => ['Positioned', 'Align'].includes(child.node.typeName))) {
+      infiniteIssues.push({
+        type: 'stack_infinite_size',
+        widget: 'Stack',
+        location: entry.node.span.line,
+        severity: 'warning',
+        message: 'Stack without Positioned children takes infinite size',
+        suggestion: 'Use Positioned or give Stack explicit dimensions',
+      });
     }
-  }
+  });
   
   // IntrinsicHeight/Width performance warning
-  if (code.includes('IntrinsicHeight') || code.includes('IntrinsicWidth')) {
-    infiniteIssues.push({
-      type: 'intrinsic_performance',
-      severity: 'warning',
-      message: 'IntrinsicHeight/Width can be expensive',
-      suggestion: 'Consider alternatives if used in scrollable lists',
+  widgets
+    .filter(entry => entry.node.typeName === 'IntrinsicHeight' || entry.node.typeName === 'IntrinsicWidth')
+    .forEach(entry => {
+      infiniteIssues.push({
+        type: 'intrinsic_performance',
+        location: entry.node.span.line,
+        severity: 'warning',
+        message: 'IntrinsicHeight/Width can be expensive',
+        suggestion: 'Consider alternatives if used in scrollable lists',
+      });
     });
-  }
   
   // CustomScrollView without slivers
-  if (code.includes('CustomScrollView') && !code.includes('SliverList')) {
-    infiniteIssues.push({
-      type: 'custom_scroll_view_empty',
-      severity: 'error',
-      message: 'CustomScrollView needs sliver children',
-    });
-  }
+  widgets.filter(entry => entry.node.typeName === 'CustomScrollView').forEach(entry => {
+    const slivers = getNamedArgument(entry.node, 'slivers');
+    if (!slivers || (slivers.type === 'ListLiteral' && slivers.elements.length === 0)) {
+      infiniteIssues.push({
+        type: 'custom_scroll_view_empty',
+        location: entry.node.span.line,
+        severity: 'error',
+        message: 'CustomScrollView needs sliver children',
+      });
+    }
+  });
   
   return infiniteIssues;
 }
 
-function detectLayoutIssues(code) {
+function detectLayoutIssues(parsed, widgets) {
   const layoutIssues = [];
+  const directChild = (entry, typeName) => {
+    const child = getNamedArgument(entry.node, 'child');
+    return child?.type === 'InstanceCreationExpression' && child.typeName === typeName;
+  };
   
   // Padding inside Padding
-  const doublePadding = /Padding[^}]*Padding/;
-  if (doublePadding.test(code)) {
+  widgets.filter(entry => entry.node.typeName === 'Padding' && directChild(entry, 'Padding')).forEach(entry => {
     layoutIssues.push({
       type: 'redundant_padding',
+      location: entry.node.span.line,
       severity: 'low',
       message: 'Nested Padding widgets can be combined',
       optimization: 'Combine padding values into single Padding widget',
     });
-  }
+  });
   
-  // Multiple Containers
-  const multipleContainers = /Container[^}]*Container/;
-  if (multipleContainers.test(code)) {
+  // Container directly wrapping a Container
+  widgets.filter(entry => entry.node.typeName === 'Container' && directChild(entry, 'Container')).forEach(entry => {
     layoutIssues.push({
       type: 'redundant_containers',
+      location: entry.node.span.line,
       severity: 'low',
       message: 'Nested Containers can often be combined',
       optimization: 'Merge Container properties',
     });
-  }
+  });
   
   // Incorrect Flex usage
-  if (code.includes('Flex') && !code.includes('direction:')) {
+  widgets.filter(entry => entry.node.typeName === 'Flex' && !hasNamedArgument(entry.node, 'direction')).forEach(entry => {
     layoutIssues.push({
       type: 'flex_missing_direction',
+      location: entry.node.span.line,
       severity: 'error',
       message: 'Flex widget requires direction parameter',
     });
-  }
+  });
   
   // Center inside Center
-  if (/Center[^}]*Center/.test(code)) {
+  widgets.filter(entry => entry.node.typeName === 'Center' && directChild(entry, 'Center')).forEach(entry => {
     layoutIssues.push({
       type: 'redundant_center',
+      location: entry.node.span.line,
       severity: 'low',
       message: 'Nested Center widgets are redundant',
     });
-  }
+  });
   
   return layoutIssues;
 }
@@ -420,27 +460,9 @@ class ConstraintDebugger extends StatelessWidget {
   return debugOverlay + '\n\n' + constraintDebugger;
 }
 
-function findLineNumber(code, index) {
-  const lines = code.substring(0, index).split('\n');
-  return lines.length;
-}
-
-function findParentWidget(code, childIndex) {
-  const beforeChild = code.substring(0, childIndex);
-  const widgets = ['Container', 'Row', 'Column', 'Stack', 'Scaffold'];
-  
-  let lastWidget = 'Unknown';
-  let lastIndex = -1;
-  
-  widgets.forEach(widget => {
-    const index = beforeChild.lastIndexOf(widget);
-    if (index > lastIndex) {
-      lastIndex = index;
-      lastWidget = widget;
-    }
-  });
-  
-  return lastWidget;
+function isInList(parent, child, argumentName) {
+  const list = getNamedArgument(parent.node, argumentName);
+  return !!list && list.span.start <= child.node.span.start && child.node.span.end <= list.span.end;
 }
 
 function calculateSeverity(issues) {
@@ -548,4 +570,38 @@ function generatePreventionTips(issues) {
   }
   
   return tips;
-}
\ No newline at end of file
+}
+
+export const tool = {
+  name: 'diagnose_render_issues',
+  version: '1.0.0',
+  tags: ['analysis', 'layout'],
+  description: 'Diagnose and fix rendering issues in Flutter widgets',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      widgetCode: {
+        type: 'string',
+        description: 'Widget code with potential rendering issues',
+      },
+      checkConstraints: {
+        type: 'boolean',
+        description: 'Check for constraint and infinite dimension issues',
+        default: true,
+      },
+      includeVisualizations: {
+        type: 'boolean',
+        description: 'Include debug visualization code',
+        default: true,
+      },
+    },
+    required: ['widgetCode'],
+  },
+  handler: diagnoseRenderIssues,
+  findings: ({ issues }) => [
+    ...issues.overflowErrors,
+    ...issues.constraintViolations,
+    ...issues.infiniteDimensions,
+    ...issues.layoutIssues,
+  ],
+};
@@ -1,3 +1,21 @@
+import { parseDart } from '../utils/dartParser.js';
+import {
+  visit,
+  findNodes,
+  findNodesOfType,
+  findAncestor,
+  findMethod,
+  getFields,
+  getFunctions,
+  getPositionalArguments,
+  hasNamedArgument,
+  isInvocationOf,
+  sourceOf,
+  typeToString,
+  buildWidgetTree,
+  flattenWidgetTree,
+} from '../utils/dartAst.js';
+
 export async function traceStateFlow(args) {
   const { widgetCode, stateManagementType = 'auto', includeVisualization = true } = args;
   
@@ -10,21 +28,23 @@ export async function traceStateFlow(args) {
       optimizationOpportunities: [],
     };
     
+    const parsed = parseDart(widgetCode);
+
     // Detect state management type
     const detectedType = stateManagementType === 'auto' ? 
-      detectStateManagement(widgetCode) : stateManagementType;
+      detectStateManagement(parsed) : stateManagementType;
     
     // Trace state changes
-    stateFlow.stateChanges = traceStateChanges(widgetCode, detectedType);
+    stateFlow.stateChanges = traceStateChanges(parsed, detectedType);
     
     // Identify rebuilds
-    stateFlow.rebuilds = identifyRebuilds(widgetCode);
+    stateFlow.rebuilds = identifyRebuilds(parsed);
     
     // Map data flow
-    stateFlow.dataFlow = mapDataFlow(widgetCode, detectedType);
+    stateFlow.dataFlow = mapDataFlow(parsed, detectedType);
     
     // Detect mutations
-    stateFlow.mutations = detectStateMutations(widgetCode);
+    stateFlow.mutations = detectStateMutations(parsed);
     
     // Find optimization opportunities
     stateFlow.optimizationOpportunities = findOptimizations(stateFlow);
@@ -63,100 +83,106 @@ export async function traceStateFlow(args) {
   }
 }
 
-function detectStateManagement(code) {
-  if (code.includes('Provider.of') || code.includes('context.watch')) return 'provider';
-  if (code.includes('BlocBuilder') || code.includes('BlocProvider')) return 'bloc';
-  if (code.includes('GetX') || code.includes('Obx')) return 'getx';
-  if (code.includes('Consumer') && code.includes('ChangeNotifier')) return 'provider';
-  if (code.includes('StreamBuilder')) return 'streams';
-  if (code.includes('ValueListenableBuilder')) return 'value_notifier';
-  if (code.includes('setState')) return 'setState';
+function detectStateManagement(parsed) {
+  const { unit } = parsed;
+  const createdTypes = new Set(findNodesOfType(unit, 'InstanceCreationExpression').map(node => node.typeName));
+  const createdNames = new Set(findNodesOfType(unit, 'InstanceCreationExpression').map(node => node.name));
+  const supertypes = new Set(unit.declarations.flatMap(declaration => [
+    declaration.superclass?.name,
+    ...(declaration.mixins || []).map(type => type.name),
+  ]).filter(Boolean));
+
+  if (createdNames.has('Provider.of') || findContextCalls(unit, ['watch']).length > 0) return 'provider';
+  if (['BlocBuilder', 'BlocProvider', 'BlocConsumer', 'BlocListener'].some(type => createdTypes.has(type))) return 'bloc';
+  if (['GetX', 'Obx', 'GetBuilder'].some(type => createdTypes.has(type))) return 'getx';
+  if (createdTypes.has('Consumer') && supertypes.has('ChangeNotifier')) return 'provider';
+  if (createdTypes.has('StreamBuilder')) return 'streams';
+  if (createdTypes.has('ValueListenableBuilder')) return 'value_notifier';
+  if (findNodes(unit, node => isInvocationOf(node, 'setState')).length > 0) return 'setState';
   return 'unknown';
 }
 
-function traceStateChanges(code, stateType) {
+function traceStateChanges(parsed, stateType) {
   const changes = [];
+  const { unit } = parsed;
   
   if (stateType === 'setState') {
     // Find all setState calls
-    const setStatePattern = /setState\s*\(\s*\(\)\s*(?:=>\s*)?{([^}]*)}\s*\)/g;
-    const matches = [...code.matchAll(setStatePattern)];
-    
-    matches.forEach((match, index) => {
-      const stateUpdate = match[1].trim();
-      changes.push({
-        id: `setState_${index}`,
-        type: 'setState',
-        trigger: findTrigger(code, match.index),
-        updates: parseStateUpdates(stateUpdate),
-        location: findLineNumber(code, match.index),
-        impact: estimateImpact(code, match.index),
+    findNodesWithAncestors(unit, node => isInvocationOf(node, 'setState') && !node.target)
+      .forEach(({ node, ancestors }, index) => {
+        const callback = getPositionalArguments(node)[0];
+        changes.push({
+          id: `setState_${index}`,
+          type: 'setState',
+          trigger: findTrigger(ancestors),
+          updates: callback ? parseStateUpdates(parsed, callback) : [],
+          location: node.span.line,
+          impact: estimateImpact(ancestors),
+        });
       });
-    });
   } else if (stateType === 'provider') {
     // Find Provider state changes
-    const notifyPattern = /notifyListeners\s*\(\)/g;
-    const contextReadPattern = /context\.(read|watch)<([^>]+)>/g;
-    
-    [...code.matchAll(notifyPattern)].forEach((match, index) => {
-      changes.push({
-        id: `notify_${index}`,
-        type: 'notifyListeners',
-        trigger: findTrigger(code, match.index),
-        location: findLineNumber(code, match.index),
-        scope: 'provider',
+    findNodesWithAncestors(unit, node => isInvocationOf(node, 'notifyListeners'))
+      .forEach(({ node, ancestors }, index) => {
+        changes.push({
+          id: `notify_${index}`,
+          type: 'notifyListeners',
+          trigger: findTrigger(ancestors),
+          location: node.span.line,
+          scope: 'provider',
+        });
       });
-    });
     
-    [...code.matchAll(contextReadPattern)].forEach((match, index) => {
-      changes.push({
-        id: `provider_${index}`,
-        type: match[1] === 'read' ? 'read' : 'watch',
-        provider: match[2],
-        location: findLineNumber(code, match.index),
-        rebuilds: match[1] === 'watch',
+    findContextCalls(unit, ['read', 'watch'])
+      .filter(node => node.typeArguments?.length)
+      .forEach((node, index) => {
+        changes.push({
+          id: `provider_${index}`,
+          type: node.methodName,
+          provider: typeToString(node.typeArguments[0]),
+          location: node.span.line,
+          rebuilds: node.methodName === 'watch',
+        });
       });
-    });
   }
   
   return changes;
 }
 
-function identifyRebuilds(code) {
+function identifyRebuilds(parsed) {
   const rebuilds = [];
+  const { unit } = parsed;
   
-  // Check for unnecessary rebuilds
-  const buildMethodPattern = /Widget\s+build\s*\([^)]*\)\s*{/g;
-  const buildMethods = [...code.matchAll(buildMethodPattern)];
-  
-  buildMethods.forEach((match, index) => {
-    const methodEnd = findMatchingBrace(code, match.index);
-    const buildContent = code.substring(match.index, methodEnd);
+  findNodesWithAncestors(unit, node => (
+    (node.type === 'MethodDeclaration' || node.type === 'FunctionDeclaration') && node.name === 'build' && node.body
+  )).forEach(({ node: method, ancestors }) => {
+    const owner = findAncestor(ancestors, 'ClassDeclaration');
+    const creations = findNodesOfType(method.body, 'InstanceCreationExpression');
     
     const rebuild = {
-      widget: findWidgetName(code, match.index),
-      location: findLineNumber(code, match.index),
+      widget: owner ? owner.name : 'Unknown',
+      location: method.span.line,
       triggers: [],
       frequency: 'unknown',
       necessary: true,
     };
     
     // Check what triggers rebuilds
-    if (buildContent.includes('setState')) {
+    if (findNodes(method.body, node => isInvocationOf(node, 'setState')).length > 0) {
       rebuild.triggers.push('setState');
     }
-    if (buildContent.includes('context.watch')) {
+    if (findContextCalls(method.body, ['watch']).length > 0) {
       rebuild.triggers.push('provider_watch');
     }
-    if (buildContent.includes('StreamBuilder')) {
+    if (creations.some(node => node.typeName === 'StreamBuilder')) {
       rebuild.triggers.push('stream_updates');
     }
     
     // Check for unnecessary rebuilds
-    if (buildContent.includes('MediaQuery.of(context)')) {
+    if (creations.some(node => node.name === 'MediaQuery.of')) {
       rebuild.unnecessary = 'MediaQuery causes rebuild on size changes';
     }
-    if (buildContent.includes('Theme.of(context)')) {
+    if (creations.some(node => node.name === 'Theme.of')) {
       rebuild.unnecessary = 'Theme causes rebuild on theme changes';
     }
     
@@ -166,7 +192,8 @@ function identifyRebuilds(code) {
   return rebuilds;
 }
 
-function mapDataFlow(code, stateType) {
+function mapDataFlow(parsed, stateType) {
+  const { unit } = parsed;
   const dataFlow = {
     sources: [],
     transformations: [],
@@ -175,43 +202,37 @@ function mapDataFlow(code, stateType) {
   };
   
   // Identify data sources
-  if (code.includes('Future') || code.includes('async')) {
+  const asyncMethods = findAsyncMethods(unit);
+  if (asyncMethods.length > 0) {
     dataFlow.sources.push({
       type: 'async',
-      methods: findAsyncMethods(code),
+      methods: asyncMethods,
     });
   }
   
-  if (code.includes('Stream')) {
+  const streams = findStreams(unit);
+  if (streams.length > 0) {
     dataFlow.sources.push({
       type: 'stream',
-      streams: findStreams(code),
+      streams,
     });
   }
   
   // Map transformations
-  const mapPattern = /\.map\s*\(/g;
-  const wherePattern = /\.where\s*\(/g;
-  
-  [...code.matchAll(mapPattern)].forEach(match => {
-    dataFlow.transformations.push({
-      type: 'map',
-      location: findLineNumber(code, match.index),
-    });
-  });
-  
-  [...code.matchAll(wherePattern)].forEach(match => {
-    dataFlow.transformations.push({
-      type: 'filter',
-      location: findLineNumber(code, match.index),
+  findNodes(unit, node => isInvocationOf(node, 'map') || isInvocationOf(node, 'where'))
+    .forEach(node => {
+      dataFlow.transformations.push({
+        type: node.methodName === 'map' ? 'map' : 'filter',
+        location: node.span.line,
+      });
     });
-  });
   
   // Find consumers
-  if (code.includes('builder:')) {
+  const builderWidgets = findBuilderWidgets(unit);
+  if (builderWidgets.length > 0) {
     dataFlow.consumers.push({
       type: 'builder',
-      widgets: findBuilderWidgets(code),
+      widgets: builderWidgets,
     });
   }
   
@@ -221,38 +242,46 @@ function mapDataFlow(code, stateType) {
   return dataFlow;
 }
 
-function detectStateMutations(code) {
+const MUTATING_METHODS = new Set(['add', 'addAll', 'remove', 'removeAt', 'removeWhere', 'insert', 'clear', 'sort']);
+
+function detectStateMutations(parsed) {
   const mutations = [];
-  
-  // Direct mutations
-  const directMutationPattern = /(\w+)\.add\(|(\w+)\.remove\(|(\w+)\.clear\(|(\w+)\[.+\]\s*=/g;
-  const matches = [...code.matchAll(directMutationPattern)];
-  
-  matches.forEach(match => {
-    mutations.push({
-      type: 'direct_mutation',
-      variable: match[1] || match[2] || match[3] || match[4],
-      location: findLineNumber(code, match.index),
-      severity: 'high',
-      issue: 'Direct state mutation can cause unexpected behavior',
-      fix: 'Create a new instance instead of mutating',
-    });
-  });
-  
-  // Mutations inside setState
-  const setStatePattern = /setState\s*\([^{]*{([^}]*)}/g;
-  const setStateMatches = [...code.matchAll(setStatePattern)];
-  
-  setStateMatches.forEach(match => {
-    const content = match[1];
-    if (content.includes('.add(') || content.includes('.remove(')) {
+  const { unit } = parsed;
+  const fieldNames = new Set(unit.declarations.flatMap(declaration => (
+    getFields(declaration).flatMap(field => field.variables.map(variable => variable.name))
+  )));
+  // Without class declarations (fragments) every collection is treated as state.
+  const isState = name => name && (fieldNames.size === 0 || fieldNames.has(name));
+  
+  const candidates = findNodesWithAncestors(unit, node => (
+    (node.type === 'MethodInvocation' && MUTATING_METHODS.has(node.methodName) && node.target)
+    || (node.type === 'AssignmentExpression' && node.left.type === 'IndexExpression' && node.left.target)
+  ));
+  
+  candidates.forEach(({ node, ancestors }) => {
+    const target = node.type === 'MethodInvocation' ? node.target : node.left.target;
+    const variable = target.type === 'Identifier' || target.type === 'PropertyAccess' ? target.name : null;
+    if (!isState(variable)) return;
+    
+    const insideSetState = ancestors.some(ancestor => isInvocationOf(ancestor, 'setState'));
+    if (insideSetState) {
       mutations.push({
         type: 'mutation_in_setState',
-        location: findLineNumber(code, match.index),
+        variable,
+        location: node.span.line,
         severity: 'medium',
         issue: 'Mutating collections inside setState',
         fix: 'Use spread operator or List.from() to create new list',
       });
+    } else {
+      mutations.push({
+        type: 'direct_mutation',
+        variable,
+        location: node.span.line,
+        severity: 'high',
+        issue: 'Direct state mutation can cause unexpected behavior',
+        fix: 'Create a new instance instead of mutating',
+      });
     }
   });
   
@@ -568,111 +597,117 @@ class StatePerformanceMonitor {
 }
 
 // Helper functions
-function findTrigger(code, position) {
-  const before = code.substring(Math.max(0, position - 200), position);
-  if (before.includes('onPressed:')) return 'button_press';
-  if (before.includes('onTap:')) return 'tap';
-  if (before.includes('onChanged:')) return 'input_change';
-  if (before.includes('Timer')) return 'timer';
+function findNodesWithAncestors(root, predicate) {
+  const found = [];
+  visit(root, (node, ancestors) => {
+    if (predicate(node, ancestors)) found.push({ node, ancestors: [...ancestors] });
+  });
+  return found;
+}
+
+// `context.read<T>()`, `context.watch<T>()` and friends.
+function findContextCalls(root, methodNames) {
+  return findNodes(root, node => (
+    node.type === 'MethodInvocation' && methodNames.includes(node.methodName)
+    && node.target?.type === 'Identifier' && node.target.name === 'context'
+  ));
+}
+
+function findTrigger(ancestors) {
+  for (let i = ancestors.length - 1; i >= 0; i--) {
+    const node = ancestors[i];
+    if (node.type === 'NamedArgument') {
+      if (node.name === 'onPressed') return 'button_press';
+      if (node.name === 'onTap') return 'tap';
+      if (node.name === 'onChanged') return 'input_change';
+    }
+    if (node.type === 'InstanceCreationExpression' && node.typeName === 'Timer') return 'timer';
+  }
   return 'unknown';
 }
 
-function parseStateUpdates(stateUpdate) {
+function parseStateUpdates(parsed, callback) {
   const updates = [];
-  const lines = stateUpdate.split(';').filter(l => l.trim());
+  const body = callback.type === 'FunctionExpression' ? callback.body : callback;
   
-  lines.forEach(line => {
-    const match = line.match(/(\w+)\s*=\s*(.+)/);
-    if (match) {
+  findNodes(body, node => node.type === 'AssignmentExpression' && node.operator === '=')
+    .forEach(node => {
       updates.push({
-        variable: match[1],
-        value: match[2].trim(),
+        variable: sourceOf(parsed, node.left),
+        value: sourceOf(parsed, node.right),
       });
-    }
+    });
+  
+  findNodes(body, node => (
+    (node.type === 'PostfixExpression' || node.type === 'PrefixExpression')
+    && ['++', '--'].includes(node.operator)
+  )).forEach(node => {
+    updates.push({
+      variable: sourceOf(parsed, node.operand),
+      value: sourceOf(parsed, node),
+    });
   });
   
   return updates;
 }
 
-function findLineNumber(code, index) {
-  return code.substring(0, index).split('\n').length;
-}
-
-function estimateImpact(code, position) {
-  const after = code.substring(position, Math.min(code.length, position + 500));
-  if (after.includes('build(')) return 'full_tree';
-  if (after.includes('child')) return 'subtree';
+// How much of the tree a setState rebuilds, judged by the size of the
+// enclosing State's build method.
+function estimateImpact(ancestors) {
+  const owner = findAncestor(ancestors, 'ClassDeclaration');
+  const build = owner ? findMethod(owner, 'build') : null;
+  if (!build || !build.body) return 'local';
+  
+  const widgetCount = flattenWidgetTree(buildWidgetTree(build.body)).length;
+  if (widgetCount >= 15) return 'full_tree';
+  if (widgetCount > 1) return 'subtree';
   return 'local';
 }
 
-function findMatchingBrace(code, start) {
-  let count = 0;
-  let inString = false;
-  let stringChar = '';
-  
-  for (let i = start; i < code.length; i++) {
-    const char = code[i];
-    
-    if (!inString && (char === '"' || char === "'")) {
-      inString = true;
-      stringChar = char;
-    } else if (inString && char === stringChar) {
-      inString = false;
-    }
-    
-    if (!inString) {
-      if (char === '{') count++;
-      if (char === '}') count--;
-      if (count === 0 && i > start) return i;
-    }
-  }
-  
-  return code.length;
-}
-
-function findWidgetName(code, position) {
-  const before = code.substring(Math.max(0, position - 100), position);
-  const match = before.match(/class\s+(\w+)\s+extends/);
-  return match ? match[1] : 'Unknown';
+function findAsyncMethods(unit) {
+  return getFunctions(unit)
+    .filter(method => method.isAsync)
+    .map(method => method.name);
 }
 
-function findAsyncMethods(code) {
-  const methods = [];
-  const pattern = /(\w+)\s*\([^)]*\)\s*async/g;
-  const matches = [...code.matchAll(pattern)];
-  
-  matches.forEach(match => {
-    methods.push(match[1]);
-  });
-  
-  return methods;
-}
-
-function findStreams(code) {
+function findStreams(unit) {
   const streams = [];
-  const pattern = /Stream<([^>]+)>\s+(\w+)/g;
-  const matches = [...code.matchAll(pattern)];
   
-  matches.forEach(match => {
-    streams.push({
-      type: match[1],
-      name: match[2],
+  const declarations = findNodesOfType(unit, 'FieldDeclaration', 'TopLevelVariableDeclaration', 'VariableDeclarationStatement');
+  declarations.forEach(declaration => {
+    const declaredType = declaration.fieldType || declaration.varType;
+    if (declaredType?.type !== 'NamedType' || declaredType.name !== 'Stream') return;
+    
+    declaration.variables.forEach(variable => {
+      streams.push({
+        type: declaredType.typeArguments.map(typeToString).join(', ') || 'dynamic',
+        name: variable.name,
+      });
     });
   });
   
+  getFunctions(unit)
+    .filter(method => method.isGetter && method.returnType?.name === 'Stream')
+    .forEach(getter => {
+      streams.push({
+        type: getter.returnType.typeArguments.map(typeToString).join(', ') || 'dynamic',
+        name: getter.name,
+      });
+    });
+  
   return streams;
 }
 
-function findBuilderWidgets(code) {
+function findBuilderWidgets(unit) {
   const builders = [];
-  const pattern = /(\w+Builder)/g;
-  const matches = [...code.matchAll(pattern)];
   
-  matches.forEach(match => {
-    if (!builders.includes(match[1])) {
-      builders.push(match[1]);
-    }
-  });
+  findNodesOfType(unit, 'InstanceCreationExpression')
+    .filter(node => node.typeName.endsWith('Builder') && hasNamedArgument(node, 'builder'))
+    .forEach(node => {
+      if (!builders.includes(node.typeName)) {
+        builders.push(node.typeName);
+      }
+    });
   
   return builders;
 }
@@ -693,4 +728,33 @@ function createFlowPath(dataFlow) {
   });
   
   return path;
-}
\ No newline at end of file
+}
+
+export const tool = {
+  name: 'trace_state',
+  version: '1.0.0',
+  tags: ['analysis', 'state'],
+  description: 'Trace state flow and rebuilds in Flutter widgets with optimization recommendations',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      widgetCode: {
+        type: 'string',
+        description: 'Widget code to trace state in',
+      },
+      stateManagementType: {
+        type: 'string',
+        enum: ['auto', 'setState', 'provider', 'bloc', 'getx', 'streams', 'value_notifier'],
+        description: 'State management approach used by the code',
+        default: 'auto',
+      },
+      includeVisualization: {
+        type: 'boolean',
+        description: 'Generate state flow visualization',
+        default: true,
+      },
+    },
+    required: ['widgetCode'],
+  },
+  handler: traceStateFlow,
+};
@@ -1,14 +1,39 @@
-import { parseFlutterCode } from '../utils/parser.js';
+import fs from 'fs/promises';
+import { isAbsolute, relative, resolve, sep } from 'path';
+import { noopToolContext } from '../utils/toolContext.js';
+import { isAbortError } from '../utils/errorHandler.js';
+import { parseLcov, coveragePercent } from '../utils/lcovParser.js';
+import { parseUnifiedDiff } from '../utils/diffParser.js';
+import { diffAgainstBase, currentRevision } from '../utils/git.js';
+import { getCoverageHistory } from '../cache/coverageHistory.js';
 
-export async function analyzeTestCoverage(args) {
-  const { projectPath, includeVisualReport = true, threshold = 80 } = args;
+const DEFAULT_LCOV_PATH = 'coverage/lcov.info';
+
+export async function analyzeTestCoverage(args, context = noopToolContext) {
+  const {
+    projectPath,
+    lcov,
+    lcovPath = DEFAULT_LCOV_PATH,
+    includeVisualReport = true,
+    threshold = 80,
+    diff,
+    baseRef,
+    recordHistory = true,
+  } = args;
+  const patchThreshold = args.patchThreshold ?? context.config.coverage?.patchThreshold ?? 80;
   
   try {
-    // Simulate test coverage analysis
-    const coverageData = await gatherCoverageData(projectPath);
+    const coverageData = await gatherCoverageData({ projectPath, lcov, lcovPath });
+    context.throwIfCancelled();
     const analysis = analyzeCoverageGaps(coverageData);
-    const recommendations = generateCoverageRecommendations(analysis, threshold);
-    const visualReport = includeVisualReport ? generateVisualReport(coverageData) : null;
+    const patchCoverage = diff || baseRef
+      ? await analyzePatchCoverage({ projectPath, diff, baseRef }, coverageData, patchThreshold, context.signal)
+      : null;
+    const trends = projectPath
+      ? await trackCoverageHistory({ projectPath, branch: args.branch, commit: args.commit, recordHistory }, coverageData, context.signal)
+      : null;
+    const recommendations = generateCoverageRecommendations(analysis, threshold, patchCoverage);
+    const visualReport = includeVisualReport ? generateVisualReport(coverageData, trends) : null;
     
     return {
       content: [
@@ -21,7 +46,11 @@ export async function analyzeTestCoverage(args) {
               branchCoverage: coverageData.branches,
               functionCoverage: coverageData.functions,
               status: coverageData.overall >= threshold ? 'PASSING' : 'FAILING',
+              files: coverageData.files.length,
+              source: coverageData.source,
             },
+            ...(patchCoverage && { patchCoverage }),
+            trends,
             byFile: coverageData.files,
             uncoveredCode: analysis.uncoveredAreas,
             criticalGaps: analysis.criticalGaps,
@@ -33,6 +62,9 @@ export async function analyzeTestCoverage(args) {
       ],
     };
   } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
     return {
       content: [
         {
@@ -44,56 +76,153 @@ export async function analyzeTestCoverage(args) {
   }
 }
 
-async function gatherCoverageData(projectPath) {
-  // Simulate gathering coverage data
-  // In real implementation, this would parse lcov.info or coverage reports
-  
+// Reads the lcov report (inline, or from `lcovPath` under the project) and
+// computes line, function and branch coverage per file and overall. Files
+// without instrumented lines are left out.
+async function gatherCoverageData({ projectPath, lcov, lcovPath }) {
+  if (!lcov && !projectPath) {
+    throw new Error('Either projectPath or lcov is required');
+  }
+
+  const root = projectPath ? resolve(projectPath) : null;
+  let text = lcov;
+  let source = 'inline';
+  if (!text) {
+    const file = resolve(root, lcovPath);
+    source = relative(root, file).split(sep).join('/');
+    try {
+      text = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      throw new Error(`No coverage report at ${file}. Run \`flutter test --coverage\` first, or pass the lcov data as \`lcov\``);
+    }
+  }
+
+  const records = parseLcov(text)
+    .filter(record => record.lines.total > 0)
+    .map(record => ({ ...record, path: projectRelativePath(record.path, root) }));
+
+  const files = records
+    .map(record => ({
+      path: record.path,
+      coverage: coveragePercent(record.lines),
+      lines: record.lines,
+      functions: record.functions,
+      branches: record.branches,
+      uncoveredLines: [...record.lineHits]
+        .filter(([, hits]) => hits === 0)
+        .map(([line]) => line)
+        .sort((a, b) => a - b),
+    }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+
+  const total = key => files.reduce((sum, file) => ({
+    covered: sum.covered + file[key].covered,
+    total: sum.total + file[key].total,
+  }), { covered: 0, total: 0 });
+  const lines = coveragePercent(total('lines'));
+
   return {
-    overall: 75.5,
-    lines: 78.2,
-    branches: 68.4,
-    functions: 82.1,
-    files: [
-      {
-        path: 'lib/widgets/home_widget.dart',
-        coverage: 92.3,
-        lines: { covered: 120, total: 130 },
-        uncoveredLines: [45, 67, 89, 90, 91, 102, 103, 104, 115, 125],
-      },
-      {
-        path: 'lib/services/api_service.dart',
-        coverage: 65.4,
-        lines: { covered: 85, total: 130 },
-        uncoveredLines: generateUncoveredLines(45),
-      },
-      {
-        path: 'lib/models/user_model.dart',
-        coverage: 100,
-        lines: { covered: 45, total: 45 },
-        uncoveredLines: [],
-      },
-      {
-        path: 'lib/widgets/profile_widget.dart',
-        coverage: 45.2,
-        lines: { covered: 47, total: 104 },
-        uncoveredLines: generateUncoveredLines(57),
-      },
-      {
-        path: 'lib/utils/validators.dart',
-        coverage: 88.9,
-        lines: { covered: 40, total: 45 },
-        uncoveredLines: [12, 23, 34, 41, 42],
-      },
-    ],
+    source,
+    overall: lines ?? 0,
+    lines,
+    branches: coveragePercent(total('branches')),
+    functions: coveragePercent(total('functions')),
+    files,
+    lineHits: new Map(records.map(record => [record.path, record.lineHits])),
   };
 }
 
-function generateUncoveredLines(count) {
-  const lines = [];
-  for (let i = 0; i < count; i++) {
-    lines.push(Math.floor(Math.random() * 200) + 1);
+// Coverage of the lines a change adds or modifies, from a unified diff or
+// the diff against `baseRef` in the project's git repository. Changed lines
+// that are not instrumented (comments, declarations) are not counted. A
+// changed library file that no test loads fails the patch.
+async function analyzePatchCoverage({ projectPath, diff, baseRef }, coverageData, threshold, signal) {
+  if (!diff && !projectPath) {
+    throw new Error('baseRef requires projectPath');
   }
-  return lines.sort((a, b) => a - b);
+
+  const diffText = diff || await diffAgainstBase(resolve(projectPath), baseRef, { signal });
+  const changes = parseUnifiedDiff(diffText)
+    .filter(change => change.status !== 'deleted' && change.path.endsWith('.dart') && change.changedLines.length > 0);
+
+  const files = [];
+  const filesWithoutCoverage = [];
+  changes.forEach(change => {
+    const hits = findLineHits(coverageData.lineHits, change.path);
+    if (!hits) {
+      // Test files are never in the report; library files are missing when
+      // no test imports them
+      if (/(^|\/)lib\//.test(change.path)) filesWithoutCoverage.push(change.path);
+      return;
+    }
+
+    const instrumented = change.changedLines.filter(line => hits.has(line));
+    if (instrumented.length === 0) return;
+
+    const uncoveredLines = instrumented.filter(line => hits.get(line) === 0);
+    const lines = { covered: instrumented.length - uncoveredLines.length, total: instrumented.length };
+    files.push({ path: change.path, coverage: coveragePercent(lines), lines, uncoveredLines });
+  });
+
+  const lines = files.reduce((sum, file) => ({
+    covered: sum.covered + file.lines.covered,
+    total: sum.total + file.lines.total,
+  }), { covered: 0, total: 0 });
+  const coverage = coveragePercent(lines);
+
+  return {
+    base: diff ? 'diff' : baseRef,
+    coverage,
+    lines,
+    threshold,
+    // A change without instrumented lines has nothing left to test
+    status: filesWithoutCoverage.length === 0 && (coverage === null || coverage >= threshold) ? 'PASSING' : 'FAILING',
+    files,
+    filesWithoutCoverage,
+  };
+}
+
+// Records the run under the project, branch and commit (from git unless
+// given) and returns the project's trends on that branch.
+async function trackCoverageHistory({ projectPath, branch, commit, recordHistory }, coverageData, signal) {
+  const project = resolve(projectPath);
+  const revision = await currentRevision(project, { signal });
+  const key = {
+    project,
+    branch: branch ?? revision?.branch ?? null,
+    commit: commit ?? revision?.commit ?? null,
+  };
+
+  const history = getCoverageHistory();
+  if (recordHistory) {
+    history.record({ ...key, files: coverageData.files });
+  }
+  return history.getTrends(key.project, key.branch);
+}
+
+// Diff paths are relative to the repository (or to the project with
+// baseRef); lcov paths to the project. They match when one is a suffix of
+// the other.
+function findLineHits(lineHits, path) {
+  if (lineHits.has(path)) return lineHits.get(path);
+  for (const [reportPath, hits] of lineHits) {
+    if (reportPath.endsWith(`/${path}`) || path.endsWith(`/${reportPath}`)) return hits;
+  }
+  return null;
+}
+
+// lcov paths are relative to where the tests ran (the project root) or
+// absolute; reports use POSIX paths relative to the project.
+function projectRelativePath(path, root) {
+  const normalized = path.split('\\').join('/');
+  if (root && isAbsolute(path)) {
+    const inside = relative(root, path);
+    if (!inside.startsWith('..') && !isAbsolute(inside)) {
+      return inside.split(sep).join('/');
+    }
+  }
+  return normalized.replace(/^\.\//, '');
 }
 
 function analyzeCoverageGaps(coverageData) {
@@ -105,6 +234,7 @@ function analyzeCoverageGaps(coverageData) {
       services: [],
       models: [],
       utils: [],
+      other: [],
     },
   };
   
@@ -192,9 +322,31 @@ function detectCoveragePatterns(coverageData) {
   return patterns;
 }
 
-function generateCoverageRecommendations(analysis, threshold) {
+function generateCoverageRecommendations(analysis, threshold, patchCoverage = null) {
   const recommendations = [];
   
+  // Priority 0: Changed lines without tests
+  patchCoverage?.files
+    .filter(file => file.uncoveredLines.length > 0)
+    .forEach(file => {
+      recommendations.push({
+        priority: 'critical',
+        file: file.path,
+        action: `Add tests for the changed lines ${file.uncoveredLines.join(', ')}`,
+        reason: `Patch coverage is ${patchCoverage.coverage}% (threshold ${patchCoverage.threshold}%)`,
+        suggestedTests: generateSuggestedTests(file.path),
+      });
+    });
+  patchCoverage?.filesWithoutCoverage.forEach(path => {
+    recommendations.push({
+      priority: 'critical',
+      file: path,
+      action: 'Add tests that load this changed file',
+      reason: 'No test covers any of its lines',
+      suggestedTests: generateSuggestedTests(path),
+    });
+  });
+  
   // Priority 1: Critical gaps
   analysis.criticalGaps.forEach(gap => {
     recommendations.push({
@@ -277,7 +429,7 @@ function generateSuggestedTests(filePath) {
   return suggestions;
 }
 
-function generateVisualReport(coverageData) {
+function generateVisualReport(coverageData, trends) {
   const report = {
     chart: {
       type: 'coverage_sunburst',
@@ -288,7 +440,7 @@ function generateVisualReport(coverageData) {
       },
     },
     heatmap: [],
-    trends: generateCoverageTrends(),
+    trends: trends ? trends.series : [],
   };
   
   // Group files by directory for sunburst chart
@@ -309,7 +461,7 @@ function generateVisualReport(coverageData) {
   Object.values(directories).forEach(dir => {
     const totalLines = dir.files.reduce((sum, f) => sum + f.lines.total, 0);
     const coveredLines = dir.files.reduce((sum, f) => sum + f.lines.covered, 0);
-    dir.totalCoverage = (coveredLines / totalLines) * 100;
+    dir.totalCoverage = coveragePercent({ covered: coveredLines, total: totalLines });
     
     report.chart.data.children.push({
       name: dir.name,
@@ -344,23 +496,6 @@ function getCoverageColor(coverage) {
   return '#F44336';  // Red
 }
 
-function generateCoverageTrends() {
-  // Simulate historical coverage data
-  return {
-    weekly: [
-      { week: 'W1', coverage: 68.5 },
-      { week: 'W2', coverage: 70.2 },
-      { week: 'W3', coverage: 72.8 },
-      { week: 'W4', coverage: 75.5 },
-    ],
-    monthly: [
-      { month: 'Jan', coverage: 65.0 },
-      { month: 'Feb', coverage: 68.5 },
-      { month: 'Mar', coverage: 75.5 },
-    ],
-  };
-}
-
 function generateTestCommands(analysis) {
   const commands = {
     runAllTests: 'flutter test --coverage',
@@ -380,4 +515,67 @@ function generateTestCommands(analysis) {
   });
   
   return commands;
-}
\ No newline at end of file
+}
+
+export const tool = {
+  name: 'analyze_test_coverage',
+  version: '1.0.0',
+  tags: ['testing', 'coverage', 'project'],
+  description: 'Analyze test coverage from the lcov report of `flutter test --coverage`, with detailed reports and recommendations',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      projectPath: {
+        type: 'string',
+        description: 'Path to the Flutter project root',
+      },
+      lcov: {
+        type: 'string',
+        description: 'lcov report contents, instead of reading it from the project',
+      },
+      lcovPath: {
+        type: 'string',
+        description: 'Path of the lcov report, relative to the project root',
+        default: DEFAULT_LCOV_PATH,
+      },
+      diff: {
+        type: 'string',
+        description: 'Unified diff of a change; reports the coverage of the lines it adds or modifies',
+      },
+      baseRef: {
+        type: 'string',
+        description: 'Git revision to diff the project against (e.g. origin/main) for patch coverage',
+      },
+      recordHistory: {
+        type: 'boolean',
+        description: 'Record this run in the coverage history used for trends',
+        default: true,
+      },
+      branch: {
+        type: 'string',
+        description: 'Branch to record the run under (default: the checked-out branch)',
+      },
+      commit: {
+        type: 'string',
+        description: 'Commit to record the run under (default: HEAD)',
+      },
+      patchThreshold: {
+        type: 'number',
+        description: 'Minimum patch coverage percentage (default: coverage.patchThreshold from the configuration)',
+        minimum: 0,
+        maximum: 100,
+      },
+      threshold: {
+        type: 'number',
+        description: 'Target coverage percentage',
+        default: 80,
+      },
+      includeVisualReport: {
+        type: 'boolean',
+        description: 'Generate visual coverage report',
+        default: true,
+      },
+    },
+  },
+  handler: analyzeTestCoverage,
+};
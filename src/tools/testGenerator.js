@@ -1,5 +1,12 @@
 import { parseFlutterCode } from '../utils/parser.js';
 import { analyzeCodeStructure } from '../utils/codeAnalyzer.js';
+import { parseDart } from '../utils/dartParser.js';
+import {
+  findNodes,
+  isInvocationOf,
+  buildWidgetTree,
+  flattenWidgetTree,
+} from '../utils/dartAst.js';
 
 export async function generateWidgetTest(args) {
   const { widgetCode, testFramework = 'flutter_test', includeGoldenTests = false } = args;
@@ -7,6 +14,7 @@ export async function generateWidgetTest(args) {
   try {
     const parsedCode = parseFlutterCode(widgetCode);
     const structure = analyzeCodeStructure(widgetCode);
+    const { unit } = parseDart(widgetCode);
     
     const testSuite = {
       imports: generateTestImports(parsedCode, testFramework),
@@ -20,12 +28,12 @@ export async function generateWidgetTest(args) {
     
     // Generate interaction tests
     if (structure.hasInteractiveWidgets) {
-      testSuite.tests.push(...generateInteractionTests(widgetCode, parsedCode));
+      testSuite.tests.push(...generateInteractionTests(unit, parsedCode));
     }
     
     // Generate state tests for StatefulWidgets
     if (parsedCode.classes.some(c => c.isStateful)) {
-      testSuite.tests.push(...generateStateTests(widgetCode, parsedCode));
+      testSuite.tests.push(...generateStateTests(unit, parsedCode));
     }
     
     // Generate edge case tests
@@ -67,6 +75,13 @@ export async function generateWidgetTest(args) {
   }
 }
 
+// The widget under test: the first StatefulWidget/StatelessWidget subclass,
+// rather than its State class or a helper declared before it.
+function getMainWidgetName(parsedCode) {
+  const widgetClass = parsedCode.classes.find(c => c.isStateful || c.isStateless) || parsedCode.classes[0];
+  return widgetClass?.name || 'MyWidget';
+}
+
 function generateTestImports(parsedCode, framework) {
   const imports = [
     `import 'package:${framework}/flutter_test.dart';`,
@@ -82,7 +97,7 @@ function generateTestImports(parsedCode, framework) {
 }
 
 function generateTestSetup(parsedCode) {
-  const mainWidget = parsedCode.classes[0]?.name || 'MyWidget';
+  const mainWidget = getMainWidgetName(parsedCode);
   
   return `
   Widget createWidgetUnderTest() {
@@ -96,7 +111,7 @@ function generateTestSetup(parsedCode) {
 
 function generateExistenceTests(parsedCode) {
   const tests = [];
-  const widgetName = parsedCode.classes[0]?.name || 'MyWidget';
+  const widgetName = getMainWidgetName(parsedCode);
   
   tests.push({
     name: `${widgetName} builds without error`,
@@ -107,9 +122,11 @@ function generateExistenceTests(parsedCode) {
     });`,
   });
   
-  // Test for specific widgets found in the code
+  // Test for specific widgets found in the code. `find.byType` needs the
+  // class, so named constructors (`Image.asset`) collapse onto their type.
   const commonWidgets = ['Text', 'Container', 'Column', 'Row', 'Button'];
-  parsedCode.widgets.forEach(widget => {
+  const widgetTypes = [...new Set(parsedCode.widgets.map(widget => widget.split('.')[0]))];
+  widgetTypes.forEach(widget => {
     if (commonWidgets.some(w => widget.includes(w))) {
       tests.push({
         name: `finds ${widget} widget`,
@@ -125,11 +142,16 @@ function generateExistenceTests(parsedCode) {
   return tests;
 }
 
-function generateInteractionTests(code, parsedCode) {
+function generateInteractionTests(unit, parsedCode) {
   const tests = [];
+  const widgets = flattenWidgetTree(buildWidgetTree(unit)).map(widget => widget.node);
+  const findWidget = predicate => widgets.find(predicate)?.typeName;
   
   // Test button taps
-  if (code.includes('onPressed') || code.includes('onTap')) {
+  const tappable = findWidget(node => node.arguments.some(arg => (
+    arg.type === 'NamedArgument' && (arg.name === 'onPressed' || arg.name === 'onTap')
+  )));
+  if (tappable) {
     tests.push({
       name: 'handles tap interactions',
       code: `
@@ -148,7 +170,7 @@ function generateInteractionTests(code, parsedCode) {
         ),
       );
       
-      await tester.tap(find.byType(InkWell).first);
+      await tester.tap(find.byType(${tappable}).first);
       await tester.pump();
       
       expect(tapped, isTrue);
@@ -157,14 +179,15 @@ function generateInteractionTests(code, parsedCode) {
   }
   
   // Test text input
-  if (code.includes('TextField') || code.includes('TextFormField')) {
+  const textInput = findWidget(node => node.typeName === 'TextField' || node.typeName === 'TextFormField');
+  if (textInput) {
     tests.push({
       name: 'handles text input',
       code: `
     testWidgets('handles text input', (WidgetTester tester) async {
       await tester.pumpWidget(createWidgetUnderTest());
       
-      await tester.enterText(find.byType(TextField).first, 'Test input');
+      await tester.enterText(find.byType(${textInput}).first, 'Test input');
       await tester.pump();
       
       expect(find.text('Test input'), findsOneWidget);
@@ -173,14 +196,17 @@ function generateInteractionTests(code, parsedCode) {
   }
   
   // Test scrolling
-  if (code.includes('ScrollView') || code.includes('ListView')) {
+  const scrollable = findWidget(node => (
+    ['ListView', 'GridView', 'SingleChildScrollView', 'CustomScrollView', 'PageView'].includes(node.typeName)
+  ));
+  if (scrollable) {
     tests.push({
       name: 'handles scrolling',
       code: `
     testWidgets('handles scrolling', (WidgetTester tester) async {
       await tester.pumpWidget(createWidgetUnderTest());
       
-      await tester.drag(find.byType(ListView).first, const Offset(0, -300));
+      await tester.drag(find.byType(${scrollable}).first, const Offset(0, -300));
       await tester.pump();
       
       // Verify scroll position changed
@@ -191,7 +217,7 @@ function generateInteractionTests(code, parsedCode) {
   return tests;
 }
 
-function generateStateTests(code, parsedCode) {
+function generateStateTests(unit, parsedCode) {
   const tests = [];
   const statefulWidget = parsedCode.classes.find(c => c.isStateful);
   
@@ -215,7 +241,7 @@ function generateStateTests(code, parsedCode) {
     });
     
     // Test setState behavior
-    if (code.includes('setState')) {
+    if (findNodes(unit, node => isInvocationOf(node, 'setState')).length > 0) {
       tests.push({
         name: 'setState triggers rebuild',
         code: `
@@ -296,7 +322,7 @@ function generateEdgeCaseTests(parsedCode) {
 
 function generateGoldenTests(parsedCode) {
   const goldenTests = [];
-  const widgetName = parsedCode.classes[0]?.name || 'MyWidget';
+  const widgetName = getMainWidgetName(parsedCode);
   
   goldenTests.push({
     name: 'matches golden file',
@@ -498,4 +524,32 @@ function generateTestRecommendations(parsedCode, structure) {
   });
   
   return recommendations;
-}
\ No newline at end of file
+}
+
+export const tool = {
+  name: 'generate_tests',
+  version: '1.0.0',
+  tags: ['generation', 'testing'],
+  description: 'Generate Flutter widget tests including golden tests and accessibility tests',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      widgetCode: {
+        type: 'string',
+        description: 'Widget code to generate tests for',
+      },
+      testFramework: {
+        type: 'string',
+        description: 'Test framework to import',
+        default: 'flutter_test',
+      },
+      includeGoldenTests: {
+        type: 'boolean',
+        description: 'Include golden (screenshot) tests',
+        default: false,
+      },
+    },
+    required: ['widgetCode'],
+  },
+  handler: generateWidgetTest,
+};
@@ -5,8 +5,11 @@ import { analyzePerformance } from './performanceAnalyzer.js';
 import { suggestImprovements } from './improvementSuggester.js';
 import { getCacheManager } from '../cache/cacheManager.js';
 import { getTokenManager } from '../utils/tokenManager.js';
-import { errorHandler } from '../utils/errorHandler.js';
+import { errorHandler, isAbortError } from '../utils/errorHandler.js';
+import { noopToolContext } from '../utils/toolContext.js';
+import { getConfig } from '../config/config.js';
 import { getFlutterDocsService } from '../services/flutterDocsService.js';
+import { getDocsSnapshot } from '../services/docsSnapshot.js';
 import axios from 'axios';
 import * as cheerio from 'cheerio';
 
@@ -15,8 +18,9 @@ const tokenManager = getTokenManager();
 const docsService = getFlutterDocsService();
 
 // Universal Flutter search tool
-export async function flutterSearch(args) {
-  const { query, limit = 10, maxTokens = 4000 } = args;
+export async function flutterSearch(args, context = noopToolContext) {
+  const { query, limit = 10, maxTokens = context.config.tokens.maxTokens } = args;
+  const { signal } = context;
   
   try {
     // Auto-detect query type
@@ -30,18 +34,27 @@ export async function flutterSearch(args) {
     }
     
     if (queryType.includes('package')) {
-      searchPromises.push(searchPubPackages(query));
+      searchPromises.push(searchPubPackages(query, signal, context.config.offline));
     }
     
     if (queryType.includes('code')) {
       searchPromises.push(searchCodeExamples(query));
     }
     
-    const results = await Promise.all(searchPromises);
+    // Report each source as it finishes
+    let completed = 0;
+    const results = await Promise.all(searchPromises.map(promise => promise.then(async sourceResults => {
+      completed++;
+      await context.reportProgress(completed, searchPromises.length, `Searched ${completed} of ${searchPromises.length} sources`);
+      return sourceResults;
+    })));
     const flatResults = results.flat().slice(0, limit);
     
     // Format and truncate results
     const formattedResults = formatSearchResults(flatResults);
+    if (context.config.offline) {
+      formattedResults.offline = true;
+    }
     const truncatedResults = tokenManager.smartTruncate(formattedResults, maxTokens);
     
     return {
@@ -53,6 +66,9 @@ export async function flutterSearch(args) {
       ]
     };
   } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
     return {
       content: [
         {
@@ -65,11 +81,11 @@ export async function flutterSearch(args) {
 }
 
 // Smart Flutter documentation and analysis tool
-export async function flutterAnalyze(args) {
+export async function flutterAnalyze(args, context = noopToolContext) {
   const { 
     identifier, 
     topic = 'all', 
-    maxTokens = 4000,
+    maxTokens = context.config.tokens.maxTokens,
     includeExamples = true,
     includeAnalysis = true 
   } = args;
@@ -81,14 +97,14 @@ export async function flutterAnalyze(args) {
     // Fetch relevant information based on identifier type
     if (identifierType === 'widget' || identifierType === 'class') {
       if (topic === 'all' || topic === 'docs') {
-        results.documentation = await fetchFlutterDocumentation(identifier);
+        results.documentation = await fetchFlutterDocumentation(identifier, context.signal);
       }
       
       if (includeAnalysis && (topic === 'all' || topic === 'analysis')) {
         // If code is provided, analyze it
         if (args.code) {
           results.analysis = await analyzeWidget({ widgetCode: args.code });
-          results.performance = await analyzePerformance({ code: args.code });
+          results.performance = await analyzePerformance({ widgetTree: args.code });
         }
       }
       
@@ -100,7 +116,7 @@ export async function flutterAnalyze(args) {
         packageName: identifier,
         checkDependencies: true,
         checkScores: true 
-      });
+      }, context);
     }
     
     // Generate improvement suggestions if code is provided
@@ -111,6 +127,10 @@ export async function flutterAnalyze(args) {
       });
     }
     
+    if (context.config.offline) {
+      results.offline = true;
+    }
+    
     // Truncate results to fit token limit
     const truncatedResults = tokenManager.smartTruncate(results, maxTokens);
     
@@ -123,6 +143,9 @@ export async function flutterAnalyze(args) {
       ]
     };
   } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
     return {
       content: [
         {
@@ -135,10 +158,12 @@ export async function flutterAnalyze(args) {
 }
 
 // Health check and status tool
-export async function flutterStatus(args) {
+export async function flutterStatus(args, context = noopToolContext) {
   try {
     const status = {
+      config: context.config,
       cache: cache.getStats(),
+      docsSnapshot: docsSnapshotStatus(),
       errorHandling: errorHandler.getStatus(),
       timestamp: new Date().toISOString(),
       version: '2.0.0',
@@ -248,31 +273,32 @@ async function searchFlutterDocs(query) {
   }
 }
 
-async function searchPubPackages(query) {
+async function searchPubPackages(query, signal, offline = false) {
   const cacheKey = { query, type: 'pub_search' };
-  const cached = await cache.get('pubPackage', cacheKey);
-  if (cached) return cached;
   
   try {
-    const response = await errorHandler.executeWithProtection(
-      'pub.dev',
-      async () => {
-        const res = await axios.get(`https://pub.dev/api/search?q=${encodeURIComponent(query)}`);
-        return res.data;
-      }
-    );
-    
-    const results = response.packages.map(pkg => ({
-      type: 'package',
-      name: pkg.package,
-      description: pkg.description,
-      version: pkg.version,
-      score: pkg.score
-    }));
+    const results = await cache.getOrFetch('pubPackage', cacheKey, async () => {
+      const response = await errorHandler.executeWithProtection(
+        'pub.dev',
+        async requestSignal => {
+          const res = await axios.get(`${getConfig().registries.pub}/api/search?q=${encodeURIComponent(query)}`, { signal: requestSignal });
+          return res.data;
+        },
+        { signal }
+      );
+      
+      return response.packages.map(pkg => ({
+        type: 'package',
+        name: pkg.package,
+        description: pkg.description,
+        version: pkg.version,
+        score: pkg.score
+      }));
+    }, { offline });
     
-    await cache.set('pubPackage', cacheKey, results);
-    return results;
+    return results || [];
   } catch (error) {
+    if (isAbortError(error)) throw error;
     console.error('Error searching pub packages:', error);
     return [];
   }
@@ -295,7 +321,7 @@ async function searchCodeExamples(query) {
   ];
 }
 
-async function fetchFlutterDocumentation(identifier) {
+async function fetchFlutterDocumentation(identifier, signal) {
   const cacheKey = { identifier, type: 'flutter_doc' };
   const cached = await cache.get('flutterDocs', cacheKey);
   if (cached) return cached;
@@ -306,20 +332,24 @@ async function fetchFlutterDocumentation(identifier) {
     // Determine the type and fetch accordingly
     if (identifier.startsWith('dart:')) {
       const [, library, className] = identifier.match(/dart:(\w+)\.(\w+)/) || [];
-      documentation = await docsService.fetchDartClass(className, library);
+      documentation = await docsService.fetchDartClass(className, library, { signal });
     } else if (identifier.includes(':')) {
       // Package format: package:provider/provider.dart
       const [packagePart] = identifier.split('/');
       const packageName = packagePart.split(':')[1];
-      documentation = await docsService.fetchPackageDocumentation(packageName);
+      documentation = await docsService.fetchPackageDocumentation(packageName, 'latest', { signal });
     } else {
       // Flutter widget
-      documentation = await docsService.fetchFlutterClass(identifier);
+      documentation = await docsService.fetchFlutterClass(identifier, 'widgets', { signal });
     }
     
-    await cache.set('flutterDocs', cacheKey, documentation);
+    // Stale and snapshot documentation is not cached as fresh
+    if (documentation && !documentation.stale) {
+      await cache.set('flutterDocs', cacheKey, documentation);
+    }
     return documentation;
   } catch (error) {
+    if (isAbortError(error)) throw error;
     console.error('Error fetching Flutter documentation:', error);
     return null;
   }
@@ -347,16 +377,28 @@ function formatSearchResults(results) {
       metadata: {
         url: r.url,
         version: r.version,
-        source: r.source
+        source: r.source,
+        stale: r.stale
       }
     }))
   };
 }
 
+function docsSnapshotStatus() {
+  const snapshot = getDocsSnapshot();
+  return {
+    version: snapshot.version,
+    flutterVersion: snapshot.flutterVersion,
+    classes: snapshot.classes.length
+  };
+}
+
 // Export consolidated tools
-export const unifiedTools = [
+export const tools = [
   {
     name: 'flutter_search',
+    version: '2.0.0',
+    tags: ['search', 'docs', 'pub'],
     description: 'Universal search across Flutter/Dart documentation, packages, and examples',
     inputSchema: {
       type: 'object',
@@ -371,7 +413,7 @@ export const unifiedTools = [
         },
         maxTokens: {
           type: 'number',
-          description: 'Maximum tokens in response (default: 4000)'
+          description: 'Maximum tokens in response (default: tokens.maxTokens from the configuration, 4000)'
         }
       },
       required: ['query']
@@ -380,6 +422,8 @@ export const unifiedTools = [
   },
   {
     name: 'flutter_analyze',
+    version: '2.0.0',
+    tags: ['docs', 'analysis'],
     description: 'Smart Flutter documentation fetcher and code analyzer',
     inputSchema: {
       type: 'object',
@@ -398,7 +442,7 @@ export const unifiedTools = [
         },
         maxTokens: {
           type: 'number',
-          description: 'Maximum tokens in response (default: 4000)'
+          description: 'Maximum tokens in response (default: tokens.maxTokens from the configuration, 4000)'
         },
         includeExamples: {
           type: 'boolean',
@@ -415,7 +459,9 @@ export const unifiedTools = [
   },
   {
     name: 'flutter_status',
-    description: 'Health check and cache statistics',
+    version: '2.0.0',
+    tags: ['status'],
+    description: 'Health check, cache statistics and the resolved configuration',
     inputSchema: {
       type: 'object',
       properties: {}
@@ -425,6 +471,7 @@ export const unifiedTools = [
 ];
 
 // Backward compatibility exports
+export { tools as unifiedTools };
 export { flutterSearch as searchFlutterResources };
 export { flutterAnalyze as analyzeFlutterCode };
 export { flutterStatus as healthCheck };
\ No newline at end of file
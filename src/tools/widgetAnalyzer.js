@@ -1,14 +1,32 @@
-import { parseFlutterCode } from '../utils/parser.js';
+import { parseDart } from '../utils/dartParser.js';
+import {
+  findNodes,
+  getClasses,
+  getSuperclassName,
+  getFields,
+  findMethod,
+  getBuildMethods,
+  hasNamedArgument,
+  isInvocationOf,
+  buildWidgetTree,
+  flattenWidgetTree,
+  findConstCandidates,
+  findAssignedName,
+  collectReleasedTargets,
+} from '../utils/dartAst.js';
 import { getFlutterBestPractices } from '../validators/bestPractices.js';
 import { getCacheManager } from '../cache/cacheManager.js';
+import { noopToolContext } from '../utils/toolContext.js';
+import { applyRuleConfig } from '../config/config.js';
 
 const cache = getCacheManager();
 
-export async function analyzeWidget(args) {
+export async function analyzeWidget(args, context = noopToolContext) {
   const { widgetCode, checkAccessibility = true, checkPerformance = true } = args;
+  const { rules } = context.config;
   
   // Check cache first
-  const cacheKey = { widgetCode, checkAccessibility, checkPerformance };
+  const cacheKey = { widgetCode, checkAccessibility, checkPerformance, rules };
   const cachedResult = await cache.get('widgetAnalysis', cacheKey);
   if (cachedResult) {
     return cachedResult;
@@ -23,25 +41,27 @@ export async function analyzeWidget(args) {
   };
 
   try {
-    const widgetRegex = /(\w+)\s*\(/g;
-    const widgets = [...widgetCode.matchAll(widgetRegex)].map(match => match[1]);
+    const parsed = parseDart(widgetCode);
+    const widgetTree = buildWidgetTree(parsed.unit);
+    const widgets = flattenWidgetTree(widgetTree);
     metrics.widgetCount = widgets.length;
 
-    const nestingLevel = calculateNestingLevel(widgetCode);
+    const nestingLevel = widgets.reduce((max, widget) => Math.max(max, widget.depth), 0);
     metrics.nestingLevel = nestingLevel;
 
     if (checkAccessibility) {
-      const accessibilityIssues = checkAccessibilityIssues(widgetCode);
+      const accessibilityIssues = checkAccessibilityIssues(widgetTree);
       issues.push(...accessibilityIssues);
     }
 
     if (checkPerformance) {
-      const performanceIssues = checkPerformanceIssues(widgetCode, widgets);
+      const performanceIssues = checkPerformanceIssues(parsed, widgets);
       issues.push(...performanceIssues);
     }
 
-    const stateManagementIssues = checkStateManagement(widgetCode);
+    const stateManagementIssues = checkStateManagement(parsed);
     issues.push(...stateManagementIssues);
+    const reportedIssues = applyRuleConfig(issues, rules);
 
     if (nestingLevel > 5) {
       suggestions.push({
@@ -51,10 +71,12 @@ export async function analyzeWidget(args) {
       });
     }
 
-    if (!widgetCode.includes('const') && hasStaticWidgets(widgetCode)) {
+    const constCandidates = findConstCandidates(parsed.unit);
+    if (constCandidates.length > 0) {
       suggestions.push({
         type: 'performance',
         message: 'Use const constructors for widgets that don\'t change',
+        lines: constCandidates.map(node => node.span.line),
         severity: 'low',
       });
     }
@@ -65,9 +87,9 @@ export async function analyzeWidget(args) {
           type: 'text',
           text: JSON.stringify({
             metrics,
-            issues,
+            issues: reportedIssues,
             suggestions,
-            summary: generateSummary(metrics, issues, suggestions),
+            summary: generateSummary(metrics, reportedIssues, suggestions),
           }, null, 2),
         },
       ],
@@ -89,125 +111,142 @@ export async function analyzeWidget(args) {
   }
 }
 
-function calculateNestingLevel(code) {
-  let maxLevel = 0;
-  let currentLevel = 0;
-  
-  for (const char of code) {
-    if (char === '(' || char === '{' || char === '[') {
-      currentLevel++;
-      maxLevel = Math.max(maxLevel, currentLevel);
-    } else if (char === ')' || char === '}' || char === ']') {
-      currentLevel--;
-    }
-  }
-  
-  return maxLevel;
-}
-
-function checkAccessibilityIssues(code) {
+function checkAccessibilityIssues(widgetTree) {
   const issues = [];
-  
-  if (code.includes('Image') && !code.includes('semanticLabel')) {
-    issues.push({
-      type: 'accessibility',
-      message: 'Images should have semanticLabel for screen readers',
-      line: findLineNumber(code, 'Image'),
-      severity: 'medium',
-    });
-  }
-  
-  if (code.includes('IconButton') && !code.includes('tooltip')) {
-    issues.push({
-      type: 'accessibility',
-      message: 'IconButton should have a tooltip for better accessibility',
-      line: findLineNumber(code, 'IconButton'),
-      severity: 'medium',
-    });
-  }
-  
-  if ((code.includes('GestureDetector') || code.includes('InkWell')) && !code.includes('Semantics')) {
-    issues.push({
-      type: 'accessibility',
-      message: 'Interactive widgets should be wrapped with Semantics for screen readers',
-      severity: 'high',
+
+  const walk = (entries, hasSemantics) => {
+    entries.forEach(entry => {
+      const { node } = entry;
+      const insideSemantics = hasSemantics || node.typeName === 'Semantics' || node.typeName === 'MergeSemantics';
+
+      if (node.typeName === 'Image' && !hasNamedArgument(node, 'semanticLabel')
+        && !hasNamedArgument(node, 'excludeFromSemantics')) {
+        issues.push({
+          type: 'accessibility',
+          rule: 'image_semantic_label',
+          message: 'Images should have semanticLabel for screen readers',
+          line: node.span.line,
+          severity: 'medium',
+        });
+      }
+
+      if (node.typeName === 'IconButton' && !hasNamedArgument(node, 'tooltip')) {
+        issues.push({
+          type: 'accessibility',
+          rule: 'icon_button_tooltip',
+          message: 'IconButton should have a tooltip for better accessibility',
+          line: node.span.line,
+          severity: 'medium',
+        });
+      }
+
+      if ((node.typeName === 'GestureDetector' || node.typeName === 'InkWell') && !insideSemantics) {
+        issues.push({
+          type: 'accessibility',
+          rule: 'interactive_semantics',
+          message: 'Interactive widgets should be wrapped with Semantics for screen readers',
+          line: node.span.line,
+          severity: 'high',
+        });
+      }
+
+      walk(entry.children, insideSemantics);
     });
-  }
-  
+  };
+  walk(widgetTree, false);
+
   return issues;
 }
 
-function checkPerformanceIssues(code, widgets) {
+function checkPerformanceIssues(parsed, widgets) {
   const issues = [];
-  
-  if (code.includes('setState') && code.includes('build')) {
-    const setStateCount = (code.match(/setState/g) || []).length;
-    if (setStateCount > 3) {
+  const { unit } = parsed;
+
+  if (getBuildMethods(unit).length > 0) {
+    const setStateCalls = findNodes(unit, node => isInvocationOf(node, 'setState'));
+    if (setStateCalls.length > 3) {
       issues.push({
         type: 'performance',
+        rule: 'excessive_set_state',
         message: 'Multiple setState calls detected. Consider using state management solution',
+        lines: setStateCalls.map(node => node.span.line),
         severity: 'medium',
       });
     }
   }
-  
-  if (code.includes('ListView') && !code.includes('ListView.builder')) {
-    issues.push({
-      type: 'performance',
-      message: 'Use ListView.builder for better performance with large lists',
-      severity: 'medium',
+
+  widgets
+    .filter(widget => widget.node.typeName === 'ListView' && !widget.node.constructorName
+      && hasNamedArgument(widget.node, 'children'))
+    .forEach(widget => {
+      issues.push({
+        type: 'performance',
+        rule: 'listview_builder',
+        message: 'Use ListView.builder for better performance with large lists',
+        line: widget.node.span.line,
+        severity: 'medium',
+      });
     });
-  }
-  
+
   const expensiveWidgets = ['BackdropFilter', 'Opacity', 'ClipPath'];
-  expensiveWidgets.forEach(widget => {
-    if (widgets.includes(widget)) {
+  widgets
+    .filter(widget => expensiveWidgets.includes(widget.node.typeName))
+    .forEach(widget => {
       issues.push({
         type: 'performance',
-        message: `${widget} is computationally expensive. Use sparingly or consider alternatives`,
+        rule: 'expensive_widget',
+        message: `${widget.node.typeName} is computationally expensive. Use sparingly or consider alternatives`,
+        line: widget.node.span.line,
         severity: 'low',
       });
-    }
-  });
-  
+    });
+
   return issues;
 }
 
-function checkStateManagement(code) {
+const DISPOSABLE_TYPES = /Controller$|^StreamSubscription$|^Timer$|^FocusNode$|^ValueNotifier$|^ChangeNotifier$/;
+
+function checkStateManagement(parsed) {
   const issues = [];
-  
-  if (code.includes('StatefulWidget') && !code.includes('dispose')) {
-    issues.push({
-      type: 'memory',
-      message: 'StatefulWidget should implement dispose() to clean up resources',
-      severity: 'high',
-    });
-  }
-  
-  if (code.includes('StreamController') && !code.includes('.close()')) {
-    issues.push({
-      type: 'memory',
-      message: 'StreamController should be closed in dispose()',
-      severity: 'high',
+  const { unit } = parsed;
+
+  getClasses(unit)
+    .filter(classNode => getSuperclassName(classNode) === 'State')
+    .forEach(classNode => {
+      const disposableFields = getFields(classNode).filter(field => {
+        const typeName = field.fieldType?.name
+          || field.variables.map(variable => variable.initializer)
+            .find(init => init?.type === 'InstanceCreationExpression')?.typeName;
+        return typeName && DISPOSABLE_TYPES.test(typeName);
+      });
+
+      if (disposableFields.length > 0 && !findMethod(classNode, 'dispose')) {
+        issues.push({
+          type: 'memory',
+          rule: 'missing_dispose',
+          message: `${classNode.name} holds disposable resources but does not implement dispose()`,
+          line: classNode.span.line,
+          severity: 'high',
+        });
+      }
     });
-  }
-  
-  return issues;
-}
 
-function hasStaticWidgets(code) {
-  const staticWidgets = ['Text', 'Icon', 'Container', 'Padding', 'Center'];
-  return staticWidgets.some(widget => code.includes(widget));
-}
+  const released = collectReleasedTargets(unit);
+  findNodes(unit, node => node.type === 'InstanceCreationExpression' && node.typeName === 'StreamController')
+    .forEach(creation => {
+      const owner = findAssignedName(unit, creation);
+      if (owner && released.has(owner)) return;
 
-function findLineNumber(code, searchTerm) {
-  const lines = code.split('\n');
-  for (let i = 0; i < lines.length; i++) {
-    if (lines[i].includes(searchTerm)) {
-      return i + 1;
-    }
-  }
-  return null;
+      issues.push({
+        type: 'memory',
+        rule: 'unclosed_stream_controller',
+        message: 'StreamController should be closed in dispose()',
+        line: creation.span.line,
+        severity: 'high',
+      });
+    });
+
+  return issues;
 }
 
 function generateSummary(metrics, issues, suggestions) {
@@ -232,4 +271,33 @@ function calculateHealth(severityCounts) {
   if (score >= 60) return 'Good';
   if (score >= 40) return 'Fair';
   return 'Needs Improvement';
-}
\ No newline at end of file
+}
+
+export const tool = {
+  name: 'analyze_widget',
+  version: '1.0.0',
+  tags: ['analysis', 'widgets', 'accessibility', 'performance'],
+  description: 'Analyze Flutter widget code for best practices, performance, and accessibility',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      widgetCode: {
+        type: 'string',
+        description: 'The Flutter widget code to analyze',
+      },
+      checkAccessibility: {
+        type: 'boolean',
+        description: 'Check for accessibility issues',
+        default: true,
+      },
+      checkPerformance: {
+        type: 'boolean',
+        description: 'Check for performance optimizations',
+        default: true,
+      },
+    },
+    required: ['widgetCode'],
+  },
+  handler: analyzeWidget,
+  findings: result => result.issues,
+};
@@ -0,0 +1,264 @@
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+const DEFAULT_OPTIONS = {
+  port: 3000,
+  host: '127.0.0.1',
+  mcpPath: '/mcp',
+  ssePath: '/sse',
+  messagesPath: '/messages',
+  sessionTimeout: 30 * 60 * 1000,
+  allowedOrigins: null,
+};
+
+class HttpError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+  }
+}
+
+const LOCAL_HOSTNAMES = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+function parseOrigin(origin) {
+  try {
+    return new URL(origin);
+  } catch {
+    return null;
+  }
+}
+
+function isSameOrigin(origin, host) {
+  return Boolean(host) && parseOrigin(origin)?.host === host;
+}
+
+function isLocalOrigin(origin) {
+  return LOCAL_HOSTNAMES.has(parseOrigin(origin)?.hostname);
+}
+
+/**
+ * Serves MCP over HTTP. Streamable HTTP is exposed on `mcpPath`; older clients
+ * can use the SSE transport (GET `ssePath` + POST `messagesPath`). Every
+ * session gets its own Server from `createServer` and is dropped when the
+ * client deletes it, the stream closes, or it sits idle for `sessionTimeout`.
+ */
+export class McpHttpServer {
+  constructor(createServer, options = {}) {
+    this.createServer = createServer;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.sessions = new Map();
+    this.httpServer = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => this.sendError(res, error));
+    });
+    this.sweepTimer = null;
+  }
+
+  listen() {
+    const { port, host, sessionTimeout } = this.options;
+
+    return new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(port, host, () => {
+        this.httpServer.off('error', reject);
+        this.sweepTimer = setInterval(() => this.sweepIdleSessions(), Math.min(sessionTimeout, 60000));
+        this.sweepTimer.unref();
+        resolve(this.httpServer.address());
+      });
+    });
+  }
+
+  async close() {
+    clearInterval(this.sweepTimer);
+    await Promise.all([...this.sessions.keys()].map(id => this.closeSession(id)));
+    await new Promise(resolve => this.httpServer.close(() => resolve()));
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const { mcpPath, ssePath, messagesPath } = this.options;
+
+    if (!this.applyCors(req, res)) return;
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204).end();
+      return;
+    }
+
+    if (url.pathname === '/health' && req.method === 'GET') {
+      this.sendJson(res, 200, { status: 'ok', sessions: this.sessions.size });
+      return;
+    }
+
+    if (url.pathname === mcpPath) {
+      await this.handleStreamable(req, res);
+      return;
+    }
+
+    if (url.pathname === ssePath && req.method === 'GET') {
+      await this.openSseSession(res);
+      return;
+    }
+
+    if (url.pathname === messagesPath && req.method === 'POST') {
+      const session = this.getSession(url.searchParams.get('sessionId'), 'sse');
+      await session.transport.handlePostMessage(req, res, await readJsonBody(req));
+      return;
+    }
+
+    throw new HttpError(404, `Not found: ${req.method} ${url.pathname}`);
+  }
+
+  async handleStreamable(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+
+    if (sessionId) {
+      const session = this.getSession(sessionId, 'streamable');
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      throw new HttpError(400, 'Missing mcp-session-id header; send an initialize request first');
+    }
+
+    const server = this.createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: id => this.addSession(id, 'streamable', transport, server),
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) this.removeSession(transport.sessionId);
+    };
+
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+
+  async openSseSession(res) {
+    const server = this.createServer();
+    const transport = new SSEServerTransport(this.options.messagesPath, res);
+    transport.onclose = () => this.removeSession(transport.sessionId);
+
+    // connect() starts the transport, which writes the SSE headers and the
+    // endpoint event carrying the session id.
+    await server.connect(transport);
+    this.addSession(transport.sessionId, 'sse', transport, server);
+  }
+
+  addSession(id, kind, transport, server) {
+    this.sessions.set(id, { kind, transport, server, lastActivity: Date.now() });
+  }
+
+  getSession(id, kind) {
+    const session = id ? this.sessions.get(id) : null;
+    if (!session || session.kind !== kind) {
+      throw new HttpError(404, `Unknown session: ${id || '(none)'}`);
+    }
+    session.lastActivity = Date.now();
+    return session;
+  }
+
+  removeSession(id) {
+    this.sessions.delete(id);
+  }
+
+  async closeSession(id) {
+    const session = this.sessions.get(id);
+    if (!session) return;
+
+    this.sessions.delete(id);
+    try {
+      await session.server.close();
+    } catch (error) {
+      console.error(`Failed to close session ${id}:`, error.message);
+    }
+  }
+
+  sweepIdleSessions() {
+    const cutoff = Date.now() - this.options.sessionTimeout;
+    for (const [id, session] of this.sessions) {
+      if (session.lastActivity < cutoff) {
+        this.closeSession(id);
+      }
+    }
+  }
+
+  // Returns false when the request came from an origin that is not allowed.
+  // Without `allowedOrigins` only the server's own origin and localhost pass,
+  // which keeps DNS-rebound pages from reaching the server.
+  applyCors(req, res) {
+    const { origin } = req.headers;
+    const { allowedOrigins } = this.options;
+    if (!origin) return true;
+
+    const allowed = allowedOrigins
+      ? allowedOrigins.includes(origin)
+      : isSameOrigin(origin, req.headers.host) || isLocalOrigin(origin);
+    if (!allowed) {
+      this.sendJson(res, 403, { error: `Origin not allowed: ${origin}` });
+      return false;
+    }
+
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID');
+    res.setHeader('Access-Control-Expose-Headers', 'Mcp-Session-Id');
+    return true;
+  }
+
+  sendJson(res, statusCode, payload) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  }
+
+  sendError(res, error) {
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+
+    const statusCode = error.statusCode || 500;
+    if (statusCode === 500) {
+      console.error('HTTP transport error:', error);
+    }
+    this.sendJson(res, statusCode, {
+      jsonrpc: '2.0',
+      error: { code: statusCode === 500 ? -32603 : -32000, message: error.message },
+      id: null,
+    });
+  }
+}
+
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new HttpError(413, 'Request body too large');
+    }
+    chunks.push(chunk);
+  }
+
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (!text) return undefined;
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new HttpError(400, 'Request body is not valid JSON');
+  }
+}
+
+export async function startHttpServer(createServer, options = {}) {
+  const server = new McpHttpServer(createServer, options);
+  await server.listen();
+  return server;
+}
@@ -0,0 +1,122 @@
+// Edits that set messages in an ARB file while leaving everything else
+// (key order, @metadata, formatting) as it is. Offsets come from a scan of
+// the top-level members of the JSON object; the file must be valid JSON.
+
+/**
+ * The edits (see sourceEdits.js) that set `messages` (key => text) in the
+ * ARB `source`. Existing keys are replaced in place; new ones go after the
+ * key that precedes them in `order` (the template's keys, which
+ * include every key of `messages`), or after `@@locale` when none does.
+ */
+export function setArbMessages(source, messages, order) {
+  const { open, close, members } = scanMembers(source);
+  const byKey = new Map(members.map((member, index) => [member.key, { ...member, index }]));
+  const indent = members.length > 0 ? indentOf(source, members[0].start) : '  ';
+  const entry = key => `${indent}${JSON.stringify(key)}: ${JSON.stringify(messages.get(key))}`;
+  const edits = [];
+
+  messages.forEach((text, key) => {
+    const member = byKey.get(key);
+    if (member) edits.push({ start: member.valueStart, end: member.end, text: JSON.stringify(text) });
+  });
+
+  // New keys, grouped by the member they follow (null: the start of the object)
+  const groups = new Map();
+  let anchor = byKey.has('@@locale') ? withMetadata(members, byKey.get('@@locale')) : null;
+  order.forEach(key => {
+    if (byKey.has(key)) {
+      anchor = withMetadata(members, byKey.get(key));
+    } else if (messages.has(key)) {
+      if (!groups.has(anchor)) groups.set(anchor, []);
+      groups.get(anchor).push(key);
+    }
+  });
+
+  groups.forEach((keys, after) => {
+    const next = after ? members[members.indexOf(after) + 1] : members[0];
+    const lineStart = next ? source.lastIndexOf('\n', next.start) + 1 : -1;
+    if (next && /^\s*$/.test(source.slice(lineStart, next.start)) && lineStart > (after ? after.end : open)) {
+      // On lines of their own before the next member
+      edits.push({ start: lineStart, end: lineStart, text: keys.map(key => `${entry(key)},\n`).join('') });
+    } else if (after) {
+      edits.push({ start: after.end, end: after.end, text: keys.map(key => `,\n${entry(key)}`).join('') });
+    } else if (members.length > 0) {
+      edits.push({ start: open + 1, end: open + 1, text: keys.map(key => `\n${entry(key)},`).join('') });
+    } else {
+      edits.push({ start: open + 1, end: close, text: `\n${keys.map(entry).join(',\n')}\n` });
+    }
+  });
+
+  return edits;
+}
+
+// The member, or its @metadata when that comes right after it
+function withMetadata(members, member) {
+  const next = members[member.index + 1];
+  return next && next.key === `@${member.key}` ? next : members[member.index];
+}
+
+function indentOf(source, offset) {
+  const lineStart = source.lastIndexOf('\n', offset) + 1;
+  return source.slice(lineStart, offset).match(/^\s*/)[0] || '  ';
+}
+
+// { open, close, members: [{ key, start, valueStart, end }] } of the
+// top-level object
+function scanMembers(source) {
+  let pos = 0;
+  const skipSpace = () => {
+    while (/\s/.test(source[pos] || '')) pos++;
+  };
+  const skipString = () => {
+    pos++;
+    while (pos < source.length && source[pos] !== '"') pos += source[pos] === '\\' ? 2 : 1;
+    pos++;
+  };
+  const skipValue = () => {
+    if (source[pos] === '"') return skipString();
+    let depth = 0;
+    while (pos < source.length) {
+      const char = source[pos];
+      if (char === '"') {
+        skipString();
+        continue;
+      }
+      if (char === '{' || char === '[') depth++;
+      if (char === '}' || char === ']') {
+        if (depth === 0) return;
+        depth--;
+        if (depth === 0) {
+          pos++;
+          return;
+        }
+      }
+      if (char === ',' && depth === 0) return;
+      pos++;
+    }
+  };
+
+  skipSpace();
+  const open = pos;
+  pos++;
+  const members = [];
+  skipSpace();
+  while (pos < source.length && source[pos] !== '}') {
+    const start = pos;
+    skipString();
+    const key = JSON.parse(source.slice(start, pos));
+    skipSpace();
+    pos++; // :
+    skipSpace();
+    const valueStart = pos;
+    skipValue();
+    let end = pos;
+    while (end > valueStart && /\s/.test(source[end - 1])) end--;
+    members.push({ key, start, valueStart, end });
+    skipSpace();
+    if (source[pos] === ',') pos++;
+    skipSpace();
+  }
+
+  return { open, close: pos, members };
+}
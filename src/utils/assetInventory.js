@@ -0,0 +1,367 @@
+import fs from 'fs/promises';
+import { join, posix, resolve } from 'path';
+import yaml from 'yaml';
+import { tokenize } from './dartLexer.js';
+import { listDartFiles } from './projectScanner.js';
+import { throwIfAborted } from './errorHandler.js';
+
+// Inventory of a Flutter project's assets: the files that pubspec.yaml
+// declares under `flutter.assets` and `flutter.fonts`, with their resolution
+// variants (assets/2.0x/logo.png) and image dimensions, checked against the
+// string literals of the Dart code in lib/.
+
+// Directories of resolution variants: 1.5x, 2.0x, 3.0x
+const VARIANT_DIRECTORY = /^(\d+(?:\.\d+)?)x$/;
+const REQUIRED_VARIANTS = ['2.0x', '3.0x'];
+
+// Images without variants are drawn on screens up to this device pixel ratio
+const MAX_DEVICE_PIXEL_RATIO = 3;
+// Images with more than this many times the pixels they need on an axis
+const OVERSIZE_FACTOR = 2;
+
+const FILE_TYPES = {
+  image: /\.(png|jpe?g|webp|gif|bmp|svg)$/i,
+  font: /\.(ttf|otf|ttc)$/i,
+  json: /\.json$/i,
+};
+const MEASURED_IMAGE = /\.(png|jpe?g|webp)$/i;
+
+// String literals that look like a path to an asset of this package
+const ASSET_PATH = /^(?!packages\/)[^\s:\\/][^\s:\\]*\/[^\s:\\]*\.(?!dart$)[a-z0-9]+$/i;
+
+// Image providers whose widget (the enclosing call) sets the rendered size:
+// Image(image: AssetImage('...'), width: 48)
+const IMAGE_PROVIDERS = new Set(['AssetImage', 'ExactAssetImage']);
+
+const SOF_MARKERS = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+
+/**
+ * Reads the asset declarations of the project's pubspec.yaml, the declared
+ * files and the references to them in lib/. Reports the declared entries
+ * that do not exist, the assets nothing in lib/ names (`unused`), paths used
+ * in lib/ that are not declared, paths used in lib/ under a declared
+ * directory that hold no file (`referencedMissing`), images missing a 2.0x
+ * or 3.0x variant (when
+ * the project uses variants at all), and images with far more pixels than
+ * their largest rendered size needs. Sizes are in bytes.
+ */
+export async function inventoryAssets(projectPath, { signal = null } = {}) {
+  const root = resolve(projectPath);
+  let pubspec;
+  try {
+    pubspec = yaml.parse(await fs.readFile(join(root, 'pubspec.yaml'), 'utf8')) || {};
+  } catch (error) {
+    throw new Error(`Cannot read pubspec.yaml in ${root}: ${error.message}`);
+  }
+  const declarations = readDeclarations(pubspec);
+
+  const files = new Map();
+  const missing = [];
+  const variantDirectories = new Map();
+
+  for (const entry of declarations.assets) {
+    throwIfAborted(signal);
+    const paths = entry.endsWith('/')
+      ? await listDirectory(root, entry)
+      : (await fileSize(root, entry)) === null ? null : [entry];
+    if (!paths) {
+      missing.push(entry);
+      continue;
+    }
+    for (const path of paths) {
+      if (files.has(path)) continue;
+      const file = await describeFile(root, path);
+      file.variants = await findVariants(root, path, variantDirectories);
+      files.set(path, file);
+    }
+  }
+
+  for (const font of declarations.fonts) {
+    for (const path of font.assets) {
+      throwIfAborted(signal);
+      if (files.has(path)) continue;
+      if ((await fileSize(root, path)) === null) {
+        missing.push(path);
+      } else {
+        files.set(path, { ...await describeFile(root, path), family: font.family });
+      }
+    }
+  }
+
+  const { references, literals } = await findReferences(root, signal);
+  const assets = [...files.values()].filter(file => !file.family);
+  const exact = new Map();
+  const prefixes = [];
+  references.forEach(reference => {
+    if (reference.prefix) {
+      prefixes.push(reference.value);
+    } else {
+      exact.set(reference.value, [...(exact.get(reference.value) || []), reference]);
+    }
+  });
+
+  // Referenced by path, by its directory ('assets/translations'), or by an
+  // interpolated path starting like it ('assets/flags/$code.png')
+  const isUsed = path => exact.has(path)
+    || literals.has(posix.dirname(path)) || literals.has(`${posix.dirname(path)}/`)
+    || prefixes.some(prefix => path.startsWith(prefix));
+
+  const declaredDirectories = new Set(declarations.assets.filter(entry => entry.endsWith('/')));
+  const variantPaths = new Set(assets.flatMap(file => file.variants.map(variant => variant.path)));
+  const isDeclared = path => files.has(path) || variantPaths.has(path) || missing.includes(path)
+    || declaredDirectories.has(`${posix.dirname(path)}/`);
+
+  const undeclared = [];
+  const referencedMissing = [];
+  for (const [path, pathReferences] of exact) {
+    const locations = pathReferences.map(({ file, line }) => ({ file, line }));
+    if (!isDeclared(path)) {
+      undeclared.push({ path, exists: (await fileSize(root, path)) !== null, references: locations });
+    } else if (!files.has(path) && !variantPaths.has(path) && !missing.includes(path)) {
+      // Declared through its directory, which has no such file
+      referencedMissing.push({ path, references: locations });
+    }
+  }
+
+  const variantsUsed = assets.some(file => file.variants.length > 0);
+  const images = assets.filter(file => MEASURED_IMAGE.test(file.path));
+
+  return {
+    declared: { assets: declarations.assets.length, fonts: declarations.fonts.length },
+    files: [...files.values()],
+    missing,
+    unused: assets.filter(file => !isUsed(file.path)),
+    unusedFonts: declarations.fonts.map(font => font.family).filter(family => !literals.has(family)),
+    undeclared,
+    referencedMissing,
+    variantsUsed,
+    missingVariants: variantsUsed
+      ? images
+        .map(file => ({
+          path: file.path,
+          missing: REQUIRED_VARIANTS.filter(name => !file.variants.some(variant => variant.directory === name)),
+        }))
+        .filter(entry => entry.missing.length > 0)
+      : [],
+    oversized: images.flatMap(file => oversizedImages(file, exact.get(file.path), prefixes)),
+  };
+}
+
+/**
+ * Width and height of a PNG, JPEG or WebP image from its header, or null.
+ */
+export function imageDimensions(buffer) {
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.toString('ascii', 12, 16) === 'IHDR') {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return jpegDimensions(buffer);
+  }
+  if (buffer.length >= 30 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return webpDimensions(buffer);
+  }
+  return null;
+}
+
+function readDeclarations(pubspec) {
+  const flutter = pubspec.flutter || {};
+  // Entries are paths, or { path, flavors } since Flutter 3.19
+  const assets = (Array.isArray(flutter.assets) ? flutter.assets : [])
+    .map(entry => (typeof entry === 'string' ? entry : entry?.path))
+    .filter(entry => typeof entry === 'string' && entry.trim())
+    .map(entry => posix.normalize(entry.trim()));
+
+  const fonts = (Array.isArray(flutter.fonts) ? flutter.fonts : [])
+    .filter(font => font?.family)
+    .map(font => ({
+      family: String(font.family),
+      assets: (Array.isArray(font.fonts) ? font.fonts : [])
+        .map(entry => entry?.asset)
+        .filter(asset => typeof asset === 'string')
+        .map(asset => posix.normalize(asset)),
+    }));
+
+  return { assets: [...new Set(assets)], fonts };
+}
+
+// Files directly in a declared directory (Flutter does not recurse), or
+// null when it does not exist
+async function listDirectory(root, directory) {
+  const entries = await fs.readdir(join(root, directory), { withFileTypes: true }).catch(() => null);
+  if (!entries) return null;
+  return entries
+    .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+    .map(entry => `${directory}${entry.name}`)
+    .sort();
+}
+
+async function fileSize(root, path) {
+  const stat = await fs.stat(join(root, path)).catch(() => null);
+  return stat?.isFile() ? stat.size : null;
+}
+
+async function describeFile(root, path) {
+  const type = Object.keys(FILE_TYPES).find(name => FILE_TYPES[name].test(path)) || 'other';
+  const file = { path, type, size: await fileSize(root, path), dimensions: null };
+  if (MEASURED_IMAGE.test(path)) {
+    file.dimensions = imageDimensions(await fs.readFile(join(root, path)));
+  }
+  return file;
+}
+
+// assets/images/logo.png -> assets/images/2.0x/logo.png, ...
+async function findVariants(root, path, cache) {
+  const directory = posix.dirname(path);
+  if (!cache.has(directory)) {
+    const entries = await fs.readdir(join(root, directory), { withFileTypes: true }).catch(() => []);
+    cache.set(directory, entries
+      .filter(entry => entry.isDirectory() && VARIANT_DIRECTORY.test(entry.name))
+      .map(entry => entry.name)
+      .sort((a, b) => parseFloat(a) - parseFloat(b)));
+  }
+
+  const variants = [];
+  for (const name of cache.get(directory)) {
+    const variantPath = posix.join(directory, name, posix.basename(path));
+    if ((await fileSize(root, variantPath)) === null) continue;
+    variants.push({ ...await describeFile(root, variantPath), directory: name, scale: parseFloat(name) });
+  }
+  return variants;
+}
+
+// Asset paths named in lib/, with the width and height of the widget that
+// renders them when the call sets them; and every plain string literal.
+async function findReferences(root, signal) {
+  const libDir = join(root, 'lib');
+  const paths = await listDartFiles(libDir, signal).catch(error => {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  });
+
+  const references = [];
+  const literals = new Set();
+  for (const path of paths) {
+    throwIfAborted(signal);
+    const { tokens } = tokenize(await fs.readFile(join(libDir, path), 'utf8'));
+    scanTokens(tokens, `lib/${path}`, references, literals);
+  }
+  return { references, literals };
+}
+
+function scanTokens(tokens, file, references, literals) {
+  // Open brackets; each call collects its numeric width and height arguments
+  const stack = [];
+  const found = [];
+
+  tokens.forEach((token, index) => {
+    if (token.type === 'punctuator') {
+      if (token.value === '(' || token.value === '[' || token.value === '{') {
+        const previous = tokens[index - 1];
+        stack.push({
+          call: token.value === '(',
+          callee: previous?.type === 'identifier' ? previous.value : null,
+          sizes: {},
+        });
+      } else if (token.value === ')' || token.value === ']' || token.value === '}') {
+        stack.pop();
+      }
+      return;
+    }
+
+    if (token.type === 'identifier' && (token.value === 'width' || token.value === 'height')
+      && tokens[index + 1]?.value === ':' && tokens[index + 2]?.type === 'number' && stack.length > 0) {
+      stack[stack.length - 1].sizes[token.value] = Number(tokens[index + 2].value);
+      return;
+    }
+
+    if (token.type !== 'string') return;
+
+    const plain = token.parts.every(part => part.kind === 'text');
+    const value = plain ? token.parts.map(part => part.value).join('') : token.parts[0]?.kind === 'text' ? token.parts[0].value : '';
+    if (plain) literals.add(value);
+
+    if (plain ? ASSET_PATH.test(value) : value.includes('/') && !value.includes(':')) {
+      const calls = stack.filter(entry => entry.call);
+      found.push({ value, prefix: !plain, file, line: token.line, calls: calls.slice(-2) });
+    }
+  });
+
+  // The sizes are known once the calls are closed
+  found.forEach(({ calls, ...reference }) => {
+    let call = calls[calls.length - 1];
+    if (call && IMAGE_PROVIDERS.has(call.callee)) call = calls[calls.length - 2];
+    const { width = null, height = null } = call?.sizes || {};
+    references.push({ ...reference, renderedSize: width === null && height === null ? null : { width, height } });
+  });
+}
+
+// The files of an image (itself and its variants) that have more than
+// OVERSIZE_FACTOR times the pixels needed to draw it at its largest rendered
+// size. Only images whose every reference sets the size can be judged.
+function oversizedImages(file, references, prefixes) {
+  if (!references || prefixes.some(prefix => file.path.startsWith(prefix))) return [];
+  const largest = axis => (references.every(reference => reference.renderedSize?.[axis] != null)
+    ? Math.max(...references.map(reference => reference.renderedSize[axis]))
+    : null);
+  const rendered = { width: largest('width'), height: largest('height') };
+  if (rendered.width === null && rendered.height === null) return [];
+
+  const candidates = [
+    { ...file, scale: file.variants.length > 0 ? 1 : MAX_DEVICE_PIXEL_RATIO },
+    ...file.variants,
+  ];
+
+  return candidates
+    .filter(candidate => candidate.dimensions)
+    .map(candidate => {
+      // The share of the pixels needed on the most constrained axis
+      const ratio = Math.max(...['width', 'height']
+        .filter(axis => rendered[axis] !== null)
+        .map(axis => (rendered[axis] * candidate.scale) / candidate.dimensions[axis]));
+      return { candidate, ratio };
+    })
+    .filter(({ ratio }) => ratio * OVERSIZE_FACTOR <= 1)
+    .map(({ candidate, ratio }) => ({
+      path: candidate.path,
+      dimensions: candidate.dimensions,
+      renderedSize: rendered,
+      scale: candidate.scale,
+      size: candidate.size,
+      potentialSaving: Math.round(candidate.size * (1 - ratio ** 2)),
+    }));
+}
+
+function jpegDimensions(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++; // fill byte
+    } else if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+      offset += 2; // markers without a length
+    } else if (SOF_MARKERS.has(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    } else if (marker === 0xd9 || marker === 0xda) {
+      return null; // the image data, before any frame header
+    } else {
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+}
+
+function webpDimensions(buffer) {
+  switch (buffer.toString('ascii', 12, 16)) {
+    case 'VP8 ':
+      return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    case 'VP8L': {
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    case 'VP8X':
+      return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    default:
+      return null;
+  }
+}
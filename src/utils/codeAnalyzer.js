@@ -1,3 +1,19 @@
+import { parseDart } from './dartParser.js';
+import {
+  visit,
+  findNodes,
+  findNodesOfType,
+  getClasses,
+  getSuperclassName,
+  getFunctions,
+  getBuildMethods,
+  getConstructors,
+  sourceOf,
+  buildWidgetTree,
+  flattenWidgetTree,
+  isInvocationOf,
+} from './dartAst.js';
+
 export function analyzeCodeStructure(code) {
   const structure = {
     widgetTreeDepth: 0,
@@ -17,115 +33,155 @@ export function analyzeCodeStructure(code) {
     hasComplexObjectCreation: false,
   };
 
-  structure.widgetTreeDepth = calculateMaxDepth(code);
-  structure.methodLength = calculateAverageMethodLength(code);
-  structure.stateUpdateCount = (code.match(/setState/g) || []).length;
-  
-  structure.hasStatelessWidgets = /extends\s+StatelessWidget/.test(code);
-  structure.hasInteractiveWidgets = /GestureDetector|InkWell|Button|onTap|onPressed/.test(code);
-  structure.hasTextWidgets = /Text\s*\(/.test(code);
-  structure.hasComplexCallbacks = /Function\s*\([^)]{20,}\)/.test(code);
-  
-  structure.duplicatedCode = findDuplicatedCode(code);
-  structure.hasPublicMethods = /^\s*(?!_)\w+\s*\(/m.test(code);
-  
-  structure.hasBusinessLogicInUI = detectBusinessLogicInUI(code);
-  structure.hasProperSeparation = checkLayerSeparation(code);
-  structure.tightCoupling = calculateCoupling(code);
-  
-  structure.hasDataFetching = /http\.|dio\.|fetch|repository/i.test(code);
-  structure.hasStateManagement = /setState|ChangeNotifier|ValueNotifier|Stream/.test(code);
-  structure.hasComplexObjectCreation = /factory|fromJson|toJson/.test(code);
+  const parsed = parseDart(code);
+  const { unit } = parsed;
+  const widgets = flattenWidgetTree(buildWidgetTree(unit));
+  const widgetTypes = new Set(widgets.map(widget => widget.node.typeName));
+  const supertypes = getClasses(unit).map(getSuperclassName).filter(Boolean);
 
-  return structure;
-}
+  structure.widgetTreeDepth = widgets.reduce((max, widget) => Math.max(max, widget.depth), 0);
+  structure.methodLength = calculateAverageMethodLength(unit);
+  structure.stateUpdateCount = findNodes(unit, node => isInvocationOf(node, 'setState')).length;
 
-function calculateMaxDepth(code) {
-  let maxDepth = 0;
-  let currentDepth = 0;
-  
-  for (const char of code) {
-    if (char === '{' || char === '(' || char === '[') {
-      currentDepth++;
-      maxDepth = Math.max(maxDepth, currentDepth);
-    } else if (char === '}' || char === ')' || char === ']') {
-      currentDepth--;
-    }
-  }
-  
-  return maxDepth;
+  structure.hasStatelessWidgets = supertypes.includes('StatelessWidget');
+  structure.hasInteractiveWidgets = widgets.some(({ node }) => (
+    ['GestureDetector', 'InkWell'].includes(node.typeName)
+    || node.typeName.endsWith('Button')
+    || node.arguments.some(arg => arg.type === 'NamedArgument' && (arg.name === 'onTap' || arg.name === 'onPressed'))
+  ));
+  structure.hasTextWidgets = widgetTypes.has('Text');
+  structure.hasComplexCallbacks = findNodesOfType(unit, 'FunctionType')
+    .some(type => type.parameters.length >= 3);
+
+  structure.duplicatedCode = findDuplicatedCode(parsed);
+  structure.hasPublicMethods = getFunctions(unit).some(method => (
+    !method.name.startsWith('_')
+    && !(method.annotations || []).some(annotation => annotation.name === 'override')
+  ));
+
+  structure.hasBusinessLogicInUI = detectBusinessLogicInUI(parsed);
+  structure.hasProperSeparation = checkLayerSeparation(unit);
+  structure.tightCoupling = calculateCoupling(unit);
+
+  structure.hasDataFetching = detectDataFetching(unit);
+  structure.hasStateManagement = structure.stateUpdateCount > 0
+    || [...supertypes, ...referencedTypeNames(unit)].some(name => /^(ChangeNotifier|ValueNotifier|Stream)/.test(name));
+  structure.hasComplexObjectCreation = unit.declarations.some(declaration => (
+    getConstructors(declaration).some(constructor => constructor.isFactory || constructor.name === 'fromJson')
+  )) || getFunctions(unit).some(method => method.name === 'toJson' || method.name === 'fromJson');
+
+  return structure;
 }
 
-function calculateAverageMethodLength(code) {
-  const methods = code.match(/\w+\s*\([^)]*\)\s*(?:async\s*)?\{[^}]*\}/g) || [];
+// Average number of lines in function bodies.
+function calculateAverageMethodLength(unit) {
+  const methods = getFunctions(unit);
   if (methods.length === 0) return 0;
-  
-  const totalLength = methods.reduce((sum, method) => sum + method.length, 0);
+
+  const totalLength = methods.reduce((sum, method) => (
+    sum + method.body.span.endLine - method.body.span.line + 1
+  ), 0);
   return Math.round(totalLength / methods.length);
 }
 
-function findDuplicatedCode(code) {
-  const lines = code.split('\n');
+const DUPLICATE_CANDIDATES = new Set(['ExpressionStatement', 'VariableDeclarationStatement', 'ReturnStatement']);
+
+function findDuplicatedCode(parsed) {
   const duplicates = [];
   const seen = new Map();
-  
-  lines.forEach((line, index) => {
-    const trimmed = line.trim();
-    if (trimmed.length > 20 && !trimmed.startsWith('//') && !trimmed.startsWith('import')) {
-      if (seen.has(trimmed)) {
+
+  visit(parsed.unit, node => {
+    if (!DUPLICATE_CANDIDATES.has(node.type)) return true;
+
+    const text = sourceOf(parsed, node).replace(/\s+/g, ' ').trim();
+    if (text.length > 20) {
+      if (seen.has(text)) {
         duplicates.push({
-          line: trimmed,
-          locations: [seen.get(trimmed), index + 1],
+          line: text,
+          locations: [seen.get(text), node.span.line],
         });
       } else {
-        seen.set(trimmed, index + 1);
+        seen.set(text, node.span.line);
       }
     }
+    return false;
   });
-  
+
   return duplicates;
 }
 
-function detectBusinessLogicInUI(code) {
-  const businessLogicPatterns = [
-    /calculate|compute|process|transform|validate/i,
-    /http\.|dio\.|fetch.*\(/,
-    /SELECT|INSERT|UPDATE|DELETE/i,
-    /\.(save|load|delete|update)\s*\(/,
-  ];
-  
-  const inBuildMethod = code.includes('Widget build');
-  if (!inBuildMethod) return false;
-  
-  const buildMethodMatch = code.match(/Widget\s+build[^{]*\{([^}]*)\}/s);
-  if (!buildMethodMatch) return false;
-  
-  const buildContent = buildMethodMatch[1];
-  return businessLogicPatterns.some(pattern => pattern.test(buildContent));
+function detectBusinessLogicInUI(parsed) {
+  const businessLogicNames = /calculate|compute|process|transform|validate/i;
+  const persistenceMethods = new Set(['save', 'load', 'delete', 'update']);
+  const sqlPattern = /^\s*(SELECT|INSERT|UPDATE|DELETE)\b/i;
+
+  return getBuildMethods(parsed.unit).some(method => findNodes(method.body, node => {
+    if (node.type === 'MethodInvocation') {
+      if (businessLogicNames.test(node.methodName) || persistenceMethods.has(node.methodName)) return true;
+      const target = node.target?.type === 'Identifier' ? node.target.name : null;
+      return target === 'http' || target === 'dio' || /^fetch/.test(node.methodName);
+    }
+    return node.type === 'StringLiteral' && sqlPattern.test(node.value);
+  }).length > 0);
 }
 
-function checkLayerSeparation(code) {
-  const hasModels = /class\s+\w+Model/.test(code);
-  const hasServices = /class\s+\w+Service/.test(code);
-  const hasRepositories = /class\s+\w+Repository/.test(code);
-  const hasControllers = /class\s+\w+Controller/.test(code);
-  
-  const separationScore = 
-    (hasModels ? 1 : 0) + 
-    (hasServices ? 1 : 0) + 
-    (hasRepositories ? 1 : 0) + 
-    (hasControllers ? 1 : 0);
-  
+function checkLayerSeparation(unit) {
+  const classNames = getClasses(unit).map(classNode => classNode.name);
+  const hasLayer = suffix => classNames.some(name => name.endsWith(suffix) && name !== suffix);
+
+  const separationScore =
+    (hasLayer('Model') ? 1 : 0) +
+    (hasLayer('Service') ? 1 : 0) +
+    (hasLayer('Repository') ? 1 : 0) +
+    (hasLayer('Controller') ? 1 : 0);
+
   return separationScore >= 2;
 }
 
-function calculateCoupling(code) {
-  const classes = (code.match(/class\s+\w+/g) || []).length;
-  if (classes === 0) return 0;
-  
-  const directDependencies = (code.match(/new\s+\w+|=\s*\w+\(/g) || []).length;
-  const injectedDependencies = (code.match(/\w+\s+\w+\s*[,)]|required\s+this\.\w+/g) || []).length;
-  
+// Ratio of dependencies a class creates itself (field initializers, `new`) to
+// those passed in through its constructors.
+function calculateCoupling(unit) {
+  const classes = getClasses(unit);
+  if (classes.length === 0) return 0;
+
+  let directDependencies = 0;
+  let injectedDependencies = 0;
+
+  classes.forEach(classNode => {
+    classNode.members.forEach(member => {
+      if (member.type === 'FieldDeclaration') {
+        directDependencies += member.variables.filter(variable => (
+          variable.initializer?.type === 'InstanceCreationExpression'
+        )).length;
+      } else if (member.type === 'ConstructorDeclaration') {
+        injectedDependencies += member.parameters.filter(parameter => parameter.fieldFormal === 'this').length;
+      }
+    });
+    directDependencies += findNodes(classNode, node => node.type === 'InstanceCreationExpression' && node.isNew).length;
+  });
+
   const couplingRatio = directDependencies / (directDependencies + injectedDependencies + 1);
   return Math.min(1, couplingRatio);
-}
\ No newline at end of file
+}
+
+function detectDataFetching(unit) {
+  const calls = findNodes(unit, node => node.type === 'MethodInvocation');
+  if (calls.some(call => (
+    (call.target?.type === 'Identifier' && ['http', 'dio'].includes(call.target.name))
+    || /^fetch/i.test(call.methodName)
+  ))) {
+    return true;
+  }
+
+  return referencedTypeNames(unit).some(name => /repository/i.test(name));
+}
+
+// Names of all types mentioned in declarations and constructor calls.
+function referencedTypeNames(unit) {
+  const names = new Set();
+  visit(unit, node => {
+    if (node.type === 'NamedType') names.add(node.name);
+    if (node.type === 'InstanceCreationExpression') names.add(node.typeName);
+  });
+  return [...names];
+}
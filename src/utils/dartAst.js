@@ -0,0 +1,384 @@
+// Helpers for walking and querying the syntax tree produced by dartParser.js.
+
+// Types that are commonly constructed inside build methods but are not widgets.
+const NON_WIDGET_TYPES = new Set([
+  'Alignment', 'AlignmentDirectional', 'AlwaysStoppedAnimation', 'Animation', 'AnimationController',
+  'AssetImage', 'BorderRadius', 'BorderSide', 'Border', 'BoxConstraints', 'BoxDecoration', 'BoxShadow',
+  'ButtonStyle', 'Color', 'ColorScheme', 'Colors', 'Curve', 'CurvedAnimation', 'DateTime', 'Duration',
+  'EdgeInsets', 'EdgeInsetsDirectional', 'Exception', 'FileImage', 'FocusNode', 'Future', 'GlobalKey',
+  'Icons', 'InputDecoration', 'Key', 'LinearGradient', 'List', 'Locale', 'Map', 'MaterialPageRoute',
+  'MediaQuery', 'NetworkImage', 'Navigator', 'Object', 'ObjectKey', 'Offset', 'Paint', 'Path', 'Radius',
+  'RadialGradient', 'Rect', 'RoundedRectangleBorder', 'ScrollController', 'Set', 'Size', 'StateError',
+  'Stream', 'StreamController', 'String', 'TabController', 'TextEditingController', 'TextStyle',
+  'Theme', 'ThemeData', 'Tween', 'UniqueKey', 'Uri', 'ValueKey', 'ValueNotifier',
+]);
+
+// Named arguments whose value is a widget (or list of widgets) in Flutter's
+// framework widgets.
+export const WIDGET_SLOTS = new Set([
+  'child', 'children', 'body', 'appBar', 'title', 'subtitle', 'leading', 'trailing', 'home',
+  'floatingActionButton', 'bottomNavigationBar', 'drawer', 'endDrawer', 'bottomSheet', 'icon',
+  'label', 'content', 'actions', 'flexibleSpace', 'bottom', 'placeholder', 'errorWidget',
+  'prefix', 'suffix', 'prefixIcon', 'suffixIcon', 'header', 'footer', 'background', 'secondary',
+]);
+
+export function isNode(value) {
+  return !!value && typeof value === 'object' && typeof value.type === 'string' && !!value.span;
+}
+
+// Child nodes in source order.
+export function getChildren(node) {
+  const children = [];
+
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'span') continue;
+    if (isNode(value)) {
+      children.push(value);
+    } else if (Array.isArray(value)) {
+      for (const item of value) {
+        if (isNode(item)) children.push(item);
+        else if (item && item.kind === 'interpolation' && isNode(item.expression)) children.push(item.expression);
+      }
+    }
+  }
+
+  // StringLiteral keeps its interpolations both in `parts` and `interpolations`.
+  const unique = [...new Set(children)];
+  return unique.sort((a, b) => a.span.start - b.span.start);
+}
+
+// Depth-first traversal. `callback(node, ancestors)` may return false to skip
+// the node's children.
+export function visit(root, callback, ancestors = []) {
+  if (!isNode(root)) return;
+  if (callback(root, ancestors) === false) return;
+
+  ancestors.push(root);
+  for (const child of getChildren(root)) {
+    visit(child, callback, ancestors);
+  }
+  ancestors.pop();
+}
+
+export function findNodes(root, predicate) {
+  const found = [];
+  visit(root, (node, ancestors) => {
+    if (predicate(node, ancestors)) found.push(node);
+  });
+  return found;
+}
+
+export function findNodesOfType(root, ...types) {
+  return findNodes(root, node => types.includes(node.type));
+}
+
+export function sourceOf(parsed, node) {
+  if (!node) return '';
+  return parsed.source.slice(node.span.start, node.span.end);
+}
+
+export function typeToString(type) {
+  if (!type) return null;
+  switch (type.type) {
+    case 'NamedType': {
+      const args = type.typeArguments?.length ? `<${type.typeArguments.map(typeToString).join(', ')}>` : '';
+      return `${type.name}${args}${type.nullable ? '?' : ''}`;
+    }
+    case 'FunctionType':
+      return `${typeToString(type.returnType) || ''} Function(...)`.trim() + (type.nullable ? '?' : '');
+    case 'RecordType':
+      return `(${type.fields.map(field => typeToString(field.fieldType)).join(', ')})${type.nullable ? '?' : ''}`;
+    default:
+      return null;
+  }
+}
+
+// Arguments
+
+export function getNamedArgument(node, name) {
+  const argument = (node?.arguments || []).find(arg => arg.type === 'NamedArgument' && arg.name === name);
+  return argument ? argument.value : null;
+}
+
+export function hasNamedArgument(node, name) {
+  return (node?.arguments || []).some(arg => arg.type === 'NamedArgument' && arg.name === name);
+}
+
+export function getPositionalArguments(node) {
+  return (node?.arguments || []).filter(arg => arg.type !== 'NamedArgument');
+}
+
+// Declarations
+
+export function getClasses(unit) {
+  return unit.declarations.filter(declaration => declaration.type === 'ClassDeclaration');
+}
+
+export function getSuperclassName(classNode) {
+  return classNode.superclass ? classNode.superclass.name : null;
+}
+
+export function getMethods(container) {
+  return (container.members || []).filter(member => member.type === 'MethodDeclaration');
+}
+
+export function findMethod(container, name) {
+  return getMethods(container).find(method => method.name === name) || null;
+}
+
+export function getFields(container) {
+  return (container.members || []).filter(member => member.type === 'FieldDeclaration');
+}
+
+export function getConstructors(container) {
+  return (container.members || []).filter(member => member.type === 'ConstructorDeclaration');
+}
+
+// Every function-like declaration with a body: methods, top-level and local
+// functions.
+export function getFunctions(root) {
+  return findNodesOfType(root, 'MethodDeclaration', 'FunctionDeclaration').filter(node => node.body);
+}
+
+// `build` methods, including top-level `Widget build(...)` fragments.
+export function getBuildMethods(unit) {
+  return getFunctions(unit).filter(node => node.name === 'build');
+}
+
+// The nodes that make up the UI being analyzed: build methods when there are
+// any, otherwise the whole unit (for bare widget expressions).
+export function getBuildRoots(unit) {
+  const buildMethods = getBuildMethods(unit);
+  return buildMethods.length > 0 ? buildMethods : [unit];
+}
+
+// Widgets
+
+export function isWidgetCreation(node, parent = null) {
+  if (!node || node.type !== 'InstanceCreationExpression') return false;
+  if (NON_WIDGET_TYPES.has(node.typeName) || /State$/.test(node.typeName)) return false;
+  if (node.constructorName === 'of' || node.constructorName === 'maybeOf') return false;
+
+  // Named arguments outside the widget slots hold painters, styles, controllers.
+  if (parent && parent.type === 'NamedArgument') return WIDGET_SLOTS.has(parent.name);
+  if (node.arguments.some(arg => arg.type === 'NamedArgument' && WIDGET_SLOTS.has(arg.name))) return true;
+
+  // A bare capitalized constructor call is most likely a widget inside UI code.
+  return !node.constructorName || /^(builder|separated|count|extent|icon|asset|network|file|memory|rich|adaptive|fromLTRB|expand|tight|value)$/.test(node.constructorName);
+}
+
+// Builds the nesting of widget constructor calls below `root`. Each entry is
+// `{ name, node, depth, parent, children }`; depth starts at 1 for the
+// outermost widget.
+export function buildWidgetTree(root) {
+  const roots = [];
+  const stack = [];
+
+  visit(root, (node, ancestors) => {
+    while (stack.length > 0 && !ancestors.includes(stack[stack.length - 1].node)) {
+      stack.pop();
+    }
+
+    const parent = ancestors[ancestors.length - 1];
+    if (!isWidgetCreation(node, parent)) return true;
+
+    const parentEntry = stack.length > 0 ? stack[stack.length - 1] : null;
+    const entry = { name: node.name, node, depth: stack.length + 1, parent: parentEntry, children: [] };
+    if (stack.length > 0) stack[stack.length - 1].children.push(entry);
+    else roots.push(entry);
+    stack.push(entry);
+    return true;
+  });
+
+  return roots;
+}
+
+export function flattenWidgetTree(entries, result = []) {
+  for (const entry of entries) {
+    result.push(entry);
+    flattenWidgetTree(entry.children, result);
+  }
+  return result;
+}
+
+// Closest enclosing widget tree entry whose type is in `typeNames`.
+export function findWidgetAncestor(entry, typeNames) {
+  for (let current = entry.parent; current; current = current.parent) {
+    if (typeNames.includes(current.node.typeName)) return current;
+  }
+  return null;
+}
+
+// Nearest enclosing node of one of the given types.
+export function findAncestor(ancestors, ...types) {
+  for (let i = ancestors.length - 1; i >= 0; i--) {
+    if (types.includes(ancestors[i].type)) return ancestors[i];
+  }
+  return null;
+}
+
+// Name of the callee for invocations and creations: `setState`, `Text`,
+// `Navigator.push`, `controller.dispose`.
+export function getCalleeName(node) {
+  if (node.type === 'InstanceCreationExpression') return node.name;
+  if (node.type !== 'MethodInvocation') return null;
+  const target = node.target;
+  if (!target) return node.methodName;
+  if (target.type === 'Identifier') return `${target.name}.${node.methodName}`;
+  if (target.type === 'ThisExpression') return `this.${node.methodName}`;
+  if (target.type === 'SuperExpression') return `super.${node.methodName}`;
+  return node.methodName;
+}
+
+export function isInvocationOf(node, name) {
+  return node.type === 'MethodInvocation' && node.methodName === name;
+}
+
+const CONSTANT_LITERALS = new Set(['StringLiteral', 'NumberLiteral', 'BooleanLiteral', 'NullLiteral']);
+
+function isConstantExpression(node, parent = null) {
+  if (!node) return true;
+  if (CONSTANT_LITERALS.has(node.type)) return !node.isInterpolated;
+  if (node.type === 'NamedArgument') return isConstantExpression(node.value, node);
+  if (node.type === 'PrefixExpression' && node.operator === '-') return isConstantExpression(node.operand);
+  if (node.type === 'PropertyAccess') {
+    // `Colors.blue`, `Icons.add`, `EdgeInsets.zero`
+    return node.target?.type === 'Identifier' && /^[A-Z]/.test(node.target.name);
+  }
+  if (node.type === 'InstanceCreationExpression') {
+    // Only widgets are assumed to have const constructors.
+    if (node.isConst) return true;
+    return !node.isNew && isWidgetCreation(node, parent)
+      && node.arguments.every(argument => isConstantExpression(argument, node));
+  }
+  if (node.type === 'ListLiteral') {
+    return node.isConst || node.elements.every(element => isConstantExpression(element, node));
+  }
+  return false;
+}
+
+// Widget creations that could be const but are not, skipping those already
+// inside a const context.
+export function findConstCandidates(unit) {
+  const candidates = [];
+
+  visit(unit, (node, ancestors) => {
+    if (node.isConst) return false;
+    if (!isWidgetCreation(node, ancestors[ancestors.length - 1])) return true;
+    // Named widget constructors (`Image.asset`, `ListView.builder`) are rarely const.
+    if (node.isNew || node.constructorName || !isConstantExpression(node)) return true;
+
+    candidates.push(node);
+    return false;
+  });
+
+  return candidates;
+}
+
+// Name of the variable or field a value is stored in, if any.
+export function findAssignedName(unit, valueNode) {
+  let name = null;
+
+  visit(unit, node => {
+    if (name) return false;
+    if (node.type === 'VariableDeclarator' && node.initializer && containsNode(node.initializer, valueNode)) {
+      name = node.name;
+    } else if (node.type === 'AssignmentExpression' && containsNode(node.right, valueNode)) {
+      name = lastName(node.left);
+    }
+    return true;
+  });
+
+  return name;
+}
+
+function containsNode(root, target) {
+  return root === target || (root.span.start <= target.span.start && root.span.end >= target.span.end
+    && findNodes(root, node => node === target).length > 0);
+}
+
+function lastName(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'PropertyAccess') return node.name;
+  return null;
+}
+
+// Names that have dispose(), cancel() or close() called on them.
+export function collectReleasedTargets(unit) {
+  const released = new Set();
+
+  findNodes(unit, node => (
+    node.type === 'MethodInvocation' && ['dispose', 'cancel', 'close'].includes(node.methodName) && node.target
+  )).forEach(call => {
+    let target = call.target;
+    if (target.type === 'PostfixExpression') target = target.operand;
+    const name = lastName(target);
+    if (name) released.add(name);
+  });
+
+  // Cascades: `_controller..removeListener(x)..dispose()`
+  findNodes(unit, node => node.type === 'CascadeExpression').forEach(cascade => {
+    const name = lastName(cascade.target);
+    const releases = cascade.sections.some(section => (
+      section.type === 'MethodInvocation' && ['dispose', 'cancel', 'close'].includes(section.methodName)
+    ));
+    if (name && releases) released.add(name);
+  });
+
+  return released;
+}
+
+// True when code at this point may run after an await or inside a callback
+// that fires later (then/listen/Timer/Future.delayed).
+function isAsyncContext(ancestors) {
+  for (let i = ancestors.length - 1; i >= 0; i--) {
+    const node = ancestors[i];
+    if (node.isAsync) return true;
+    if (node.type !== 'FunctionExpression') continue;
+
+    const parent = ancestors[i - 1]?.type === 'NamedArgument' ? ancestors[i - 2] : ancestors[i - 1];
+    if (!parent) continue;
+    if (parent.type === 'MethodInvocation' && ['then', 'listen', 'whenComplete', 'catchError'].includes(parent.methodName)) {
+      return true;
+    }
+    if (parent.type === 'InstanceCreationExpression' && (parent.typeName === 'Timer' || parent.name === 'Future.delayed')) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function mentionsMounted(node) {
+  return findNodes(node, child => (
+    (child.type === 'Identifier' && child.name === 'mounted')
+    || (child.type === 'PropertyAccess' && child.name === 'mounted')
+  )).length > 0;
+}
+
+function isGuardedByMounted(call, ancestors) {
+  const guardedBranch = ancestors.some(node => (
+    (node.type === 'IfStatement' || node.type === 'ConditionalExpression') && mentionsMounted(node.condition)
+  ));
+  if (guardedBranch) return true;
+
+  // Early return: `if (!mounted) return;` earlier in an enclosing function.
+  return ancestors
+    .filter(node => node.type === 'Block')
+    .some(block => block.statements.some(statement => (
+      statement.type === 'IfStatement'
+      && statement.span.end <= call.span.start
+      && mentionsMounted(statement.condition)
+    )));
+}
+
+// setState calls that can run after the widget is unmounted: inside async
+// code or deferred callbacks, with no `mounted` check in front of them.
+export function findUnguardedSetStateCalls(unit) {
+  return findNodes(unit, (node, ancestors) => (
+    isInvocationOf(node, 'setState')
+    && (!node.target || node.target.type === 'ThisExpression')
+    && isAsyncContext(ancestors)
+    && !isGuardedByMounted(node, ancestors)
+  ));
+}
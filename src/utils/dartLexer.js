@@ -0,0 +1,384 @@
+// Tokenizer for Dart source. Produces the token stream consumed by dartParser.js.
+// Comments are kept out of the token stream but collected separately so tools
+// can still look at doc comments.
+
+const RESERVED_WORDS = new Set([
+  'assert', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default',
+  'do', 'else', 'enum', 'extends', 'false', 'final', 'finally', 'for', 'if',
+  'in', 'is', 'new', 'null', 'rethrow', 'return', 'super', 'switch', 'this',
+  'throw', 'true', 'try', 'var', 'void', 'while', 'with',
+]);
+
+// Longest first so the scanner can take the first match. `>>` and `>>>` are
+// deliberately missing: nested type arguments (`List<List<int>>`) need single
+// `>` tokens, and the parser joins adjacent ones back into shift operators.
+const PUNCTUATORS = [
+  '...?', '~/=', '<<=', '??=', '?..',
+  '...', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '..', '=>', '++', '--',
+  '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '<<', '~/',
+  '{', '}', '(', ')', '[', ']', ';', ',', '.', ':', '?', '=', '<', '>', '+',
+  '-', '*', '/', '%', '!', '~', '&', '|', '^', '@', '#',
+];
+
+const SIMPLE_ESCAPES = {
+  n: '\n',
+  r: '\r',
+  t: '\t',
+  b: '\b',
+  f: '\f',
+  v: '\v',
+};
+
+export class DartSyntaxError extends Error {
+  constructor(message, position = null) {
+    super(message);
+    this.name = 'DartSyntaxError';
+    this.position = position;
+  }
+}
+
+export function createLineMap(source) {
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  return function positionAt(offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+}
+
+export class DartLexer {
+  constructor(source) {
+    this.source = source;
+    this.pos = 0;
+    this.positionAt = createLineMap(source);
+    this.comments = [];
+    this.errors = [];
+  }
+
+  tokenize() {
+    const tokens = this.scanTokens(false);
+    tokens.push(this.makeToken('eof', '', this.source.length, this.source.length));
+    return tokens;
+  }
+
+  // Scans tokens until EOF, or until the `}` closing a `${...}` interpolation
+  // when `untilInterpolationEnd` is set.
+  scanTokens(untilInterpolationEnd) {
+    const tokens = [];
+    let braceDepth = 0;
+
+    while (true) {
+      this.skipTrivia();
+      if (this.pos >= this.source.length) {
+        if (untilInterpolationEnd) {
+          this.error('Unterminated string interpolation', this.pos);
+        }
+        return tokens;
+      }
+
+      const char = this.source[this.pos];
+
+      if (untilInterpolationEnd) {
+        if (char === '{') braceDepth++;
+        if (char === '}') {
+          if (braceDepth === 0) return tokens;
+          braceDepth--;
+        }
+      }
+
+      tokens.push(this.scanToken());
+    }
+  }
+
+  scanToken() {
+    const start = this.pos;
+    const char = this.source[start];
+    const next = this.source[start + 1];
+
+    if ((char === 'r' || char === 'R') && (next === '"' || next === "'")) {
+      this.pos++;
+      return this.scanString(start, true);
+    }
+    if (char === '"' || char === "'") {
+      return this.scanString(start, false);
+    }
+    if (isIdentifierStart(char)) {
+      return this.scanIdentifier(start);
+    }
+    if (isDigit(char) || (char === '.' && isDigit(next))) {
+      return this.scanNumber(start);
+    }
+
+    for (const punctuator of PUNCTUATORS) {
+      if (this.source.startsWith(punctuator, start)) {
+        this.pos += punctuator.length;
+        return this.makeToken('punctuator', punctuator, start, this.pos);
+      }
+    }
+
+    this.error(`Unexpected character '${char}'`, start);
+    this.pos++;
+    return this.makeToken('unknown', char, start, this.pos);
+  }
+
+  skipTrivia() {
+    const { source } = this;
+    while (this.pos < source.length) {
+      const char = source[this.pos];
+      if (char === ' ' || char === '\t' || char === '\n' || char === '\r' || char === '\uFEFF') {
+        this.pos++;
+      } else if (char === '/' && source[this.pos + 1] === '/') {
+        const start = this.pos;
+        const end = source.indexOf('\n', start);
+        this.pos = end === -1 ? source.length : end;
+        this.addComment(start, this.pos, source.startsWith('///', start));
+      } else if (char === '/' && source[this.pos + 1] === '*') {
+        this.skipBlockComment();
+      } else if (char === '#' && source[this.pos + 1] === '!' && this.pos === 0) {
+        const end = source.indexOf('\n');
+        this.pos = end === -1 ? source.length : end;
+      } else {
+        break;
+      }
+    }
+  }
+
+  skipBlockComment() {
+    const start = this.pos;
+    let depth = 0;
+
+    // Dart block comments nest.
+    while (this.pos < this.source.length) {
+      if (this.source.startsWith('/*', this.pos)) {
+        depth++;
+        this.pos += 2;
+      } else if (this.source.startsWith('*/', this.pos)) {
+        depth--;
+        this.pos += 2;
+        if (depth === 0) break;
+      } else {
+        this.pos++;
+      }
+    }
+
+    if (depth > 0) this.error('Unterminated block comment', start);
+    this.addComment(start, this.pos, this.source.startsWith('/**', start) && !this.source.startsWith('/**/', start));
+  }
+
+  addComment(start, end, isDoc) {
+    const { line, column } = this.positionAt(start);
+    this.comments.push({
+      text: this.source.slice(start, end),
+      isDoc,
+      start,
+      end,
+      line,
+      column,
+    });
+  }
+
+  scanIdentifier(start) {
+    while (this.pos < this.source.length && isIdentifierPart(this.source[this.pos])) {
+      this.pos++;
+    }
+    const value = this.source.slice(start, this.pos);
+    return this.makeToken(RESERVED_WORDS.has(value) ? 'keyword' : 'identifier', value, start, this.pos);
+  }
+
+  scanNumber(start) {
+    const { source } = this;
+
+    if (source[this.pos] === '0' && (source[this.pos + 1] === 'x' || source[this.pos + 1] === 'X')) {
+      this.pos += 2;
+      while (this.pos < source.length && /[0-9a-fA-F_]/.test(source[this.pos])) this.pos++;
+    } else {
+      this.consumeDigits();
+      if (source[this.pos] === '.' && isDigit(source[this.pos + 1])) {
+        this.pos++;
+        this.consumeDigits();
+      }
+      if (source[this.pos] === 'e' || source[this.pos] === 'E') {
+        const sign = source[this.pos + 1] === '+' || source[this.pos + 1] === '-' ? 1 : 0;
+        if (isDigit(source[this.pos + 1 + sign])) {
+          this.pos += 1 + sign;
+          this.consumeDigits();
+        }
+      }
+    }
+
+    return this.makeToken('number', source.slice(start, this.pos), start, this.pos);
+  }
+
+  consumeDigits() {
+    while (this.pos < this.source.length && (isDigit(this.source[this.pos]) || this.source[this.pos] === '_')) {
+      this.pos++;
+    }
+  }
+
+  scanString(start, isRaw) {
+    const { source } = this;
+    const quoteChar = source[this.pos];
+    const isMultiline = source.startsWith(quoteChar.repeat(3), this.pos);
+    const quote = isMultiline ? quoteChar.repeat(3) : quoteChar;
+    this.pos += quote.length;
+
+    // A newline directly after an opening triple quote is not part of the value.
+    if (isMultiline) {
+      if (source.startsWith('\r\n', this.pos)) this.pos += 2;
+      else if (source[this.pos] === '\n') this.pos++;
+    }
+
+    const parts = [];
+    let text = '';
+    let textStart = this.pos;
+    let terminated = false;
+
+    const flushText = () => {
+      if (text) {
+        parts.push({ kind: 'text', value: text, start: textStart, end: this.pos });
+      }
+      text = '';
+    };
+
+    while (this.pos < source.length) {
+      if (source.startsWith(quote, this.pos)) {
+        flushText();
+        this.pos += quote.length;
+        terminated = true;
+        break;
+      }
+
+      const char = source[this.pos];
+
+      if (!isMultiline && char === '\n') break;
+
+      if (char === '\\' && !isRaw) {
+        text += this.readEscape();
+        continue;
+      }
+
+      if (char === '$' && !isRaw) {
+        const interpolationStart = this.pos;
+        if (source[this.pos + 1] === '{') {
+          flushText();
+          this.pos += 2;
+          const tokens = this.scanTokens(true);
+          if (source[this.pos] === '}') this.pos++;
+          parts.push({ kind: 'interpolation', tokens, isSimple: false, start: interpolationStart, end: this.pos });
+          textStart = this.pos;
+          continue;
+        }
+        if (isIdentifierStart(source[this.pos + 1]) && source[this.pos + 1] !== '$') {
+          flushText();
+          this.pos++;
+          const tokenStart = this.pos;
+          while (this.pos < source.length && isIdentifierPart(source[this.pos]) && source[this.pos] !== '$') {
+            this.pos++;
+          }
+          const name = source.slice(tokenStart, this.pos);
+          const type = RESERVED_WORDS.has(name) ? 'keyword' : 'identifier';
+          parts.push({
+            kind: 'interpolation',
+            tokens: [this.makeToken(type, name, tokenStart, this.pos)],
+            isSimple: true,
+            start: interpolationStart,
+            end: this.pos,
+          });
+          textStart = this.pos;
+          continue;
+        }
+      }
+
+      text += char;
+      this.pos++;
+    }
+
+    if (!terminated) {
+      flushText();
+      this.error('Unterminated string literal', start);
+    }
+
+    const token = this.makeToken('string', source.slice(start, this.pos), start, this.pos);
+    token.parts = parts;
+    token.quote = quote;
+    token.isRaw = isRaw;
+    token.isMultiline = isMultiline;
+    return token;
+  }
+
+  readEscape() {
+    const { source } = this;
+    const escaped = source[this.pos + 1];
+    this.pos += 2;
+
+    if (escaped === undefined) return '';
+    if (SIMPLE_ESCAPES[escaped]) return SIMPLE_ESCAPES[escaped];
+
+    if (escaped === 'x') {
+      const hex = source.slice(this.pos, this.pos + 2);
+      this.pos += 2;
+      return String.fromCodePoint(parseInt(hex, 16) || 0);
+    }
+
+    if (escaped === 'u') {
+      if (source[this.pos] === '{') {
+        const end = source.indexOf('}', this.pos);
+        const hex = source.slice(this.pos + 1, end === -1 ? this.pos + 1 : end);
+        this.pos = end === -1 ? this.pos + 1 : end + 1;
+        return safeCodePoint(parseInt(hex, 16));
+      }
+      const hex = source.slice(this.pos, this.pos + 4);
+      this.pos += 4;
+      return safeCodePoint(parseInt(hex, 16));
+    }
+
+    if (escaped === '\r' && source[this.pos] === '\n') {
+      this.pos++;
+      return '\r\n';
+    }
+
+    return escaped;
+  }
+
+  makeToken(type, value, start, end) {
+    const { line, column } = this.positionAt(start);
+    return { type, value, start, end, line, column };
+  }
+
+  error(message, offset) {
+    const { line, column } = this.positionAt(offset);
+    this.errors.push({ message, offset, line, column });
+  }
+}
+
+export function tokenize(source) {
+  const lexer = new DartLexer(source);
+  const tokens = lexer.tokenize();
+  return { tokens, comments: lexer.comments, errors: lexer.errors };
+}
+
+function isDigit(char) {
+  return char >= '0' && char <= '9';
+}
+
+function isIdentifierStart(char) {
+  return (char >= 'a' && char <= 'z') || (char >= 'A' && char <= 'Z') || char === '_' || char === '$';
+}
+
+function isIdentifierPart(char) {
+  return isIdentifierStart(char) || isDigit(char);
+}
+
+function safeCodePoint(value) {
+  if (!Number.isFinite(value) || value < 0 || value > 0x10FFFF) return '\uFFFD';
+  return String.fromCodePoint(value);
+}
@@ -0,0 +1,2196 @@
+// Recursive-descent parser for Dart. It builds an unresolved syntax tree in the
+// spirit of the Dart analyzer's AST: classes, members, statements and
+// expressions, each node carrying a `span` into the original source.
+//
+// The parser is tolerant. Tool input is often a fragment (a lone build method,
+// a widget expression without a trailing semicolon), so anything that does not
+// parse as a declaration is parsed as a statement and kept in `unit.statements`.
+// Syntax errors are collected rather than thrown, and parsing resumes at the
+// next statement or member.
+//
+// Without type resolution `Foo.bar(...)` is ambiguous between a named
+// constructor and a static method (`Theme.of(context)`). Calls whose target is
+// a capitalized name are reported as InstanceCreationExpression; analyzers that
+// care check `constructorName`.
+
+import { tokenize, createLineMap, DartSyntaxError } from './dartLexer.js';
+
+const ASSIGNMENT_OPERATORS = new Set([
+  '=', '*=', '/=', '~/=', '%=', '+=', '-=', '<<=', '>>=', '>>>=', '&=', '^=', '|=', '??=',
+]);
+
+// Binary operator precedence, lowest first. Relational operators also cover
+// `as`, `is` and `is!`, handled separately in parseBinary.
+const BINARY_PRECEDENCE = {
+  '??': 1,
+  '||': 2,
+  '&&': 3,
+  '==': 4, '!=': 4,
+  '<': 5, '>': 5, '<=': 5, '>=': 5,
+  '|': 6,
+  '^': 7,
+  '&': 8,
+  '<<': 9, '>>': 9, '>>>': 9,
+  '+': 10, '-': 10,
+  '*': 11, '/': 11, '%': 11, '~/': 11,
+};
+const RELATIONAL_PRECEDENCE = 5;
+
+const CLASS_MODIFIERS = new Set(['abstract', 'base', 'final', 'interface', 'sealed', 'mixin']);
+const MEMBER_MODIFIERS = new Set(['external', 'static', 'abstract', 'covariant', 'late', 'final', 'const', 'var', 'factory']);
+const PARAMETER_MODIFIERS = new Set(['required', 'covariant', 'final', 'var', 'const', 'late']);
+
+const MAX_CACHED_PARSES = 20;
+const parseCache = new Map();
+
+export class DartParser {
+  constructor(source, tokens, options = {}) {
+    this.source = source;
+    this.tokens = tokens;
+    this.index = 0;
+    this.errors = options.errors || [];
+    this.positionAt = options.positionAt || createLineMap(source);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Token helpers
+
+  peek(offset = 0) {
+    const index = Math.min(this.index + offset, this.tokens.length - 1);
+    return this.tokens[index];
+  }
+
+  previous() {
+    return this.tokens[Math.max(0, this.index - 1)];
+  }
+
+  advance() {
+    const token = this.peek();
+    if (token.type !== 'eof') this.index++;
+    return token;
+  }
+
+  isEOF() {
+    return this.peek().type === 'eof';
+  }
+
+  at(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type !== 'string' && token.type !== 'eof' && token.value === value;
+  }
+
+  atAny(values, offset = 0) {
+    return values.some(value => this.at(value, offset));
+  }
+
+  atIdentifier(offset = 0) {
+    return this.peek(offset).type === 'identifier';
+  }
+
+  eat(value) {
+    if (this.at(value)) return this.advance();
+    return null;
+  }
+
+  expect(value) {
+    if (this.at(value)) return this.advance();
+    this.fail(`Expected '${value}'`);
+  }
+
+  expectIdentifier() {
+    if (this.atIdentifier()) return this.advance().value;
+    this.fail('Expected an identifier');
+  }
+
+  fail(message, token = this.peek()) {
+    const found = token.type === 'eof' ? 'end of input' : `'${token.value}'`;
+    throw new DartSyntaxError(`${message} but found ${found}`, token.start);
+  }
+
+  recordError(error) {
+    const offset = error.position ?? this.peek().start;
+    const { line, column } = this.positionAt(offset);
+    this.errors.push({ message: error.message, offset, line, column });
+  }
+
+  // Runs `fn` and rewinds the token position when it throws.
+  speculate(fn) {
+    const savedIndex = this.index;
+    const savedErrors = this.errors.length;
+    try {
+      return fn();
+    } catch (error) {
+      if (!(error instanceof DartSyntaxError)) throw error;
+      this.index = savedIndex;
+      this.errors.length = savedErrors;
+      return null;
+    }
+  }
+
+  // Index of the token closing the bracket at `index`, or -1.
+  findClosing(index) {
+    const pairs = { '(': ')', '[': ']', '{': '}', '<': '>' };
+    const open = this.tokens[index].value;
+    const close = pairs[open];
+    let depth = 0;
+
+    for (let i = index; i < this.tokens.length; i++) {
+      const token = this.tokens[i];
+      if (token.type !== 'punctuator') continue;
+      if (token.value === open) depth++;
+      else if (token.value === close) {
+        depth--;
+        if (depth === 0) return i;
+      }
+    }
+    return -1;
+  }
+
+  finish(node, startToken) {
+    const endToken = this.index > 0 ? this.previous() : startToken;
+    const end = Math.max(endToken.end, startToken.start);
+    const endPosition = this.positionAt(end);
+    node.span = {
+      start: startToken.start,
+      end,
+      line: startToken.line,
+      column: startToken.column,
+      endLine: endPosition.line,
+      endColumn: endPosition.column,
+    };
+    return node;
+  }
+
+  // Skips to the end of the current statement: past the next `;` at this
+  // nesting level, or up to (not past) an unmatched `}`.
+  synchronize() {
+    let depth = 0;
+    const startIndex = this.index;
+
+    while (!this.isEOF()) {
+      const token = this.peek();
+      if (token.type === 'punctuator') {
+        if (['(', '[', '{'].includes(token.value)) depth++;
+        if ([')', ']', '}'].includes(token.value)) {
+          if (depth === 0) {
+            if (token.value === '}') break;
+            this.advance();
+            continue;
+          }
+          depth--;
+          if (depth === 0 && token.value === '}') {
+            this.advance();
+            if (!this.at(')') && !this.at(',') && !this.at('.')) return;
+            continue;
+          }
+        }
+        if (token.value === ';' && depth === 0) {
+          this.advance();
+          return;
+        }
+      }
+      this.advance();
+    }
+
+    if (this.index === startIndex && !this.isEOF()) this.advance();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Compilation unit
+
+  parseCompilationUnit() {
+    const startToken = this.peek();
+    const unit = {
+      type: 'CompilationUnit',
+      directives: [],
+      declarations: [],
+      statements: [],
+    };
+
+    while (!this.isEOF()) {
+      const before = this.index;
+      try {
+        this.parseTopLevelItem(unit);
+      } catch (error) {
+        if (!(error instanceof DartSyntaxError)) throw error;
+        this.recordError(error);
+        this.synchronize();
+      }
+      if (this.index === before) {
+        this.recordError(new DartSyntaxError(`Unexpected '${this.peek().value}'`, this.peek().start));
+        this.advance();
+      }
+    }
+
+    return this.finish(unit, startToken);
+  }
+
+  parseTopLevelItem(unit) {
+    if (this.at('}') || this.at(')') || this.at(']')) {
+      this.fail('Unexpected closing bracket');
+    }
+
+    const directive = this.speculate(() => this.parseDirective());
+    if (directive) {
+      unit.directives.push(directive);
+      return;
+    }
+
+    const startIndex = this.index;
+    const startToken = this.peek();
+    const annotations = this.parseAnnotations();
+
+    const declaration = this.parseTypeDeclaration(annotations, startToken)
+      || this.speculate(() => this.parseTopLevelMember(annotations, startToken));
+    if (declaration) {
+      unit.declarations.push(declaration);
+      return;
+    }
+
+    // Not a declaration: treat the input as a statement fragment.
+    this.index = startIndex;
+    unit.statements.push(this.parseStatement());
+  }
+
+  parseDirective() {
+    const startToken = this.peek();
+
+    if (this.at('import') || this.at('export')) {
+      const keyword = this.advance().value;
+      if (this.peek().type !== 'string') this.fail('Expected a URI');
+      const uri = this.parseUri();
+      const node = {
+        type: keyword === 'import' ? 'ImportDirective' : 'ExportDirective',
+        uri,
+        prefix: null,
+        isDeferred: false,
+        show: [],
+        hide: [],
+      };
+
+      while (!this.at(';') && !this.isEOF()) {
+        if (this.eat('if')) {
+          // Configurable import: `if (dart.library.io) 'io.dart'`.
+          this.skipBalanced();
+          this.parseUri();
+        } else if (this.eat('deferred')) {
+          node.isDeferred = true;
+        } else if (this.eat('as')) {
+          node.prefix = this.expectIdentifier();
+        } else if (this.at('show') || this.at('hide')) {
+          const list = node[this.advance().value];
+          list.push(this.expectIdentifier());
+          while (this.eat(',')) list.push(this.expectIdentifier());
+        } else {
+          this.fail('Unexpected token in directive');
+        }
+      }
+      this.expect(';');
+      return this.finish(node, startToken);
+    }
+
+    if (this.at('part')) {
+      this.advance();
+      if (this.eat('of')) {
+        const node = { type: 'PartOfDirective', uri: null, libraryName: null };
+        if (this.peek().type === 'string') node.uri = this.parseUri();
+        else node.libraryName = this.parseQualifiedName();
+        this.expect(';');
+        return this.finish(node, startToken);
+      }
+      if (this.peek().type !== 'string') this.fail('Expected a URI');
+      const node = { type: 'PartDirective', uri: this.parseUri() };
+      this.expect(';');
+      return this.finish(node, startToken);
+    }
+
+    if (this.at('library') && (this.atIdentifier(1) || this.at(';', 1))) {
+      this.advance();
+      const node = { type: 'LibraryDirective', name: this.at(';') ? null : this.parseQualifiedName() };
+      this.expect(';');
+      return this.finish(node, startToken);
+    }
+
+    return null;
+  }
+
+  parseUri() {
+    const token = this.advance();
+    return (token.parts || []).map(part => (part.kind === 'text' ? part.value : '')).join('');
+  }
+
+  parseQualifiedName() {
+    let name = this.expectIdentifier();
+    while (this.at('.') && this.atIdentifier(1)) {
+      this.advance();
+      name += '.' + this.advance().value;
+    }
+    return name;
+  }
+
+  skipBalanced() {
+    const close = this.findClosing(this.index);
+    if (close === -1) this.fail('Unbalanced brackets');
+    this.index = close + 1;
+  }
+
+  parseAnnotations() {
+    const annotations = [];
+    while (this.at('@')) {
+      const startToken = this.advance();
+      const name = this.parseQualifiedName();
+      let typeArguments = null;
+      if (this.at('<')) typeArguments = this.parseTypeArguments();
+      const args = this.at('(') ? this.parseArguments() : null;
+      annotations.push(this.finish({ type: 'Annotation', name, typeArguments, arguments: args }, startToken));
+    }
+    return annotations;
+  }
+
+  // class, mixin, enum, extension, extension type, typedef.
+  parseTypeDeclaration(annotations, startToken) {
+    let offset = 0;
+    const modifiers = [];
+    while (CLASS_MODIFIERS.has(this.peek(offset).value) && this.peek(offset).type !== 'string') {
+      modifiers.push(this.peek(offset).value);
+      offset++;
+    }
+
+    if (this.at('class', offset)) {
+      this.index += offset;
+      return this.parseClassDeclaration(annotations, modifiers, startToken);
+    }
+
+    // `mixin Foo` (but not `mixin class`, handled above).
+    const mixinIndex = modifiers.lastIndexOf('mixin');
+    if (mixinIndex !== -1 && mixinIndex === modifiers.length - 1 && this.atIdentifier(offset)) {
+      this.index += offset - 1;
+      return this.parseMixinDeclaration(annotations, modifiers.slice(0, -1), startToken);
+    }
+
+    if (modifiers.length > 0) return null;
+
+    if (this.at('enum') && this.atIdentifier(1)) {
+      return this.parseEnumDeclaration(annotations, startToken);
+    }
+    if (this.at('extension') && (this.atIdentifier(1) || this.at('on', 1) || this.at('<', 1))) {
+      return this.parseExtensionDeclaration(annotations, startToken);
+    }
+    if (this.at('typedef')) {
+      return this.parseTypeAlias(annotations, startToken);
+    }
+
+    return null;
+  }
+
+  parseClassDeclaration(annotations, modifiers, startToken) {
+    this.expect('class');
+    const node = {
+      type: 'ClassDeclaration',
+      name: this.expectIdentifier(),
+      annotations,
+      modifiers,
+      isAbstract: modifiers.includes('abstract') || modifiers.includes('sealed'),
+      typeParameters: this.parseTypeParametersOpt(),
+      superclass: null,
+      mixins: [],
+      interfaces: [],
+      members: [],
+    };
+
+    if (this.eat('=')) {
+      // Mixin application: `class A = B with C;`
+      node.superclass = this.parseType();
+      if (this.eat('with')) node.mixins = this.parseTypeList();
+      if (this.eat('implements')) node.interfaces = this.parseTypeList();
+      this.expect(';');
+      return this.finish(node, startToken);
+    }
+
+    if (this.eat('extends')) node.superclass = this.parseType();
+    if (this.eat('with')) node.mixins = this.parseTypeList();
+    if (this.eat('implements')) node.interfaces = this.parseTypeList();
+
+    node.members = this.parseClassBody(node.name);
+    return this.finish(node, startToken);
+  }
+
+  parseMixinDeclaration(annotations, modifiers, startToken) {
+    this.expect('mixin');
+    const node = {
+      type: 'MixinDeclaration',
+      name: this.expectIdentifier(),
+      annotations,
+      modifiers,
+      typeParameters: this.parseTypeParametersOpt(),
+      onTypes: [],
+      interfaces: [],
+      members: [],
+    };
+    if (this.eat('on')) node.onTypes = this.parseTypeList();
+    if (this.eat('implements')) node.interfaces = this.parseTypeList();
+    node.members = this.parseClassBody(node.name);
+    return this.finish(node, startToken);
+  }
+
+  parseEnumDeclaration(annotations, startToken) {
+    this.expect('enum');
+    const node = {
+      type: 'EnumDeclaration',
+      name: this.expectIdentifier(),
+      annotations,
+      typeParameters: this.parseTypeParametersOpt(),
+      mixins: [],
+      interfaces: [],
+      constants: [],
+      members: [],
+    };
+    if (this.eat('with')) node.mixins = this.parseTypeList();
+    if (this.eat('implements')) node.interfaces = this.parseTypeList();
+
+    this.expect('{');
+    while (!this.at('}') && !this.at(';') && !this.isEOF()) {
+      const constantStart = this.peek();
+      const constantAnnotations = this.parseAnnotations();
+      const constant = {
+        type: 'EnumConstantDeclaration',
+        name: this.expectIdentifier(),
+        annotations: constantAnnotations,
+        constructorName: null,
+        arguments: null,
+      };
+      if (this.at('<')) this.parseTypeArguments();
+      if (this.eat('.')) constant.constructorName = this.expectIdentifier();
+      if (this.at('(')) constant.arguments = this.parseArguments();
+      node.constants.push(this.finish(constant, constantStart));
+      if (!this.eat(',')) break;
+    }
+    if (this.eat(';')) {
+      node.members = this.parseMembersUntilBrace(node.name);
+    }
+    this.expect('}');
+    return this.finish(node, startToken);
+  }
+
+  parseExtensionDeclaration(annotations, startToken) {
+    this.expect('extension');
+
+    if (this.at('type') && this.atIdentifier(1)) {
+      this.advance();
+      const node = {
+        type: 'ExtensionTypeDeclaration',
+        name: null,
+        annotations,
+        typeParameters: null,
+        representation: null,
+        interfaces: [],
+        members: [],
+      };
+      this.eat('const');
+      node.name = this.expectIdentifier();
+      node.typeParameters = this.parseTypeParametersOpt();
+      if (this.eat('.')) this.expectIdentifier();
+      node.representation = this.parseFormalParameters();
+      if (this.eat('implements')) node.interfaces = this.parseTypeList();
+      node.members = this.parseClassBody(node.name);
+      return this.finish(node, startToken);
+    }
+
+    const node = {
+      type: 'ExtensionDeclaration',
+      name: this.at('on') ? null : this.expectIdentifier(),
+      annotations,
+      typeParameters: this.parseTypeParametersOpt(),
+      extendedType: null,
+      members: [],
+    };
+    this.expect('on');
+    node.extendedType = this.parseType();
+    node.members = this.parseClassBody(null);
+    return this.finish(node, startToken);
+  }
+
+  parseTypeAlias(annotations, startToken) {
+    this.expect('typedef');
+    const node = { type: 'TypeAlias', name: null, annotations, aliasedType: null };
+
+    if (this.atIdentifier() && (this.at('=', 1) || this.at('<', 1))) {
+      node.name = this.advance().value;
+      this.parseTypeParametersOpt();
+      this.expect('=');
+      node.aliasedType = this.parseType();
+    } else {
+      // Legacy function typedef: `typedef void Callback(int value);`
+      const returnType = this.speculate(() => {
+        const type = this.parseType();
+        if (!this.atIdentifier()) this.fail('Expected typedef name');
+        return type;
+      });
+      node.name = this.expectIdentifier();
+      this.parseTypeParametersOpt();
+      const parameters = this.parseFormalParameters();
+      node.aliasedType = { type: 'FunctionType', returnType, typeParameters: null, parameters, nullable: false };
+    }
+
+    this.expect(';');
+    return this.finish(node, startToken);
+  }
+
+  parseTypeList() {
+    const types = [this.parseType()];
+    while (this.eat(',')) types.push(this.parseType());
+    return types;
+  }
+
+  parseClassBody(className) {
+    this.expect('{');
+    const members = this.parseMembersUntilBrace(className);
+    this.expect('}');
+    return members;
+  }
+
+  parseMembersUntilBrace(className) {
+    const members = [];
+    while (!this.at('}') && !this.isEOF()) {
+      const before = this.index;
+      try {
+        const member = this.parseClassMember(className);
+        if (member) members.push(member);
+      } catch (error) {
+        if (!(error instanceof DartSyntaxError)) throw error;
+        this.recordError(error);
+        this.synchronize();
+      }
+      if (this.index === before) this.advance();
+    }
+    return members;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Members
+
+  parseTopLevelMember(annotations, startToken) {
+    const member = this.parseMember(annotations, startToken, null, true);
+    if (member.type === 'MethodDeclaration') {
+      member.type = 'FunctionDeclaration';
+    } else if (member.type === 'FieldDeclaration') {
+      member.type = 'TopLevelVariableDeclaration';
+    } else {
+      this.fail('Expected a top-level declaration');
+    }
+    return member;
+  }
+
+  parseClassMember(className) {
+    const startToken = this.peek();
+    if (this.eat(';')) return null;
+    const annotations = this.parseAnnotations();
+    return this.parseMember(annotations, startToken, className, false);
+  }
+
+  parseMember(annotations, startToken, className, isTopLevel) {
+    const modifiers = [];
+    while (MEMBER_MODIFIERS.has(this.peek().value) && this.peek().type !== 'string') {
+      // `final` or `const` followed by `(`/`.` is an expression, not a modifier.
+      if (isTopLevel && (this.at('(', 1) || this.at('[', 1) || this.at('{', 1))) break;
+      modifiers.push(this.advance().value);
+    }
+
+    if (className && this.isConstructorStart(className)) {
+      return this.parseConstructor(annotations, modifiers, startToken, className);
+    }
+
+    let returnType = null;
+    if (!this.at('operator') && !this.isAccessorStart()) {
+      returnType = this.speculate(() => {
+        const type = this.parseType();
+        if (!this.atIdentifier() && !this.at('operator')) this.fail('Expected a member name');
+        return type;
+      });
+    }
+
+    if (this.at('operator') && !this.at('(', 1)) {
+      return this.parseOperator(annotations, modifiers, startToken, returnType);
+    }
+
+    let kind = 'method';
+    if ((this.at('get') || this.at('set')) && this.atIdentifier(1)) {
+      kind = this.advance().value === 'get' ? 'getter' : 'setter';
+    }
+
+    const nameToken = this.peek();
+    const name = this.expectIdentifier();
+
+    if (kind === 'method' && !this.at('(') && !this.at('<')) {
+      return this.parseFieldRest(annotations, modifiers, startToken, returnType, nameToken, isTopLevel);
+    }
+
+    const node = {
+      type: 'MethodDeclaration',
+      name,
+      annotations,
+      modifiers,
+      returnType,
+      typeParameters: kind === 'method' ? this.parseTypeParametersOpt() : null,
+      parameters: kind === 'getter' ? null : this.parseFormalParameters(),
+      isStatic: modifiers.includes('static'),
+      isGetter: kind === 'getter',
+      isSetter: kind === 'setter',
+      isOperator: false,
+      isAbstract: false,
+      isAsync: false,
+      isGenerator: false,
+      body: null,
+    };
+    this.parseFunctionBodyInto(node, { allowEmpty: !isTopLevel || modifiers.includes('external') });
+    return this.finish(node, startToken);
+  }
+
+  parseOperator(annotations, modifiers, startToken, returnType) {
+    this.expect('operator');
+    let operator = this.advance().value;
+    // `operator []=`, `operator >>`, `operator >>>`, `operator unary-`.
+    if (operator === '[' && this.eat(']')) {
+      operator = '[]';
+      if (this.eat('=')) operator = '[]=';
+    }
+    while (operator.startsWith('>') && this.at('>') && this.peek().start === this.previous().end) {
+      operator += this.advance().value;
+    }
+
+    const node = {
+      type: 'MethodDeclaration',
+      name: operator,
+      annotations,
+      modifiers,
+      returnType,
+      typeParameters: null,
+      parameters: this.parseFormalParameters(),
+      isStatic: false,
+      isGetter: false,
+      isSetter: false,
+      isOperator: true,
+      isAbstract: false,
+      isAsync: false,
+      isGenerator: false,
+      body: null,
+    };
+    this.parseFunctionBodyInto(node, { allowEmpty: true });
+    return this.finish(node, startToken);
+  }
+
+  parseFieldRest(annotations, modifiers, startToken, fieldType, nameToken, isTopLevel) {
+    const variables = [this.parseVariableDeclaratorRest(nameToken.value, nameToken)];
+    while (this.eat(',')) {
+      const token = this.peek();
+      variables.push(this.parseVariableDeclaratorRest(this.expectIdentifier(), token));
+    }
+
+    if (!this.eat(';') && !(isTopLevel && this.isEOF())) {
+      this.fail("Expected ';'");
+    }
+
+    return this.finish({
+      type: 'FieldDeclaration',
+      annotations,
+      modifiers,
+      keyword: ['var', 'final', 'const'].find(keyword => modifiers.includes(keyword)) || null,
+      isStatic: modifiers.includes('static'),
+      isLate: modifiers.includes('late'),
+      fieldType,
+      variables,
+    }, startToken);
+  }
+
+  parseVariableDeclaratorRest(name, startToken) {
+    const node = { type: 'VariableDeclarator', name, initializer: null };
+    if (this.eat('=')) node.initializer = this.parseExpression();
+    return this.finish(node, startToken);
+  }
+
+  isConstructorStart(className) {
+    if (!this.at(className)) return false;
+    if (this.at('(', 1)) return true;
+    return this.at('.', 1) && this.atIdentifier(2) && this.at('(', 3);
+  }
+
+  isAccessorStart() {
+    return (this.at('get') || this.at('set')) && this.atIdentifier(1)
+      && !this.at('(', 1) && (this.at('(', 2) || this.at('=>', 2) || this.at('{', 2) || this.at(';', 2)
+        || this.at('async', 2) || this.at('sync', 2));
+  }
+
+  parseConstructor(annotations, modifiers, startToken, className) {
+    this.advance();
+    const node = {
+      type: 'ConstructorDeclaration',
+      className,
+      name: null,
+      annotations,
+      modifiers,
+      isConst: modifiers.includes('const'),
+      isFactory: modifiers.includes('factory'),
+      parameters: null,
+      initializers: [],
+      redirectedConstructor: null,
+      body: null,
+    };
+    if (this.eat('.')) node.name = this.expectIdentifier();
+    node.parameters = this.parseFormalParameters();
+
+    if (this.eat(':')) {
+      do {
+        node.initializers.push(this.parseConstructorInitializer());
+      } while (this.eat(','));
+    }
+
+    if (this.eat('=')) {
+      node.redirectedConstructor = this.parseType();
+      if (this.eat('.')) node.redirectedConstructor.constructorName = this.expectIdentifier();
+      this.expect(';');
+    } else if (this.at('{')) {
+      node.body = this.parseBlock();
+    } else {
+      this.expect(';');
+    }
+
+    return this.finish(node, startToken);
+  }
+
+  parseConstructorInitializer() {
+    const startToken = this.peek();
+
+    if (this.at('super') || (this.at('this') && (this.at('(', 1) || this.at('.', 1) && this.at('(', 3)))) {
+      const keyword = this.advance().value;
+      let constructorName = null;
+      if (this.eat('.')) constructorName = this.expectIdentifier();
+      if (this.at('(')) {
+        return this.finish({
+          type: keyword === 'super' ? 'SuperConstructorInvocation' : 'RedirectingConstructorInvocation',
+          constructorName,
+          arguments: this.parseArguments(),
+        }, startToken);
+      }
+      this.fail('Expected constructor arguments');
+    }
+
+    if (this.at('assert')) {
+      return this.parseAssert(startToken);
+    }
+
+    this.eat('this') && this.expect('.');
+    const fieldName = this.expectIdentifier();
+    this.expect('=');
+    return this.finish({
+      type: 'ConstructorFieldInitializer',
+      fieldName,
+      expression: this.parseConditional(),
+    }, startToken);
+  }
+
+  parseFunctionBodyInto(node, { allowEmpty }) {
+    if (this.at('async') || this.at('sync')) {
+      const keyword = this.advance().value;
+      node.isAsync = keyword === 'async';
+      if (this.at('*')) {
+        this.advance();
+        node.isGenerator = true;
+      }
+    }
+
+    if (this.at('{')) {
+      node.body = this.parseBlock();
+    } else if (this.at('=>')) {
+      const startToken = this.advance();
+      node.body = this.finish({ type: 'ExpressionFunctionBody', expression: this.parseExpression() }, startToken);
+      this.expect(';');
+    } else if (allowEmpty && this.at(';')) {
+      this.advance();
+      node.isAbstract = !node.modifiers?.includes('external');
+    } else {
+      this.fail('Expected a function body');
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Types
+
+  parseType() {
+    const startToken = this.peek();
+    let type;
+
+    if (this.at('(')) {
+      type = this.parseRecordType();
+    } else if (this.at('void')) {
+      this.advance();
+      type = { type: 'NamedType', name: 'void', typeArguments: [], nullable: false };
+    } else if (this.at('Function')) {
+      type = null;
+    } else {
+      let name = this.expectIdentifier();
+      if (this.at('.') && this.atIdentifier(1)) {
+        this.advance();
+        name += '.' + this.advance().value;
+      }
+      type = {
+        type: 'NamedType',
+        name,
+        typeArguments: this.at('<') ? this.parseTypeArguments() : [],
+        nullable: false,
+      };
+      if (this.eat('?')) type.nullable = true;
+    }
+    if (type) this.finish(type, startToken);
+
+    while (this.at('Function')) {
+      this.advance();
+      const functionType = {
+        type: 'FunctionType',
+        returnType: type,
+        typeParameters: this.parseTypeParametersOpt(),
+        parameters: this.parseFormalParameters(),
+        nullable: false,
+      };
+      if (this.eat('?')) functionType.nullable = true;
+      type = this.finish(functionType, startToken);
+    }
+
+    if (!type) this.fail('Expected a type');
+    return type;
+  }
+
+  parseRecordType() {
+    this.expect('(');
+    const fields = [];
+    const namedFields = [];
+
+    while (!this.at(')') && !this.at('{')) {
+      this.parseAnnotations();
+      const fieldType = this.parseType();
+      const name = this.atIdentifier() ? this.advance().value : null;
+      fields.push({ fieldType, name });
+      if (!this.eat(',')) break;
+    }
+    if (this.eat('{')) {
+      while (!this.at('}')) {
+        this.parseAnnotations();
+        const fieldType = this.parseType();
+        namedFields.push({ fieldType, name: this.expectIdentifier() });
+        if (!this.eat(',')) break;
+      }
+      this.expect('}');
+    }
+    this.expect(')');
+
+    const type = { type: 'RecordType', fields, namedFields, nullable: false };
+    if (this.eat('?')) type.nullable = true;
+    return type;
+  }
+
+  parseTypeArguments() {
+    this.expect('<');
+    const types = [this.parseType()];
+    while (this.eat(',')) types.push(this.parseType());
+    this.expect('>');
+    return types;
+  }
+
+  parseTypeParametersOpt() {
+    if (!this.at('<')) return null;
+    this.advance();
+    const parameters = [];
+    do {
+      const startToken = this.peek();
+      this.parseAnnotations();
+      const parameter = { type: 'TypeParameter', name: this.expectIdentifier(), bound: null };
+      if (this.eat('extends')) parameter.bound = this.parseType();
+      parameters.push(this.finish(parameter, startToken));
+    } while (this.eat(','));
+    this.expect('>');
+    return parameters;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Parameters
+
+  parseFormalParameters() {
+    const startToken = this.expect('(');
+    const parameters = [];
+
+    while (!this.at(')')) {
+      if (this.at('[') || this.at('{')) {
+        const isNamed = this.advance().value === '{';
+        const close = isNamed ? '}' : ']';
+        while (!this.at(close)) {
+          parameters.push(this.parseFormalParameter({ isNamed, isOptional: true }));
+          if (!this.eat(',')) break;
+        }
+        this.expect(close);
+        this.eat(',');
+        break;
+      }
+      parameters.push(this.parseFormalParameter({ isNamed: false, isOptional: false }));
+      if (!this.eat(',')) break;
+    }
+
+    this.expect(')');
+    return this.finish({ type: 'FormalParameterList', parameters }, startToken).parameters;
+  }
+
+  parseFormalParameter({ isNamed, isOptional }) {
+    const startToken = this.peek();
+    const annotations = this.parseAnnotations();
+    const modifiers = [];
+    while (PARAMETER_MODIFIERS.has(this.peek().value) && this.peek().type !== 'string'
+      && !this.at(',', 1) && !this.at(')', 1) && !this.at('}', 1) && !this.at(']', 1) && !this.at('=', 1)) {
+      modifiers.push(this.advance().value);
+    }
+
+    const node = {
+      type: 'FormalParameter',
+      name: null,
+      annotations,
+      modifiers,
+      paramType: null,
+      fieldFormal: null,
+      isNamed,
+      isOptional: isOptional && !modifiers.includes('required'),
+      isRequired: !isOptional || modifiers.includes('required'),
+      defaultValue: null,
+      functionParameters: null,
+    };
+
+    if (!this.isFieldFormalStart()) {
+      node.paramType = this.speculate(() => {
+        const type = this.parseType();
+        if (!this.atIdentifier() && !this.at('this') && !this.at('super')) this.fail('Expected a parameter name');
+        return type;
+      });
+    }
+
+    if (this.isFieldFormalStart()) {
+      node.fieldFormal = this.advance().value;
+      this.expect('.');
+    }
+    node.name = this.expectIdentifier();
+
+    // Function-typed parameter: `void onTap(int index)`.
+    if (this.at('(') || this.at('<')) {
+      this.parseTypeParametersOpt();
+      node.functionParameters = this.parseFormalParameters();
+      this.eat('?');
+    }
+
+    if (this.eat('=') || (isNamed && this.eat(':'))) {
+      node.defaultValue = this.parseExpression();
+    }
+
+    return this.finish(node, startToken);
+  }
+
+  isFieldFormalStart() {
+    return (this.at('this') || this.at('super')) && this.at('.', 1);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Statements
+
+  parseBlock() {
+    const startToken = this.expect('{');
+    const statements = [];
+
+    while (!this.at('}') && !this.isEOF()) {
+      const before = this.index;
+      try {
+        statements.push(this.parseStatement());
+      } catch (error) {
+        if (!(error instanceof DartSyntaxError)) throw error;
+        this.recordError(error);
+        this.synchronize();
+      }
+      if (this.index === before) this.advance();
+    }
+
+    if (!this.eat('}')) {
+      this.recordError(new DartSyntaxError("Expected '}' to close block", this.peek().start));
+    }
+    return this.finish({ type: 'Block', statements }, startToken);
+  }
+
+  parseStatement() {
+    const startToken = this.peek();
+
+    if (this.at('{')) return this.parseBlock();
+    if (this.eat(';')) return this.finish({ type: 'EmptyStatement' }, startToken);
+
+    if (this.atIdentifier() && this.at(':', 1)) {
+      const label = this.advance().value;
+      this.advance();
+      return this.finish({ type: 'LabeledStatement', label, statement: this.parseStatement() }, startToken);
+    }
+
+    switch (this.peek().type === 'string' ? null : this.peek().value) {
+      case 'if': return this.parseIfStatement(startToken);
+      case 'for': return this.parseForStatement(startToken, false);
+      case 'while': return this.parseWhileStatement(startToken);
+      case 'do': return this.parseDoStatement(startToken);
+      case 'switch':
+        if (this.isSwitchStatement()) return this.parseSwitchStatement(startToken);
+        break;
+      case 'try': return this.parseTryStatement(startToken);
+      case 'return': return this.parseReturnStatement(startToken);
+      case 'break':
+      case 'continue': return this.parseJumpStatement(startToken);
+      case 'assert': {
+        const node = this.parseAssert(startToken);
+        this.expectStatementEnd();
+        return this.finish(node, startToken);
+      }
+      case 'rethrow':
+        this.advance();
+        this.expectStatementEnd();
+        return this.finish({ type: 'RethrowStatement' }, startToken);
+      case 'await':
+        if (this.at('for', 1)) {
+          this.advance();
+          return this.parseForStatement(startToken, true);
+        }
+        return this.parseExpressionStatement(startToken);
+      case 'yield':
+        if (!this.at('=', 1) && !this.at(';', 1) && !this.at('.', 1)) {
+          return this.parseYieldStatement(startToken);
+        }
+        break;
+      default:
+        break;
+    }
+
+    if (this.startsVariableDeclaration()) {
+      return this.parseVariableDeclarationStatement(startToken);
+    }
+
+    const localFunction = this.speculate(() => this.parseLocalFunction(startToken));
+    if (localFunction) return localFunction;
+
+    const declaration = this.speculate(() => this.parseTypedVariableDeclaration(startToken));
+    if (declaration) return declaration;
+
+    return this.parseExpressionStatement(startToken);
+  }
+
+  // Accepts a missing semicolon at the end of the input or block so that
+  // expression fragments parse cleanly.
+  expectStatementEnd() {
+    if (this.eat(';')) return;
+    if (this.isEOF() || this.at('}')) return;
+    this.fail("Expected ';'");
+  }
+
+  parseExpressionStatement(startToken) {
+    const expression = this.parseExpression();
+    this.expectStatementEnd();
+    return this.finish({ type: 'ExpressionStatement', expression }, startToken);
+  }
+
+  startsVariableDeclaration() {
+    if (this.at('var') || this.at('late')) return true;
+    if (this.at('final')) return true;
+    if (this.at('const')) {
+      // `const Foo()` / `const [..]` at statement start are expressions.
+      return this.atIdentifier(1) && (this.atIdentifier(2) || this.at('=', 2) || this.at('<', 2) || this.at('?', 2));
+    }
+    return false;
+  }
+
+  parseVariableDeclarationStatement(startToken) {
+    if ((this.at('var') || this.at('final')) && this.atAny(['(', '[', '{'], 1)) {
+      // Pattern variable declaration: `final (a, b) = pair;`
+      const keyword = this.advance().value;
+      const pattern = this.parsePatternUntil(token => token.value === '=');
+      this.expect('=');
+      const initializer = this.parseExpression();
+      this.expectStatementEnd();
+      return this.finish({ type: 'PatternVariableDeclarationStatement', keyword, pattern, initializer }, startToken);
+    }
+
+    const list = this.parseVariableDeclarationList();
+    this.expectStatementEnd();
+    return this.finish({ type: 'VariableDeclarationStatement', ...list }, startToken);
+  }
+
+  parseVariableDeclarationList() {
+    let keyword = null;
+    let isLate = false;
+    if (this.eat('late')) isLate = true;
+    if (this.at('var') || this.at('final') || this.at('const')) keyword = this.advance().value;
+
+    let varType = null;
+    if (!(this.atIdentifier() && (this.at('=', 1) || this.at(';', 1) || this.at(',', 1) || this.at('in', 1)))) {
+      varType = this.parseType();
+    }
+
+    const variables = [];
+    do {
+      const token = this.peek();
+      variables.push(this.parseVariableDeclaratorRest(this.expectIdentifier(), token));
+    } while (this.eat(','));
+
+    return { keyword, isLate, varType, variables };
+  }
+
+  parseTypedVariableDeclaration(startToken) {
+    const varType = this.parseType();
+    if (!this.atIdentifier()) this.fail('Expected a variable name');
+    if (!this.at('=', 1) && !this.at(';', 1) && !this.at(',', 1) && !this.isEOFAt(1)) {
+      this.fail('Not a variable declaration');
+    }
+
+    const variables = [];
+    do {
+      const token = this.peek();
+      variables.push(this.parseVariableDeclaratorRest(this.expectIdentifier(), token));
+    } while (this.eat(','));
+    this.expectStatementEnd();
+
+    return this.finish({
+      type: 'VariableDeclarationStatement',
+      keyword: null,
+      isLate: false,
+      varType,
+      variables,
+    }, startToken);
+  }
+
+  isEOFAt(offset) {
+    return this.peek(offset).type === 'eof';
+  }
+
+  parseLocalFunction(startToken) {
+    let returnType = null;
+    if (!(this.atIdentifier() && (this.at('(', 1) || this.at('<', 1)))) {
+      returnType = this.parseType();
+    }
+    const name = this.expectIdentifier();
+    const node = {
+      type: 'FunctionDeclaration',
+      name,
+      annotations: [],
+      modifiers: [],
+      returnType,
+      typeParameters: this.parseTypeParametersOpt(),
+      parameters: this.parseFormalParameters(),
+      isStatic: false,
+      isGetter: false,
+      isSetter: false,
+      isOperator: false,
+      isAbstract: false,
+      isAsync: false,
+      isGenerator: false,
+      body: null,
+    };
+    if (!this.at('{') && !this.at('=>') && !this.at('async') && !this.at('sync')) {
+      this.fail('Expected a function body');
+    }
+    this.parseFunctionBodyInto(node, { allowEmpty: false });
+    return this.finish({ type: 'FunctionDeclarationStatement', functionDeclaration: this.finish(node, startToken) }, startToken);
+  }
+
+  parseIfStatement(startToken) {
+    this.expect('if');
+    this.expect('(');
+    const condition = this.parseExpression();
+    let caseClause = null;
+    if (this.at('case')) {
+      this.advance();
+      caseClause = this.parsePatternUntil(token => token.value === ')' || token.value === 'when');
+      if (this.eat('when')) this.parseExpression();
+    }
+    this.expect(')');
+    const thenStatement = this.parseStatement();
+    const elseStatement = this.eat('else') ? this.parseStatement() : null;
+    return this.finish({ type: 'IfStatement', condition, caseClause, thenStatement, elseStatement }, startToken);
+  }
+
+  parseForStatement(startToken, isAwait) {
+    this.expect('for');
+    this.expect('(');
+    const node = {
+      type: 'ForStatement',
+      isAwait,
+      forEach: false,
+      loopVariable: null,
+      iterable: null,
+      initialization: null,
+      condition: null,
+      updaters: [],
+      body: null,
+    };
+
+    const forEach = this.speculate(() => {
+      const declarationStart = this.peek();
+      let loopVariable;
+      if (this.at('var') || this.at('final') || this.at('const') || !(this.atIdentifier() && this.at('in', 1))) {
+        if ((this.at('var') || this.at('final')) && this.at('(', 1)) {
+          this.advance();
+          loopVariable = this.parsePatternUntil(token => token.value === 'in');
+        } else {
+          const list = this.parseVariableDeclarationList();
+          loopVariable = this.finish({ type: 'VariableDeclarationStatement', ...list }, declarationStart);
+        }
+      } else {
+        loopVariable = this.parsePrimary();
+      }
+      this.expect('in');
+      return loopVariable;
+    });
+
+    if (forEach) {
+      node.forEach = true;
+      node.loopVariable = forEach;
+      node.iterable = this.parseExpression();
+    } else {
+      if (!this.at(';')) {
+        const initStart = this.peek();
+        if (this.startsVariableDeclaration()) {
+          node.initialization = this.finish({ type: 'VariableDeclarationStatement', ...this.parseVariableDeclarationList() }, initStart);
+        } else {
+          node.initialization = this.speculate(() => {
+            const list = this.parseVariableDeclarationList();
+            if (!this.at(';')) this.fail("Expected ';'");
+            return this.finish({ type: 'VariableDeclarationStatement', ...list }, initStart);
+          }) || this.parseExpressionList();
+        }
+      }
+      this.expect(';');
+      if (!this.at(';')) node.condition = this.parseExpression();
+      this.expect(';');
+      if (!this.at(')')) node.updaters = this.parseExpressionList();
+    }
+
+    this.expect(')');
+    node.body = this.parseStatement();
+    return this.finish(node, startToken);
+  }
+
+  parseExpressionList() {
+    const expressions = [this.parseExpression()];
+    while (this.eat(',')) expressions.push(this.parseExpression());
+    return expressions;
+  }
+
+  parseWhileStatement(startToken) {
+    this.expect('while');
+    this.expect('(');
+    const condition = this.parseExpression();
+    this.expect(')');
+    return this.finish({ type: 'WhileStatement', condition, body: this.parseStatement() }, startToken);
+  }
+
+  parseDoStatement(startToken) {
+    this.expect('do');
+    const body = this.parseStatement();
+    this.expect('while');
+    this.expect('(');
+    const condition = this.parseExpression();
+    this.expect(')');
+    this.expectStatementEnd();
+    return this.finish({ type: 'DoStatement', body, condition }, startToken);
+  }
+
+  isSwitchStatement() {
+    // A switch expression is followed by `pattern =>` cases; statements use `case`/`default`.
+    const open = this.index + 1;
+    if (!this.at('(', 1)) return true;
+    const close = this.findClosing(open);
+    if (close === -1) return true;
+    const next = this.tokens[close + 2];
+    return this.tokens[close + 1]?.value === '{' && next && (next.value === 'case' || next.value === 'default' || next.value === '}');
+  }
+
+  parseSwitchStatement(startToken) {
+    this.expect('switch');
+    this.expect('(');
+    const expression = this.parseExpression();
+    this.expect(')');
+    this.expect('{');
+
+    const members = [];
+    while (!this.at('}') && !this.isEOF()) {
+      const memberStart = this.peek();
+      const labels = [];
+      while (this.atIdentifier() && this.at(':', 1)) {
+        labels.push(this.advance().value);
+        this.advance();
+      }
+
+      let pattern = null;
+      let guard = null;
+      let isDefault = false;
+      if (this.eat('default')) {
+        isDefault = true;
+      } else {
+        this.expect('case');
+        pattern = this.parsePatternUntil(token => token.value === ':' || token.value === 'when');
+        if (this.eat('when')) guard = this.parseExpression();
+      }
+      this.expect(':');
+
+      const statements = [];
+      while (!this.at('case') && !this.at('default') && !this.at('}') && !this.isEOF()
+        && !(this.atIdentifier() && this.at(':', 1) && (this.at('case', 2) || this.at('default', 2)))) {
+        const before = this.index;
+        try {
+          statements.push(this.parseStatement());
+        } catch (error) {
+          if (!(error instanceof DartSyntaxError)) throw error;
+          this.recordError(error);
+          this.synchronize();
+        }
+        if (this.index === before) this.advance();
+      }
+
+      members.push(this.finish({
+        type: isDefault ? 'SwitchDefault' : 'SwitchCase',
+        labels,
+        pattern,
+        guard,
+        statements,
+      }, memberStart));
+    }
+    this.expect('}');
+    return this.finish({ type: 'SwitchStatement', expression, members }, startToken);
+  }
+
+  // Patterns are parsed as expressions when they are expression-shaped
+  // (constants, identifiers, calls). Destructuring patterns are kept as an
+  // opaque node spanning their source.
+  parsePatternUntil(isTerminator) {
+    const startToken = this.peek();
+    const startIndex = this.index;
+    const expression = this.speculate(() => {
+      const parsed = this.parseExpression();
+      if (!isTerminator(this.peek())) this.fail('Not an expression pattern');
+      return parsed;
+    });
+    if (expression) return expression;
+
+    this.index = startIndex;
+    let depth = 0;
+    while (!this.isEOF()) {
+      const token = this.peek();
+      if (depth === 0 && token.type !== 'string' && isTerminator(token)) break;
+      if (token.type === 'punctuator') {
+        if (['(', '[', '{'].includes(token.value)) depth++;
+        if ([')', ']', '}'].includes(token.value)) {
+          if (depth === 0) break;
+          depth--;
+        }
+      }
+      this.advance();
+    }
+    return this.finish({ type: 'Pattern', text: this.source.slice(startToken.start, this.previous().end) }, startToken);
+  }
+
+  parseTryStatement(startToken) {
+    this.expect('try');
+    const body = this.parseBlock();
+    const catchClauses = [];
+
+    while (this.at('on') || this.at('catch')) {
+      const clauseStart = this.peek();
+      const clause = { type: 'CatchClause', exceptionType: null, exceptionParameter: null, stackTraceParameter: null, body: null };
+      if (this.eat('on')) clause.exceptionType = this.parseType();
+      if (this.eat('catch')) {
+        this.expect('(');
+        clause.exceptionParameter = this.expectIdentifier();
+        if (this.eat(',')) clause.stackTraceParameter = this.expectIdentifier();
+        this.expect(')');
+      }
+      clause.body = this.parseBlock();
+      catchClauses.push(this.finish(clause, clauseStart));
+    }
+
+    const finallyBlock = this.eat('finally') ? this.parseBlock() : null;
+    return this.finish({ type: 'TryStatement', body, catchClauses, finallyBlock }, startToken);
+  }
+
+  parseReturnStatement(startToken) {
+    this.expect('return');
+    const expression = this.at(';') || this.at('}') || this.isEOF() ? null : this.parseExpression();
+    this.expectStatementEnd();
+    return this.finish({ type: 'ReturnStatement', expression }, startToken);
+  }
+
+  parseJumpStatement(startToken) {
+    const keyword = this.advance().value;
+    const label = this.atIdentifier() ? this.advance().value : null;
+    this.expectStatementEnd();
+    return this.finish({ type: keyword === 'break' ? 'BreakStatement' : 'ContinueStatement', label }, startToken);
+  }
+
+  parseYieldStatement(startToken) {
+    this.advance();
+    const isStar = !!this.eat('*');
+    const expression = this.parseExpression();
+    this.expectStatementEnd();
+    return this.finish({ type: 'YieldStatement', isStar, expression }, startToken);
+  }
+
+  parseAssert(startToken) {
+    this.expect('assert');
+    this.expect('(');
+    const condition = this.parseExpression();
+    const message = this.eat(',') && !this.at(')') ? this.parseExpression() : null;
+    this.eat(',');
+    this.expect(')');
+    return this.finish({ type: 'AssertStatement', condition, message }, startToken);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Expressions
+
+  parseExpression() {
+    const startToken = this.peek();
+
+    if (this.at('throw')) {
+      this.advance();
+      return this.finish({ type: 'ThrowExpression', expression: this.parseExpression() }, startToken);
+    }
+
+    let expression = this.parseConditional();
+
+    if (this.at('..') || this.at('?..')) {
+      const sections = [];
+      while (this.at('..') || this.at('?..')) {
+        sections.push(this.parseCascadeSection());
+      }
+      expression = this.finish({ type: 'CascadeExpression', target: expression, sections }, startToken);
+    }
+
+    const operator = this.peekAssignmentOperator();
+    if (operator) {
+      this.index += operator.tokenCount;
+      const right = this.parseExpression();
+      return this.finish({ type: 'AssignmentExpression', operator: operator.value, left: expression, right }, startToken);
+    }
+
+    return expression;
+  }
+
+  peekAssignmentOperator() {
+    const token = this.peek();
+    if (token.type !== 'punctuator') return null;
+    if (ASSIGNMENT_OPERATORS.has(token.value)) return { value: token.value, tokenCount: 1 };
+
+    // `>>=` and `>>>=` arrive as `>` `>=` and `>` `>` `>=`.
+    if (token.value === '>') {
+      const second = this.peek(1);
+      if (second.start !== token.end) return null;
+      if (second.value === '>=') return { value: '>>=', tokenCount: 2 };
+      const third = this.peek(2);
+      if (second.value === '>' && third.value === '>=' && third.start === second.end) {
+        return { value: '>>>=', tokenCount: 3 };
+      }
+    }
+    return null;
+  }
+
+  parseCascadeSection() {
+    const startToken = this.advance();
+    let expression;
+
+    if (this.at('[')) {
+      this.advance();
+      const index = this.parseExpression();
+      this.expect(']');
+      expression = this.finish({ type: 'IndexExpression', target: null, index, isCascade: true }, startToken);
+    } else {
+      const name = this.expectIdentifier();
+      expression = this.finish({ type: 'PropertyAccess', target: null, name, isNullAware: false, isCascade: true }, startToken);
+      if (this.at('(') || this.atGenericCall()) {
+        expression = this.parseInvocation(expression, startToken);
+      }
+    }
+
+    expression = this.parseSelectors(expression, startToken);
+
+    const operator = this.peekAssignmentOperator();
+    if (operator) {
+      this.index += operator.tokenCount;
+      const right = this.parseConditional();
+      return this.finish({ type: 'AssignmentExpression', operator: operator.value, left: expression, right }, startToken);
+    }
+    return expression;
+  }
+
+  parseConditional() {
+    const startToken = this.peek();
+    const condition = this.parseBinary(1);
+    if (!this.at('?')) return condition;
+
+    this.advance();
+    const thenExpression = this.parseExpressionWithoutCascade();
+    this.expect(':');
+    const elseExpression = this.parseExpressionWithoutCascade();
+    return this.finish({ type: 'ConditionalExpression', condition, thenExpression, elseExpression }, startToken);
+  }
+
+  parseExpressionWithoutCascade() {
+    const startToken = this.peek();
+    if (this.at('throw')) {
+      this.advance();
+      return this.finish({ type: 'ThrowExpression', expression: this.parseExpressionWithoutCascade() }, startToken);
+    }
+    const expression = this.parseConditional();
+    const operator = this.peekAssignmentOperator();
+    if (operator) {
+      this.index += operator.tokenCount;
+      const right = this.parseExpressionWithoutCascade();
+      return this.finish({ type: 'AssignmentExpression', operator: operator.value, left: expression, right }, startToken);
+    }
+    return expression;
+  }
+
+  peekBinaryOperator() {
+    const token = this.peek();
+    if (token.type !== 'punctuator') return null;
+
+    if (token.value === '>') {
+      const second = this.peek(1);
+      if (second.value === '>' && second.start === token.end) {
+        const third = this.peek(2);
+        if (third.value === '>' && third.start === second.end) {
+          if (this.peek(3).value === '>=' && this.peek(3).start === third.end) return null;
+          return { value: '>>>', tokenCount: 3 };
+        }
+        if (third.value === '>=' && third.start === second.end) return null;
+        return { value: '>>', tokenCount: 2 };
+      }
+      if (second.value === '>=' && second.start === token.end) return null;
+    }
+
+    if (BINARY_PRECEDENCE[token.value] !== undefined) {
+      return { value: token.value, tokenCount: 1 };
+    }
+    return null;
+  }
+
+  parseBinary(minPrecedence) {
+    const startToken = this.peek();
+    let left = this.parseUnary();
+
+    while (true) {
+      if ((this.at('is') || this.at('as')) && minPrecedence <= RELATIONAL_PRECEDENCE) {
+        const keyword = this.advance().value;
+        if (keyword === 'is') {
+          const negated = !!this.eat('!');
+          left = this.finish({ type: 'IsExpression', expression: left, negated, typeAnnotation: this.parseType() }, startToken);
+        } else {
+          left = this.finish({ type: 'AsExpression', expression: left, typeAnnotation: this.parseType() }, startToken);
+        }
+        continue;
+      }
+
+      const operator = this.peekBinaryOperator();
+      if (!operator) break;
+      const precedence = BINARY_PRECEDENCE[operator.value];
+      if (precedence < minPrecedence) break;
+
+      this.index += operator.tokenCount;
+      const right = this.parseBinary(precedence + 1);
+      left = this.finish({ type: 'BinaryExpression', operator: operator.value, left, right }, startToken);
+    }
+
+    return left;
+  }
+
+  parseUnary() {
+    const startToken = this.peek();
+
+    if (this.atAny(['-', '!', '~', '++', '--']) && this.peek().type === 'punctuator') {
+      const operator = this.advance().value;
+      return this.finish({ type: 'PrefixExpression', operator, operand: this.parseUnary() }, startToken);
+    }
+
+    if (this.at('await') && this.canStartExpression(1)) {
+      this.advance();
+      return this.finish({ type: 'AwaitExpression', expression: this.parseUnary() }, startToken);
+    }
+
+    return this.parsePostfix();
+  }
+
+  canStartExpression(offset) {
+    const token = this.peek(offset);
+    if (token.type === 'eof') return false;
+    if (token.type !== 'punctuator') return !['is', 'as', 'in'].includes(token.value);
+    return ['(', '[', '{', '-', '!', '~', '++', '--', '<', '#'].includes(token.value);
+  }
+
+  parsePostfix() {
+    const startToken = this.peek();
+    const primary = this.parsePrimary();
+    return this.parseSelectors(primary, startToken);
+  }
+
+  atGenericCall() {
+    if (!this.at('<')) return false;
+    const close = this.speculate(() => {
+      const saved = this.index;
+      this.parseTypeArguments();
+      const result = this.at('(') ? true : null;
+      this.index = saved;
+      if (!result) this.fail('Not a generic invocation');
+      return result;
+    });
+    return !!close;
+  }
+
+  // `list?[0]`: `?` right before `[`, and not the `?` of `a ?[b] : c`
+  atNullAwareIndex() {
+    if (!this.at('?') || !this.at('[', 1) || this.peek(1).start !== this.peek().end) return false;
+    const saved = this.index;
+    const savedErrors = this.errors.length;
+    const isIndex = this.speculate(() => {
+      this.index += 2;
+      this.parseExpression();
+      this.expect(']');
+      return !this.at(':');
+    });
+    this.index = saved;
+    this.errors.length = savedErrors;
+    return !!isIndex;
+  }
+
+  parseSelectors(expression, startToken) {
+    while (true) {
+      if (this.at('.') || this.at('?.')) {
+        const isNullAware = this.advance().value === '?.';
+        // `Foo.new` names the unnamed constructor (a tear-off without arguments)
+        const name = this.at('new') ? this.advance().value : this.expectIdentifier();
+        expression = this.finish({ type: 'PropertyAccess', target: expression, name, isNullAware, isCascade: false }, startToken);
+        if (this.at('(') || this.atGenericCall()) {
+          expression = this.parseInvocation(expression, startToken);
+        }
+      } else if (this.at('[') || this.atNullAwareIndex()) {
+        const isNullAware = this.advance().value === '?';
+        if (isNullAware) this.advance();
+        const index = this.parseExpression();
+        this.expect(']');
+        expression = this.finish({ type: 'IndexExpression', target: expression, index, isNullAware, isCascade: false }, startToken);
+      } else if (this.at('(') || this.atGenericCall()) {
+        expression = this.parseInvocation(expression, startToken);
+      } else if (this.at('!') && !this.at('=', 1)) {
+        this.advance();
+        expression = this.finish({ type: 'PostfixExpression', operator: '!', operand: expression }, startToken);
+      } else if ((this.at('++') || this.at('--')) && this.peek().type === 'punctuator') {
+        const operator = this.advance().value;
+        expression = this.finish({ type: 'PostfixExpression', operator, operand: expression }, startToken);
+      } else {
+        return expression;
+      }
+    }
+  }
+
+  // Turns `callee(args)` into a MethodInvocation, InstanceCreationExpression or
+  // FunctionExpressionInvocation depending on the shape of the callee.
+  parseInvocation(callee, startToken) {
+    const typeArguments = this.at('<') ? this.parseTypeArguments() : null;
+    const args = this.parseArguments();
+
+    const creation = this.asInstanceCreation(callee, typeArguments, args);
+    if (creation) return this.finish(creation, startToken);
+
+    if (callee.type === 'Identifier') {
+      return this.finish({
+        type: 'MethodInvocation',
+        target: null,
+        methodName: callee.name,
+        typeArguments,
+        arguments: args,
+        isNullAware: false,
+        isCascade: false,
+      }, startToken);
+    }
+
+    if (callee.type === 'PropertyAccess') {
+      return this.finish({
+        type: 'MethodInvocation',
+        target: callee.target,
+        methodName: callee.name,
+        typeArguments,
+        arguments: args,
+        isNullAware: callee.isNullAware,
+        isCascade: callee.isCascade,
+      }, startToken);
+    }
+
+    return this.finish({ type: 'FunctionExpressionInvocation', function: callee, typeArguments, arguments: args }, startToken);
+  }
+
+  asInstanceCreation(callee, typeArguments, args) {
+    // `Foo.new(...)` is the unnamed constructor
+    const creation = (typeName, named, prefix, constructorName = named === 'new' ? null : named) => ({
+      type: 'InstanceCreationExpression',
+      name: constructorName ? `${typeName}.${constructorName}` : typeName,
+      typeName,
+      constructorName,
+      prefix,
+      typeArguments,
+      arguments: args,
+      isConst: false,
+      isNew: false,
+    });
+
+    if (callee.type === 'Identifier' && isCapitalized(callee.name)) {
+      return creation(callee.name, null, null);
+    }
+
+    if (callee.type === 'PropertyAccess' && !callee.isNullAware && !callee.isCascade
+      && callee.target?.type === 'Identifier') {
+      const targetName = callee.target.name;
+      if (isCapitalized(targetName) && !isCapitalized(callee.name)) {
+        return creation(targetName, callee.name, null);
+      }
+      if (!isCapitalized(targetName) && isCapitalized(callee.name)) {
+        // Import prefix: `material.Text(...)`.
+        return creation(callee.name, null, targetName);
+      }
+    }
+
+    // `prefix.Type.named(...)`
+    if (callee.type === 'PropertyAccess' && callee.target?.type === 'PropertyAccess'
+      && callee.target.target?.type === 'Identifier' && !isCapitalized(callee.target.target.name)
+      && isCapitalized(callee.target.name) && !callee.isNullAware && !callee.target.isNullAware) {
+      return creation(callee.target.name, callee.name, callee.target.target.name);
+    }
+
+    return null;
+  }
+
+  parseArguments() {
+    const startToken = this.expect('(');
+    const args = [];
+
+    while (!this.at(')')) {
+      const argStart = this.peek();
+      if (this.atIdentifier() && this.at(':', 1)) {
+        const name = this.advance().value;
+        this.advance();
+        args.push(this.finish({ type: 'NamedArgument', name, value: this.parseExpression() }, argStart));
+      } else {
+        args.push(this.parseExpression());
+      }
+      if (!this.eat(',')) break;
+    }
+
+    this.expect(')');
+    this.finish({ type: 'ArgumentList' }, startToken);
+    return args;
+  }
+
+  parsePrimary() {
+    const startToken = this.peek();
+    const token = this.peek();
+
+    if (token.type === 'number') {
+      this.advance();
+      return this.finish({ type: 'NumberLiteral', value: Number(token.value.replace(/_/g, '')), raw: token.value }, startToken);
+    }
+
+    if (token.type === 'string') {
+      return this.parseStringLiteral();
+    }
+
+    if (token.type === 'identifier') {
+      if (this.isFunctionExpressionStart()) return this.parseFunctionExpression();
+      this.advance();
+      return this.finish({ type: 'Identifier', name: token.value }, startToken);
+    }
+
+    switch (token.value) {
+      case 'true':
+      case 'false':
+        this.advance();
+        return this.finish({ type: 'BooleanLiteral', value: token.value === 'true' }, startToken);
+      case 'null':
+        this.advance();
+        return this.finish({ type: 'NullLiteral' }, startToken);
+      case 'this':
+        this.advance();
+        return this.finish({ type: 'ThisExpression' }, startToken);
+      case 'super':
+        this.advance();
+        return this.finish({ type: 'SuperExpression' }, startToken);
+      case 'throw':
+        return this.parseExpression();
+      case 'new':
+      case 'const':
+        return this.parseConstOrNew();
+      case 'void':
+        // `void Function()` used as an expression (type literal).
+        this.parseType();
+        return this.finish({ type: 'TypeLiteral' }, startToken);
+      case '(':
+        if (this.isFunctionExpressionStart()) return this.parseFunctionExpression();
+        return this.parseParenthesizedOrRecord();
+      case '[':
+        return this.parseListLiteral(null, false);
+      case '{':
+        return this.parseSetOrMapLiteral(null, false);
+      case '<':
+        return this.parseGenericLiteralOrFunction();
+      case '#':
+        return this.parseSymbolLiteral();
+      case 'switch':
+        return this.parseSwitchExpression();
+      default:
+        break;
+    }
+
+    if (token.type === 'keyword' && !['if', 'for', 'else', 'while', 'do', 'return', 'case', 'default', 'in', 'is', 'class', 'extends', 'with', 'try', 'catch', 'finally', 'break', 'continue', 'rethrow', 'assert', 'enum', 'var', 'final'].includes(token.value)) {
+      this.advance();
+      return this.finish({ type: 'Identifier', name: token.value }, startToken);
+    }
+
+    this.fail('Expected an expression');
+  }
+
+  parseStringLiteral() {
+    const startToken = this.peek();
+    const parts = [];
+    let isRaw = false;
+    let isMultiline = false;
+
+    // Adjacent string literals are concatenated.
+    while (this.peek().type === 'string') {
+      const token = this.advance();
+      isRaw = isRaw || token.isRaw;
+      isMultiline = isMultiline || token.isMultiline;
+      for (const part of token.parts) {
+        if (part.kind === 'text') {
+          parts.push({ kind: 'text', value: part.value, start: part.start, end: part.end });
+        } else {
+          parts.push({
+            kind: 'interpolation',
+            expression: this.parseInterpolation(part),
+            source: this.source.slice(part.start, part.end),
+            start: part.start,
+            end: part.end,
+          });
+        }
+      }
+    }
+
+    const interpolations = parts.filter(part => part.kind === 'interpolation').map(part => part.expression);
+    return this.finish({
+      type: 'StringLiteral',
+      value: parts.map(part => (part.kind === 'text' ? part.value : part.source)).join(''),
+      parts,
+      interpolations: interpolations.filter(Boolean),
+      isInterpolated: interpolations.length > 0,
+      isRaw,
+      isMultiline,
+    }, startToken);
+  }
+
+  parseInterpolation(part) {
+    const eofOffset = part.tokens.length ? part.tokens[part.tokens.length - 1].end : part.end;
+    const eof = { ...this.makeEOF(eofOffset) };
+    const parser = new DartParser(this.source, [...part.tokens, eof], {
+      errors: this.errors,
+      positionAt: this.positionAt,
+    });
+    try {
+      const expression = parser.parseExpression();
+      if (!parser.isEOF()) parser.fail('Unexpected token in interpolation');
+      return expression;
+    } catch (error) {
+      if (!(error instanceof DartSyntaxError)) throw error;
+      parser.recordError(error);
+      return null;
+    }
+  }
+
+  makeEOF(offset) {
+    const { line, column } = this.positionAt(offset);
+    return { type: 'eof', value: '', start: offset, end: offset, line, column };
+  }
+
+  parseSymbolLiteral() {
+    const startToken = this.expect('#');
+    let name = this.at('void') ? this.advance().value : this.expectIdentifier();
+    while (this.at('.') && this.atIdentifier(1)) {
+      this.advance();
+      name += '.' + this.advance().value;
+    }
+    return this.finish({ type: 'SymbolLiteral', name }, startToken);
+  }
+
+  parseConstOrNew() {
+    const startToken = this.peek();
+    const keyword = this.advance().value;
+    const isConst = keyword === 'const';
+
+    if (isConst) {
+      if (this.at('[')) return this.parseListLiteral(null, true, startToken);
+      if (this.at('{')) return this.parseSetOrMapLiteral(null, true, startToken);
+      if (this.at('<')) return this.parseGenericLiteralOrFunction(true, startToken);
+      if (this.at('(')) {
+        const record = this.parseParenthesizedOrRecord();
+        record.isConst = true;
+        return this.finish(record, startToken);
+      }
+    }
+
+    // `new prefix.Type<T>.named(...)`
+    let prefix = null;
+    let typeName = this.expectIdentifier();
+    let constructorName = null;
+    let typeArguments = null;
+
+    if (this.at('.') && this.atIdentifier(1)) {
+      this.advance();
+      const second = this.advance().value;
+      if (isCapitalized(second) && !isCapitalized(typeName)) {
+        prefix = typeName;
+        typeName = second;
+      } else {
+        constructorName = second;
+      }
+    }
+    if (this.at('<')) typeArguments = this.parseTypeArguments();
+    if (!constructorName && this.eat('.')) constructorName = this.expectIdentifier();
+
+    if (!this.at('(')) {
+      // `const identifier` used as a constant value.
+      return this.finish({ type: 'Identifier', name: constructorName ? `${typeName}.${constructorName}` : typeName }, startToken);
+    }
+
+    const node = {
+      type: 'InstanceCreationExpression',
+      name: constructorName ? `${typeName}.${constructorName}` : typeName,
+      typeName,
+      constructorName,
+      prefix,
+      typeArguments,
+      arguments: this.parseArguments(),
+      isConst,
+      isNew: !isConst,
+    };
+    return this.finish(node, startToken);
+  }
+
+  parseGenericLiteralOrFunction(isConst = false, startToken = this.peek()) {
+    // `<T>(T x) => x` generic function expression.
+    if (!isConst) {
+      const close = this.findClosing(this.index);
+      if (close !== -1 && this.tokens[close + 1]?.value === '(') {
+        return this.parseFunctionExpression();
+      }
+    }
+
+    const typeArguments = this.parseTypeArguments();
+    if (this.at('[')) return this.parseListLiteral(typeArguments, isConst, startToken);
+    if (this.at('{')) return this.parseSetOrMapLiteral(typeArguments, isConst, startToken);
+    this.fail("Expected '[' or '{' after type arguments");
+  }
+
+  parseListLiteral(typeArguments, isConst, startToken = this.peek()) {
+    this.expect('[');
+    const elements = this.parseCollectionElements(']');
+    return this.finish({ type: 'ListLiteral', typeArguments, elements, isConst }, startToken);
+  }
+
+  parseSetOrMapLiteral(typeArguments, isConst, startToken = this.peek()) {
+    this.expect('{');
+    const elements = this.parseCollectionElements('}');
+    const isMap = (typeArguments && typeArguments.length === 2) || elements.some(isMapElement);
+    return this.finish({
+      type: isMap ? 'MapLiteral' : 'SetOrMapLiteral',
+      typeArguments,
+      elements,
+      isConst,
+    }, startToken);
+  }
+
+  parseCollectionElements(close) {
+    const elements = [];
+    while (!this.at(close)) {
+      elements.push(this.parseCollectionElement());
+      if (!this.eat(',')) break;
+    }
+    this.expect(close);
+    return elements;
+  }
+
+  parseCollectionElement() {
+    const startToken = this.peek();
+
+    if (this.at('...') || this.at('...?')) {
+      const isNullAware = this.advance().value === '...?';
+      return this.finish({ type: 'SpreadElement', expression: this.parseExpression(), isNullAware }, startToken);
+    }
+
+    if (this.at('if')) {
+      this.advance();
+      this.expect('(');
+      const condition = this.parseExpression();
+      if (this.eat('case')) {
+        this.parsePatternUntil(token => token.value === ')' || token.value === 'when');
+        if (this.eat('when')) this.parseExpression();
+      }
+      this.expect(')');
+      const thenElement = this.parseCollectionElement();
+      const elseElement = this.eat('else') ? this.parseCollectionElement() : null;
+      return this.finish({ type: 'IfElement', condition, thenElement, elseElement }, startToken);
+    }
+
+    if (this.at('for') || (this.at('await') && this.at('for', 1))) {
+      const isAwait = !!this.eat('await');
+      this.advance();
+      this.expect('(');
+      const close = this.findClosing(this.index - 1);
+      const header = this.source.slice(this.peek().start, this.tokens[close]?.start ?? this.peek().start);
+      this.index = close === -1 ? this.index : close;
+      this.expect(')');
+      return this.finish({ type: 'ForElement', isAwait, header, body: this.parseCollectionElement() }, startToken);
+    }
+
+    const expression = this.parseExpression();
+    if (this.eat(':')) {
+      return this.finish({ type: 'MapLiteralEntry', key: expression, value: this.parseExpression() }, startToken);
+    }
+    return expression;
+  }
+
+  parseParenthesizedOrRecord() {
+    const startToken = this.expect('(');
+    const fields = [];
+    let hasComma = false;
+
+    while (!this.at(')')) {
+      const fieldStart = this.peek();
+      if (this.atIdentifier() && this.at(':', 1)) {
+        const name = this.advance().value;
+        this.advance();
+        fields.push(this.finish({ type: 'NamedArgument', name, value: this.parseExpression() }, fieldStart));
+      } else {
+        fields.push(this.parseExpression());
+      }
+      if (!this.eat(',')) break;
+      hasComma = true;
+    }
+    this.expect(')');
+
+    if (!hasComma && fields.length === 1 && fields[0].type !== 'NamedArgument') {
+      return this.finish({ type: 'ParenthesizedExpression', expression: fields[0] }, startToken);
+    }
+    return this.finish({ type: 'RecordLiteral', fields, isConst: false }, startToken);
+  }
+
+  isFunctionExpressionStart() {
+    let index = this.index;
+
+    // Single identifier parameters are not allowed without parentheses in
+    // Dart, so only `(...)` and `<T>(...)` can start a function expression.
+    if (this.tokens[index].type === 'identifier') return false;
+
+    if (this.tokens[index].value === '<') {
+      const close = this.findClosing(index);
+      if (close === -1) return false;
+      index = close + 1;
+    }
+    if (this.tokens[index]?.value !== '(') return false;
+
+    const close = this.findClosing(index);
+    if (close === -1) return false;
+
+    let next = this.tokens[close + 1];
+    if (next && next.type === 'identifier' && (next.value === 'async' || next.value === 'sync')) {
+      next = this.tokens[close + 2];
+      if (next?.value === '*') next = this.tokens[close + 3];
+    }
+    return !!next && next.type === 'punctuator' && (next.value === '=>' || next.value === '{');
+  }
+
+  parseFunctionExpression() {
+    const startToken = this.peek();
+    const node = {
+      type: 'FunctionExpression',
+      typeParameters: this.parseTypeParametersOpt(),
+      parameters: this.parseFormalParameters(),
+      isAsync: false,
+      isGenerator: false,
+      body: null,
+    };
+
+    if (this.at('async') || this.at('sync')) {
+      node.isAsync = this.advance().value === 'async';
+      if (this.eat('*')) node.isGenerator = true;
+    }
+
+    if (this.at('{')) {
+      node.body = this.parseBlock();
+    } else {
+      const arrowToken = this.expect('=>');
+      node.body = this.finish({ type: 'ExpressionFunctionBody', expression: this.parseExpression() }, arrowToken);
+    }
+    return this.finish(node, startToken);
+  }
+
+  parseSwitchExpression() {
+    const startToken = this.expect('switch');
+    this.expect('(');
+    const expression = this.parseExpression();
+    this.expect(')');
+    this.expect('{');
+
+    const cases = [];
+    while (!this.at('}') && !this.isEOF()) {
+      const caseStart = this.peek();
+      const pattern = this.parsePatternUntil(token => token.value === '=>' || token.value === 'when');
+      const guard = this.eat('when') ? this.parseExpression() : null;
+      this.expect('=>');
+      const body = this.parseExpression();
+      cases.push(this.finish({ type: 'SwitchExpressionCase', pattern, guard, expression: body }, caseStart));
+      if (!this.eat(',')) break;
+    }
+    this.expect('}');
+    return this.finish({ type: 'SwitchExpression', expression, cases }, startToken);
+  }
+}
+
+function isCapitalized(name) {
+  const first = name.replace(/^[_$]+/, '')[0];
+  return !!first && first >= 'A' && first <= 'Z';
+}
+
+function isMapElement(element) {
+  if (!element) return false;
+  if (element.type === 'MapLiteralEntry') return true;
+  if (element.type === 'IfElement') return isMapElement(element.thenElement);
+  if (element.type === 'ForElement') return isMapElement(element.body);
+  return false;
+}
+
+// Parses Dart source into a CompilationUnit. Results are memoized for the
+// most recent inputs because several analyzers usually look at the same code.
+export function parseDart(source) {
+  const text = typeof source === 'string' ? source : String(source ?? '');
+  if (parseCache.has(text)) return parseCache.get(text);
+
+  const { tokens, comments, errors: lexErrors } = tokenize(text);
+  const positionAt = createLineMap(text);
+  const errors = [...lexErrors];
+  const parser = new DartParser(text, tokens, { errors, positionAt });
+  const unit = parser.parseCompilationUnit();
+
+  const result = { unit, comments, errors, source: text, positionAt };
+
+  parseCache.set(text, result);
+  if (parseCache.size > MAX_CACHED_PARSES) {
+    parseCache.delete(parseCache.keys().next().value);
+  }
+  return result;
+}
@@ -0,0 +1,69 @@
+// Parser for unified diffs (`git diff`, `diff -u`). Only the new side is
+// kept: which files a change touches and which of their lines it adds or
+// modifies. A modified line shows up as a removed and an added line, so the
+// added lines cover both.
+
+const HUNK_HEADER = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/;
+
+/**
+ * Returns `{ path, oldPath, status, changedLines }` per file, where status is
+ * added, modified, renamed or deleted and changedLines are the line numbers
+ * of added lines in the new version of the file.
+ */
+export function parseUnifiedDiff(text) {
+  const files = [];
+  let file = null;
+  let newLine = 0;
+  let remaining = 0;
+
+  const lines = text.split(/\r?\n/);
+  lines.forEach((line, index) => {
+    if (line.startsWith('diff --git ')) {
+      file = null;
+      return;
+    }
+
+    // Inside a hunk, `---` and `+++` are content lines
+    if (remaining === 0 && line.startsWith('--- ') && lines[index + 1]?.startsWith('+++ ')) {
+      const oldPath = diffPath(line.slice(4));
+      const path = diffPath(lines[index + 1].slice(4));
+      file = {
+        path: path ?? oldPath,
+        oldPath,
+        status: oldPath === null ? 'added' : path === null ? 'deleted' : oldPath !== path ? 'renamed' : 'modified',
+        changedLines: [],
+      };
+      files.push(file);
+      return;
+    }
+    if (remaining === 0 && line.startsWith('+++ ')) return;
+
+    const hunk = HUNK_HEADER.exec(line);
+    if (hunk && file) {
+      newLine = Number(hunk[1]);
+      remaining = hunk[2] === undefined ? 1 : Number(hunk[2]);
+      return;
+    }
+
+    if (!file || remaining === 0) return;
+
+    if (line.startsWith('+')) {
+      file.changedLines.push(newLine);
+      newLine++;
+      remaining--;
+    } else if (line.startsWith(' ') || line === '') {
+      newLine++;
+      remaining--;
+    }
+    // `-` lines and "\ No newline at end of file" leave the new side alone
+  });
+
+  return files;
+}
+
+// `a/lib/main.dart` -> `lib/main.dart`; /dev/null -> null
+function diffPath(value) {
+  const path = value.split('\t')[0].trim().replace(/^"(.*)"$/, '$1');
+  if (path === '/dev/null') return null;
+  return path.replace(/^[ab]\//, '');
+}
@@ -29,6 +29,10 @@ export class CircuitBreaker {
       this.onSuccess();
       return result;
     } catch (error) {
+      // A cancelled request says nothing about the service's health
+      if (isAbortError(error)) {
+        throw error;
+      }
       this.onFailure();
       if (fallback) {
         return fallback();
@@ -90,18 +94,24 @@ export class RetryHandler {
   }
 
   async execute(fn, context = {}) {
+    const { signal } = context;
     let lastError;
     
     for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      throwIfAborted(signal);
+
       try {
         return await fn();
       } catch (error) {
+        if (isAbortError(error)) {
+          throw error;
+        }
         lastError = error;
         
         if (attempt < this.maxRetries) {
           const delay = this.calculateDelay(attempt);
           console.error(`Attempt ${attempt + 1} failed: ${error.message}. Retrying in ${delay}ms...`);
-          await this.sleep(delay);
+          await this.sleep(delay, signal);
         }
       }
     }
@@ -123,8 +133,19 @@ export class RetryHandler {
     return Math.floor(delay);
   }
 
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(toCancellationError(signal));
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 }
 
@@ -152,7 +173,7 @@ export class ErrorLogger {
     }
 
     // Log to console based on level
-    if (this.logLevel === 'error' || this.logLevel === 'warn' || this.logLevel === 'info') {
+    if (['error', 'warn', 'info', 'debug'].includes(this.logLevel)) {
       console.error(`[ERROR] ${errorEntry.timestamp}: ${error.message}`, context);
     }
 
@@ -208,6 +229,36 @@ export class TimeoutError extends Error {
   }
 }
 
+export class CancellationError extends Error {
+  constructor(message = 'Operation cancelled') {
+    super(message);
+    this.name = 'CancellationError';
+  }
+}
+
+// True for our own CancellationError as well as the errors fetch and axios
+// throw when their AbortSignal fires.
+export function isAbortError(error) {
+  return error instanceof CancellationError ||
+    error?.name === 'AbortError' ||
+    error?.name === 'CanceledError' ||
+    error?.code === 'ERR_CANCELED';
+}
+
+export function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw toCancellationError(signal);
+  }
+}
+
+function toCancellationError(signal) {
+  const reason = signal?.reason;
+  if (reason instanceof CancellationError || reason instanceof TimeoutError) {
+    return reason;
+  }
+  return new CancellationError(typeof reason === 'string' ? reason : undefined);
+}
+
 // Global error handler with retry and circuit breaker
 export class RobustErrorHandler {
   constructor() {
@@ -223,32 +274,52 @@ export class RobustErrorHandler {
     return this.circuitBreakers.get(service);
   }
 
+  // `fn` receives an AbortSignal that fires when the caller's `signal` is
+  // aborted or the timeout expires; pass it on to axios/fetch so the request
+  // is actually torn down instead of left running in the background.
   async executeWithProtection(service, fn, options = {}) {
     const {
       fallback = null,
       retry = true,
-      timeout = 30000
+      timeout = 30000,
+      signal = null
     } = options;
 
     const circuitBreaker = this.getCircuitBreaker(service);
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(toCancellationError(signal));
+    let timer;
 
     try {
-      // Add timeout wrapper
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new TimeoutError(`Operation timed out after ${timeout}ms`, timeout)), timeout);
+      throwIfAborted(signal);
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      // Rejects on timeout or cancellation, whichever comes first
+      const abortPromise = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          controller.abort(new TimeoutError(`Operation timed out after ${timeout}ms`, timeout));
+        }, timeout);
+        controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
       });
 
       const operation = async () => {
         return await circuitBreaker.execute(
-          () => retry ? this.retryHandler.execute(fn) : fn(),
+          () => retry
+            ? this.retryHandler.execute(() => fn(controller.signal), { signal: controller.signal })
+            : fn(controller.signal),
           fallback
         );
       };
 
-      return await Promise.race([operation(), timeoutPromise]);
+      return await Promise.race([operation(), abortPromise]);
     } catch (error) {
-      this.errorLogger.log(error, { service, options });
+      if (!(error instanceof CancellationError)) {
+        this.errorLogger.log(error, { service, options: { fallback, retry, timeout } });
+      }
       throw error;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
     }
   }
 
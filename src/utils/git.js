@@ -0,0 +1,73 @@
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import { join } from 'path';
+import { promisify } from 'util';
+import { isAbortError, throwIfAborted } from './errorHandler.js';
+import { createPatch } from './sourceEdits.js';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Runs git in `cwd` and returns its standard output. Failures carry git's
+ * own message ("not a git repository", "unknown revision").
+ */
+export async function runGit(cwd, args, { signal = null } = {}) {
+  try {
+    const { stdout } = await execFileAsync('git', args, {
+      cwd,
+      signal: signal || undefined,
+      maxBuffer: 64 * 1024 * 1024,
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0' },
+    });
+    return stdout;
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    if (error.code === 'ENOENT') {
+      throw new Error('git is not installed or not on the PATH');
+    }
+    const message = (error.stderr || error.message).trim().split('\n')[0];
+    throw new Error(`git ${args[0]} failed: ${message}`);
+  }
+}
+
+/**
+ * Diff between the merge base of `baseRef` and HEAD, and the working tree,
+ * with paths relative to `cwd`: the changes of a branch, committed or not.
+ * Untracked files that are not ignored are added as new files.
+ */
+export async function diffAgainstBase(cwd, baseRef, { signal = null } = {}) {
+  if (!baseRef || baseRef.startsWith('-')) {
+    throw new Error(`Invalid base revision: ${baseRef}`);
+  }
+
+  const mergeBase = (await runGit(cwd, ['merge-base', baseRef, 'HEAD'], { signal })).trim();
+  const tracked = await runGit(cwd, ['diff', '--no-color', '--no-ext-diff', '--relative', '-U0', mergeBase, '--'], { signal });
+  const untracked = (await runGit(cwd, ['ls-files', '--others', '--exclude-standard', '-z'], { signal }))
+    .split('\0')
+    .filter(Boolean);
+
+  let diff = tracked;
+  for (const path of untracked) {
+    throwIfAborted(signal);
+    const content = await fs.readFile(join(cwd, path), 'utf8');
+    // Binary files have no lines to cover
+    if (!content.includes('\0')) diff += createPatch(path, null, [{ start: 0, end: 0, text: content }]);
+  }
+  return diff;
+}
+
+/**
+ * The checked-out branch and commit of the repository containing `cwd`, or
+ * null outside a repository (or before its first commit). The branch is null
+ * on a detached HEAD.
+ */
+export async function currentRevision(cwd, { signal = null } = {}) {
+  try {
+    const [commit, branch] = (await runGit(cwd, ['rev-parse', 'HEAD', '--abbrev-ref', 'HEAD'], { signal }))
+      .trim().split('\n');
+    return { branch: branch === 'HEAD' ? null : branch, commit };
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    return null;
+  }
+}
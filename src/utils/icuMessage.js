@@ -0,0 +1,293 @@
+// Parser for the ICU message syntax of ARB files, as `flutter gen-l10n`
+// reads it: placeholders ({name}), plurals, selects and ordinal plurals with
+// nested messages, and `#` inside plural cases. With `use-escaping` in
+// l10n.yaml, text between single quotes is literal and '' is a quote.
+//
+//   [{ type: 'text', value: 'You have ' },
+//    { type: 'plural', name: 'count', options: [{ selector: '=0', message: [...] }, ...] }]
+
+export class IcuSyntaxError extends Error {
+  constructor(message, offset) {
+    super(`${message} at position ${offset}`);
+    this.name = 'IcuSyntaxError';
+    this.offset = offset;
+  }
+}
+
+const IDENTIFIER = /[A-Za-z_][A-Za-z0-9_]*/y;
+const SELECTOR = /=\d+|[A-Za-z_][A-Za-z0-9_]*/y;
+const COMPLEX_TYPES = new Set(['plural', 'select', 'selectordinal']);
+
+// gen-l10n maps the exact plural cases to these categories
+const EXACT_CATEGORIES = { '=0': 'zero', '=1': 'one', '=2': 'two' };
+
+// Cardinal plural categories that whole counts (below a million) fall into
+// per language, from the CLDR 45 plural rules, plus the `other` that every
+// plural message needs. `many` for fractions (cs, lt) or millions (es, fr)
+// is left out. Languages that are not listed are only checked for `other`.
+// CLDR 42 gave Maltese `two` and took `many` from Hebrew.
+const PLURAL_CATEGORIES = {
+  ...Object.fromEntries(['zh', 'ja', 'ko', 'vi', 'th', 'id', 'ms', 'lo', 'km', 'my']
+    .map(language => [language, ['other']])),
+  ...Object.fromEntries(['af', 'az', 'bg', 'bn', 'ca', 'da', 'de', 'el', 'en', 'es', 'et', 'eu', 'fa', 'fi', 'fr',
+    'gl', 'gu', 'hi', 'hu', 'hy', 'is', 'it', 'ka', 'kk', 'kn', 'ky', 'ml', 'mn', 'mr', 'nb', 'nl', 'no', 'pt',
+    'sq', 'sv', 'sw', 'ta', 'te', 'tr', 'ur', 'uz', 'zu']
+    .map(language => [language, ['one', 'other']])),
+  lv: ['zero', 'one', 'other'],
+  he: ['one', 'two', 'other'],
+  ...Object.fromEntries(['cs', 'sk', 'hr', 'sr', 'bs', 'lt', 'ro']
+    .map(language => [language, ['one', 'few', 'other']])),
+  sl: ['one', 'two', 'few', 'other'],
+  ...Object.fromEntries(['ru', 'uk', 'be', 'pl']
+    .map(language => [language, ['one', 'few', 'many', 'other']])),
+  mt: ['one', 'two', 'few', 'many', 'other'],
+  ga: ['one', 'two', 'few', 'many', 'other'],
+  ar: ['zero', 'one', 'two', 'few', 'many', 'other'],
+  cy: ['zero', 'one', 'two', 'few', 'many', 'other'],
+};
+
+/**
+ * Parses an ICU message into nodes: text, `argument` ({name} or
+ * {name, number}), `plural`, `selectordinal` and `select` with their
+ * options, and `pound` (#) inside plural cases. Throws IcuSyntaxError.
+ */
+export function parseIcuMessage(text, { escaping = false } = {}) {
+  const parser = new Parser(String(text), escaping);
+  const nodes = parser.parseMessage(0, false);
+  if (parser.pos < parser.text.length) {
+    throw new IcuSyntaxError('Unexpected }', parser.pos);
+  }
+  return nodes;
+}
+
+/**
+ * Writes parsed nodes back as an ICU message, quoting the text that needs
+ * it when `escaping` is on.
+ */
+export function formatIcuMessage(nodes, { escaping = false } = {}) {
+  return formatNodes(nodes, escaping, false);
+}
+
+/**
+ * The placeholders a parsed message uses, by name, with how it uses each
+ * one: `argument`, `plural`, `selectordinal` or `select`.
+ */
+export function messageArguments(nodes, found = new Map()) {
+  nodes.forEach(node => {
+    if (node.type === 'argument' || COMPLEX_TYPES.has(node.type)) {
+      if (!found.has(node.name)) found.set(node.name, new Set());
+      found.get(node.name).add(node.type);
+    }
+    (node.options || []).forEach(option => messageArguments(option.message, found));
+  });
+  return found;
+}
+
+/**
+ * How a translation's placeholders differ from the template's: the ones
+ * the template neither uses nor declares (`unexpected`), and the ones its
+ * message uses that the translation leaves out (`missing`).
+ */
+export function comparePlaceholders(templateNodes, nodes, declared = []) {
+  const expected = messageArguments(templateNodes);
+  const used = messageArguments(nodes);
+  return {
+    unexpected: [...used.keys()].filter(name => !expected.has(name) && !declared.includes(name)),
+    missing: [...expected.keys()].filter(name => !used.has(name)),
+  };
+}
+
+/**
+ * The plural and select nodes of a parsed message, nested ones included.
+ */
+export function complexNodes(nodes, found = []) {
+  nodes.forEach(node => {
+    if (COMPLEX_TYPES.has(node.type)) {
+      found.push(node);
+      node.options.forEach(option => complexNodes(option.message, found));
+    }
+  });
+  return found;
+}
+
+/**
+ * The plural categories (zero, one, two, few, many, other) a locale's
+ * plural messages need, or null when the language is not known.
+ */
+export function pluralCategories(locale) {
+  const language = String(locale).split(/[_-]/)[0].toLowerCase();
+  return PLURAL_CATEGORIES[language] || null;
+}
+
+/**
+ * The category a plural selector stands for: `one` for `one` and `=1`.
+ * Null for other exact values.
+ */
+export function selectorCategory(selector) {
+  if (selector.startsWith('=')) return EXACT_CATEGORIES[selector] || null;
+  return selector;
+}
+
+function formatNodes(nodes, escaping, inPlural) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return escaping ? quoteText(node.value, inPlural) : node.value;
+      case 'pound':
+        return '#';
+      case 'argument':
+        return node.format
+          ? `{${node.name}, ${node.format}${node.style ? `, ${node.style}` : ''}}`
+          : `{${node.name}}`;
+      default: {
+        const offset = node.offset !== null && node.offset !== undefined ? ` offset:${node.offset}` : '';
+        const options = node.options
+          .map(option => `${option.selector}{${formatNodes(option.message, escaping, inPlural || node.type !== 'select')}}`)
+          .join(' ');
+        return `{${node.name}, ${node.type},${offset} ${options}}`;
+      }
+    }
+  }).join('');
+}
+
+// '' for a quote, and quotes around braces (and # in plural cases)
+function quoteText(text, inPlural) {
+  const special = inPlural ? /[{}#]+/g : /[{}]+/g;
+  return text.replace(/'/g, "''").replace(special, match => `'${match}'`);
+}
+
+class Parser {
+  constructor(text, escaping) {
+    this.text = text;
+    this.escaping = escaping;
+    this.pos = 0;
+  }
+
+  // Up to the end of the text, or to the `}` closing a nested message
+  parseMessage(depth, inPlural) {
+    const nodes = [];
+    let text = '';
+    const flush = () => {
+      if (text) nodes.push({ type: 'text', value: text });
+      text = '';
+    };
+
+    while (this.pos < this.text.length) {
+      const char = this.text[this.pos];
+      if (char === '{') {
+        flush();
+        nodes.push(this.parseArgument(depth, inPlural));
+      } else if (char === '}') {
+        if (depth === 0) throw new IcuSyntaxError('Unexpected }', this.pos);
+        break;
+      } else if (char === '#' && inPlural) {
+        flush();
+        nodes.push({ type: 'pound' });
+        this.pos++;
+      } else if (char === "'" && this.escaping) {
+        text += this.readQuoted();
+      } else {
+        text += char;
+        this.pos++;
+      }
+    }
+
+    flush();
+    return nodes;
+  }
+
+  parseArgument(depth, inPlural) {
+    const start = this.pos;
+    this.pos++;
+    this.skipSpace();
+    const name = this.read(IDENTIFIER);
+    if (!name) throw new IcuSyntaxError('Expected a placeholder name', this.pos);
+    this.skipSpace();
+
+    if (this.text[this.pos] === '}') {
+      this.pos++;
+      return { type: 'argument', name, start, end: this.pos };
+    }
+    this.expect(',');
+    this.skipSpace();
+    const kind = this.read(IDENTIFIER);
+    if (!kind) throw new IcuSyntaxError(`Expected a type for {${name}}`, this.pos);
+    this.skipSpace();
+
+    if (!COMPLEX_TYPES.has(kind)) {
+      // {amount, number} or {date, date, yMMMd}
+      const close = this.text.indexOf('}', this.pos);
+      if (close === -1) throw new IcuSyntaxError(`Unclosed {${name}}`, start);
+      const style = this.text.slice(this.pos, close).replace(/^,\s*/, '').trim() || null;
+      this.pos = close + 1;
+      return { type: 'argument', name, format: kind, style, start, end: this.pos };
+    }
+
+    this.expect(',');
+    this.skipSpace();
+    let offset = null;
+    if (kind !== 'select' && this.text.startsWith('offset:', this.pos)) {
+      this.pos += 'offset:'.length;
+      offset = Number(this.read(/\d+/y));
+      this.skipSpace();
+    }
+
+    const options = [];
+    while (this.text[this.pos] !== '}') {
+      if (this.pos >= this.text.length) throw new IcuSyntaxError(`Unclosed ${kind} {${name}}`, start);
+      const selector = this.read(SELECTOR);
+      if (!selector) throw new IcuSyntaxError(`Expected a ${kind} case`, this.pos);
+      if (options.some(option => option.selector === selector)) {
+        throw new IcuSyntaxError(`Duplicate ${kind} case ${selector}`, this.pos - selector.length);
+      }
+      this.skipSpace();
+      this.expect('{');
+      const message = this.parseMessage(depth + 1, inPlural || kind !== 'select');
+      this.expect('}');
+      options.push({ selector, message });
+      this.skipSpace();
+    }
+    this.pos++;
+
+    if (options.length === 0) throw new IcuSyntaxError(`${kind} {${name}} has no cases`, start);
+    return { type: kind, name, offset, options, start, end: this.pos };
+  }
+
+  // 'literal {text}' and '' (a quote)
+  readQuoted() {
+    if (this.text[this.pos + 1] === "'") {
+      this.pos += 2;
+      return "'";
+    }
+    const close = this.text.indexOf("'", this.pos + 1);
+    if (close === -1) {
+      this.pos++;
+      return "'";
+    }
+    const value = this.text.slice(this.pos + 1, close);
+    this.pos = close + 1;
+    return value;
+  }
+
+  read(pattern) {
+    pattern.lastIndex = this.pos;
+    const match = pattern.exec(this.text);
+    if (!match) return null;
+    this.pos += match[0].length;
+    return match[0];
+  }
+
+  expect(char) {
+    if (this.text[this.pos] !== char) {
+      throw new IcuSyntaxError(
+        this.pos >= this.text.length ? `Expected ${char} before the end of the message` : `Expected ${char}`,
+        this.pos
+      );
+    }
+    this.pos++;
+  }
+
+  skipSpace() {
+    while (/\s/.test(this.text[this.pos] || '')) this.pos++;
+  }
+}
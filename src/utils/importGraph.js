@@ -0,0 +1,106 @@
+// Cycle detection for import graphs, between files or between features.
+// Strongly connected components are found with Tarjan's algorithm; each
+// component is reported once, with the shortest cycle through it.
+
+/**
+ * Returns one cycle per strongly connected component of the graph given as
+ * `{ from, to }` edges, as a node path that starts and ends with the same
+ * node: ['a.dart', 'b.dart', 'a.dart']. Cycles are sorted shortest first.
+ */
+export function findCycles(edges) {
+  const graph = buildAdjacency(edges);
+
+  return stronglyConnectedComponents(graph)
+    .filter(component => component.length > 1 || graph.get(component[0]).has(component[0]))
+    .map(component => shortestCycle(graph, new Set(component)))
+    .sort((a, b) => a.length - b.length || a[0].localeCompare(b[0]));
+}
+
+function buildAdjacency(edges) {
+  const graph = new Map();
+  const node = name => {
+    if (!graph.has(name)) graph.set(name, new Set());
+    return graph.get(name);
+  };
+
+  edges.forEach(({ from, to }) => {
+    node(from).add(to);
+    node(to);
+  });
+
+  // Sorted for deterministic results
+  return new Map([...graph.keys()].sort().map(name => [name, new Set([...graph.get(name)].sort())]));
+}
+
+function stronglyConnectedComponents(graph) {
+  const index = new Map();
+  const lowLink = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let counter = 0;
+
+  const connect = node => {
+    index.set(node, counter);
+    lowLink.set(node, counter);
+    counter++;
+    stack.push(node);
+    onStack.add(node);
+
+    for (const next of graph.get(node)) {
+      if (!index.has(next)) {
+        connect(next);
+        lowLink.set(node, Math.min(lowLink.get(node), lowLink.get(next)));
+      } else if (onStack.has(next)) {
+        lowLink.set(node, Math.min(lowLink.get(node), index.get(next)));
+      }
+    }
+
+    if (lowLink.get(node) === index.get(node)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== node);
+      components.push(component.sort());
+    }
+  };
+
+  for (const node of graph.keys()) {
+    if (!index.has(node)) connect(node);
+  }
+
+  return components;
+}
+
+// Breadth-first search from every node of the component back to itself,
+// staying inside the component.
+function shortestCycle(graph, component) {
+  let best = null;
+
+  for (const start of component) {
+    const previous = new Map([[start, null]]);
+    const queue = [start];
+
+    search: while (queue.length > 0) {
+      const node = queue.shift();
+      for (const next of graph.get(node)) {
+        if (next === start) {
+          const path = [start];
+          for (let step = node; step !== null; step = previous.get(step)) path.push(step);
+          const cycle = path.reverse();
+          if (!best || cycle.length < best.length) best = cycle;
+          break search;
+        }
+        if (component.has(next) && !previous.has(next)) {
+          previous.set(next, node);
+          queue.push(next);
+        }
+      }
+    }
+  }
+
+  return best;
+}
@@ -0,0 +1,103 @@
+import fs from 'fs/promises';
+import { join, posix, resolve } from 'path';
+import yaml from 'yaml';
+import { readPackageName } from './projectScanner.js';
+
+/**
+ * The `flutter gen-l10n` settings of a project, from its l10n.yaml with
+ * gen-l10n's defaults for what it leaves out. `importUri` is what Dart files
+ * import to get the localizations class.
+ */
+export async function readL10nConfig(projectPath) {
+  const root = resolve(projectPath);
+  let options = {};
+  let present = true;
+  try {
+    options = yaml.parse(await fs.readFile(join(root, 'l10n.yaml'), 'utf8')) || {};
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw new Error(`Cannot read l10n.yaml: ${error.message}`);
+    present = false;
+  }
+
+  const arbDir = posix.normalize(options['arb-dir'] || 'lib/l10n');
+  const outputFile = options['output-localization-file'] || 'app_localizations.dart';
+  const syntheticPackage = options['synthetic-package'] ?? true;
+  const outputDir = posix.normalize(options['output-dir'] || arbDir);
+
+  let importUri = `package:flutter_gen/gen_l10n/${outputFile}`;
+  if (!syntheticPackage) {
+    const packageName = await readPackageName(root);
+    importUri = outputDir.startsWith('lib/') && packageName
+      ? `package:${packageName}/${posix.join(outputDir.slice('lib/'.length), outputFile)}`
+      : null;
+  }
+
+  return {
+    root,
+    present,
+    arbDir,
+    outputDir,
+    templateArbFile: options['template-arb-file'] || 'app_en.arb',
+    outputFile,
+    outputClass: options['output-class'] || 'AppLocalizations',
+    nullableGetter: options['nullable-getter'] ?? true,
+    useEscaping: options['use-escaping'] ?? false,
+    importUri,
+  };
+}
+
+/**
+ * The path of a locale's ARB file, named like the template: app_de.arb
+ * next to app_en.arb.
+ */
+export function localeArbPath(config, templateLocale, locale) {
+  const base = config.templateArbFile.replace(/\.arb$/, '');
+  const prefix = templateLocale && base.endsWith(templateLocale)
+    ? base.slice(0, base.length - templateLocale.length)
+    : `${base}_`;
+  return posix.join(config.arbDir, `${prefix}${locale}.arb`);
+}
+
+// app_en.arb, app_pt_BR.arb, intl_zh_Hant_TW.arb
+const LOCALE_SUFFIX = /_([a-z]{2,3}(?:_[A-Z][a-z]{3})?(?:_(?:[A-Z]{2}|\d{3}))?)\.arb$/;
+
+/**
+ * The ARB files of a project: the template and the translations next to
+ * it, each as { path, locale, source, arb }. A translation that is not
+ * valid JSON has `error` instead of `arb`. Throws when the template is
+ * missing or invalid.
+ */
+export async function loadArbFiles(projectPath) {
+  const config = await readL10nConfig(projectPath);
+  let names;
+  try {
+    names = (await fs.readdir(join(config.root, config.arbDir))).filter(name => name.endsWith('.arb')).sort();
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    names = [];
+  }
+  if (!names.includes(config.templateArbFile)) {
+    throw new Error(`Template ARB file ${posix.join(config.arbDir, config.templateArbFile)} not found`);
+  }
+
+  const files = await Promise.all(names.map(async name => {
+    const path = posix.join(config.arbDir, name);
+    const source = await fs.readFile(join(config.root, path), 'utf8');
+    let arb = null;
+    let error = null;
+    try {
+      arb = JSON.parse(source);
+      if (arb === null || typeof arb !== 'object' || Array.isArray(arb)) throw new Error('not a JSON object');
+    } catch (parseError) {
+      arb = null;
+      error = `Invalid JSON: ${parseError.message}`;
+    }
+    const locale = (typeof arb?.['@@locale'] === 'string' && arb['@@locale']) || name.match(LOCALE_SUFFIX)?.[1] || null;
+    return error ? { path, locale, source, error } : { path, locale, source, arb };
+  }));
+
+  const template = files.find(file => file.path === posix.join(config.arbDir, config.templateArbFile));
+  if (template.error) throw new Error(`${template.path}: ${template.error}`);
+
+  return { config, template, translations: files.filter(file => file !== template) };
+}
@@ -0,0 +1,132 @@
+import { LAYERS, classifyFile } from './projectScanner.js';
+
+// Dependency rules checked against a project's import graph. A rule forbids
+// imports from the files matched by `from` to the targets matched by
+// `disallow`, unless the target also matches `allow`:
+//
+//   { from: 'domain', disallow: ['data', 'flutter'] }
+//   { from: 'feature:*', disallow: ['other-feature'], allow: ['features/*/*.dart'] }
+//
+// Selectors are a layer name, `feature:<name>` or `feature:*`,
+// `other-feature` (a feature other than the importing file's), a glob on the
+// path under lib/ (`features/*/data/**`), `dart:<library>`, or a package
+// (`flutter`, `package:dio`).
+
+// Clean architecture: dependencies point inwards, presentation goes through
+// the domain, and the domain does not depend on Flutter.
+export const DEFAULT_LAYER_RULES = [
+  { from: 'domain', disallow: ['presentation', 'data', 'infrastructure', 'flutter'] },
+  { from: 'data', disallow: ['presentation'] },
+  { from: 'infrastructure', disallow: ['presentation'] },
+  { from: 'presentation', disallow: ['data'] },
+];
+
+export function ruleName(rule) {
+  return rule.name || `${rule.from} must not import ${rule.disallow.join(', ')}`;
+}
+
+/**
+ * Returns one entry per import that breaks a rule:
+ * { rule, severity, file, line, import, target }.
+ */
+export function checkLayerRules(files, rules = DEFAULT_LAYER_RULES) {
+  const fileByPath = new Map(files.map(file => [file.path, file]));
+  const compiled = rules.map(rule => ({
+    name: ruleName(rule),
+    severity: rule.severity || 'critical',
+    from: compileSelector(rule.from),
+    disallow: rule.disallow.map(compileSelector),
+    allow: (rule.allow || []).map(compileSelector),
+  }));
+
+  const violations = [];
+  files.forEach(file => {
+    const matching = compiled.filter(rule => rule.from(file, file));
+    if (matching.length === 0) return;
+
+    file.imports.forEach(entry => {
+      const target = describeTarget(entry, fileByPath);
+      if (!target) return;
+
+      matching.forEach(rule => {
+        if (rule.disallow.some(matches => matches(target, file)) && !rule.allow.some(matches => matches(target, file))) {
+          violations.push({
+            rule: rule.name,
+            severity: rule.severity,
+            file: file.path,
+            line: entry.line,
+            import: entry.uri,
+            target,
+          });
+        }
+      });
+    });
+  });
+
+  return violations;
+}
+
+// What an import points at, in the terms selectors match on
+function describeTarget(entry, fileByPath) {
+  switch (entry.kind) {
+    case 'internal': {
+      const file = fileByPath.get(entry.target);
+      return { kind: 'internal', path: entry.target, ...(file ? { layer: file.layer, feature: file.feature } : classifyFile(entry.target)) };
+    }
+    case 'package':
+      return { kind: 'package', package: entry.package };
+    case 'sdk':
+      return { kind: 'sdk', library: entry.uri };
+    default:
+      return null;
+  }
+}
+
+// Compiles a selector into `(subject, importer) => boolean`. Subjects are
+// scanned files (for `from`) or import targets.
+export function compileSelector(selector) {
+  if (LAYERS.includes(selector)) {
+    return subject => isInternal(subject) && subject.layer === selector;
+  }
+
+  if (selector === 'other-feature') {
+    return (subject, importer) => isInternal(subject) && Boolean(subject.feature)
+      && Boolean(importer.feature) && subject.feature !== importer.feature;
+  }
+
+  if (selector.startsWith('feature:')) {
+    const feature = selector.slice('feature:'.length);
+    return subject => isInternal(subject) && Boolean(subject.feature) && (feature === '*' || subject.feature === feature);
+  }
+
+  if (selector.startsWith('dart:')) {
+    return subject => subject.kind === 'sdk' && (selector === 'dart:*' || subject.library === selector);
+  }
+
+  if (selector.includes('/') || selector.includes('*') || selector.endsWith('.dart')) {
+    const pattern = globToRegExp(selector);
+    return subject => isInternal(subject) && pattern.test(subject.path);
+  }
+
+  const name = selector.replace(/^package:/, '');
+  return subject => subject.kind === 'package' && subject.package === name;
+}
+
+// Scanned files have no `kind`; import targets inside the project are
+// `internal`.
+function isInternal(subject) {
+  return subject.kind === undefined || subject.kind === 'internal';
+}
+
+// `**` matches across folders, `*` within one folder.
+function globToRegExp(glob) {
+  const pattern = glob
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*\//g, '\u0001')
+    .replace(/\*\*/g, '\u0000')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]')
+    .replace(/\u0001/g, '(?:.*/)?')
+    .replace(/\u0000/g, '.*');
+  return new RegExp(`^${pattern}$`);
+}
@@ -0,0 +1,160 @@
+// Parser for lcov tracefiles, as written by `flutter test --coverage` to
+// coverage/lcov.info. Each file section starts with `SF:<path>` and ends with
+// `end_of_record`; in between:
+//
+//   DA:<line>,<hits>                 line hits
+//   LF / LH                          lines found / hit
+//   FN:<line>,<name>, FNDA:<hits>,<name>, FNF / FNH   functions
+//   BRDA:<line>,<block>,<branch>,<taken>, BRF / BRH    branches
+
+/**
+ * Parses lcov text into one record per source file:
+ * { path, lines, functions, branches, lineHits }, where lines, functions and
+ * branches are `{ covered, total }` and lineHits maps line numbers to hit
+ * counts. Files listed more than once (one section per test) are merged.
+ */
+export function parseLcov(text) {
+  const files = new Map();
+  let section = null;
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line) return;
+
+    if (line === 'end_of_record') {
+      if (section) addSection(files, section);
+      section = null;
+      return;
+    }
+
+    const separator = line.indexOf(':');
+    const tag = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1);
+
+    if (tag === 'SF') {
+      if (section) addSection(files, section);
+      section = createSection(value);
+      return;
+    }
+    // TN: and anything outside a file section
+    if (!section) return;
+
+    const invalid = () => new Error(`Invalid lcov record on line ${index + 1}: ${line}`);
+
+    switch (tag) {
+      case 'DA': {
+        const [lineNumber, hits] = value.split(',').map(Number);
+        if (!Number.isInteger(lineNumber) || Number.isNaN(hits)) throw invalid();
+        section.lineHits.set(lineNumber, (section.lineHits.get(lineNumber) || 0) + hits);
+        break;
+      }
+      case 'FN': {
+        // FN:<line>,<name> or, since lcov 2.0, FN:<start>,<end>,<name>
+        const name = value.split(',').pop();
+        if (!section.functionHits.has(name)) section.functionHits.set(name, 0);
+        break;
+      }
+      case 'FNDA': {
+        const comma = value.indexOf(',');
+        const hits = Number(value.slice(0, comma));
+        if (comma === -1 || Number.isNaN(hits)) throw invalid();
+        const name = value.slice(comma + 1);
+        section.functionHits.set(name, (section.functionHits.get(name) || 0) + hits);
+        break;
+      }
+      case 'BRDA': {
+        const parts = value.split(',');
+        if (parts.length < 4) throw invalid();
+        const taken = parts[3] === '-' ? 0 : Number(parts[3]);
+        const key = parts.slice(0, 3).join(',');
+        section.branchHits.set(key, (section.branchHits.get(key) || 0) + taken);
+        break;
+      }
+      case 'LF':
+      case 'LH':
+      case 'FNF':
+      case 'FNH':
+      case 'BRF':
+      case 'BRH': {
+        const count = Number(value);
+        if (!Number.isInteger(count) || count < 0) throw invalid();
+        section.summary[tag] = count;
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  if (section) addSection(files, section);
+
+  if (files.size === 0) {
+    throw new Error('No coverage records found in the lcov data');
+  }
+
+  return [...files.values()].map(file => ({
+    path: file.path,
+    lines: file.lines,
+    functions: file.functions,
+    branches: file.branches,
+    lineHits: file.lineHits,
+  }));
+}
+
+/**
+ * Percentage of `{ covered, total }` with one decimal, or null when nothing
+ * was instrumented.
+ */
+export function coveragePercent({ covered, total }) {
+  return total > 0 ? Math.round((covered / total) * 1000) / 10 : null;
+}
+
+function createSection(path) {
+  return {
+    path,
+    lineHits: new Map(),
+    functionHits: new Map(),
+    branchHits: new Map(),
+    summary: {},
+  };
+}
+
+function addSection(files, section) {
+  const totals = sectionTotals(section);
+  const existing = files.get(section.path);
+
+  if (!existing) {
+    files.set(section.path, { ...section, ...totals });
+    return;
+  }
+
+  // Sum the hits of both sections; the totals are recounted from the merged
+  // records where there are any, since summed LF/LH would count shared
+  // lines twice.
+  ['lineHits', 'functionHits', 'branchHits'].forEach(key => {
+    section[key].forEach((hits, id) => existing[key].set(id, (existing[key].get(id) || 0) + hits));
+  });
+  const merged = sectionTotals({ ...existing, summary: {} });
+  ['lines', 'functions', 'branches'].forEach(key => {
+    existing[key] = merged[key].total > 0 ? merged[key] : addCounts(existing[key], totals[key]);
+  });
+}
+
+// The LF/LH, FNF/FNH and BRF/BRH records when present, otherwise counted
+// from the DA, FNDA and BRDA records.
+function sectionTotals({ summary, lineHits, functionHits, branchHits }) {
+  const count = (found, hit, records) => ({
+    covered: summary[hit] ?? [...records.values()].filter(hits => hits > 0).length,
+    total: summary[found] ?? records.size,
+  });
+
+  return {
+    lines: count('LF', 'LH', lineHits),
+    functions: count('FNF', 'FNH', functionHits),
+    branches: count('BRF', 'BRH', branchHits),
+  };
+}
+
+function addCounts(a, b) {
+  return { covered: a.covered + b.covered, total: a.total + b.total };
+}
@@ -1,3 +1,13 @@
+import { parseDart } from './dartParser.js';
+import {
+  getClasses,
+  getSuperclassName,
+  getFunctions,
+  findNodes,
+  isWidgetCreation,
+  typeToString,
+} from './dartAst.js';
+
 export function parseFlutterCode(code) {
   const structure = {
     widgets: [],
@@ -6,43 +16,32 @@ export function parseFlutterCode(code) {
     imports: [],
   };
 
-  const importRegex = /import\s+['"]([^'"]+)['"]/g;
-  const classRegex = /class\s+(\w+)\s+extends\s+(\w+)/g;
-  const methodRegex = /(\w+)\s+(\w+)\s*\([^)]*\)\s*(?:async\s*)?\{/g;
-  const widgetRegex = /(\w+)\s*\(/g;
-
-  let match;
-  while ((match = importRegex.exec(code)) !== null) {
-    structure.imports.push(match[1]);
-  }
+  const { unit } = parseDart(code);
 
-  while ((match = classRegex.exec(code)) !== null) {
-    structure.classes.push({
-      name: match[1],
-      extends: match[2],
-      isStateful: match[2] === 'StatefulWidget',
-      isStateless: match[2] === 'StatelessWidget',
-    });
-  }
+  structure.imports = unit.directives
+    .filter(directive => directive.type === 'ImportDirective')
+    .map(directive => directive.uri);
 
-  while ((match = methodRegex.exec(code)) !== null) {
-    structure.methods.push({
-      returnType: match[1],
-      name: match[2],
-      isAsync: code.substring(match.index, match.index + 100).includes('async'),
-    });
-  }
+  structure.classes = getClasses(unit).map(classNode => {
+    const superclass = getSuperclassName(classNode);
+    return {
+      name: classNode.name,
+      extends: superclass,
+      isStateful: superclass === 'StatefulWidget',
+      isStateless: superclass === 'StatelessWidget',
+      line: classNode.span.line,
+    };
+  });
 
-  const flutterWidgets = new Set([
-    'Container', 'Row', 'Column', 'Stack', 'Scaffold', 
-    'Text', 'Image', 'Icon', 'Button', 'ListView',
-  ]);
+  structure.methods = getFunctions(unit).map(method => ({
+    returnType: typeToString(method.returnType),
+    name: method.name,
+    isAsync: method.isAsync,
+    line: method.span.line,
+  }));
 
-  while ((match = widgetRegex.exec(code)) !== null) {
-    if (flutterWidgets.has(match[1]) || match[1].endsWith('Widget')) {
-      structure.widgets.push(match[1]);
-    }
-  }
+  structure.widgets = findNodes(unit, (node, ancestors) => isWidgetCreation(node, ancestors[ancestors.length - 1]))
+    .map(node => node.name);
 
   return structure;
-}
\ No newline at end of file
+}
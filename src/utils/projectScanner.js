@@ -0,0 +1,207 @@
+import fs from 'fs/promises';
+import { join, posix, resolve } from 'path';
+import yaml from 'yaml';
+import { parseDart } from './dartParser.js';
+import { getClasses, getMethods, getFields, typeToString } from './dartAst.js';
+import { throwIfAborted } from './errorHandler.js';
+
+// Folder names that place a file in an architecture layer. The first
+// matching folder of a file's path under lib/ wins, so
+// lib/features/auth/data/models/user.dart is in `data`.
+export const LAYER_FOLDERS = {
+  presentation: ['presentation', 'ui', 'view', 'views', 'pages', 'screens', 'widgets', 'view_models', 'viewmodels', 'controllers', 'bloc', 'blocs', 'cubit', 'cubits', 'providers'],
+  domain: ['domain', 'entities', 'usecases', 'use_cases'],
+  data: ['data', 'datasources', 'data_sources', 'models', 'dtos'],
+  infrastructure: ['infrastructure', 'services', 'platform'],
+};
+
+export const LAYERS = Object.keys(LAYER_FOLDERS);
+
+// lib/features/<feature>/..., lib/modules/<feature>/...
+const FEATURE_FOLDERS = ['features', 'feature', 'modules'];
+
+// Top-level folders that hold shared code rather than a feature
+const SHARED_FOLDERS = ['core', 'common', 'shared', 'utils', 'util', 'helpers', 'config', 'constants', 'theme', 'l10n', 'generated', 'routes', 'router', 'app', 'src', 'di'];
+
+const COMPONENT_ALIASES = {
+  usecases: 'use_cases',
+  viewmodels: 'view_models',
+  data_sources: 'datasources',
+  blocs: 'bloc',
+  cubits: 'cubit',
+};
+
+const GENERATED_FILE = /\.(g|freezed|gr|config|mocks)\.dart$/;
+const SKIPPED_DIRECTORIES = new Set(['build', 'generated_plugins']);
+const MAX_FILES = 5000;
+
+/**
+ * Walks the lib/ tree of a Flutter project and parses every Dart file.
+ * Returns the files with their layer, component and feature (from folder
+ * conventions), their imports resolved against the package, and the internal
+ * import graph as `imports` edges between lib-relative paths.
+ */
+export async function scanDartProject(projectPath, { signal = null } = {}) {
+  const root = resolve(projectPath);
+  const libDir = join(root, 'lib');
+
+  const stat = await fs.stat(libDir).catch(() => null);
+  if (!stat?.isDirectory()) {
+    throw new Error(`No lib/ directory found in ${root}`);
+  }
+
+  const packageName = await readPackageName(root);
+  const paths = await listDartFiles(libDir, signal);
+  const truncated = paths.length > MAX_FILES;
+
+  const files = [];
+  for (const path of paths.slice(0, MAX_FILES)) {
+    throwIfAborted(signal);
+    const source = await fs.readFile(join(libDir, path), 'utf8');
+    files.push(scanFile(path, source, packageName));
+  }
+
+  const known = new Set(files.map(file => file.path));
+  const imports = files.flatMap(file => file.imports
+    .filter(entry => entry.kind === 'internal' && known.has(entry.target))
+    .map(entry => ({ from: file.path, to: entry.target, line: entry.line, uri: entry.uri })));
+
+  return { root, packageName, files, imports, truncated };
+}
+
+export function classifyFile(path) {
+  const folders = path.split('/').slice(0, -1);
+  let layer = null;
+  let component = null;
+  let feature = null;
+
+  folders.forEach((folder, index) => {
+    if (!feature && FEATURE_FOLDERS.includes(folder) && folders[index + 1]) {
+      feature = folders[index + 1];
+    }
+
+    const match = layerOfFolder(folder);
+    if (!layer && match) {
+      layer = match;
+      // lib/domain/entities -> `entities`; lib/pages -> `pages`
+      const name = folder === match && folders[index + 1] ? folders[index + 1] : folder;
+      component = COMPONENT_ALIASES[name] || name;
+    }
+  });
+
+  if (!feature && folders.length > 0 && !layerOfFolder(folders[0])
+    && !SHARED_FOLDERS.includes(folders[0]) && !FEATURE_FOLDERS.includes(folders[0])) {
+    feature = folders[0];
+  }
+
+  return { layer, component, feature };
+}
+
+/**
+ * Resolves an import URI of a file at `fromPath` (relative to lib/).
+ * `kind` is `internal` (with a lib-relative `target`), `package` (with the
+ * package name), `sdk`, or `external` for relative imports leaving lib/.
+ */
+export function resolveImport(uri, fromPath, packageName) {
+  if (uri.startsWith('dart:')) {
+    return { kind: 'sdk', target: null, package: null };
+  }
+
+  if (uri.startsWith('package:')) {
+    const [name, ...rest] = uri.slice('package:'.length).split('/');
+    if (name === packageName) {
+      return { kind: 'internal', target: rest.join('/'), package: null };
+    }
+    return { kind: 'package', target: null, package: name };
+  }
+
+  const target = posix.normalize(posix.join(posix.dirname(fromPath), uri));
+  if (target.startsWith('../')) {
+    return { kind: 'external', target: null, package: null };
+  }
+  return { kind: 'internal', target, package: null };
+}
+
+function scanFile(path, source, packageName) {
+  const { unit, errors } = parseDart(source);
+
+  const imports = unit.directives
+    .filter(directive => directive.type === 'ImportDirective' || directive.type === 'ExportDirective')
+    .map(directive => ({
+      uri: directive.uri,
+      line: directive.span.line,
+      isExport: directive.type === 'ExportDirective',
+      ...resolveImport(directive.uri, path, packageName),
+    }));
+
+  const classes = getClasses(unit).map(classNode => {
+    const fields = getFields(classNode).filter(field => !field.isStatic);
+    return {
+      name: classNode.name,
+      line: classNode.span.line,
+      methods: getMethods(classNode).length,
+      fields: fields.reduce((count, field) => count + field.variables.length, 0),
+      dependencies: fields.filter(field => isCollaboratorType(field.fieldType)).length,
+    };
+  });
+
+  return {
+    path,
+    ...classifyFile(path),
+    lines: source.split('\n').length,
+    generated: GENERATED_FILE.test(path),
+    parseErrors: errors.length,
+    imports,
+    classes,
+  };
+}
+
+const VALUE_TYPES = new Set([
+  'String', 'int', 'double', 'num', 'bool', 'dynamic', 'Object', 'DateTime', 'Duration',
+  'List', 'Map', 'Set', 'Iterable', 'Future', 'Stream', 'Color', 'Key', 'Widget',
+]);
+
+// Fields typed as another class (a service, repository, controller) rather
+// than a value; used to estimate how many collaborators a class has.
+function isCollaboratorType(type) {
+  if (!type) return false;
+  const name = typeToString(type).replace(/[<?].*$/, '');
+  return /^[A-Z]/.test(name) && !VALUE_TYPES.has(name);
+}
+
+function layerOfFolder(folder) {
+  return LAYERS.find(layer => LAYER_FOLDERS[layer].includes(folder)) || null;
+}
+
+export async function readPackageName(root) {
+  try {
+    const pubspec = yaml.parse(await fs.readFile(join(root, 'pubspec.yaml'), 'utf8'));
+    return pubspec?.name || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * POSIX paths of the Dart files under `dir`, relative to it and sorted.
+ * Stops a little past MAX_FILES.
+ */
+export async function listDartFiles(dir, signal, prefix = '') {
+  throwIfAborted(signal);
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    if (entry.name.startsWith('.')) continue;
+    const path = prefix ? `${prefix}/${entry.name}` : entry.name;
+
+    if (entry.isDirectory() && !SKIPPED_DIRECTORIES.has(entry.name)) {
+      files.push(...await listDartFiles(join(dir, entry.name), signal, path));
+    } else if (entry.isFile() && entry.name.endsWith('.dart')) {
+      files.push(path);
+    }
+    if (files.length > MAX_FILES) break;
+  }
+
+  return files;
+}
@@ -0,0 +1,123 @@
+import {
+  parseIcuMessage,
+  formatIcuMessage,
+  pluralCategories,
+  selectorCategory,
+} from './icuMessage.js';
+
+// Pseudo-locales turn the template's text into something still readable
+// that shows layout problems before translations arrive: accented letters
+// (fonts, clipped diacritics), 30-40% more text (truncation) and brackets
+// (text cut off at either end). Strings that show up without them are
+// hardcoded. The RTL pseudo-locale also mirrors the text so that it reads
+// right to left. ICU syntax and placeholders are kept as they are.
+//
+//   en_XA: "[Šåṽé öñé ţŵö]"    ar_XB: the same, mirrored in an RTL layout
+
+export const PSEUDO_LOCALES = {
+  en_XA: { rtl: false },
+  ar_XB: { rtl: true },
+};
+
+const ACCENTED = Object.fromEntries([
+  ...'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('').map((char, i) => [char, 'ÅƁÇĐÉƑĜĤÎĴĶĻṀÑÖÞǪŔŠŢÛṼŴẊÝŽ'[i]]),
+  ...'abcdefghijklmnopqrstuvwxyz'.split('').map((char, i) => [char, 'åƀçđéƒĝĥîĵķļṁñöþǫŕšţûṽŵẋýž'[i]]),
+]);
+
+const PADDING_WORDS = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'];
+
+// Short strings grow the most in translation
+const SHORT_TEXT = 20;
+const SHORT_EXPANSION = 0.4;
+const LONG_EXPANSION = 0.3;
+
+const RLM = '\u200F';
+const RLO = '\u202E';
+const PDF = '\u202C';
+
+/**
+ * The pseudo-locale ARB for `locale` (en_XA, ar_XB) from the template's
+ * messages. Messages that do not parse are copied unchanged and listed in
+ * `skipped`.
+ */
+export function pseudoLocalizeArb(templateArb, locale, { escaping = false } = {}) {
+  const { rtl } = PSEUDO_LOCALES[locale] || { rtl: false };
+  const arb = { '@@locale': locale };
+  const skipped = [];
+
+  Object.entries(templateArb)
+    .filter(([key, value]) => !key.startsWith('@') && typeof value === 'string')
+    .forEach(([key, message]) => {
+      try {
+        arb[key] = pseudoLocalizeMessage(message, { rtl, locale, escaping });
+      } catch {
+        arb[key] = message;
+        skipped.push(key);
+      }
+    });
+
+  return { arb, skipped };
+}
+
+/**
+ * One pseudo-localized ICU message. Plurals also get the cases that
+ * `locale` needs and the message lacks, copied from `other`.
+ */
+export function pseudoLocalizeMessage(message, { rtl = false, locale = 'en_XA', escaping = false } = {}) {
+  const nodes = transformMessage(parseIcuMessage(message, { escaping }), { rtl, locale });
+  return formatIcuMessage([{ type: 'text', value: '[' }, ...nodes, { type: 'text', value: ']' }], { escaping });
+}
+
+// Each message level (the whole text, each plural or select case) is
+// expanded by its own length
+function transformMessage(nodes, options) {
+  const transformed = nodes.map(node => {
+    if (node.type === 'text') return { ...node, value: accented(node.value) };
+    if (!node.options) return node;
+    return { ...node, options: withPluralCategories(node, options.locale).map(option => ({
+      ...option,
+      message: transformMessage(option.message, options),
+    })) };
+  });
+
+  const length = nodes.filter(node => node.type === 'text').reduce((sum, node) => sum + node.value.length, 0);
+  if (length > 0) transformed.push({ type: 'text', value: paddingFor(length) });
+
+  // Adjacent text (the padding after the last words) is one run
+  return transformed.reduce((merged, node) => {
+    const last = merged[merged.length - 1];
+    if (node.type === 'text' && last?.type === 'text') {
+      merged[merged.length - 1] = { ...last, value: last.value + node.value };
+    } else {
+      merged.push(node);
+    }
+    return merged;
+  }, []).map(node => (node.type === 'text' ? { ...node, value: directed(node.value, options.rtl) } : node));
+}
+
+function withPluralCategories(node, locale) {
+  const other = node.options.find(option => option.selector === 'other');
+  if (node.type !== 'plural' || !other) return node.options;
+  const covered = new Set(node.options.map(option => selectorCategory(option.selector)));
+  const missing = (pluralCategories(locale) || []).filter(category => !covered.has(category));
+  const added = missing.map(category => ({ selector: category, message: other.message }));
+  return [...node.options.filter(option => option !== other), ...added, other];
+}
+
+function accented(text) {
+  return text.replace(/[A-Za-z]/g, char => ACCENTED[char]);
+}
+
+// Right-to-left override: the letters show mirrored, as RTL text does
+function directed(text, rtl) {
+  return rtl && /\S/.test(text) ? `${RLM}${RLO}${text}${PDF}${RLM}` : text;
+}
+
+function paddingFor(length) {
+  const wanted = Math.ceil(length * (length <= SHORT_TEXT ? SHORT_EXPANSION : LONG_EXPANSION));
+  let padding = '';
+  for (let i = 0; padding.length < wanted; i++) {
+    padding += ` ${PADDING_WORDS[i % PADDING_WORDS.length]}`;
+  }
+  return padding.slice(0, wanted);
+}
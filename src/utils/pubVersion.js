@@ -0,0 +1,360 @@
+// Versions and version constraints with pub's semantics (package:pub_semver):
+//
+//   1.2.3-dev.1+build.5   major.minor.patch, then pre-release and build identifiers
+//   ^1.2.3                >=1.2.3 <2.0.0, and ^0.2.3 is >=0.2.3 <0.3.0
+//   >=2.0.0 <4.0.0        comparisons that all hold
+//   1.2.3, any
+//
+// A constraint is a union of ranges, { ranges: [{ min, max, includeMin, includeMax }] },
+// where a null min or max is unbounded. No ranges allow nothing. As in pub,
+// `<2.0.0` leaves out the pre-releases of 2.0.0 unless the lower bound is
+// one of them.
+
+export class VersionFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'VersionFormatError';
+  }
+}
+
+const VERSION = /(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?/y;
+const OPERATOR = /(<=|>=|<|>)?\s*/y;
+
+const ANY = Object.freeze({ ranges: [Object.freeze({ min: null, max: null, includeMin: false, includeMax: false })] });
+const EMPTY = Object.freeze({ ranges: [] });
+
+/**
+ * { major, minor, patch, preRelease, build } of a version. Pre-release and
+ * build identifiers are numbers where they are numeric.
+ */
+export function parseVersion(text) {
+  if (typeof text === 'object' && text !== null) return text;
+  const source = String(text).trim();
+  VERSION.lastIndex = 0;
+  const match = VERSION.exec(source);
+  if (!match || VERSION.lastIndex !== source.length) {
+    throw new VersionFormatError(`Could not parse version "${text}"`);
+  }
+  return versionFromMatch(match);
+}
+
+/**
+ * Orders two versions as pub does: negative when `a` comes first.
+ * Pre-releases come before their release; build metadata after it.
+ */
+export function compareVersions(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  const difference = left.major - right.major || left.minor - right.minor || left.patch - right.patch;
+  if (difference !== 0) return difference;
+
+  if ((left.preRelease.length > 0) !== (right.preRelease.length > 0)) {
+    return left.preRelease.length > 0 ? -1 : 1;
+  }
+  const preRelease = compareIdentifiers(left.preRelease, right.preRelease);
+  if (preRelease !== 0) return preRelease;
+
+  if ((left.build.length > 0) !== (right.build.length > 0)) {
+    return left.build.length > 0 ? 1 : -1;
+  }
+  return compareIdentifiers(left.build, right.build);
+}
+
+export function formatVersion(version) {
+  const { major, minor, patch, preRelease, build } = parseVersion(version);
+  return `${major}.${minor}.${patch}`
+    + (preRelease.length > 0 ? `-${preRelease.join('.')}` : '')
+    + (build.length > 0 ? `+${build.join('.')}` : '');
+}
+
+/**
+ * The first version that `^version` leaves out: the next major version,
+ * or the next minor one before 1.0.0.
+ */
+export function nextBreaking(version) {
+  const { major, minor } = parseVersion(version);
+  return major > 0 ? release(major + 1, 0, 0) : release(0, minor + 1, 0);
+}
+
+/**
+ * Parses a constraint as pubspec files write it. A missing constraint
+ * allows any version, as in pubspec.yaml; constraint objects are returned
+ * as they are.
+ */
+export function parseConstraint(text) {
+  if (text === null || text === undefined) return ANY;
+  if (typeof text === 'object') return text;
+
+  const source = String(text).trim();
+  const fail = () => {
+    throw new VersionFormatError(`Could not parse version constraint "${text}"`);
+  };
+  if (source === 'any') return ANY;
+
+  if (source.startsWith('^')) {
+    const version = matchVersionAt(source, 1);
+    if (!version || version.end !== source.length) fail();
+    return constraintOf([range(version.version, nextBreaking(version.version), true, false)]);
+  }
+
+  const exact = matchVersionAt(source, 0);
+  if (exact && exact.end === source.length) {
+    return constraintOf([range(exact.version, exact.version, true, true)]);
+  }
+
+  let min = null;
+  let max = null;
+  let includeMin = false;
+  let includeMax = false;
+  let position = 0;
+  while (position < source.length) {
+    OPERATOR.lastIndex = position;
+    const operator = OPERATOR.exec(source)[1];
+    const version = matchVersionAt(source, OPERATOR.lastIndex);
+    if (!operator || !version) fail();
+
+    if (operator.startsWith('>')) {
+      if (min) throw new VersionFormatError(`Version constraint "${text}" has more than one lower bound`);
+      min = version.version;
+      includeMin = operator === '>=';
+    } else {
+      if (max) throw new VersionFormatError(`Version constraint "${text}" has more than one upper bound`);
+      max = version.version;
+      includeMax = operator === '<=';
+    }
+    position = version.end;
+    while (source[position] === ' ' || source[position] === '\t') position++;
+  }
+  if (!min && !max) fail();
+  return constraintOf([range(min, max, includeMin, includeMax)]);
+}
+
+/**
+ * Whether `constraint` allows `version`.
+ */
+export function allows(constraint, version) {
+  const parsed = parseVersion(version);
+  return parseConstraint(constraint).ranges.some(entry => rangeAllows(entry, parsed));
+}
+
+/**
+ * The versions that both constraints allow.
+ */
+export function intersect(a, b) {
+  const left = parseConstraint(a);
+  const right = parseConstraint(b);
+  return constraintOf(left.ranges.flatMap(first => right.ranges.map(second => intersectRanges(first, second))));
+}
+
+/**
+ * The versions that either constraint allows.
+ */
+export function union(a, b) {
+  return constraintOf([...parseConstraint(a).ranges, ...parseConstraint(b).ranges]);
+}
+
+export function isEmpty(constraint) {
+  return parseConstraint(constraint).ranges.length === 0;
+}
+
+export function isAny(constraint) {
+  const { ranges } = parseConstraint(constraint);
+  return ranges.length === 1 && ranges[0].min === null && ranges[0].max === null;
+}
+
+/**
+ * The lowest version `constraint` allows, as text, or null when it has
+ * no lower bound.
+ */
+export function minimumVersion(constraint) {
+  const lowest = parseConstraint(constraint).ranges[0];
+  return lowest?.min ? formatVersion(lowest.min) : null;
+}
+
+/**
+ * A constraint in pubspec syntax; unions are joined with " or ".
+ */
+export function formatConstraint(constraint) {
+  const { ranges } = parseConstraint(constraint);
+  if (ranges.length === 0) return '<empty>';
+  if (isAny(constraint)) return 'any';
+  return ranges.map(formatRange).join(' or ');
+}
+
+/**
+ * The Dart SDK constraint that Dart 3 and later enforce for a package: as
+ * in pub, an upper bound of `<3.0.0` with a lower bound of 2.12.0 or later
+ * (null safety) reads as `<4.0.0`.
+ */
+export function dartSdkConstraint(constraint) {
+  const parsed = parseConstraint(constraint);
+  const [only] = parsed.ranges;
+  const upTo3 = parsed.ranges.length === 1 && only.max && !only.includeMax
+    && compareVersions(only.max, firstPreRelease(release(3, 0, 0))) === 0;
+  if (!upTo3 || !only.min || compareVersions(only.min, firstPreRelease(release(2, 12, 0))) < 0) {
+    return parsed;
+  }
+  return constraintOf([range(only.min, release(4, 0, 0), only.includeMin, false)]);
+}
+
+/**
+ * The version constraint of a pubspec dependency entry (`^1.0.0`, or
+ * `{ hosted: ..., version: ^1.0.0 }`), or null for SDK, git and path
+ * dependencies.
+ */
+export function dependencyConstraint(entry) {
+  if (entry === null || entry === undefined) return 'any';
+  if (typeof entry !== 'object') return String(entry);
+  if (entry.sdk !== undefined || entry.git !== undefined || entry.path !== undefined) return null;
+  return entry.version ?? 'any';
+}
+
+function versionFromMatch(match) {
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    preRelease: identifiers(match[4]),
+    build: identifiers(match[5]),
+  };
+}
+
+function matchVersionAt(source, position) {
+  VERSION.lastIndex = position;
+  const match = VERSION.exec(source);
+  return match ? { version: versionFromMatch(match), end: VERSION.lastIndex } : null;
+}
+
+function identifiers(text) {
+  return text ? text.split('.').map(part => (/^\d+$/.test(part) ? Number(part) : part)) : [];
+}
+
+// Numeric identifiers come before alphanumeric ones; a shorter list that
+// is a prefix of a longer one comes first
+function compareIdentifiers(left, right) {
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    if (i >= left.length) return -1;
+    if (i >= right.length) return 1;
+    const [a, b] = [left[i], right[i]];
+    if (a === b) continue;
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    if (typeof a === 'number') return -1;
+    if (typeof b === 'number') return 1;
+    return a < b ? -1 : 1;
+  }
+  return 0;
+}
+
+function release(major, minor, patch) {
+  return { major, minor, patch, preRelease: [], build: [] };
+}
+
+function firstPreRelease({ major, minor, patch }) {
+  return { major, minor, patch, preRelease: [0], build: [] };
+}
+
+function isFirstPreRelease(version) {
+  return version.preRelease.length === 1 && version.preRelease[0] === 0 && version.build.length === 0;
+}
+
+function sameRelease(a, b) {
+  return a.major === b.major && a.minor === b.minor && a.patch === b.patch;
+}
+
+function range(min, max, includeMin, includeMax) {
+  // <2.0.0 means before 2.0.0's pre-releases too
+  const excludesPreReleases = max && !includeMax && max.preRelease.length === 0 && max.build.length === 0
+    && !(min && min.preRelease.length > 0 && sameRelease(min, max));
+  return { min, max: excludesPreReleases ? firstPreRelease(max) : max, includeMin, includeMax };
+}
+
+function rangeAllows(entry, version) {
+  if (entry.min) {
+    const order = compareVersions(version, entry.min);
+    if (order < 0 || (order === 0 && !entry.includeMin)) return false;
+  }
+  if (entry.max) {
+    const order = compareVersions(version, entry.max);
+    if (order > 0 || (order === 0 && !entry.includeMax)) return false;
+  }
+  return true;
+}
+
+function isEmptyRange({ min, max, includeMin, includeMax }) {
+  if (!min || !max) return false;
+  const order = compareVersions(min, max);
+  return order > 0 || (order === 0 && !(includeMin && includeMax));
+}
+
+function intersectRanges(a, b) {
+  let min = a.min;
+  let includeMin = a.includeMin;
+  if (!a.min || (b.min && compareVersions(b.min, a.min) >= 0)) {
+    const same = a.min && compareVersions(b.min, a.min) === 0;
+    min = b.min;
+    includeMin = same ? a.includeMin && b.includeMin : b.includeMin;
+  }
+
+  let max = a.max;
+  let includeMax = a.includeMax;
+  if (!a.max || (b.max && compareVersions(b.max, a.max) <= 0)) {
+    const same = a.max && compareVersions(b.max, a.max) === 0;
+    max = b.max;
+    includeMax = same ? a.includeMax && b.includeMax : b.includeMax;
+  }
+
+  return { min, max, includeMin, includeMax };
+}
+
+// Sorted by lower bound, with overlapping and touching ranges merged
+function constraintOf(ranges) {
+  const sorted = ranges.filter(entry => !isEmptyRange(entry)).sort(compareLowerBounds);
+  if (sorted.length === 0) return EMPTY;
+
+  const merged = [{ ...sorted[0] }];
+  sorted.slice(1).forEach(entry => {
+    const last = merged[merged.length - 1];
+    if (!touches(last, entry)) {
+      merged.push({ ...entry });
+      return;
+    }
+    if (!last.max) return;
+    const order = entry.max ? compareVersions(entry.max, last.max) : 1;
+    if (order > 0) {
+      last.max = entry.max;
+      last.includeMax = entry.includeMax;
+    } else if (order === 0) {
+      last.includeMax = last.includeMax || entry.includeMax;
+    }
+  });
+  return { ranges: merged };
+}
+
+function compareLowerBounds(a, b) {
+  if (!a.min || !b.min) return (a.min ? 1 : 0) - (b.min ? 1 : 0);
+  return compareVersions(a.min, b.min) || (b.includeMin ? 1 : 0) - (a.includeMin ? 1 : 0);
+}
+
+// Whether `next`, which starts no lower than `last`, overlaps or adjoins it
+function touches(last, next) {
+  if (!last.max || !next.min) return true;
+  const order = compareVersions(next.min, last.max);
+  return order < 0 || (order === 0 && (last.includeMax || next.includeMin));
+}
+
+function formatRange({ min, max, includeMin, includeMax }) {
+  if (min && max && includeMin && includeMax && compareVersions(min, max) === 0) {
+    return formatVersion(min);
+  }
+  if (min && max && includeMin && !includeMax && compareVersions(max, firstPreRelease(nextBreaking(min))) === 0) {
+    return `^${formatVersion(min)}`;
+  }
+
+  const bounds = [];
+  if (min) bounds.push(`${includeMin ? '>=' : '>'}${formatVersion(min)}`);
+  if (max) {
+    const shown = !includeMax && isFirstPreRelease(max) ? release(max.major, max.minor, max.patch) : max;
+    bounds.push(`${includeMax ? '<=' : '<'}${formatVersion(shown)}`);
+  }
+  return bounds.join(' ');
+}
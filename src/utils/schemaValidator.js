@@ -0,0 +1,204 @@
+import { ValidationError } from './errorHandler.js';
+
+// Validation for the subset of JSON Schema used by the tool inputSchemas:
+// type, enum, default, required, properties, additionalProperties, items,
+// minimum/maximum and minItems/maxItems.
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  null: value => value === null,
+};
+
+/**
+ * Validates tool arguments against an inputSchema. Unknown top-level fields
+ * are rejected unless the schema sets `additionalProperties: true`.
+ * Returns the arguments with defaults applied plus a list of
+ * `{ field, message }` errors.
+ */
+export function validateArguments(schema, args) {
+  const errors = [];
+  const value = validateValue({ additionalProperties: false, ...schema }, args ?? {}, '', errors);
+  return { value, errors };
+}
+
+/**
+ * Like validateArguments, but throws a ValidationError naming the first
+ * failing field. All failures are available on `error.errors`.
+ */
+export function assertValidArguments(toolName, schema, args) {
+  const { value, errors } = validateArguments(schema, args);
+
+  if (errors.length > 0) {
+    const details = errors.map(({ field, message }) => `${field} ${message}`).join('; ');
+    const error = new ValidationError(`Invalid arguments for ${toolName}: ${details}`, errors[0].field);
+    error.errors = errors;
+    throw error;
+  }
+
+  return value;
+}
+
+function validateValue(schema, value, path, errors) {
+  const label = path || 'arguments';
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => TYPE_CHECKS[type]?.(value))) {
+      errors.push({ field: label, message: `must be of type ${types.join(' or ')}, got ${describeType(value)}` });
+      return value;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field: label, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field: label, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field: label, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field: label, message: `must contain at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field: label, message: `must contain at most ${schema.maxItems} item(s)` });
+    }
+    if (schema.items) {
+      return value.map((item, index) => validateValue(schema.items, item, `${label}[${index}]`, errors));
+    }
+    return value;
+  }
+
+  if (TYPE_CHECKS.object(value) && (schema.properties || schema.required || schema.additionalProperties === false)) {
+    return validateObject(schema, value, path, errors);
+  }
+
+  return value;
+}
+
+function validateObject(schema, value, path, errors) {
+  const properties = schema.properties || {};
+  const result = { ...value };
+  const fieldPath = name => (path ? `${path}.${name}` : name);
+
+  for (const name of schema.required || []) {
+    if (value[name] === undefined || value[name] === null) {
+      errors.push({ field: fieldPath(name), message: 'is required' });
+    }
+  }
+
+  for (const [name, propertySchema] of Object.entries(properties)) {
+    if (value[name] === undefined) {
+      if (propertySchema.default !== undefined) {
+        result[name] = structuredClone(propertySchema.default);
+      }
+      continue;
+    }
+    if (value[name] === null && (schema.required || []).includes(name)) continue;
+
+    result[name] = validateValue(propertySchema, value[name], fieldPath(name), errors);
+  }
+
+  if (schema.additionalProperties === false) {
+    for (const name of Object.keys(value)) {
+      if (!(name in properties)) {
+        errors.push({ field: fieldPath(name), message: 'is not a recognized argument' });
+      }
+    }
+  }
+
+  return result;
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Names of the argument fields a handler reads, taken from its source:
+ * `const { a, b = 1 } = args` destructuring and `args.name` accesses.
+ */
+export function extractHandlerFields(handler) {
+  const source = handler.toString();
+  const fields = new Set();
+
+  const destructuring = /(?:const|let|var)\s*\{([^}]*)\}\s*=\s*args\b/g;
+  for (const match of source.matchAll(destructuring)) {
+    for (const entry of splitTopLevel(match[1])) {
+      const name = entry.trim().match(/^(?:\.\.\.)?([A-Za-z_$][\w$]*)/);
+      if (name && !entry.trim().startsWith('...')) fields.add(name[1]);
+    }
+  }
+
+  for (const match of source.matchAll(/\bargs\.([A-Za-z_$][\w$]*)/g)) {
+    fields.add(match[1]);
+  }
+
+  return [...fields];
+}
+
+// Splits a destructuring pattern on commas that are not nested inside
+// brackets or strings (defaults such as `= ['en', 'es']`).
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'" || char === '`') {
+      quote = char;
+    } else if ('([{'.includes(char)) {
+      depth++;
+    } else if (')]}'.includes(char)) {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  if (current.trim()) parts.push(current);
+  return parts;
+}
+
+/**
+ * Startup self-check: reports every field a handler reads that its
+ * inputSchema does not declare.
+ */
+export function findSchemaDrift(tools) {
+  const drift = [];
+
+  for (const { name, inputSchema, handler } of tools) {
+    if (typeof handler !== 'function') {
+      drift.push({ tool: name, field: null, message: 'has no handler' });
+      continue;
+    }
+
+    const declared = new Set(Object.keys(inputSchema?.properties || {}));
+    for (const field of extractHandlerFields(handler)) {
+      if (!declared.has(field)) {
+        drift.push({ tool: name, field, message: `handler reads "${field}" but the inputSchema does not declare it` });
+      }
+    }
+  }
+
+  return drift;
+}
@@ -0,0 +1,215 @@
+import fs from 'fs/promises';
+import { join, resolve, relative, sep } from 'path';
+import { throwIfAborted } from './errorHandler.js';
+
+// Reader for the code size analysis files of `flutter build <target>
+// --analyze-size`: apk-code-size-analysis_01.json, ios-code-size-analysis_01.json
+// and so on. They hold a tree of the build output with byte sizes, where the
+// Dart AOT snapshot (libapp.so, App.framework/App) is broken down by package
+// and library:
+//
+//   { "type": "apk", "n": "app-release.apk", "value": 8912345, "children": [
+//     { "n": "lib", "children": [{ "n": "arm64-v8a", "children": [
+//       { "n": "libapp.so (Dart AOT)", "children": [
+//         { "n": "Dart AOT symbols accounted decompressed size", "children": [
+//           { "n": "package:flutter", "value": 2345678, "children": [...] },
+//           { "n": "dart:core", "value": 345678 }, ...
+//
+// Nodes use `n`/`value`; `name`/`size` are accepted too.
+
+export const SIZE_ANALYSIS_FILE = /-code-size-analysis_\d+\.json$/;
+
+// `type` of a size analysis -> platform
+export const SIZE_ANALYSIS_PLATFORMS = {
+  apk: 'android',
+  aab: 'android',
+  ios: 'ios',
+  macos: 'macos',
+  linux: 'linux',
+  windows: 'windows',
+};
+
+const DART_AOT_NODE = /\(Dart AOT\)$|^Dart AOT symbols/;
+const NATIVE_LIBRARY = /\.(so|dylib|dll)$|\.framework$/;
+const MAX_LIBRARIES = 10;
+
+/**
+ * Finds the size analysis files under the project's build/ directory
+ * (written there with `--code-size-directory=build`), the newest of each
+ * type. Returns absolute paths.
+ */
+export async function findSizeAnalysisFiles(projectPath, { signal = null } = {}) {
+  const buildDir = join(resolve(projectPath), 'build');
+  const candidates = [];
+
+  const walk = async (dir, depth) => {
+    throwIfAborted(signal);
+    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries) {
+      const path = join(dir, entry.name);
+      if (entry.isFile() && SIZE_ANALYSIS_FILE.test(entry.name)) {
+        const stat = await fs.stat(path);
+        candidates.push({ path, type: entry.name.split('-code-size-analysis')[0], mtime: stat.mtimeMs });
+      } else if (entry.isDirectory() && depth > 0 && !entry.name.startsWith('.')) {
+        await walk(path, depth - 1);
+      }
+    }
+  };
+  await walk(buildDir, 1);
+
+  const newest = new Map();
+  candidates.forEach(candidate => {
+    const current = newest.get(candidate.type);
+    if (!current || candidate.mtime > current.mtime) newest.set(candidate.type, candidate);
+  });
+  return [...newest.values()].map(candidate => candidate.path).sort();
+}
+
+/**
+ * Reads and summarizes a size analysis file; `source` is its path relative to
+ * `projectPath`.
+ */
+export async function readSizeAnalysis(path, projectPath) {
+  let json;
+  try {
+    json = JSON.parse(await fs.readFile(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read size analysis ${path}: ${error.message}`);
+  }
+
+  const report = summarizeSizeAnalysis(json);
+  const inside = relative(resolve(projectPath), path);
+  return { source: inside.startsWith('..') ? path : inside.split(sep).join('/'), ...report };
+}
+
+/**
+ * Summarizes a size analysis tree: its top-level components, the Dart code
+ * by package (with its largest libraries) and the native libraries. Sizes
+ * are in bytes.
+ */
+export function summarizeSizeAnalysis(json) {
+  if (!json || typeof json !== 'object' || !Array.isArray(json.children)) {
+    throw new Error('Not a Flutter code size analysis: expected a tree with "children"');
+  }
+
+  const type = json.type || 'unknown';
+  const total = nodeSize(json);
+  const packages = new Map();
+  const native = [];
+  const architectures = new Set();
+
+  const visit = (node, path) => {
+    const name = nodeName(node);
+
+    if (DART_AOT_NODE.test(name)) {
+      collectDartPackages(node, packages);
+      // lib/arm64-v8a/libapp.so (Dart AOT)
+      if (path[1] === 'lib' && path[2]) architectures.add(path[2]);
+      return true;
+    }
+
+    const containsDart = (node.children || [])
+      .map(child => visit(child, [...path, name]))
+      .some(Boolean);
+
+    if (NATIVE_LIBRARY.test(name) && !containsDart) {
+      native.push({ name, path: [...path, name].slice(1).join('/'), size: nodeSize(node) });
+      if (path[1] === 'lib' && path[2]) architectures.add(path[2]);
+    }
+    return containsDart;
+  };
+  visit(json, []);
+
+  const dartSize = [...packages.values()].reduce((sum, entry) => sum + entry.size, 0);
+
+  return {
+    type,
+    platform: SIZE_ANALYSIS_PLATFORMS[type] || type,
+    name: nodeName(json),
+    size: total,
+    architectures: [...architectures].sort(),
+    breakdown: json.children
+      .map(child => ({ name: nodeName(child), size: nodeSize(child) }))
+      .sort((a, b) => b.size - a.size),
+    dart: {
+      size: dartSize,
+      packages: [...packages.values()]
+        .map(entry => ({
+          name: entry.name,
+          size: entry.size,
+          percentage: dartSize > 0 ? Math.round((entry.size / dartSize) * 1000) / 10 : 0,
+          libraries: [...entry.libraries]
+            .map(([library, size]) => ({ name: library, size }))
+            .sort((a, b) => b.size - a.size)
+            .slice(0, MAX_LIBRARIES),
+        }))
+        .sort((a, b) => b.size - a.size),
+    },
+    native: native.sort((a, b) => b.size - a.size),
+    tree: json,
+  };
+}
+
+export function nodeName(node) {
+  return String(node.n ?? node.name ?? '');
+}
+
+// Parents may omit their size; it is then the sum of their children
+export function nodeSize(node) {
+  const size = node.value ?? node.size;
+  if (typeof size === 'number') return size;
+  return (node.children || []).reduce((sum, child) => sum + nodeSize(child), 0);
+}
+
+// Package nodes (`package:flutter`, `dart:core`) are found at any depth
+// below the snapshot node; leaves outside of them count as `@other`.
+// Snapshots of several architectures add up.
+function collectDartPackages(node, packages) {
+  const add = (name, size, libraries) => {
+    const entry = packages.get(name) || { name, size: 0, libraries: new Map() };
+    entry.size += size;
+    libraries.forEach(([library, librarySize]) => {
+      entry.libraries.set(library, (entry.libraries.get(library) || 0) + librarySize);
+    });
+    packages.set(name, entry);
+  };
+
+  const walk = current => {
+    (current.children || []).forEach(child => {
+      const name = nodeName(child);
+      if (name.startsWith('package:') || name.startsWith('dart:')) {
+        add(name, nodeSize(child), (child.children || []).map(library => [nodeName(library), nodeSize(library)]));
+      } else if (child.children?.length) {
+        walk(child);
+      } else {
+        add('@other', nodeSize(child), []);
+      }
+    });
+  };
+  if (node.children?.length) {
+    walk(node);
+  } else {
+    add('@other', nodeSize(node), []);
+  }
+}
+
+/**
+ * Sizes of the files in a size analysis tree, by path (`lib/arm64-v8a/
+ * libflutter.so`, `assets/flutter_assets/assets/logo.png`). The Dart AOT
+ * snapshot is left out: its contents are the Dart packages.
+ */
+export function fileSizes(tree) {
+  const sizes = new Map();
+  const walk = (node, path) => {
+    const name = nodeName(node);
+    if (DART_AOT_NODE.test(name)) return;
+    const nodePath = path ? `${path}/${name}` : name;
+    if (node.children?.length) {
+      node.children.forEach(child => walk(child, nodePath));
+    } else {
+      sizes.set(nodePath, nodeSize(node));
+    }
+  };
+  (tree.children || []).forEach(child => walk(child, ''));
+  return sizes;
+}
@@ -0,0 +1,95 @@
+// Size budgets for analyze_bundle_size, from `bundleSize.budgets` in the
+// configuration:
+//
+//   bundleSize:
+//     budgets:
+//       apk: 25MB
+//       aab: 20MB
+//       ios: 40MB
+//       mainDartJsGzip: 1.5MB
+//       firstLoadGzip: 3MB
+//       packages:
+//         google_maps_flutter: 800KB
+//         "*": 500KB          # any other dependency
+//
+// Sizes are bytes, or a number with a B, KB, MB or GB unit (1KB = 1024 B).
+
+const UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+const SIZE = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb|k|m|g)?$/i;
+
+// Budgets on a whole build, and what they measure
+export const BUILD_BUDGETS = {
+  apk: 'APK size',
+  aab: 'App bundle size',
+  ios: 'iOS app size',
+  mainDartJsGzip: 'main.dart.js, gzipped',
+  firstLoadGzip: 'Web first load, gzipped',
+};
+
+export function parseSize(value, name = 'size') {
+  if (typeof value === 'number' && Number.isFinite(value) && value >= 0) return Math.round(value);
+
+  const match = typeof value === 'string' ? SIZE.exec(value.trim()) : null;
+  if (!match) {
+    throw new Error(`Invalid size for budget ${name}: ${JSON.stringify(value)} (use bytes or e.g. "1.5MB")`);
+  }
+  // 500k -> 500kb
+  const unit = (match[2] || 'b').toLowerCase().replace(/^([kmg])$/, '$1b');
+  return Math.round(Number(match[1]) * UNITS[unit]);
+}
+
+/**
+ * Checks the measured sizes against the budgets. `measured` has a size (or
+ * null when it was not measured) per build budget, and `packages` maps the
+ * Dart packages to their code size, with `dependencies` naming the ones `*`
+ * applies to. Returns null without budgets.
+ */
+export function checkBudgets(budgets = {}, measured) {
+  const checks = [];
+
+  Object.keys(BUILD_BUDGETS).forEach(name => {
+    if (budgets[name] === undefined || budgets[name] === null) return;
+    checks.push(check(name, BUILD_BUDGETS[name], parseSize(budgets[name], name), measured[name] ?? null));
+  });
+
+  const packageBudgets = budgets.packages || {};
+  Object.entries(packageBudgets).forEach(([name, limit]) => {
+    if (name === '*') return;
+    const size = measured.packages ? measured.packages.get(name) ?? 0 : null;
+    checks.push(check(`packages.${name}`, `Dart code of ${name}`, parseSize(limit, `packages.${name}`), size));
+  });
+
+  if (packageBudgets['*'] !== undefined && measured.packages) {
+    const limit = parseSize(packageBudgets['*'], 'packages.*');
+    (measured.dependencies || [])
+      .filter(name => !(name in packageBudgets))
+      .forEach(name => {
+        const result = check(`packages.${name}`, `Dart code of ${name}`, limit, measured.packages.get(name));
+        // Only the dependencies over the default budget are listed
+        if (result.status === 'exceeded') checks.push({ ...result, budget: 'packages.*' });
+      });
+  }
+
+  if (checks.length === 0) return null;
+
+  const exceeded = checks.filter(entry => entry.status === 'exceeded');
+  return {
+    status: exceeded.length > 0 ? 'FAILING' : 'PASSING',
+    exceeded: exceeded.length,
+    checks,
+  };
+}
+
+function check(name, description, limit, actual) {
+  if (actual === null) {
+    return { name, description, limit, actual: null, status: 'not_measured' };
+  }
+  return {
+    name,
+    description,
+    limit,
+    actual,
+    status: actual > limit ? 'exceeded' : 'ok',
+    ...(actual > limit && { overBy: actual - limit }),
+  };
+}
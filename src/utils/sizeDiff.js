@@ -0,0 +1,95 @@
+import { fileSizes } from './sizeAnalysis.js';
+import { sumSizes } from './webBuild.js';
+
+const TOP_CONTRIBUTORS = 10;
+
+/**
+ * Compares two size analyses of the same kind of build: the total, the Dart
+ * code per package and every other file (native libraries, assets, dex).
+ * Changes are sorted by growth; `topContributors` lists the largest ones,
+ * packages and files together.
+ */
+export function diffSizeAnalyses(before, after) {
+  const packages = diffSizes(
+    new Map(before.dart.packages.map(entry => [entry.name, entry.size])),
+    new Map(after.dart.packages.map(entry => [entry.name, entry.size]))
+  );
+  const files = diffSizes(fileSizes(before.tree), fileSizes(after.tree));
+
+  return {
+    before: { source: before.source, size: before.size },
+    after: { source: after.source, size: after.size },
+    ...delta(before.size, after.size),
+    dartCode: { before: before.dart.size, after: after.dart.size, ...delta(before.dart.size, after.dart.size) },
+    packages,
+    files,
+    topContributors: topContributors([
+      ...packages.map(entry => ({ kind: 'package', ...entry })),
+      ...files.map(entry => ({ kind: 'file', ...entry })),
+    ]),
+  };
+}
+
+/**
+ * Compares two measured web builds file by file, on raw and gzip sizes.
+ */
+export function diffWebBuilds(beforeFiles, afterFiles) {
+  const before = new Map(beforeFiles.map(file => [file.path, file]));
+  const after = new Map(afterFiles.map(file => [file.path, file]));
+  const raw = diffSizes(mapSizes(before, 'raw'), mapSizes(after, 'raw'));
+  const gzip = new Map(diffSizes(mapSizes(before, 'gzip'), mapSizes(after, 'gzip')).map(entry => [entry.name, entry]));
+
+  const files = raw.map(entry => ({
+    path: entry.name,
+    status: entry.status,
+    before: entry.before,
+    after: entry.after,
+    change: entry.change,
+    gzipChange: gzip.get(entry.name)?.change ?? 0,
+  }));
+  const totalBefore = { files: beforeFiles.length, ...sumSizes(beforeFiles) };
+  const totalAfter = { files: afterFiles.length, ...sumSizes(afterFiles) };
+
+  return {
+    before: totalBefore,
+    after: totalAfter,
+    ...delta(totalBefore.raw, totalAfter.raw),
+    gzipChange: totalAfter.gzip - totalBefore.gzip,
+    files,
+    topContributors: topContributors(files.map(file => ({ kind: 'file', name: file.path, ...file }))),
+  };
+}
+
+// Entries whose size changed, with their status: added, removed, grown or
+// shrunk. Largest growth first.
+function diffSizes(before, after) {
+  const names = new Set([...before.keys(), ...after.keys()]);
+  return [...names]
+    .map(name => {
+      const was = before.get(name) ?? 0;
+      const is = after.get(name) ?? 0;
+      const status = !before.has(name) ? 'added' : !after.has(name) ? 'removed' : is > was ? 'grown' : 'shrunk';
+      return { name, status, before: was, after: is, change: is - was };
+    })
+    .filter(entry => entry.change !== 0 || entry.status === 'added' || entry.status === 'removed')
+    .sort((a, b) => b.change - a.change || a.name.localeCompare(b.name));
+}
+
+function mapSizes(files, key) {
+  return new Map([...files].map(([path, file]) => [path, file[key]]));
+}
+
+function delta(before, after) {
+  return {
+    change: after - before,
+    percentage: before > 0 ? Math.round(((after - before) / before) * 1000) / 10 : null,
+  };
+}
+
+function topContributors(entries) {
+  return entries
+    .filter(entry => entry.change > 0)
+    .sort((a, b) => b.change - a.change)
+    .slice(0, TOP_CONTRIBUTORS)
+    .map(({ kind, name, status, change }) => ({ kind, name, status, change }));
+}
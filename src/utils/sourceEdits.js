@@ -0,0 +1,138 @@
+// Text edits on source files, and the unified diffs that carry them.
+// An edit replaces source.slice(start, end) with `text`.
+
+const CONTEXT_LINES = 3;
+
+/**
+ * Applies non-overlapping edits to `source`.
+ */
+export function applyEdits(source, edits) {
+  return [...edits]
+    .sort((a, b) => b.start - a.start || b.end - a.end)
+    .reduce((text, edit) => text.slice(0, edit.start) + edit.text + text.slice(edit.end), source);
+}
+
+/**
+ * A unified diff of the edits to the file at `path`, as `git diff` prints
+ * it, for `git apply`. A null `source` creates the file. Returns '' when
+ * the edits change nothing.
+ */
+export function createPatch(path, source, edits) {
+  const created = source === null;
+  const before = source ?? '';
+  if (applyEdits(before, edits) === before) return '';
+
+  const header = created
+    ? `diff --git a/${path} b/${path}\nnew file mode 100644\n--- /dev/null\n+++ b/${path}\n`
+    : `diff --git a/${path} b/${path}\n--- a/${path}\n+++ b/${path}\n`;
+
+  const oldLines = splitLines(before);
+  if (oldLines.length === 0) {
+    const newLines = splitLines(applyEdits(before, edits));
+    return `${header}@@ -0,0 +1,${newLines.length} @@\n${renderLines('+', newLines)}`;
+  }
+
+  const blocks = changedBlocks(oldLines, edits);
+
+  // Blocks close enough to share their context make one hunk
+  const hunks = [];
+  blocks.forEach(block => {
+    const hunk = hunks[hunks.length - 1];
+    if (hunk && block.first - hunk[hunk.length - 1].last - 1 <= 2 * CONTEXT_LINES) {
+      hunk.push(block);
+    } else {
+      hunks.push([block]);
+    }
+  });
+
+  let delta = 0;
+  const body = hunks.map(hunk => {
+    const start = Math.max(0, hunk[0].first - CONTEXT_LINES);
+    const end = Math.min(oldLines.length - 1, hunk[hunk.length - 1].last + CONTEXT_LINES);
+    let text = '';
+    let oldCount = 0;
+    let newCount = 0;
+    let line = start;
+
+    hunk.forEach(block => {
+      text += renderLines(' ', oldLines.slice(line, block.first));
+      text += renderLines('-', block.oldLines) + renderLines('+', block.newLines);
+      oldCount += block.first - line + block.oldLines.length;
+      newCount += block.first - line + block.newLines.length;
+      line = block.last + 1;
+    });
+    text += renderLines(' ', oldLines.slice(line, end + 1));
+    oldCount += end + 1 - line;
+    newCount += end + 1 - line;
+
+    const newStart = start + 1 + delta;
+    delta += newCount - oldCount;
+    return `@@ -${start + 1},${oldCount} +${newCount === 0 ? newStart - 1 : newStart},${newCount} @@\n${text}`;
+  }).join('');
+
+  return header + body;
+}
+
+// Runs of whole lines that the edits touch, with their old and new lines
+function changedBlocks(oldLines, edits) {
+  const lineStarts = [];
+  oldLines.reduce((offset, line) => {
+    lineStarts.push(offset);
+    return offset + line.length;
+  }, 0);
+  const lineAt = offset => {
+    let index = lineStarts.length - 1;
+    while (index > 0 && lineStarts[index] > offset) index--;
+    return index;
+  };
+
+  const blocks = [];
+  [...edits].sort((a, b) => a.start - b.start).forEach(edit => {
+    const first = lineAt(edit.start);
+    const last = Math.max(first, lineAt(Math.max(edit.start, edit.end - 1)));
+    const block = blocks[blocks.length - 1];
+    // Edits on the same or adjacent lines make one block
+    if (block && first <= block.last + 1) {
+      block.last = Math.max(block.last, last);
+      block.edits.push(edit);
+    } else {
+      blocks.push({ first, last, edits: [edit] });
+    }
+  });
+
+  return blocks.map(({ first, last, edits: blockEdits }) => {
+    const offset = lineStarts[first];
+    const text = oldLines.slice(first, last + 1).join('');
+    const shifted = blockEdits.map(edit => ({ ...edit, start: edit.start - offset, end: edit.end - offset }));
+    return trimUnchanged({
+      first,
+      last,
+      oldLines: oldLines.slice(first, last + 1),
+      newLines: splitLines(applyEdits(text, shifted)),
+    });
+  });
+}
+
+// Moves the lines a block leaves as they are (a line that an insertion
+// after its end touches) out of it, into the context
+function trimUnchanged(block) {
+  let { first, last, oldLines, newLines } = block;
+  while (oldLines.length > 0 && newLines.length > 0 && oldLines[0] === newLines[0]) {
+    [oldLines, newLines, first] = [oldLines.slice(1), newLines.slice(1), first + 1];
+  }
+  while (oldLines.length > 0 && newLines.length > 0 && oldLines[oldLines.length - 1] === newLines[newLines.length - 1]) {
+    [oldLines, newLines, last] = [oldLines.slice(0, -1), newLines.slice(0, -1), last - 1];
+  }
+  return { first, last, oldLines, newLines };
+}
+
+// Lines with their line breaks
+function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+function renderLines(prefix, lines) {
+  return lines.map(line => (line.endsWith('\n')
+    ? `${prefix}${line}`
+    : `${prefix}${line}\n\\ No newline at end of file\n`)).join('');
+}
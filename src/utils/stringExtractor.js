@@ -0,0 +1,482 @@
+import fs from 'fs/promises';
+import { join, posix } from 'path';
+import { tokenize } from './dartLexer.js';
+import { parseDart } from './dartParser.js';
+import { findNodes, getSuperclassName } from './dartAst.js';
+import { listDartFiles } from './projectScanner.js';
+import { throwIfAborted } from './errorHandler.js';
+import { readL10nConfig } from './l10nProject.js';
+import { createPatch } from './sourceEdits.js';
+
+// Finds the hardcoded strings of a Flutter project that users see, proposes
+// ARB keys for them, and builds a patch that moves them to the template ARB
+// file and reads them through the localizations class.
+
+// Widgets whose first positional argument is the text they show
+const TEXT_WIDGETS = new Set(['Text', 'SelectableText', 'AutoSizeText']);
+
+// Named arguments that take text to show: InputDecoration, Tooltip,
+// TextSpan, Tab, BottomNavigationBarItem, Semantics, MaterialApp
+const TEXT_ARGUMENTS = new Set([
+  'hintText', 'labelText', 'helperText', 'errorText', 'counterText', 'prefixText', 'suffixText',
+  'tooltip', 'message', 'text', 'label', 'title', 'semanticLabel', 'semanticsLabel',
+]);
+
+// Calls whose strings are never shown, even in a text slot
+const SKIPPED_CALLS = {
+  print: 'log',
+  debugPrint: 'log',
+  log: 'log',
+  Key: 'key',
+  ValueKey: 'key',
+  ObjectKey: 'key',
+  GlobalKey: 'key',
+  PageStorageKey: 'key',
+};
+
+const GENERATED_FILE = /\.(g|freezed|gr|config|mocks)\.dart$/;
+const ASSET_PATH = /^[\w\-.]+(\/[\w\-. ]+)+\.\w+$/;
+const URL = /^([a-z][a-z0-9+.-]*:\/\/|mailto:|tel:)/i;
+// home_title, home.title: translation keys (easy_localization), not text
+const KEY_LIKE = /^[a-z][a-z0-9]*([._][a-z0-9]+)+$/;
+const LETTER = /\p{L}/u;
+
+const MAX_KEY_WORDS = 5;
+const DART_RESERVED = new Set([
+  'assert', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'do', 'else', 'enum',
+  'extends', 'false', 'final', 'finally', 'for', 'if', 'in', 'is', 'new', 'null', 'rethrow', 'return',
+  'super', 'switch', 'this', 'throw', 'true', 'try', 'var', 'void', 'while', 'with',
+]);
+
+/**
+ * Scans the Dart files in lib/ for string literals in user-facing slots:
+ * the text of `Text` and similar widgets, and arguments such as `hintText`,
+ * `labelText` and `tooltip` (SnackBar and dialog content is a `Text`).
+ * Strings that are keys, log messages, asset paths or URLs are skipped.
+ * Each string gets a camelCase ARB key, with a placeholder per
+ * interpolation; keys of the template ARB file with the same message are
+ * reused. `patch` replaces the literals with
+ * `AppLocalizations.of(context)!.key` and adds the new messages to the
+ * template. Strings with no BuildContext in scope are left to
+ * `manualMigration`.
+ */
+export async function extractUserFacingStrings(projectPath, { signal = null } = {}) {
+  const l10n = await readL10nConfig(projectPath);
+  const { root } = l10n;
+  const templatePath = posix.join(l10n.arbDir, l10n.templateArbFile);
+  const template = await readTemplate(join(root, templatePath));
+
+  const stat = await fs.stat(join(root, 'lib')).catch(() => null);
+  if (!stat?.isDirectory()) {
+    throw new Error(`No lib/ directory found in ${root}`);
+  }
+
+  const paths = (await listDartFiles(join(root, 'lib'), signal))
+    .map(path => `lib/${path}`)
+    .filter(path => !GENERATED_FILE.test(path) && !path.startsWith(`${l10n.arbDir}/`));
+
+  const keys = new Keys(template.messages);
+  const foundStrings = [];
+  const manualMigration = [];
+  const skipped = {};
+  const patches = [];
+  const byFile = {};
+
+  for (const path of paths) {
+    throwIfAborted(signal);
+    const source = await fs.readFile(join(root, path), 'utf8');
+    const { strings, edits, withoutContext } = findUserFacingStrings(source, path, skipped);
+    withoutContext.forEach(entry => {
+      manualMigration.push({
+        text: entry.message,
+        location: `${path}:${entry.line}`,
+        slot: entry.slot,
+        reason: 'No BuildContext in scope to look up the localizations',
+      });
+    });
+    if (strings.length === 0) continue;
+
+    strings.forEach(entry => {
+      const key = keys.assign(entry);
+      const accessor = `${l10n.outputClass}.of(${entry.context})${l10n.nullableGetter ? '!' : ''}.${key}`;
+      const replacement = entry.placeholders.length > 0
+        ? `${accessor}(${entry.placeholders.map(placeholder => placeholder.expression).join(', ')})`
+        : accessor;
+      edits.push({ start: entry.start, end: entry.end, text: replacement });
+      foundStrings.push({
+        key,
+        text: entry.message,
+        location: `${path}:${entry.line}`,
+        slot: entry.slot,
+        placeholders: entry.placeholders.map(placeholder => placeholder.name),
+        replacement,
+      });
+    });
+
+    const importEdit = l10n.importUri && importEditFor(source, l10n.importUri);
+    if (importEdit) edits.push(importEdit);
+    patches.push(createPatch(path, source, edits));
+    byFile[path] = strings.length;
+  }
+
+  const arbEntries = keys.newEntries();
+  if (Object.keys(arbEntries).length > 0) {
+    patches.push(templatePatch(templatePath, template, arbEntries, l10n.templateArbFile));
+  }
+
+  return {
+    template: templatePath,
+    foundStrings,
+    manualMigration,
+    arbEntries,
+    patch: patches.join('') || null,
+    statistics: {
+      filesScanned: paths.length,
+      filesWithStrings: Object.keys(byFile).length,
+      strings: foundStrings.length,
+      newKeys: Object.keys(arbEntries).filter(key => !key.startsWith('@')).length,
+      byFile,
+      skipped,
+    },
+  };
+}
+
+/**
+ * The user-facing string literals of one Dart file, with their message
+ * (interpolations as `{placeholder}`) and the BuildContext in scope, and the
+ * edits that drop `const` from the expressions around them so that they can
+ * call into the localizations. Literals without a BuildContext in scope are
+ * returned as `withoutContext`; all skipped literals are counted by reason in
+ * `skipped`.
+ */
+export function findUserFacingStrings(source, path, skipped = {}) {
+  const { tokens } = tokenize(source);
+  const scopes = contextScopes(source);
+  const strings = [];
+  const withoutContext = [];
+  const edits = new Map();
+  // Open brackets, with the call they belong to and their `const` keyword
+  const stack = [];
+  const skip = reason => {
+    skipped[reason] = (skipped[reason] || 0) + 1;
+  };
+
+  for (let index = 0; index < tokens.length; index++) {
+    const token = tokens[index];
+
+    if (token.type === 'punctuator') {
+      if (token.value === '(' || token.value === '[' || token.value === '{') {
+        stack.push(openBracket(tokens, index));
+      } else if (token.value === ')' || token.value === ']' || token.value === '}') {
+        stack.pop();
+      }
+      continue;
+    }
+    if (token.type !== 'string') continue;
+
+    // Adjacent literals ('Hello ' 'world') are one string
+    const first = index;
+    while (tokens[index + 1]?.type === 'string') index++;
+    const run = tokens.slice(first, index + 1);
+    const next = tokens[index + 1];
+
+    const slot = textSlot(tokens, first, stack);
+    if (!slot) continue;
+
+    const skippedBy = stack.map(frame => SKIPPED_CALLS[frame.callee]).find(Boolean);
+    if (skippedBy) {
+      skip(skippedBy);
+      continue;
+    }
+    if (next?.value === '.' && tokens[index + 2]?.value === 'tr') {
+      skip('translated');
+      continue;
+    }
+    if (next?.value !== ',' && next?.value !== ')') {
+      skip('expression');
+      continue;
+    }
+
+    const message = readMessage(source, run);
+    if (!message) {
+      skip('unsupported');
+      continue;
+    }
+    const reason = message.placeholders.length === 0 && skipReason(message.text);
+    if (reason || !LETTER.test(message.words)) {
+      skip(reason || 'no_text');
+      continue;
+    }
+
+    const context = contextAt(scopes, run[0].start);
+    if (!context) {
+      skip('no_context');
+      withoutContext.push({ slot, message: message.text, line: run[0].line, column: run[0].column });
+      continue;
+    }
+
+    stack.filter(frame => frame.constIndex !== null).forEach(({ constIndex }) => {
+      edits.set(constIndex, { start: tokens[constIndex].start, end: tokens[constIndex + 1].start, text: '' });
+    });
+
+    strings.push({
+      slot,
+      message: message.text,
+      words: message.words,
+      placeholders: message.placeholders,
+      context,
+      file: path,
+      line: run[0].line,
+      column: run[0].column,
+      start: run[0].start,
+      end: run[run.length - 1].end,
+    });
+  }
+
+  return { strings, edits: [...edits.values()], withoutContext };
+}
+
+// The source ranges where a BuildContext is in scope, with its name: the
+// bodies of functions that take one (`BuildContext ctx`, or an untyped
+// `context` as in `builder: (context) => ...`), and the instance methods
+// of a State, which has a `context` getter
+function contextScopes(source) {
+  const { unit } = parseDart(source);
+  const scopes = [];
+
+  findNodes(unit, node => Array.isArray(node.parameters)).forEach(node => {
+    const parameter = node.parameters.find(entry => entry.paramType?.name === 'BuildContext')
+      || node.parameters.find(entry => entry.name === 'context' && !entry.paramType);
+    if (parameter) scopes.push({ start: node.span.start, end: node.span.end, name: parameter.name });
+  });
+
+  findNodes(unit, node => node.type === 'ClassDeclaration' && getSuperclassName(node) === 'State').forEach(node => {
+    node.members
+      .filter(member => member.type === 'MethodDeclaration' && !member.isStatic)
+      .forEach(member => scopes.push({ start: member.span.start, end: member.span.end, name: 'context' }));
+  });
+
+  return scopes;
+}
+
+// The name of the innermost BuildContext in scope at `offset`
+function contextAt(scopes, offset) {
+  const enclosing = scopes
+    .filter(scope => scope.start <= offset && offset < scope.end)
+    .sort((a, b) => b.start - a.start);
+  return enclosing[0]?.name ?? null;
+}
+
+function openBracket(tokens, index) {
+  const bracket = tokens[index].value;
+  let callee = null;
+  let before = index - 1;
+
+  if (bracket === '(') {
+    // Text(, Text.rich(, const Text(
+    if (tokens[before]?.type === 'identifier') callee = tokens[before].value;
+    while (tokens[before]?.type === 'identifier' || tokens[before]?.value === '.') before--;
+  } else if (tokens[before]?.value === '>') {
+    // const <Widget>[
+    let depth = 0;
+    for (; before >= 0; before--) {
+      if (tokens[before].value === '>') depth++;
+      if (tokens[before].value === '<') depth--;
+      if (depth === 0) break;
+    }
+    before--;
+  }
+
+  const isConst = tokens[before]?.type === 'keyword' && tokens[before].value === 'const';
+  return { bracket, callee, constIndex: isConst ? before : null };
+}
+
+// The slot a literal at `index` fills: `Text` for the first argument of a
+// text widget, or the name of a text argument
+function textSlot(tokens, index, stack) {
+  const frame = stack[stack.length - 1];
+  if (!frame || frame.bracket !== '(') return null;
+
+  const previous = tokens[index - 1];
+  if (previous?.value === '(' && TEXT_WIDGETS.has(frame.callee) && tokens[index - 3]?.value !== '.') {
+    return frame.callee;
+  }
+  if (previous?.value === ':' && TEXT_ARGUMENTS.has(tokens[index - 2]?.value)
+    && (tokens[index - 3]?.value === '(' || tokens[index - 3]?.value === ',')) {
+    return tokens[index - 2].value;
+  }
+  return null;
+}
+
+// The ICU message of a string literal run: its text with a `{name}` per
+// interpolation. Null for text that gen-l10n would read as ICU syntax.
+function readMessage(source, run) {
+  let text = '';
+  let words = '';
+  const placeholders = [];
+
+  for (const token of run) {
+    for (const part of token.parts) {
+      if (part.kind === 'text') {
+        if (/[{}]/.test(part.value)) return null;
+        text += part.value;
+        words += part.value;
+        continue;
+      }
+
+      const expression = part.isSimple
+        ? part.tokens[0].value
+        : source.slice(part.start + 2, part.end - 1).trim();
+      let placeholder = placeholders.find(entry => entry.expression === expression);
+      if (!placeholder) {
+        placeholder = { name: uniqueName(placeholderName(part.tokens), placeholders.map(entry => entry.name)), expression };
+        placeholders.push(placeholder);
+      }
+      text += `{${placeholder.name}}`;
+    }
+  }
+
+  return { text, words, placeholders };
+}
+
+// ${user.name} -> userName; ${items.length} -> itemsLength
+function placeholderName(tokens) {
+  const identifiers = [];
+  for (const token of tokens) {
+    if (token.value === '(' || token.value === '[') break;
+    if (token.type === 'identifier') identifiers.push(token.value.replace(/^_+/, ''));
+  }
+  return camelCase(identifiers) || 'value';
+}
+
+function skipReason(text) {
+  const trimmed = text.trim();
+  if (URL.test(trimmed)) return 'url';
+  if (ASSET_PATH.test(trimmed)) return 'asset';
+  if (KEY_LIKE.test(trimmed)) return 'key';
+  return null;
+}
+
+// ARB keys for the messages: the existing key of the same message, or one
+// made of its first words, unique across the template and this run
+class Keys {
+  constructor(existing) {
+    this.byMessage = new Map();
+    this.used = new Set(Object.keys(existing));
+    this.entries = new Map();
+    Object.entries(existing).forEach(([key, message]) => {
+      if (!this.byMessage.has(message)) this.byMessage.set(message, key);
+    });
+  }
+
+  assign(entry) {
+    const known = this.byMessage.get(entry.message);
+    if (known) return known;
+
+    const words = entry.words
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .match(/[A-Za-z0-9]+/g) || [];
+    let key = camelCase(words.slice(0, MAX_KEY_WORDS).map(word => word.toLowerCase())) || `${entry.slot.replace(/Text$/, '')}Text`;
+    if (/^\d/.test(key)) key = `text${key[0].toUpperCase()}${key.slice(1)}`;
+    if (DART_RESERVED.has(key)) key = `${key}Text`;
+    key = uniqueName(key, this.used);
+
+    this.used.add(key);
+    this.byMessage.set(entry.message, key);
+    this.entries.set(key, entry);
+    return key;
+  }
+
+  newEntries() {
+    const arb = {};
+    this.entries.forEach((entry, key) => {
+      arb[key] = entry.message;
+      arb[`@${key}`] = {
+        description: `${entry.slot} in ${entry.file}`,
+        ...(entry.placeholders.length > 0 && {
+          placeholders: Object.fromEntries(entry.placeholders.map(placeholder => [placeholder.name, {}])),
+        }),
+      };
+    });
+    return arb;
+  }
+}
+
+function camelCase(words) {
+  return words
+    .filter(Boolean)
+    .map((word, index) => (index === 0 ? word[0].toLowerCase() : word[0].toUpperCase()) + word.slice(1))
+    .join('');
+}
+
+function uniqueName(name, taken) {
+  const has = candidate => (taken instanceof Set ? taken.has(candidate) : taken.includes(candidate));
+  if (!has(name)) return name;
+  let suffix = 2;
+  while (has(`${name}${suffix}`)) suffix++;
+  return `${name}${suffix}`;
+}
+
+// The messages of the template ARB file, without its `@` metadata
+async function readTemplate(path) {
+  let source;
+  try {
+    source = await fs.readFile(path, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { source: null, messages: {} };
+    throw error;
+  }
+
+  let arb;
+  try {
+    arb = JSON.parse(source);
+  } catch (error) {
+    throw new Error(`Invalid ARB file ${path}: ${error.message}`);
+  }
+  const messages = Object.fromEntries(Object.entries(arb).filter(([key, value]) => !key.startsWith('@') && typeof value === 'string'));
+  return { source, messages };
+}
+
+// Adds the entries before the closing brace of the template, or creates it
+function templatePatch(path, template, entries, fileName) {
+  if (template.source === null) {
+    const locale = /_([A-Za-z]+(?:_[A-Za-z0-9]+)*)\.arb$/.exec(fileName)?.[1] || 'en';
+    return createPatch(path, null, [{ start: 0, end: 0, text: `${JSON.stringify({ '@@locale': locale, ...entries }, null, 2)}\n` }]);
+  }
+
+  const source = template.source;
+  const close = source.lastIndexOf('}');
+  const body = source.slice(0, close).trimEnd();
+  const members = Object.entries(entries)
+    .map(([key, value]) => `  ${JSON.stringify(key)}: ${JSON.stringify(value, null, 2).replace(/\n/g, '\n  ')}`)
+    .join(',\n');
+  const separator = body.endsWith('{') ? '\n' : ',\n';
+  return createPatch(path, source, [{ start: body.length, end: close, text: `${separator}${members}\n` }]);
+}
+
+// Adds the localizations import after the last import, unless it is there
+// or the file is a part of another library
+function importEditFor(source, importUri) {
+  const { tokens } = tokenize(source);
+  let insertAt = null;
+
+  for (let index = 0; index < tokens.length; index++) {
+    const token = tokens[index];
+    if (token.type !== 'identifier' || !['import', 'export', 'library', 'part'].includes(token.value)) {
+      if (token.value === '@') continue;
+      break;
+    }
+    if (token.value === 'part' && tokens[index + 1]?.value === 'of') return null;
+    if (token.value === 'import' && tokens[index + 1]?.type === 'string'
+      && tokens[index + 1].parts.map(part => part.value).join('') === importUri) {
+      return null;
+    }
+    while (index < tokens.length && tokens[index].value !== ';') index++;
+    if (token.value === 'import') insertAt = tokens[index]?.end ?? null;
+  }
+
+  return insertAt === null
+    ? { start: 0, end: 0, text: `import '${importUri}';\n\n` }
+    : { start: insertAt, end: insertAt, text: `\nimport '${importUri}';` };
+}
@@ -1,4 +1,5 @@
 import { encode } from 'gpt-3-encoder';
+import { getConfig } from '../config/config.js';
 
 export class TokenManager {
   constructor(options = {}) {
@@ -205,7 +206,7 @@ let tokenManagerInstance = null;
 
 export function getTokenManager(options) {
   if (!tokenManagerInstance) {
-    tokenManagerInstance = new TokenManager(options);
+    tokenManagerInstance = new TokenManager(options || { maxTokens: getConfig().tokens.maxTokens });
   }
   return tokenManagerInstance;
 }
\ No newline at end of file
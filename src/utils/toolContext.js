@@ -0,0 +1,55 @@
+import { throwIfAborted } from './errorHandler.js';
+import { getConfig } from '../config/config.js';
+
+/**
+ * Per-call context handed to tool handlers as their second argument:
+ *
+ *   signal                                aborted when the client sends
+ *                                         notifications/cancelled
+ *   reportProgress(progress, total, msg)  sends notifications/progress when
+ *                                         the client asked for it with a
+ *                                         progressToken; no-op otherwise
+ *   throwIfCancelled()                    throws CancellationError once the
+ *                                         signal has fired
+ *   config                                resolved configuration, including
+ *                                         the request's `config` overrides
+ *
+ * Handlers called directly (tests, other tools) get `noopToolContext`.
+ */
+export function createToolContext(request = {}, extra = {}, config = null) {
+  const progressToken = request.params?._meta?.progressToken;
+  const signal = extra.signal || new AbortController().signal;
+  let lastProgress = -Infinity;
+
+  return {
+    signal,
+
+    async reportProgress(progress, total, message) {
+      // Progress must increase with every notification
+      if (progressToken === undefined || !extra.sendNotification || progress <= lastProgress) {
+        return;
+      }
+      lastProgress = progress;
+
+      await extra.sendNotification({
+        method: 'notifications/progress',
+        params: {
+          progressToken,
+          progress,
+          ...(total !== undefined ? { total } : {}),
+          ...(message ? { message } : {}),
+        },
+      }).catch(() => {});
+    },
+
+    throwIfCancelled() {
+      throwIfAborted(signal);
+    },
+
+    get config() {
+      return config || getConfig();
+    },
+  };
+}
+
+export const noopToolContext = createToolContext();
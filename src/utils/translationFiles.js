@@ -0,0 +1,210 @@
+import * as cheerio from 'cheerio';
+
+// The files translators exchange with CAT tools: XLIFF 1.2, XLIFF 2.0 and
+// CSV. A unit is one message:
+//
+//   { key, source, target, state: 'new' | 'changed', notes: { description, placeholders, previousSource } }
+//
+// ICU messages travel as plain text; placeholders and plural syntax are
+// explained in the notes.
+
+export const TRANSLATION_FORMATS = ['xliff12', 'xliff20', 'csv'];
+
+const EXTENSIONS = { xliff12: 'xlf', xliff20: 'xlf', csv: 'csv' };
+
+const NOTE_NAMES = {
+  description: 'description',
+  placeholders: 'placeholders',
+  previousSource: 'previous-source',
+};
+
+/**
+ * The file name extension of a format.
+ */
+export function translationFileExtension(format) {
+  return EXTENSIONS[format];
+}
+
+/**
+ * Writes units for translation from `sourceLocale` into `targetLocale`.
+ * `original` names the template the units come from.
+ */
+export function writeTranslationFile(format, units, { sourceLocale, targetLocale, original }) {
+  switch (format) {
+    case 'xliff12':
+      return writeXliff12(units, { sourceLocale, targetLocale, original });
+    case 'xliff20':
+      return writeXliff20(units, { sourceLocale, targetLocale, original });
+    case 'csv':
+      return writeCsv(units, { sourceLocale, targetLocale });
+    default:
+      throw new Error(`Unknown translation file format: ${format}`);
+  }
+}
+
+/**
+ * Reads a translated XLIFF (1.2 or 2.0) or CSV file into
+ * { format, locale, units: [{ key, target }] }. The locale comes from the
+ * file (XLIFF target language, CSV target column) and is null when it
+ * does not name one.
+ */
+export function readTranslationFile(content) {
+  const text = content.replace(/^\uFEFF/, '');
+  return text.trimStart().startsWith('<') ? readXliff(text) : readCsv(text);
+}
+
+/**
+ * gen-l10n's form of a locale: pt_BR for pt-BR.
+ */
+export function normalizeLocale(locale) {
+  return locale ? locale.trim().replace(/-/g, '_') : null;
+}
+
+function writeXliff12(units, { sourceLocale, targetLocale, original }) {
+  const body = units.map(unit => {
+    const target = unit.target
+      ? `        <target state="needs-review-translation">${escapeXml(unit.target)}</target>\n`
+      : '        <target state="needs-translation"></target>\n';
+    const notes = Object.entries(NOTE_NAMES)
+      .filter(([name]) => unit.notes[name])
+      .map(([name, from]) => `        <note from="${from}">${escapeXml(unit.notes[name])}</note>\n`)
+      .join('');
+    return `      <trans-unit id="${escapeXml(unit.key)}" resname="${escapeXml(unit.key)}" xml:space="preserve">\n`
+      + `        <source>${escapeXml(unit.source)}</source>\n${target}${notes}`
+      + '      </trans-unit>\n';
+  }).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">\n'
+    + `  <file original="${escapeXml(original)}" datatype="plaintext" source-language="${xmlLanguage(sourceLocale)}" target-language="${xmlLanguage(targetLocale)}">\n`
+    + `    <body>\n${body}    </body>\n`
+    + '  </file>\n'
+    + '</xliff>\n';
+}
+
+function writeXliff20(units, { sourceLocale, targetLocale, original }) {
+  const body = units.map(unit => {
+    const notes = Object.entries(NOTE_NAMES)
+      .filter(([name]) => unit.notes[name])
+      .map(([name, category]) => `        <note category="${category}">${escapeXml(unit.notes[name])}</note>\n`)
+      .join('');
+    const target = unit.target ? `        <target>${escapeXml(unit.target)}</target>\n` : '';
+    return `    <unit id="${escapeXml(unit.key)}" name="${escapeXml(unit.key)}">\n`
+      + (notes ? `      <notes>\n${notes}      </notes>\n` : '')
+      + '      <segment state="initial">\n'
+      + `        <source xml:space="preserve">${escapeXml(unit.source)}</source>\n${target}`
+      + '      </segment>\n'
+      + '    </unit>\n';
+  }).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + `<xliff version="2.0" xmlns="urn:oasis:names:tc:xliff:document:2.0" srcLang="${xmlLanguage(sourceLocale)}" trgLang="${xmlLanguage(targetLocale)}">\n`
+    + `  <file id="${escapeXml(original)}" original="${escapeXml(original)}">\n${body}  </file>\n`
+    + '</xliff>\n';
+}
+
+// key, the source and target locales as column names, then the notes
+function writeCsv(units, { sourceLocale, targetLocale }) {
+  const rows = [
+    ['key', sourceLocale, targetLocale, 'status', ...Object.values(NOTE_NAMES)],
+    ...units.map(unit => [
+      unit.key,
+      unit.source,
+      unit.target || '',
+      unit.state,
+      ...Object.keys(NOTE_NAMES).map(name => unit.notes[name] || ''),
+    ]),
+  ];
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function readXliff(text) {
+  const $ = cheerio.load(text, { xml: true });
+  const root = $('xliff').first();
+  if (root.length === 0) throw new Error('Not an XLIFF file: no <xliff> element');
+
+  const version = root.attr('version');
+  if (version?.startsWith('2')) {
+    const units = $('unit').toArray().map(unit => ({
+      key: $(unit).attr('id'),
+      target: $(unit).find('segment > target, ignorable > target').toArray().map(target => $(target).text()).join(''),
+    }));
+    return { format: 'xliff20', locale: normalizeLocale(root.attr('trgLang')), units };
+  }
+
+  const units = $('trans-unit').toArray().map(unit => ({
+    key: $(unit).attr('resname') || $(unit).attr('id'),
+    target: $(unit).children('target').text(),
+  }));
+  return { format: 'xliff12', locale: normalizeLocale($('file').first().attr('target-language')), units };
+}
+
+function readCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header || header[0] !== 'key' || header.length < 3) {
+    throw new Error('Not a translation CSV: the columns must be key, source locale, target locale');
+  }
+  return {
+    format: 'csv',
+    locale: normalizeLocale(header[2]) || null,
+    units: rows.filter(row => row[0]).map(row => ({ key: row[0], target: row[2] ?? '' })),
+  };
+}
+
+// RFC 4180: quoted fields may hold commas, quotes ("") and line breaks
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+function csvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function xmlLanguage(locale) {
+  return escapeXml(String(locale).replace(/_/g, '-'));
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
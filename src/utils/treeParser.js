@@ -1,3 +1,11 @@
+import { parseDart } from './dartParser.js';
+import {
+  getClasses,
+  getSuperclassName,
+  buildWidgetTree,
+  flattenWidgetTree,
+} from './dartAst.js';
+
 export function parseWidgetTree(widgetTree) {
   const structure = {
     nodeCount: 0,
@@ -10,78 +18,37 @@ export function parseWidgetTree(widgetTree) {
   };
 
   try {
-    const lines = widgetTree.split('\n');
-    let currentDepth = 0;
-    let branchingFactors = [];
-    let currentBranches = 0;
-    
-    lines.forEach(line => {
-      const trimmed = line.trim();
-      if (!trimmed) return;
-      
-      const openBrackets = (trimmed.match(/[\{\(\[]/g) || []).length;
-      const closeBrackets = (trimmed.match(/[\}\)\]]/g) || []).length;
-      
-      currentDepth += openBrackets - closeBrackets;
-      structure.maxDepth = Math.max(structure.maxDepth, currentDepth);
-      
-      if (isWidgetDeclaration(trimmed)) {
-        structure.nodeCount++;
-        
-        if (trimmed.includes('StatefulWidget')) {
-          structure.statefulCount++;
-        } else if (trimmed.includes('StatelessWidget')) {
-          structure.statelessCount++;
-        }
-        
-        if (trimmed.includes('CustomPaint')) {
-          structure.hasCustomPaint = true;
-        }
-        
-        structure.nodes.push({
-          type: extractWidgetType(trimmed),
-          depth: currentDepth,
-          line: trimmed,
-        });
-        
-        currentBranches++;
-      }
-      
-      if (closeBrackets > openBrackets && currentBranches > 0) {
-        branchingFactors.push(currentBranches);
-        currentBranches = 0;
+    const { unit } = parseDart(widgetTree);
+    const nodes = flattenWidgetTree(buildWidgetTree(unit));
+
+    structure.nodeCount = nodes.length;
+    structure.maxDepth = nodes.reduce((max, node) => Math.max(max, node.depth), 0);
+
+    const parents = nodes.filter(node => node.children.length > 0);
+    if (parents.length > 0) {
+      structure.avgBranching =
+        parents.reduce((sum, node) => sum + node.children.length, 0) / parents.length;
+    }
+
+    getClasses(unit).forEach(classNode => {
+      const superclass = getSuperclassName(classNode);
+      if (superclass === 'StatefulWidget') {
+        structure.statefulCount++;
+      } else if (superclass === 'StatelessWidget') {
+        structure.statelessCount++;
       }
     });
-    
-    if (branchingFactors.length > 0) {
-      structure.avgBranching = 
-        branchingFactors.reduce((a, b) => a + b, 0) / branchingFactors.length;
-    }
-    
+
+    structure.hasCustomPaint = nodes.some(node => node.node.typeName === 'CustomPaint');
+
+    structure.nodes = nodes.map(node => ({
+      type: node.name,
+      depth: node.depth,
+      line: node.node.span.line,
+    }));
   } catch (error) {
     console.error('Error parsing widget tree:', error);
   }
-  
-  return structure;
-}
 
-function isWidgetDeclaration(line) {
-  const widgetPatterns = [
-    /\w+\s*\(/,
-    /child:\s*\w+/,
-    /children:\s*\[/,
-    /Widget\s+\w+/,
-  ];
-  
-  return widgetPatterns.some(pattern => pattern.test(line));
+  return structure;
 }
-
-function extractWidgetType(line) {
-  const match = line.match(/(\w+)\s*\(/);
-  if (match) return match[1];
-  
-  const childMatch = line.match(/child:\s*(\w+)/);
-  if (childMatch) return childMatch[1];
-  
-  return 'Unknown';
-}
\ No newline at end of file
@@ -0,0 +1,180 @@
+import fs from 'fs/promises';
+import { join, posix } from 'path';
+import { promisify } from 'util';
+import zlib from 'zlib';
+import * as cheerio from 'cheerio';
+import { throwIfAborted } from './errorHandler.js';
+
+const gzip = promisify(zlib.gzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+
+// Static hosting precompresses with the highest gzip level; brotli's top
+// quality (11) is several times slower on the engine's wasm files for a
+// few percent.
+const GZIP_LEVEL = 9;
+const BROTLI_QUALITY = 9;
+
+// Parts of deferred libraries: main.dart.js_1.part.js
+export const DEFERRED_PART = /(^|\/)main\.dart\.js_\d+\.part\.js$/;
+
+// Files each renderer loads at startup, relative to build/web
+const RENDERER_FILES = {
+  canvaskit: ['canvaskit/canvaskit.js', 'canvaskit/canvaskit.wasm'],
+  skwasm: ['canvaskit/skwasm.js', 'canvaskit/skwasm.wasm'],
+  html: [],
+};
+
+const BUILD_CONFIG = /_flutter\.buildConfig\s*=\s*(\{[\s\S]*?\});/;
+const SERVICE_WORKER_RESOURCES = /const RESOURCES\s*=\s*(\{[\s\S]*?\});/;
+const SERVICE_WORKER_CORE = /const CORE\s*=\s*(\[[\s\S]*?\]);/;
+
+/**
+ * Measures a `flutter build web` output directory: the raw, gzip and brotli
+ * size of every file, which files are deferred parts, which ones the first
+ * page load needs (from index.html and the build configuration in
+ * flutter_bootstrap.js), and which ones the service worker caches.
+ */
+export async function measureWebBuild(buildDir, { signal = null } = {}) {
+  const paths = await listFiles(buildDir, signal);
+  if (!paths.includes('index.html')) {
+    throw new Error(`No index.html in ${buildDir}; is it the output of \`flutter build web\`?`);
+  }
+
+  const read = path => fs.readFile(join(buildDir, path));
+  const text = async path => (paths.includes(path) ? (await read(path)).toString('utf8') : null);
+
+  const indexHtml = await text('index.html');
+  const bootstrap = await text('flutter_bootstrap.js');
+  const { renderer, entrypoints } = readBuildConfig(bootstrap || indexHtml || '');
+  const serviceWorker = readServiceWorker(await text('flutter_service_worker.js'));
+
+  const firstLoad = new Set(['index.html', ...htmlDependencies(indexHtml)]);
+  entrypoints.forEach(path => firstLoad.add(path));
+  (RENDERER_FILES[renderer] || []).forEach(path => firstLoad.add(path));
+
+  const files = [];
+  for (const path of paths) {
+    throwIfAborted(signal);
+    const content = await read(path);
+    files.push({
+      path,
+      raw: content.length,
+      gzip: (await gzip(content, { level: GZIP_LEVEL })).length,
+      brotli: (await brotliCompress(content, {
+        params: {
+          [zlib.constants.BROTLI_PARAM_QUALITY]: BROTLI_QUALITY,
+          [zlib.constants.BROTLI_PARAM_SIZE_HINT]: content.length,
+        },
+      })).length,
+      kind: fileKind(path, entrypoints),
+      firstLoad: firstLoad.has(path),
+      serviceWorker: serviceWorker.core.has(path) ? 'core' : serviceWorker.resources.has(path) ? 'cached' : null,
+    });
+  }
+
+  return {
+    renderer,
+    entrypoints,
+    files,
+    serviceWorker: serviceWorker.present,
+  };
+}
+
+/**
+ * Sums the raw, gzip and brotli sizes of files.
+ */
+export function sumSizes(files) {
+  return files.reduce((sum, file) => ({
+    raw: sum.raw + file.raw,
+    gzip: sum.gzip + file.gzip,
+    brotli: sum.brotli + file.brotli,
+  }), { raw: 0, gzip: 0, brotli: 0 });
+}
+
+// The renderer and main files of the first build in
+// `_flutter.buildConfig`, which is the one the loader tries first. Builds
+// from before flutter_bootstrap.js load main.dart.js with CanvasKit.
+function readBuildConfig(source) {
+  const match = BUILD_CONFIG.exec(source);
+  let build = null;
+  if (match) {
+    try {
+      build = JSON.parse(match[1]).builds?.[0] || null;
+    } catch {
+      build = null;
+    }
+  }
+
+  if (!build) {
+    return { renderer: 'canvaskit', entrypoints: ['main.dart.js'] };
+  }
+
+  const entrypoints = [build.mainJsPath, build.mainWasmPath, build.jsSupportRuntimePath]
+    .filter(Boolean)
+    .map(path => posix.normalize(path));
+  return { renderer: build.renderer || 'canvaskit', entrypoints };
+}
+
+// Scripts, stylesheets and preloads of index.html on this origin
+function htmlDependencies(html) {
+  if (!html) return [];
+  const $ = cheerio.load(html);
+  const urls = [
+    ...$('script[src]').map((_, element) => $(element).attr('src')).get(),
+    ...$('link[rel="stylesheet"], link[rel="preload"], link[rel="modulepreload"]')
+      .map((_, element) => $(element).attr('href')).get(),
+  ];
+
+  return urls
+    .filter(url => !/^([a-z]+:)?\/\//i.test(url))
+    .map(url => posix.normalize(url.split(/[?#]/)[0].replace(/^\//, '')));
+}
+
+// flutter_service_worker.js lists what it caches in RESOURCES (path ->
+// hash), and what it downloads on install in CORE.
+function readServiceWorker(source) {
+  const parse = (pattern, fallback) => {
+    const match = source && pattern.exec(source);
+    if (!match) return fallback;
+    try {
+      return JSON.parse(match[1]);
+    } catch {
+      return fallback;
+    }
+  };
+
+  const resources = Object.keys(parse(SERVICE_WORKER_RESOURCES, {}))
+    .map(path => (path === '/' ? 'index.html' : path));
+  return {
+    present: Boolean(source),
+    resources: new Set(resources),
+    core: new Set(parse(SERVICE_WORKER_CORE, [])),
+  };
+}
+
+function fileKind(path, entrypoints) {
+  if (entrypoints.includes(path)) return 'entrypoint';
+  if (DEFERRED_PART.test(path)) return 'deferred';
+  if (path.startsWith('canvaskit/')) return 'renderer';
+  if (path.startsWith('assets/')) return 'asset';
+  if (['index.html', 'flutter.js', 'flutter_bootstrap.js', 'flutter_service_worker.js'].includes(path)) return 'loader';
+  return 'other';
+}
+
+// Paths relative to `dir`, POSIX-style, sorted
+async function listFiles(dir, signal, prefix = '') {
+  throwIfAborted(signal);
+  const entries = await fs.readdir(join(dir, prefix), { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const path = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(dir, signal, path));
+    } else if (entry.isFile()) {
+      files.push(path);
+    }
+  }
+
+  return files;
+}
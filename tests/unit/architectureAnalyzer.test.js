@@ -0,0 +1,160 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { scanDartProject, classifyFile, resolveImport } from '../../src/utils/projectScanner.js';
+import { analyzeArchitectureCompliance } from '../../src/tools/architectureAnalyzer.js';
+import { compileSelector } from '../../src/utils/layerRules.js';
+import { findCycles } from '../../src/utils/importGraph.js';
+import { resolveRequestConfig } from '../../src/config/config.js';
+import { createToolContext } from '../../src/utils/toolContext.js';
+import { writeFiles } from './helpers.js';
+
+const PROJECT_FILES = {
+  'pubspec.yaml': 'name: shop\n',
+  'lib/main.dart': "import 'package:flutter/material.dart';\nimport 'features/cart/presentation/cart_page.dart';\n",
+  'lib/core/network.dart': "import 'package:dio/dio.dart';\n",
+  'lib/features/cart/domain/entities/cart.dart': "import 'package:flutter/material.dart';\nimport '../../data/models/cart_model.dart';\n\nclass Cart {}\n",
+  'lib/features/cart/domain/usecases/add_item.dart': "import '../entities/cart.dart';\n",
+  'lib/features/cart/data/models/cart_model.dart': "import 'package:shop/features/cart/domain/entities/cart.dart';\n\nclass CartModel {}\n",
+  'lib/features/cart/presentation/cart_page.dart': [
+    "import 'package:flutter/material.dart';",
+    "import 'package:flutter_bloc/flutter_bloc.dart';",
+    "import '../domain/usecases/add_item.dart';",
+    "import '../data/models/cart_model.dart';",
+    "import '../../catalog/presentation/product_tile.dart';",
+  ].join('\n'),
+  'lib/features/catalog/presentation/product_tile.dart': "import '../../cart/presentation/cart_page.dart';\n",
+};
+
+describe('project scanner', () => {
+  it('classifies files by folder conventions', () => {
+    expect(classifyFile('features/cart/domain/usecases/add_item.dart'))
+      .toEqual({ layer: 'domain', component: 'use_cases', feature: 'cart' });
+    expect(classifyFile('pages/home_page.dart')).toEqual({ layer: 'presentation', component: 'pages', feature: null });
+    expect(classifyFile('auth/data/repositories/auth_repository.dart'))
+      .toEqual({ layer: 'data', component: 'repositories', feature: 'auth' });
+    expect(classifyFile('core/network.dart')).toEqual({ layer: null, component: null, feature: null });
+  });
+
+  it('resolves package, relative and SDK imports', () => {
+    expect(resolveImport('package:shop/core/network.dart', 'main.dart', 'shop')).toMatchObject({ kind: 'internal', target: 'core/network.dart' });
+    expect(resolveImport('../models/user.dart', 'data/sources/api.dart', 'shop')).toMatchObject({ kind: 'internal', target: 'data/models/user.dart' });
+    expect(resolveImport('package:dio/dio.dart', 'main.dart', 'shop')).toMatchObject({ kind: 'package', package: 'dio' });
+    expect(resolveImport('dart:async', 'main.dart', 'shop')).toMatchObject({ kind: 'sdk' });
+  });
+});
+
+describe('analyze_architecture on a real project', () => {
+  let projectDir;
+
+  beforeAll(() => {
+    projectDir = mkdtempSync(join(tmpdir(), 'flutter-mcp-architecture-'));
+    writeFiles(projectDir, PROJECT_FILES);
+  });
+
+  afterAll(() => {
+    rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  it('builds the import graph from lib/', async () => {
+    const scan = await scanDartProject(projectDir);
+
+    expect(scan.packageName).toBe('shop');
+    expect(scan.files).toHaveLength(7);
+    expect(scan.imports).toContainEqual({
+      from: 'features/cart/data/models/cart_model.dart',
+      to: 'features/cart/domain/entities/cart.dart',
+      line: 1,
+      uri: 'package:shop/features/cart/domain/entities/cart.dart',
+    });
+    await expect(scanDartProject(join(projectDir, 'lib'))).rejects.toThrow('No lib/ directory');
+  });
+
+  it('reports violations with files and lines from the project', async () => {
+    const result = await analyzeArchitectureCompliance({ projectPath: projectDir });
+    const { analysis, diagram } = JSON.parse(result.content[0].text);
+
+    expect(analysis.project).toMatchObject({ packageName: 'shop', files: 7, features: ['cart', 'catalog'] });
+    expect(analysis.project.unclassifiedFiles).toEqual(['core/network.dart', 'main.dart']);
+
+    const types = analysis.violations.map(v => v.type);
+    expect(types).toEqual(expect.arrayContaining(['inappropriate_dependency', 'circular_dependency', 'import_cycle']));
+    expect(analysis.violations).toContainEqual(expect.objectContaining({
+      type: 'inappropriate_dependency',
+      file: 'lib/features/cart/domain/entities/cart.dart',
+      line: 2,
+      import: '../../data/models/cart_model.dart',
+    }));
+    expect(analysis.violations).toContainEqual(expect.objectContaining({
+      type: 'inappropriate_dependency',
+      file: 'lib/features/cart/domain/entities/cart.dart',
+      line: 1,
+      import: 'package:flutter/material.dart',
+      architectureRule: 'domain must not import presentation, data, infrastructure, flutter',
+    }));
+    expect(analysis.violations).toContainEqual(expect.objectContaining({
+      type: 'inappropriate_dependency',
+      file: 'lib/features/cart/presentation/cart_page.dart',
+      line: 4,
+    }));
+
+    expect(analysis.violations.filter(v => v.type === 'circular_dependency')).toEqual([expect.objectContaining({
+      cycle: ['cart', 'catalog', 'cart'],
+      file: 'lib/features/cart/presentation/cart_page.dart',
+      line: 5,
+    })]);
+    expect(analysis.violations.filter(v => v.type === 'import_cycle').map(v => v.cycle)).toEqual([
+      ['lib/features/cart/data/models/cart_model.dart', 'lib/features/cart/domain/entities/cart.dart', 'lib/features/cart/data/models/cart_model.dart'],
+      ['lib/features/cart/presentation/cart_page.dart', 'lib/features/catalog/presentation/product_tile.dart', 'lib/features/cart/presentation/cart_page.dart'],
+    ]);
+    expect(analysis.layering.boundaries.presentationData).toEqual({ imports: 1, violations: 1, clean: false });
+    expect(analysis.metrics.maintainability).toBe(Math.max(0, 100 - analysis.violations.length * 10));
+    expect(analysis.metrics.maintainability).toBeLessThan(100);
+
+    expect(diagram.mermaidCode).toContain('presentation -->|1| data');
+    expect(diagram.mermaidCode).not.toContain('infrastructure');
+  });
+
+  it('checks the import rules from the configuration instead of the built-in ones', async () => {
+    const config = resolveRequestConfig({
+      architecture: {
+        rules: [{ name: 'features are independent', from: 'feature:*', disallow: ['other-feature'], severity: 'high' }],
+      },
+    });
+    const result = await analyzeArchitectureCompliance({ projectPath: projectDir }, createToolContext({}, {}, config));
+    const { analysis } = JSON.parse(result.content[0].text);
+
+    expect(analysis.rules).toEqual(['features are independent']);
+    expect(analysis.violations.filter(v => v.type === 'inappropriate_dependency')).toEqual([
+      expect.objectContaining({ file: 'lib/features/cart/presentation/cart_page.dart', line: 5, severity: 'high' }),
+      expect.objectContaining({ file: 'lib/features/catalog/presentation/product_tile.dart', line: 1, severity: 'high' }),
+    ]);
+  });
+});
+
+describe('import rules and cycles', () => {
+  it('matches layers, features, globs and packages', () => {
+    const file = { path: 'features/cart/domain/cart.dart', layer: 'domain', feature: 'cart' };
+    const target = { kind: 'internal', path: 'features/shop/data/api.dart', layer: 'data', feature: 'shop' };
+
+    expect(compileSelector('data')(target, file)).toBe(true);
+    expect(compileSelector('other-feature')(target, file)).toBe(true);
+    expect(compileSelector('feature:cart')(target, file)).toBe(false);
+    expect(compileSelector('features/*/data/**')(target, file)).toBe(true);
+    expect(compileSelector('features/**/api.dart')(target, file)).toBe(true);
+    expect(compileSelector('flutter')({ kind: 'package', package: 'flutter' }, file)).toBe(true);
+    expect(compileSelector('package:dio')({ kind: 'package', package: 'flutter' }, file)).toBe(false);
+  });
+
+  it('reports the shortest cycle of each strongly connected component', () => {
+    const edges = [
+      { from: 'a', to: 'b' }, { from: 'b', to: 'c' }, { from: 'c', to: 'a' }, { from: 'c', to: 'b' },
+      { from: 'd', to: 'd' },
+      { from: 'e', to: 'a' },
+    ];
+
+    expect(findCycles(edges)).toEqual([['d', 'd'], ['b', 'c', 'b']]);
+    expect(findCycles([{ from: 'a', to: 'b' }])).toEqual([]);
+  });
+});
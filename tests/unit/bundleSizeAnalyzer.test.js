@@ -0,0 +1,520 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { summarizeSizeAnalysis, findSizeAnalysisFiles } from '../../src/utils/sizeAnalysis.js';
+import { measureWebBuild } from '../../src/utils/webBuild.js';
+import { parseSize, checkBudgets } from '../../src/utils/sizeBudgets.js';
+import { inventoryAssets, imageDimensions } from '../../src/utils/assetInventory.js';
+import { analyzeBundleSize } from '../../src/tools/bundleSizeAnalyzer.js';
+import { resolveRequestConfig } from '../../src/config/config.js';
+import { createToolContext } from '../../src/utils/toolContext.js';
+import { writeFiles } from './helpers.js';
+
+const APK_ANALYSIS = {
+  type: 'apk',
+  n: 'app-release.apk',
+  value: 10000000,
+  children: [
+    {
+      n: 'lib',
+      value: 7000000,
+      children: [{
+        n: 'arm64-v8a',
+        value: 7000000,
+        children: [
+          {
+            n: 'libapp.so (Dart AOT)',
+            value: 4000000,
+            children: [{
+              n: 'Dart AOT symbols accounted decompressed size',
+              value: 4000000,
+              children: [
+                {
+                  n: 'package:flutter',
+                  value: 2000000,
+                  children: [{ n: 'src/material', value: 1200000 }, { n: 'src/widgets', value: 800000 }],
+                },
+                { n: 'package:shop', value: 400000, children: [{ n: 'main.dart', value: 400000 }] },
+                { n: 'package:google_maps_flutter', value: 1000000 },
+                { n: 'dart:core', value: 500000 },
+                { n: '@stubs', value: 100000 },
+              ],
+            }],
+          },
+          { n: 'libflutter.so', value: 3000000 },
+        ],
+      }],
+    },
+    { n: 'assets', value: 2000000, children: [{ n: 'flutter_assets', value: 2000000 }] },
+    { n: 'classes.dex', value: 1000000 },
+  ],
+};
+
+const IOS_ANALYSIS = {
+  type: 'ios',
+  n: 'Runner.app',
+  children: [
+    {
+      n: 'Frameworks',
+      children: [
+        { n: 'App.framework', children: [{ n: 'App', children: [{ n: 'Dart AOT symbols accounted decompressed size', children: [{ n: 'package:flutter', value: 2100000 }] }] }] },
+        { n: 'Flutter.framework', value: 9000000 },
+      ],
+    },
+  ],
+};
+
+const WEB_BUILD = {
+  'index.html': '<html><head><link rel="manifest" href="manifest.json"><script src="https://cdn.example.com/analytics.js"></script></head>'
+    + '<body><script src="flutter_bootstrap.js" async></script></body></html>',
+  'flutter_bootstrap.js': '_flutter.buildConfig = {"engineRevision":"abc","builds":[{"compileTarget":"dart2js","renderer":"canvaskit","mainJsPath":"main.dart.js"}]};\n_flutter.loader.load();',
+  'main.dart.js': 'function main() { return 1; }\n'.repeat(2000),
+  'main.dart.js_1.part.js': 'function settings() {}\n'.repeat(500),
+  'canvaskit/canvaskit.js': 'var CanvasKit;\n'.repeat(100),
+  'canvaskit/canvaskit.wasm': Buffer.alloc(4096, 7),
+  'assets/FontManifest.json': '[]',
+  'manifest.json': '{}',
+  'flutter_service_worker.js': 'const RESOURCES = {"/": "1", "main.dart.js": "2", "main.dart.js_1.part.js": "3", "assets/FontManifest.json": "4"};\n'
+    + 'const CORE = ["main.dart.js", "index.html", "flutter_bootstrap.js", "assets/FontManifest.json"];',
+};
+
+// Image headers, padded to `size` bytes
+function png(width, height, size = 64) {
+  const buffer = Buffer.alloc(size);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer);
+  buffer.writeUInt32BE(13, 8);
+  buffer.write('IHDR', 12, 'ascii');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+}
+
+function jpeg(width, height) {
+  const buffer = Buffer.alloc(64);
+  Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]).copy(buffer);
+  buffer.write('JFIF', 6, 'ascii');
+  // SOF0 after the 16-byte APP0 segment
+  Buffer.from([0xff, 0xc0, 0x00, 0x11, 0x08]).copy(buffer, 20);
+  buffer.writeUInt16BE(height, 25);
+  buffer.writeUInt16BE(width, 27);
+  return buffer;
+}
+
+function webp(chunk, width, height) {
+  const buffer = Buffer.alloc(40);
+  buffer.write('RIFF', 0, 'ascii');
+  buffer.write('WEBP', 8, 'ascii');
+  buffer.write(chunk, 12, 'ascii');
+  if (chunk === 'VP8X') {
+    buffer.writeUIntLE(width - 1, 24, 3);
+    buffer.writeUIntLE(height - 1, 27, 3);
+  } else {
+    buffer[20] = 0x2f;
+    buffer.writeUInt32LE(((height - 1) << 14) | (width - 1), 21);
+  }
+  return buffer;
+}
+
+const ASSET_PROJECT = {
+  'pubspec.yaml': [
+    'name: shop',
+    'flutter:',
+    '  assets:',
+    '    - assets/images/',
+    '    - path: assets/data/config.json',
+    '      flavors: [staging]',
+    '    - assets/missing.png',
+    '  fonts:',
+    '    - family: Roboto',
+    '      fonts:',
+    '        - asset: fonts/Roboto-Regular.ttf',
+    '    - family: Brand',
+    '      fonts:',
+    '        - asset: fonts/Brand.ttf',
+    '',
+  ].join('\n'),
+  'assets/images/logo.png': png(1024, 1024, 4096),
+  'assets/images/2.0x/logo.png': png(96, 96),
+  'assets/images/3.0x/logo.png': png(144, 144),
+  'assets/images/banner.jpg': jpeg(800, 400),
+  'assets/images/icon_home.png': png(24, 24),
+  'assets/images/old.webp': webp('VP8X', 64, 64),
+  'assets/icons/star.png': png(16, 16),
+  'assets/data/config.json': '{}',
+  'fonts/Roboto-Regular.ttf': Buffer.alloc(300),
+  'fonts/Brand.ttf': Buffer.alloc(200),
+  'lib/main.dart': [
+    "import 'package:flutter/material.dart';",
+    "import 'package:flutter/services.dart';",
+    '',
+    'class Home extends StatelessWidget {',
+    '  Widget build(BuildContext context) {',
+    '    return Column(children: [',
+    "      Image.asset('assets/images/logo.png', width: 48, height: 48),",
+    "      Image(image: AssetImage('assets/images/banner.jpg'), width: 400),",
+    "      Image.asset('assets/icons/star.png'),",
+    "      Text('Hi', style: TextStyle(fontFamily: 'Roboto')),",
+    '    ]);',
+    '  }',
+    '',
+    "  Widget icon(String name) => Image.asset('assets/images/icon_$name.png');",
+    '',
+    "  Future<String> config() => rootBundle.loadString('assets/data/config.json');",
+    '',
+    "  Widget placeholder() => Image.asset('assets/images/placeholder.png');",
+    '}',
+    '',
+  ].join('\n'),
+};
+
+describe('asset inventory', () => {
+  let projectDir;
+
+  beforeAll(() => {
+    projectDir = mkdtempSync(join(tmpdir(), 'flutter-mcp-assets-'));
+    writeFiles(projectDir, ASSET_PROJECT);
+  });
+
+  afterAll(() => {
+    rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  it('reads the dimensions of PNG, JPEG and WebP images', () => {
+    expect(imageDimensions(png(640, 480))).toEqual({ width: 640, height: 480 });
+    expect(imageDimensions(jpeg(800, 400))).toEqual({ width: 800, height: 400 });
+    expect(imageDimensions(webp('VP8X', 1920, 1080))).toEqual({ width: 1920, height: 1080 });
+    expect(imageDimensions(webp('VP8L', 300, 200))).toEqual({ width: 300, height: 200 });
+    expect(imageDimensions(Buffer.from('GIF89a'))).toBeNull();
+  });
+
+  it('lists the declared files with their variants', async () => {
+    const inventory = await inventoryAssets(projectDir);
+    const logo = inventory.files.find(file => file.path === 'assets/images/logo.png');
+
+    expect(inventory.declared).toEqual({ assets: 3, fonts: 2 });
+    expect(inventory.files.map(file => file.path)).toEqual([
+      'assets/images/banner.jpg',
+      'assets/images/icon_home.png',
+      'assets/images/logo.png',
+      'assets/images/old.webp',
+      'assets/data/config.json',
+      'fonts/Roboto-Regular.ttf',
+      'fonts/Brand.ttf',
+    ]);
+    expect(logo).toMatchObject({ type: 'image', size: 4096, dimensions: { width: 1024, height: 1024 } });
+    expect(logo.variants.map(variant => [variant.directory, variant.scale, variant.dimensions.width])).toEqual([
+      ['2.0x', 2, 96],
+      ['3.0x', 3, 144],
+    ]);
+    expect(inventory.missing).toEqual(['assets/missing.png']);
+  });
+
+  it('checks the assets against the references in lib/', async () => {
+    const inventory = await inventoryAssets(projectDir);
+
+    // icon_home.png is reached through an interpolated path
+    expect(inventory.unused.map(file => file.path)).toEqual(['assets/images/old.webp']);
+    expect(inventory.unusedFonts).toEqual(['Brand']);
+    expect(inventory.undeclared).toEqual([
+      { path: 'assets/icons/star.png', exists: true, references: [{ file: 'lib/main.dart', line: 9 }] },
+    ]);
+    expect(inventory.referencedMissing).toEqual([
+      { path: 'assets/images/placeholder.png', references: [{ file: 'lib/main.dart', line: 18 }] },
+    ]);
+    expect(inventory.variantsUsed).toBe(true);
+    expect(inventory.missingVariants).toEqual([
+      { path: 'assets/images/banner.jpg', missing: ['2.0x', '3.0x'] },
+      { path: 'assets/images/icon_home.png', missing: ['2.0x', '3.0x'] },
+      { path: 'assets/images/old.webp', missing: ['2.0x', '3.0x'] },
+    ]);
+    // The 1.0x logo is drawn at 48x48; banner.jpg without variants may be
+    // drawn at 3x its 400 logical pixels
+    expect(inventory.oversized).toEqual([{
+      path: 'assets/images/logo.png',
+      dimensions: { width: 1024, height: 1024 },
+      renderedSize: { width: 48, height: 48 },
+      scale: 1,
+      size: 4096,
+      potentialSaving: 4087,
+    }]);
+  });
+
+  it('reports the assets in analyze_bundle_size', async () => {
+    const result = await analyzeBundleSize({ projectPath: projectDir, platform: 'web', webBuildPath: 'build/none' });
+    const { analysis, treemap } = JSON.parse(result.content[0].text);
+    const { assets } = analysis;
+
+    expect(assets.total).toEqual({ count: 7, size: 4096 + 64 * 4 + 40 + 2 + 300 + 200 });
+    expect(assets.byType.images.largest[0]).toEqual({
+      path: 'assets/images/logo.png',
+      size: 4224,
+      dimensions: '1024x1024',
+      variants: ['2.0x', '3.0x'],
+    });
+    expect(assets.byType.fonts.unusedFamilies).toEqual(['Brand']);
+    expect(assets.unused).toEqual({ count: 1, size: 40, files: ['assets/images/old.webp'] });
+    expect(analysis.optimizationPotential.byCategory).toEqual({ assets: 4087, unusedAssets: 40 });
+    expect(analysis.recommendations.map(recommendation => recommendation.title)).toEqual(expect.arrayContaining([
+      'Fix missing assets',
+      'Declare the assets the code loads',
+      'Resize oversized images',
+      'Remove unused assets',
+      'Add resolution variants',
+    ]));
+    expect(treemap.children.find(child => child.name === 'Assets').children[0]).toEqual({ name: 'images', value: assets.byType.images.size });
+  });
+
+  it('reports a project without a pubspec.yaml', async () => {
+    const result = await analyzeBundleSize({ projectPath: join(projectDir, 'lib'), platform: 'web', webBuildPath: 'none' });
+    const { assets } = JSON.parse(result.content[0].text).analysis;
+    expect(assets).toMatchObject({ available: false, reason: expect.stringContaining('Cannot read pubspec.yaml') });
+  });
+});
+
+describe('size analysis reader', () => {
+  it('breaks the build down by Dart package and native library', () => {
+    const report = summarizeSizeAnalysis(APK_ANALYSIS);
+
+    expect(report).toMatchObject({ type: 'apk', platform: 'android', size: 10000000, architectures: ['arm64-v8a'] });
+    expect(report.breakdown.map(entry => entry.name)).toEqual(['lib', 'assets', 'classes.dex']);
+    expect(report.dart.size).toBe(4000000);
+    expect(report.dart.packages[0]).toEqual({
+      name: 'package:flutter',
+      size: 2000000,
+      percentage: 50,
+      libraries: [{ name: 'src/material', size: 1200000 }, { name: 'src/widgets', size: 800000 }],
+    });
+    expect(report.dart.packages.map(entry => entry.name)).toContain('@other');
+    expect(report.native).toEqual([{ name: 'libflutter.so', path: 'lib/arm64-v8a/libflutter.so', size: 3000000 }]);
+  });
+
+  it('sums sizes that parents leave out', () => {
+    const report = summarizeSizeAnalysis(IOS_ANALYSIS);
+
+    expect(report.size).toBe(11100000);
+    expect(report.native.map(entry => entry.name)).toEqual(['Flutter.framework']);
+    expect(report.dart.size).toBe(2100000);
+    expect(() => summarizeSizeAnalysis({ type: 'apk' })).toThrow('Not a Flutter code size analysis');
+  });
+});
+
+describe('size budgets', () => {
+  it('parses sizes with units', () => {
+    expect(parseSize(1000)).toBe(1000);
+    expect(parseSize('500KB')).toBe(512000);
+    expect(parseSize('1.5 MB')).toBe(1572864);
+    expect(parseSize('2m')).toBe(2097152);
+    expect(() => parseSize('big', 'apk')).toThrow('Invalid size for budget apk');
+  });
+
+  it('checks builds and packages against their budgets', () => {
+    const result = checkBudgets({ apk: '5MB', aab: '5MB', packages: { http: '100KB', '*': '500KB' } }, {
+      apk: 10000000,
+      aab: null,
+      packages: new Map([['google_maps_flutter', 1000000], ['provider', 50000], ['flutter', 2000000]]),
+      dependencies: ['google_maps_flutter', 'provider'],
+    });
+
+    expect(result).toMatchObject({ status: 'FAILING', exceeded: 2 });
+    expect(result.checks).toEqual([
+      { name: 'apk', description: 'APK size', limit: 5242880, actual: 10000000, status: 'exceeded', overBy: 4757120 },
+      { name: 'aab', description: 'App bundle size', limit: 5242880, actual: null, status: 'not_measured' },
+      { name: 'packages.http', description: 'Dart code of http', limit: 102400, actual: 0, status: 'ok' },
+      {
+        name: 'packages.google_maps_flutter',
+        description: 'Dart code of google_maps_flutter',
+        limit: 512000,
+        actual: 1000000,
+        status: 'exceeded',
+        overBy: 488000,
+        budget: 'packages.*',
+      },
+    ]);
+    expect(checkBudgets({}, {})).toBeNull();
+  });
+});
+
+describe('analyze_bundle_size', () => {
+  let projectDir;
+
+  beforeAll(() => {
+    projectDir = mkdtempSync(join(tmpdir(), 'flutter-mcp-bundle-'));
+    mkdirSync(join(projectDir, 'build', 'sizes'), { recursive: true });
+    writeFileSync(join(projectDir, 'pubspec.yaml'), 'name: shop\n');
+    writeFileSync(join(projectDir, 'build', 'apk-code-size-analysis_01.json'), JSON.stringify(APK_ANALYSIS));
+    writeFileSync(join(projectDir, 'build', 'sizes', 'ios-code-size-analysis_01.json'), JSON.stringify(IOS_ANALYSIS));
+    writeFiles(join(projectDir, 'build', 'web'), WEB_BUILD);
+    // The baseline: a smaller main.dart.js and no deferred part
+    writeFiles(join(projectDir, 'baseline', 'web'), {
+      ...Object.fromEntries(Object.entries(WEB_BUILD).filter(([path]) => path !== 'main.dart.js_1.part.js')),
+      'main.dart.js': 'function main() { return 1; }\n'.repeat(1000),
+    });
+  });
+
+  afterAll(() => {
+    rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  it('finds the size analyses under build/', async () => {
+    const files = await findSizeAnalysisFiles(projectDir);
+    expect(files.map(file => file.slice(projectDir.length + 1))).toEqual([
+      join('build', 'apk-code-size-analysis_01.json'),
+      join('build', 'sizes', 'ios-code-size-analysis_01.json'),
+    ]);
+  });
+
+  it('reports the size of the analyzed builds', async () => {
+    const result = await analyzeBundleSize({ projectPath: projectDir, platform: 'android', includeAssets: false });
+    const { analysis, treemap, comparison } = JSON.parse(result.content[0].text);
+
+    expect(analysis.sources).toEqual(['build/apk-code-size-analysis_01.json', 'build/sizes/ios-code-size-analysis_01.json']);
+    expect(analysis.breakdown.android.apk).toMatchObject({ size: 10000000, dartCode: 4000000 });
+    expect(analysis.breakdown.android.aab).toBeNull();
+    expect(analysis.summary.largestComponents[0]).toEqual({ name: 'lib', size: 7000000, percentage: 70 });
+
+    expect(analysis.dependencies.total).toEqual({ count: 1, size: 1000000 });
+    expect(analysis.dependencies.largest[0]).toMatchObject({ name: 'google_maps_flutter', category: 'package', percentage: 25 });
+    expect(analysis.dependencies.byCategory).toMatchObject({
+      flutter: { count: 1, size: 2000000 },
+      app: { count: 1, size: 400000 },
+      sdk: { count: 1, size: 500000 },
+    });
+    expect(analysis.recommendations).toContainEqual(expect.objectContaining({
+      title: 'Review large dependencies',
+      packages: [{ name: 'google_maps_flutter', size: 1000000, percentage: 25 }],
+    }));
+
+    expect(treemap.children[0].name).toBe('android (app-release.apk)');
+    expect(treemap.value).toBe(10000000);
+    expect(analysis.budgets).toBeNull();
+    expect(comparison).toBeNull();
+  });
+
+  it('fails the budgets that the build exceeds', async () => {
+    const config = resolveRequestConfig({
+      bundleSize: { budgets: { apk: '5MB', mainDartJsGzip: '1MB', packages: { '*': '500KB' } } },
+    });
+    const result = await analyzeBundleSize({ projectPath: projectDir, includeAssets: false }, createToolContext({}, {}, config));
+    const { analysis } = JSON.parse(result.content[0].text);
+
+    expect(analysis.budgets).toMatchObject({ status: 'FAILING', exceeded: 2 });
+    expect(analysis.budgets.checks.map(check => [check.name, check.status])).toEqual([
+      ['apk', 'exceeded'],
+      ['mainDartJsGzip', 'ok'],
+      ['packages.google_maps_flutter', 'exceeded'],
+    ]);
+    expect(analysis.recommendations).toContainEqual(expect.objectContaining({
+      category: 'budget',
+      priority: 'critical',
+      title: 'Size budget exceeded: apk',
+    }));
+  });
+
+  it('compares the build with a baseline size analysis', async () => {
+    const baseline = JSON.parse(JSON.stringify(APK_ANALYSIS));
+    const symbols = baseline.children[0].children[0].children[0].children[0];
+    symbols.children = symbols.children.map(child => (
+      child.n === 'package:google_maps_flutter' ? { ...child, value: 600000 } : child
+    ));
+    baseline.children[1] = { n: 'assets', value: 1500000, children: [{ n: 'flutter_assets', value: 1500000 }] };
+    baseline.value = 9100000;
+    writeFileSync(join(projectDir, 'baseline', 'apk-code-size-analysis_01.json'), JSON.stringify(baseline));
+
+    const result = await analyzeBundleSize({
+      projectPath: projectDir,
+      platform: 'android',
+      includeAssets: false,
+      baselineSizeAnalysisFiles: ['baseline/apk-code-size-analysis_01.json', 'build/sizes/ios-code-size-analysis_01.json'],
+    });
+    const { comparison } = JSON.parse(result.content[0].text);
+    const [apk, ios] = comparison.builds;
+
+    expect(apk).toMatchObject({
+      type: 'apk',
+      before: { source: 'baseline/apk-code-size-analysis_01.json', size: 9100000 },
+      after: { source: 'build/apk-code-size-analysis_01.json', size: 10000000 },
+      change: 900000,
+      percentage: 9.9,
+      dartCode: { before: 3600000, after: 4000000, change: 400000 },
+    });
+    expect(apk.packages).toEqual([
+      { name: 'package:google_maps_flutter', status: 'grown', before: 600000, after: 1000000, change: 400000 },
+    ]);
+    expect(apk.topContributors).toEqual([
+      { kind: 'file', name: 'assets/flutter_assets', status: 'grown', change: 500000 },
+      { kind: 'package', name: 'package:google_maps_flutter', status: 'grown', change: 400000 },
+    ]);
+    // Only the android builds were analyzed
+    expect(ios).toEqual({ type: 'ios', error: expect.stringContaining('No ios size analysis') });
+  });
+
+  it('compares the web build with a baseline build', async () => {
+    const result = await analyzeBundleSize({
+      projectPath: projectDir,
+      platform: 'web',
+      includeAssets: false,
+      baselineWebBuildPath: 'baseline/web',
+    });
+    const { web } = JSON.parse(result.content[0].text).comparison;
+
+    expect(web.before.files).toBe(8);
+    expect(web.after.files).toBe(9);
+    expect(web.change).toBe(41500);
+    expect(web.files.map(file => [file.path, file.status, file.change])).toEqual([
+      ['main.dart.js', 'grown', 30000],
+      ['main.dart.js_1.part.js', 'added', 11500],
+    ]);
+    expect(web.topContributors[0]).toEqual({ kind: 'file', name: 'main.dart.js', status: 'grown', change: 30000 });
+  });
+
+  it('measures the web build with gzip and brotli', async () => {
+    const build = await measureWebBuild(join(projectDir, 'build', 'web'));
+    const file = path => build.files.find(entry => entry.path === path);
+
+    expect(build).toMatchObject({ renderer: 'canvaskit', entrypoints: ['main.dart.js'], serviceWorker: true });
+    expect(file('main.dart.js')).toMatchObject({ raw: 60000, kind: 'entrypoint', firstLoad: true, serviceWorker: 'core' });
+    expect(file('main.dart.js').gzip).toBeLessThan(1000);
+    expect(file('main.dart.js').brotli).toBeLessThan(file('main.dart.js').gzip);
+    expect(file('main.dart.js_1.part.js')).toMatchObject({ kind: 'deferred', firstLoad: false, serviceWorker: 'cached' });
+    expect(file('index.html').serviceWorker).toBe('core');
+    expect(file('manifest.json')).toMatchObject({ firstLoad: false, serviceWorker: null });
+  });
+
+  it('reports the first load, deferred parts and cached files of the web build', async () => {
+    const result = await analyzeBundleSize({ projectPath: projectDir, platform: 'web', includeAssets: false });
+    const { analysis, treemap } = JSON.parse(result.content[0].text);
+    const { web } = analysis.breakdown;
+
+    expect(web.totalSize).toMatchObject({ files: 9 });
+    expect(web.firstLoad.criticalPath).toEqual([
+      'canvaskit/canvaskit.js',
+      'canvaskit/canvaskit.wasm',
+      'flutter_bootstrap.js',
+      'index.html',
+      'main.dart.js',
+    ]);
+    expect(web.deferred).toMatchObject({ count: 1, raw: 11500 });
+    expect(web.serviceWorker).toMatchObject({ present: true, cached: 5 });
+    expect(web.serviceWorker.core).toEqual(['assets/FontManifest.json', 'flutter_bootstrap.js', 'index.html', 'main.dart.js']);
+    expect(web.largestFiles[0].path).toBe('main.dart.js');
+    expect(analysis.summary.platforms.web.firstLoadGzip).toBe(web.firstLoad.gzip);
+    expect(treemap.children[0].children[0]).toEqual({ name: 'main.dart.js', value: 60000 });
+  });
+
+  it('explains how to produce a missing size analysis', async () => {
+    const result = await analyzeBundleSize({
+      projectPath: projectDir,
+      platform: 'ios',
+      sizeAnalysisFiles: ['build/apk-code-size-analysis_01.json'],
+      includeAssets: false,
+    });
+    const { analysis } = JSON.parse(result.content[0].text);
+
+    expect(analysis.breakdown.ios).toMatchObject({ available: false, command: expect.stringContaining('--analyze-size') });
+    expect(analysis.dependencies.available).toBe(false);
+
+    const web = await analyzeBundleSize({ projectPath: projectDir, platform: 'web', webBuildPath: 'build/none', includeAssets: false });
+    expect(JSON.parse(web.content[0].text).analysis.breakdown.web).toMatchObject({ available: false, command: 'flutter build web --release' });
+  });
+});
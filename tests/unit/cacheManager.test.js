@@ -0,0 +1,46 @@
+import { describe, it, expect, afterEach } from '@jest/globals';
+import { createTemporaryCache } from './helpers.js';
+
+describe('cache TTLs', () => {
+  let cache;
+  let dispose;
+
+  function createCache(options) {
+    ({ cache, dispose } = createTemporaryCache(options, 'flutter-mcp-ttl-'));
+  }
+
+  afterEach(() => dispose());
+
+  function memoryTtlSeconds(key) {
+    return (cache.memoryCache.getTtl(key) - Date.now()) / 1000;
+  }
+
+  it('keeps entries in memory for at most memoryTTL', async () => {
+    createCache({ memoryTTL: 60 });
+    await cache.set('pubPackage', { packageName: 'dio' }, { name: 'dio' });
+    const key = cache.generateKey('pubPackage', { packageName: 'dio' });
+    expect(memoryTtlSeconds(key)).toBeLessThanOrEqual(60);
+
+    // Entries read back from the database get the same limit
+    cache.memoryCache.flushAll();
+    expect(await cache.get('pubPackage', { packageName: 'dio' })).toEqual({ name: 'dio' });
+    expect(memoryTtlSeconds(key)).toBeLessThanOrEqual(60);
+  });
+
+  it('keeps no entry in memory longer than its own TTL', async () => {
+    createCache({ memoryTTL: 600, performanceTTL: 30 });
+    await cache.set('performance', { file: 'a.dart' }, { score: 1 });
+
+    expect(memoryTtlSeconds(cache.generateKey('performance', { file: 'a.dart' }))).toBeLessThanOrEqual(30);
+  });
+
+  it('treats a TTL of 0 as "do not cache" rather than the default', async () => {
+    createCache({ memoryTTL: 0, pubPackageTTL: 0 });
+    expect(cache.memoryTTL).toBe(0);
+    expect(cache.ttlConfig.pubPackage).toBe(0);
+
+    await cache.set('pubPackage', { packageName: 'dio' }, { name: 'dio' });
+    expect(cache.memoryCache.keys()).toEqual([]);
+    expect(await cache.get('pubPackage', { packageName: 'dio' })).toBeNull();
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { CallToolRequestSchema, CallToolResultSchema } from '@modelcontextprotocol/sdk/types.js';
+import {
+  RobustErrorHandler,
+  RetryHandler,
+  CancellationError,
+  TimeoutError,
+  isAbortError,
+} from '../../src/utils/errorHandler.js';
+import { createToolContext } from '../../src/utils/toolContext.js';
+
+// Rejects once the signal fires, the way axios does for an aborted request.
+function untilAborted(signal) {
+  return new Promise((_, reject) => {
+    signal.addEventListener('abort', () => reject(Object.assign(new Error('canceled'), { name: 'CanceledError' })));
+  });
+}
+
+describe('executeWithProtection cancellation', () => {
+  it('aborts the request signal and rejects with CancellationError', async () => {
+    const handler = new RobustErrorHandler();
+    const controller = new AbortController();
+    let requestSignal;
+
+    const pending = handler.executeWithProtection('test', signal => {
+      requestSignal = signal;
+      return untilAborted(signal);
+    }, { signal: controller.signal, retry: false });
+
+    controller.abort();
+    await expect(pending).rejects.toThrow(CancellationError);
+    expect(requestSignal.aborted).toBe(true);
+    expect(handler.getCircuitBreaker('test').getStatus().failures).toBe(0);
+  });
+
+  it('does not start when the signal is already aborted', async () => {
+    const handler = new RobustErrorHandler();
+    const fn = jest.fn();
+
+    await expect(handler.executeWithProtection('test', fn, { signal: AbortSignal.abort() }))
+      .rejects.toThrow(CancellationError);
+    expect(fn).not.toHaveBeenCalled();
+  });
+
+  it('aborts the request signal on timeout', async () => {
+    const handler = new RobustErrorHandler();
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    let requestSignal;
+
+    await expect(handler.executeWithProtection('test', signal => {
+      requestSignal = signal;
+      return untilAborted(signal);
+    }, { timeout: 20, retry: false })).rejects.toThrow(TimeoutError);
+    errorSpy.mockRestore();
+
+    expect(requestSignal.aborted).toBe(true);
+  });
+
+  it('stops retrying once cancelled', async () => {
+    const retryHandler = new RetryHandler({ initialDelay: 1000 });
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const controller = new AbortController();
+    const fn = jest.fn().mockRejectedValue(new Error('503'));
+
+    const pending = retryHandler.execute(fn, { signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+
+    await expect(pending).rejects.toThrow(CancellationError);
+    errorSpy.mockRestore();
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it('recognizes fetch and axios abort errors', () => {
+    expect(isAbortError(new CancellationError())).toBe(true);
+    expect(isAbortError(Object.assign(new Error('aborted'), { name: 'AbortError' }))).toBe(true);
+    expect(isAbortError(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' }))).toBe(true);
+    expect(isAbortError(new Error('Request failed with status code 500'))).toBe(false);
+  });
+});
+
+describe('tool context', () => {
+  async function connect(handler) {
+    const server = new Server({ name: 'test', version: '1.0.0' }, { capabilities: { tools: {} } });
+    server.setRequestHandler(CallToolRequestSchema, (request, extra) => handler(createToolContext(request, extra)));
+
+    const client = new Client({ name: 'test-client', version: '1.0.0' });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([client.connect(clientTransport), server.connect(serverTransport)]);
+    return client;
+  }
+
+  it('sends progress notifications when the client asks for them', async () => {
+    const client = await connect(async context => {
+      await context.reportProgress(1, 3, 'Fetched package');
+      await context.reportProgress(1, 3, 'duplicate');
+      await context.reportProgress(3, 3);
+      return { content: [] };
+    });
+
+    const progress = [];
+    await client.request(
+      { method: 'tools/call', params: { name: 'slow', arguments: {} } },
+      CallToolResultSchema,
+      { onprogress: params => progress.push(params) }
+    );
+    await client.close();
+
+    expect(progress).toEqual([
+      { progress: 1, total: 3, message: 'Fetched package' },
+      { progress: 3, total: 3 },
+    ]);
+  });
+
+  it('aborts the handler signal when the request is cancelled', async () => {
+    let handlerSignal;
+    const client = await connect(context => {
+      handlerSignal = context.signal;
+      return untilAborted(context.signal);
+    });
+
+    const controller = new AbortController();
+    const pending = client.callTool({ name: 'slow', arguments: {} }, undefined, { signal: controller.signal });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    controller.abort('user cancelled');
+
+    await expect(pending).rejects.toBe('user cancelled');
+    await new Promise(resolve => setTimeout(resolve, 10));
+    await client.close();
+
+    expect(handlerSignal.aborted).toBe(true);
+    expect(() => createToolContext({}, { signal: handlerSignal }).throwIfCancelled()).toThrow(CancellationError);
+  });
+});
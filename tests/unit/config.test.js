@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  loadConfig,
+  resolveRequestConfig,
+  applyRuleConfig,
+  ConfigError,
+  DEFAULT_CONFIG,
+} from '../../src/config/config.js';
+import { createToolContext } from '../../src/utils/toolContext.js';
+import { analyzeWidget } from '../../src/tools/widgetAnalyzer.js';
+
+describe('loadConfig', () => {
+  let workspaceDir;
+
+  beforeEach(() => {
+    workspaceDir = mkdtempSync(join(tmpdir(), 'flutter-mcp-config-'));
+  });
+
+  afterEach(() => {
+    rmSync(workspaceDir, { recursive: true, force: true });
+  });
+
+  it('uses the defaults without a config file or environment', () => {
+    const config = loadConfig({ workspaceDir, env: {} });
+
+    expect(config).toEqual({ ...DEFAULT_CONFIG, sources: ['defaults'] });
+  });
+
+  it('layers .fluttermcp.yaml and then environment variables over the defaults', () => {
+    writeFileSync(join(workspaceDir, '.fluttermcp.yaml'), `
+cache:
+  ttl:
+    pubPackage: 600
+tokens:
+  maxTokens: 8000
+registries:
+  pub: https://pub.internal.example.com
+rules:
+  icon_button_tooltip: off
+  listview_in_column: warning
+`);
+
+    const config = loadConfig({ workspaceDir, env: { MAX_TOKENS: '2000', CACHE_DIR: '/var/cache/mcp' } });
+
+    expect(config.cache).toEqual({ ...DEFAULT_CONFIG.cache, dir: '/var/cache/mcp', ttl: { ...DEFAULT_CONFIG.cache.ttl, pubPackage: 600 } });
+    expect(config.tokens.maxTokens).toBe(2000);
+    expect(config.registries).toEqual({ ...DEFAULT_CONFIG.registries, pub: 'https://pub.internal.example.com' });
+    expect(config.rules).toEqual({
+      icon_button_tooltip: { enabled: false },
+      listview_in_column: { enabled: true, severity: 'warning' },
+    });
+    expect(config.sources).toEqual(['defaults', join(workspaceDir, '.fluttermcp.yaml'), 'env: CACHE_DIR, MAX_TOKENS']);
+  });
+
+  it('rejects unknown settings and malformed values', () => {
+    writeFileSync(join(workspaceDir, '.fluttermcp.yaml'), 'cache:\n  ttl:\n    widgets: 10\n');
+    expect(() => loadConfig({ workspaceDir, env: {} })).toThrow('cache.ttl.widgets is not a recognized setting');
+
+    writeFileSync(join(workspaceDir, '.fluttermcp.yaml'), 'rules:\n  missing_dispose: loud\n');
+    expect(() => loadConfig({ workspaceDir, env: {} })).toThrow(ConfigError);
+
+    writeFileSync(join(workspaceDir, '.fluttermcp.yaml'), 'architecture:\n  rules:\n    - from: domain\n');
+    expect(() => loadConfig({ workspaceDir, env: {} })).toThrow('architecture.rules[0].disallow is required');
+
+    rmSync(join(workspaceDir, '.fluttermcp.yaml'));
+    expect(() => loadConfig({ workspaceDir, env: { WIDGET_ANALYSIS_TTL: 'a day' } }))
+      .toThrow('environment: Invalid configuration: cache.ttl.widgetAnalysis must be of type integer');
+    expect(() => loadConfig({ workspaceDir, env: { FLUTTER_MCP_CONFIG: 'team.yaml' } })).toThrow('Config file not found');
+  });
+
+  it('reads offline mode from FLUTTER_MCP_OFFLINE', () => {
+    expect(loadConfig({ workspaceDir, env: {} }).offline).toBe(false);
+    expect(loadConfig({ workspaceDir, env: { FLUTTER_MCP_OFFLINE: 'true' } }).offline).toBe(true);
+    expect(loadConfig({ workspaceDir, env: { FLUTTER_MCP_OFFLINE: '0' } }).offline).toBe(false);
+    expect(() => loadConfig({ workspaceDir, env: { FLUTTER_MCP_OFFLINE: 'sometimes' } }))
+      .toThrow('offline must be of type boolean');
+  });
+});
+
+describe('per-request configuration', () => {
+  const base = { ...DEFAULT_CONFIG, rules: { missing_dispose: { enabled: true, severity: 'medium' } }, sources: ['defaults'] };
+
+  it('overrides token budgets and rules for one call', () => {
+    const config = resolveRequestConfig({ tokens: { maxTokens: 1000 }, rules: { missing_dispose: 'off' } }, base);
+
+    expect(config.tokens.maxTokens).toBe(1000);
+    expect(config.rules.missing_dispose).toEqual({ enabled: false, severity: 'medium' });
+    expect(config.sources).toEqual(['defaults', 'request']);
+    expect(resolveRequestConfig(undefined, base)).toBe(base);
+  });
+
+  it('does not let a request change cache or registry settings', () => {
+    expect(() => resolveRequestConfig({ registries: { pub: 'http://evil.example.com' } }, base))
+      .toThrow('registries is not a recognized setting');
+  });
+
+  it('filters disabled rules and applies severity overrides', () => {
+    const issues = [
+      { rule: 'image_semantic_label', severity: 'medium' },
+      { type: 'stream_leak', severity: 'high' },
+      { rule: 'icon_button_tooltip', severity: 'medium' },
+    ];
+    const rules = {
+      icon_button_tooltip: { enabled: false },
+      stream_leak: { enabled: true, severity: 'low' },
+    };
+
+    expect(applyRuleConfig(issues, rules)).toEqual([
+      { rule: 'image_semantic_label', severity: 'medium' },
+      { type: 'stream_leak', severity: 'low' },
+    ]);
+  });
+
+  it('is applied by the analyzers', async () => {
+    const widgetCode = 'Widget build(BuildContext context) => Row(children: [Image.asset(a), IconButton(icon: i, onPressed: f)]);';
+    const config = resolveRequestConfig({ rules: { icon_button_tooltip: 'off', image_semantic_label: 'high' } }, base);
+
+    const result = await analyzeWidget({ widgetCode }, createToolContext({}, {}, config));
+    const { issues } = JSON.parse(result.content[0].text);
+
+    expect(issues.map(issue => [issue.rule, issue.severity])).toEqual([['image_semantic_label', 'high']]);
+  });
+});
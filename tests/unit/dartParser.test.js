@@ -0,0 +1,190 @@
+import { describe, it, expect } from '@jest/globals';
+import { tokenize } from '../../src/utils/dartLexer.js';
+import { parseDart } from '../../src/utils/dartParser.js';
+import {
+  findNodes,
+  getClasses,
+  findMethod,
+  getNamedArgument,
+  buildWidgetTree,
+  flattenWidgetTree,
+} from '../../src/utils/dartAst.js';
+import { parseFlutterCode } from '../../src/utils/parser.js';
+import { parseWidgetTree } from '../../src/utils/treeParser.js';
+import { analyzeCodeStructure } from '../../src/utils/codeAnalyzer.js';
+
+const counterWidget = `
+import 'package:flutter/material.dart';
+
+class Counter extends StatefulWidget {
+  const Counter({super.key});
+
+  @override
+  State<Counter> createState() => _CounterState();
+}
+
+class _CounterState extends State<Counter> {
+  int _count = 0;
+  final Map<String, List<int>> _history = {};
+
+  @override
+  Widget build(BuildContext context) {
+    // A closing brace in a comment: }
+    return Scaffold(
+      appBar: AppBar(title: Text('Count: \${_count} }')),
+      body: Column(
+        children: [
+          Text('$_count'),
+          ElevatedButton(
+            onPressed: () {
+              setState(() {
+                _count++;
+              });
+            },
+            child: const Text('Increment'),
+          ),
+        ],
+      ),
+    );
+  }
+
+  void reset() {
+    setState(() => _count = 0);
+  }
+}
+`;
+
+describe('Dart lexer', () => {
+  it('keeps comments and string contents out of the token stream', () => {
+    const { tokens, comments, errors } = tokenize("var s = 'a } b'; // }\n/* { */ var t = 1;");
+
+    expect(errors).toEqual([]);
+    expect(comments).toHaveLength(2);
+    expect(tokens.filter(token => token.value === '}')).toHaveLength(0);
+    expect(tokens.find(token => token.type === 'string').parts[0].value).toBe('a } b');
+  });
+
+  it('splits interpolations into nested tokens', () => {
+    const { tokens } = tokenize('"Hello ${user.name}, $count"');
+    const string = tokens[0];
+
+    expect(string.parts.map(part => part.kind)).toEqual(['text', 'interpolation', 'text', 'interpolation']);
+    expect(string.parts[1].tokens.map(token => token.value)).toEqual(['user', '.', 'name']);
+  });
+});
+
+describe('Dart parser', () => {
+  it('parses classes, members and directives', () => {
+    const { unit, errors } = parseDart(counterWidget);
+    const classes = getClasses(unit);
+
+    expect(errors).toEqual([]);
+    expect(unit.directives[0]).toMatchObject({ type: 'ImportDirective', uri: 'package:flutter/material.dart' });
+    expect(classes.map(c => c.name)).toEqual(['Counter', '_CounterState']);
+    expect(classes[1].superclass).toMatchObject({ name: 'State', typeArguments: [{ name: 'Counter' }] });
+
+    const build = findMethod(classes[1], 'build');
+    expect(build.span.endLine).toBe(34);
+    expect(findMethod(classes[1], 'reset')).not.toBeNull();
+  });
+
+  it('reads constructor invocations and named arguments', () => {
+    const { unit } = parseDart(counterWidget);
+    const scaffold = findNodes(unit, node => node.type === 'InstanceCreationExpression' && node.name === 'Scaffold')[0];
+
+    expect(getNamedArgument(scaffold, 'body')).toMatchObject({ name: 'Column' });
+    expect(getNamedArgument(scaffold, 'appBar').span.line).toBe(19);
+  });
+
+  it('distinguishes generics from comparison and shift operators', () => {
+    const { unit, errors } = parseDart('List<List<int>> a = []; var b = x < y; var c = m >> 2;');
+    const initializers = unit.declarations.map(d => d.variables[0].initializer);
+
+    expect(errors).toEqual([]);
+    expect(unit.declarations[0].fieldType.typeArguments[0].typeArguments[0].name).toBe('int');
+    expect(initializers[1]).toMatchObject({ type: 'BinaryExpression', operator: '<' });
+    expect(initializers[2]).toMatchObject({ type: 'BinaryExpression', operator: '>>' });
+  });
+
+  it('reads null-aware index expressions', () => {
+    const { unit, errors } = parseDart('var a = f?[0]; var b = m?[k]?.length; var c = x ?[1] : [2]; var d = x ? [1] : [2];');
+    const initializers = unit.declarations.map(d => d.variables[0].initializer);
+
+    expect(errors).toEqual([]);
+    expect(initializers[0]).toMatchObject({ type: 'IndexExpression', target: { name: 'f' }, isNullAware: true });
+    expect(initializers[1]).toMatchObject({ type: 'PropertyAccess', name: 'length', target: { type: 'IndexExpression', isNullAware: true } });
+    expect(initializers[2]).toMatchObject({ type: 'ConditionalExpression' });
+    expect(initializers[3]).toMatchObject({ type: 'ConditionalExpression' });
+  });
+
+  it('reads constructor tear-offs', () => {
+    const { unit, errors } = parseDart('var a = Foo.new; var b = items.map(Item.new).toList(); var c = Foo.new();');
+    const initializers = unit.declarations.map(d => d.variables[0].initializer);
+
+    expect(errors).toEqual([]);
+    expect(initializers[0]).toMatchObject({ type: 'PropertyAccess', target: { name: 'Foo' }, name: 'new' });
+    expect(findNodes(initializers[1], node => node.type === 'PropertyAccess' && node.name === 'new')).toHaveLength(1);
+    expect(initializers[2]).toMatchObject({ type: 'InstanceCreationExpression', name: 'Foo', constructorName: null });
+  });
+
+  it('accepts widget expressions without a surrounding declaration', () => {
+    const { unit, errors } = parseDart("Container(child: Text('Hello'))");
+
+    expect(errors).toEqual([]);
+    expect(unit.statements[0].expression).toMatchObject({ type: 'InstanceCreationExpression', name: 'Container' });
+  });
+
+  it('recovers from syntax errors and keeps later members', () => {
+    const { unit, errors } = parseDart('class A { void f() { var x = ; } void g() {} }');
+
+    expect(errors.length).toBeGreaterThan(0);
+    expect(getClasses(unit)[0].members.map(member => member.name)).toEqual(['f', 'g']);
+  });
+
+  it('builds the widget nesting', () => {
+    const { unit } = parseDart(counterWidget);
+    const widgets = flattenWidgetTree(buildWidgetTree(unit));
+    const button = widgets.find(widget => widget.name === 'ElevatedButton');
+
+    expect(button.depth).toBe(3);
+    expect(button.parent.name).toBe('Column');
+    expect(button.children.map(child => child.name)).toEqual(['Text']);
+  });
+});
+
+describe('structural analyzers', () => {
+  it('parseFlutterCode is not fooled by braces in strings and comments', () => {
+    const structure = parseFlutterCode(counterWidget);
+
+    expect(structure.classes).toEqual([
+      expect.objectContaining({ name: 'Counter', extends: 'StatefulWidget', isStateful: true }),
+      expect.objectContaining({ name: '_CounterState', extends: 'State', isStateful: false }),
+    ]);
+    expect(structure.methods.map(m => m.name)).toEqual(['createState', 'build', 'reset']);
+  });
+
+  it('parseWidgetTree measures widget depth rather than bracket depth', () => {
+    const tree = parseWidgetTree(counterWidget);
+
+    expect(tree.statefulCount).toBe(1);
+    expect(tree.maxDepth).toBe(4);
+    expect(tree.nodes[0]).toEqual({ type: 'Scaffold', depth: 1, line: 18 });
+  });
+
+  it('analyzeCodeStructure reads the whole build method', () => {
+    const code = `
+class Cart extends StatelessWidget {
+  Widget build(BuildContext context) {
+    final label = '}';
+    final total = calculateTotal(items);
+    return Text('$total');
+  }
+}`;
+
+    expect(analyzeCodeStructure(code)).toMatchObject({
+      hasBusinessLogicInUI: true,
+      hasStatelessWidgets: true,
+      hasTextWidgets: true,
+    });
+  });
+});
@@ -0,0 +1,317 @@
+import { describe, it, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import axios from 'axios';
+import { createToolContext } from '../../src/utils/toolContext.js';
+import { getConfig } from '../../src/config/config.js';
+import { writeFiles, useTemporaryCache } from './helpers.js';
+
+const PUBSPEC = `name: shop
+environment:
+  sdk: '>=2.19.0 <4.0.0'
+
+dependencies:
+  flutter:
+    sdk: flutter
+  http: ^0.13.0
+  old_pkg: ^1.0.0
+  local:
+    path: ../local
+  legacy_client: ^2.0.0
+
+dev_dependencies:
+  flutter_test:
+    sdk: flutter
+  lints: ^2.0.0
+`;
+
+const hosted = (name, dependency, version) => `  ${name}:
+    dependency: "${dependency}"
+    description:
+      name: ${name}
+      url: "https://pub.dev"
+    source: hosted
+    version: "${version}"
+`;
+
+const PUBSPEC_LOCK = `packages:
+${hosted('collection', 'transitive', '1.17.0')}  flutter:
+    dependency: "direct main"
+    description: flutter
+    source: sdk
+    version: "0.0.0"
+  flutter_test:
+    dependency: "direct dev"
+    description: flutter
+    source: sdk
+    version: "0.0.0"
+${hosted('http', 'direct main', '0.13.6')}${hosted('http_parser', 'transitive', '4.0.2')}${hosted('legacy_client', 'direct main', '2.0.0')}${hosted('lints', 'direct dev', '2.0.1')}  local:
+    dependency: "direct main"
+    description:
+      path: "../local"
+      relative: true
+    source: path
+    version: "1.0.0"
+${hosted('meta', 'transitive', '1.9.0')}${hosted('old_pkg', 'direct main', '1.0.0')}sdks:
+  dart: ">=2.19.0 <4.0.0"
+`;
+
+const release = (version, sdk, dependencies = {}) => ({ version, pubspec: { environment: { sdk }, dependencies } });
+
+const PUB_DEV = {
+  http: {
+    versions: [
+      release('0.13.6', '>=2.19.0 <3.0.0', { http_parser: '^4.0.0', meta: '^1.3.0' }),
+      release('1.2.0', '^3.3.0', { http_parser: '^4.1.0' }),
+    ],
+    scores: { grantedPoints: 140, maxPoints: 160, likeCount: 7000 },
+  },
+  http_parser: { versions: [release('4.0.2', '>=2.12.0 <3.0.0', { collection: '^1.15.0' })] },
+  legacy_client: { versions: [release('2.0.0', '>=2.19.0 <4.0.0', { http_parser: '>=4.0.0 <4.1.0' })] },
+  collection: { versions: [release('1.17.0', '>=2.18.0 <3.0.0'), release('1.18.0', '>=2.18.0 <4.0.0')] },
+  old_pkg: {
+    versions: [release('1.0.0', '>=3.0.0 <4.0.0')],
+    options: { isDiscontinued: true, replacedBy: 'new_pkg', isUnlisted: false },
+  },
+  lints: {
+    versions: [release('2.0.1', '>=2.11.0 <3.0.0')],
+    scores: { grantedPoints: 30, maxPoints: 160, likeCount: 10 },
+  },
+  pkg_a: { versions: [release('1.0.0', '^3.0.0', { shared: '^1.0.0' })] },
+  pkg_b: { versions: [release('1.0.0', '^3.0.0', { shared: '^2.0.0' })] },
+  shared: { versions: [release('1.0.0', '^3.0.0'), release('2.0.0', '^3.0.0')] },
+  tiny: { versions: [release('0.2.0', '^3.0.0'), release('0.3.1', '^3.0.0')] },
+  router: {
+    versions: [{
+      version: '1.0.0',
+      pubspec: {
+        description: 'Routing',
+        environment: { sdk: '>=2.11.0 <3.0.0' },
+        dependencies: { http: '^0.13.0', collection: '>=1.15.0 <2.0.0', tiny: '^0.2.0', lints: '~2.0' },
+      },
+    }],
+  },
+};
+
+const OVERRIDES = {
+  'pubspec.yaml': `name: overrides
+environment:
+  sdk: ^3.0.0
+dependencies:
+  pkg_a: ^1.0.0
+  pkg_b: ^1.0.0
+dependency_overrides:
+  shared: 2.0.0
+`,
+  'pubspec.lock': `packages:
+${hosted('pkg_a', 'direct main', '1.0.0')}${hosted('pkg_b', 'direct main', '1.0.0')}${hosted('shared', 'direct overridden', '2.0.0')}sdks:
+  dart: ">=3.0.0 <4.0.0"
+`,
+};
+
+// pub.dev answers from the cache, offline
+useTemporaryCache('flutter-mcp-audit-cache-');
+
+let getCacheManager;
+let auditDependencies;
+let analyzePubPackage;
+
+beforeAll(async () => {
+  // pubAnalyzer opens the cache when it is imported
+  ({ getCacheManager } = await import('../../src/cache/cacheManager.js'));
+  ({ auditDependencies } = await import('../../src/tools/dependencyAuditor.js'));
+  ({ analyzePubPackage } = await import('../../src/tools/pubAnalyzer.js'));
+
+  const cache = getCacheManager();
+  for (const [packageName, { versions, scores, options }] of Object.entries(PUB_DEV)) {
+    await cache.set('pubPackage', { packageName, type: 'pub_api' }, {
+      name: packageName,
+      latest: versions[versions.length - 1],
+      versions,
+    });
+    if (scores) await cache.set('pubPackage', { packageName, type: 'pub_score' }, scores);
+    if (options) await cache.set('pubPackage', { packageName, type: 'pub_options' }, options);
+  }
+});
+
+function offlineContext() {
+  const context = createToolContext({}, {}, { ...getConfig(), offline: true });
+  context.reportProgress = jest.fn();
+  return context;
+}
+
+describe('audit_dependencies', () => {
+  let workspace;
+  let projectDir;
+
+  beforeAll(() => {
+    workspace = mkdtempSync(join(tmpdir(), 'flutter-mcp-audit-'));
+    projectDir = join(workspace, 'shop');
+    writeFiles(workspace, {
+      'shop/pubspec.yaml': PUBSPEC,
+      'shop/pubspec.lock': PUBSPEC_LOCK,
+      'local/pubspec.yaml': 'name: local\ndependencies:\n  meta: ^1.8.0\n',
+    });
+    writeFiles(join(workspace, 'overrides'), OVERRIDES);
+  });
+
+  afterAll(() => {
+    rmSync(workspace, { recursive: true, force: true });
+  });
+
+  async function audit(args) {
+    const context = offlineContext();
+    const result = await auditDependencies(args, context);
+    return { report: JSON.parse(result.content[0].text), context };
+  }
+
+  it('reports every locked package against pub.dev', async () => {
+    const { report, context } = await audit({ projectPath: projectDir });
+    const byName = Object.fromEntries(report.packages.map(entry => [entry.name, entry]));
+
+    expect(report.packages.map(entry => entry.name)).toEqual([
+      'flutter', 'http', 'legacy_client', 'local', 'old_pkg', 'flutter_test', 'lints', 'collection', 'http_parser', 'meta',
+    ]);
+    expect(report.summary).toMatchObject({
+      packages: 10,
+      direct: 5,
+      dev: 2,
+      transitive: 3,
+      outdated: 2,
+      discontinued: 1,
+      sdkIncompatible: 1,
+      conflicts: 0,
+      status: 'FAILING',
+    });
+    expect(byName.http).toMatchObject({
+      constraint: '^0.13.0',
+      resolved: '0.13.6',
+      latest: '1.2.0',
+      outdated: true,
+      upgrade: 'breaking',
+      constraintAllowsLatest: false,
+      latestSupportsSdk: false,
+      pubPoints: 140,
+      sdk: { dart: '>=2.19.0 <3.0.0', compatible: true },
+    });
+    expect(byName.collection).toMatchObject({ outdated: true, upgrade: 'compatible' });
+    expect(byName.old_pkg).toMatchObject({
+      discontinued: true,
+      replacedBy: 'new_pkg',
+      sdk: { compatible: false, requires: ['dart >=3.0.0 <4.0.0'] },
+    });
+    expect(byName.meta.error).toContain('not available offline');
+    expect(report.offline).toBe(true);
+
+    // Seven pub.dev packages make one batch
+    expect(context.reportProgress).toHaveBeenCalledTimes(1);
+    expect(context.reportProgress).toHaveBeenCalledWith(7, 7, 'Looked up 7 of 7 packages');
+  });
+
+  it('traces each transitive package to the direct dependencies that pull it in', async () => {
+    const { report } = await audit({ projectPath: projectDir });
+    const byName = Object.fromEntries(report.packages.map(entry => [entry.name, entry]));
+
+    expect(byName.collection).toMatchObject({ pulledInBy: ['http', 'legacy_client'], chain: 'http > http_parser > collection', devOnly: false });
+    expect(byName.http_parser).toMatchObject({ pulledInBy: ['http', 'legacy_client'], chain: 'http > http_parser' });
+    expect(byName.meta).toMatchObject({ pulledInBy: ['http', 'local'], chain: 'http > meta' });
+    expect(report.unknownDependencies).toEqual(['flutter', 'flutter_test', 'meta']);
+  });
+
+  it('reports findings on the pubspec.yaml lines that declare them', async () => {
+    const { report } = await audit({ projectPath: projectDir });
+
+    expect(report.issues.map(({ type, package: name, line, severity }) => [type, name, line, severity])).toEqual([
+      ['outdated_dependency', 'http', 8, 'medium'],
+      ['discontinued_package', 'old_pkg', 9, 'high'],
+      ['sdk_incompatible', 'old_pkg', 9, 'high'],
+      ['low_pub_points', 'lints', 17, 'low'],
+    ]);
+    expect(report.issues[0].fix).toBe('Change the constraint ^0.13.0 to allow 1.2.0. 1.2.0 needs http_parser ^4.1.0, which legacy_client 2.0.0 does not allow (>=4.0.0 <4.1.0)');
+    expect(report.issues[1].fix).toBe('Replace it with new_pkg');
+    expect(report.issues[2].message).toBe('old_pkg 1.0.0 requires dart >=3.0.0 <4.0.0, but the project supports dart 2.19.0');
+  });
+
+  it('checks against the SDK versions it is given', async () => {
+    const { report } = await audit({ projectPath: projectDir, dartVersion: '3.4.0' });
+    const byName = Object.fromEntries(report.packages.map(entry => [entry.name, entry]));
+
+    expect(report.project.checkedAgainst).toEqual({ dart: '3.4.0', flutter: null });
+    expect(byName.old_pkg.sdk.compatible).toBe(true);
+    // Dart 3 allows null-safe packages with a <3.0.0 upper bound
+    expect(byName.http.sdk).toEqual({ dart: '>=2.19.0 <3.0.0', compatible: true });
+    expect(byName.http_parser.sdk).toEqual({ dart: '>=2.12.0 <3.0.0', compatible: true });
+    expect(byName.lints.sdk).toEqual({ dart: '>=2.11.0 <3.0.0', compatible: false, requires: ['dart >=2.11.0 <3.0.0'] });
+  });
+
+  it('reports constraints on a shared dependency that no version satisfies', async () => {
+    const { report } = await audit({ projectPath: join(workspace, 'overrides') });
+
+    expect(report.conflicts).toEqual([{
+      package: 'shared',
+      between: [
+        { name: 'pkg_a', version: '1.0.0', constraint: '^1.0.0' },
+        { name: 'pkg_b', version: '1.0.0', constraint: '^2.0.0' },
+      ],
+    }]);
+    expect(report.issues).toEqual([{
+      type: 'dependency_conflict',
+      severity: 'medium',
+      package: 'shared',
+      file: 'pubspec.yaml',
+      line: 8,
+      message: 'pkg_a 1.0.0 needs shared ^1.0.0 and pkg_b 1.0.0 needs shared ^2.0.0: no version allows both; shared is overridden to 2.0.0',
+      fix: 'Check that shared 2.0.0 works with both, and drop the override once they agree',
+    }]);
+  });
+
+  it('reports the audit as incomplete when pub.dev cannot be reached', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'flutter-mcp-audit-unreachable-'));
+    const get = jest.spyOn(axios, 'get').mockRejectedValue(new Error('getaddrinfo ENOTFOUND pub.dev'));
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      writeFiles(dir, {
+        'pubspec.yaml': 'name: shop\ndependencies:\n  left_pad: ^1.0.0\n',
+        'pubspec.lock': `packages:\n${hosted('left_pad', 'direct main', '1.0.0')}`,
+      });
+      const context = createToolContext({}, {}, getConfig());
+      context.reportProgress = jest.fn();
+      const { summary, packages } = JSON.parse((await auditDependencies({ projectPath: dir }, context)).content[0].text);
+
+      expect(get).toHaveBeenCalled();
+      expect(packages).toEqual([expect.objectContaining({ name: 'left_pad', error: 'getaddrinfo ENOTFOUND pub.dev' })]);
+      expect(summary).toMatchObject({ lookupFailures: 1, issues: 0, status: 'INCOMPLETE' });
+    } finally {
+      get.mockRestore();
+      errorSpy.mockRestore();
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('needs a resolved project', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'flutter-mcp-audit-unresolved-'));
+    try {
+      writeFileSync(join(dir, 'pubspec.yaml'), PUBSPEC);
+      const result = await auditDependencies({ projectPath: dir });
+      expect(result.content[0].text).toBe(`Error auditing dependencies: pubspec.lock not found in ${dir}. Run flutter pub get first`);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('analyze_pub_package dependencies', () => {
+  it('checks constraints and the SDK constraint with pub semantics', async () => {
+    const result = await analyzePubPackage({ packageName: 'router', checkScores: false }, offlineContext());
+    const analysis = JSON.parse(result.content[0].text);
+
+    expect(analysis.dependencies.runtime.packages).toMatchObject({
+      http: { specified: '^0.13.0', latest: '1.2.0', isOutdated: true },
+      collection: { specified: '>=1.15.0 <2.0.0', latest: '1.18.0', isOutdated: false },
+      tiny: { specified: '^0.2.0', latest: '0.3.1', isOutdated: true },
+      lints: { isOutdated: false, constraintError: 'Could not parse version constraint "~2.0"' },
+    });
+    expect(analysis.compatibility.issues).toEqual(['Dart SDK constraint >=2.11.0 <3.0.0 does not allow Dart 3']);
+  });
+});
@@ -0,0 +1,51 @@
+import { beforeAll, afterAll } from '@jest/globals';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { CacheManager, getCacheManager } from '../../src/cache/cacheManager.js';
+
+// Helpers shared by the unit test files
+
+/**
+ * Writes `files`, an object of relative paths to contents, under `root`.
+ */
+export function writeFiles(root, files) {
+  for (const [path, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(root, path)), { recursive: true });
+    writeFileSync(join(root, path), content);
+  }
+}
+
+/**
+ * A CacheManager of its own on a new temporary directory, for tests that
+ * need an empty database. `dispose()` closes it and removes the directory.
+ */
+export function createTemporaryCache(options = {}, prefix = 'flutter-mcp-cache-') {
+  const cacheDir = mkdtempSync(join(tmpdir(), prefix));
+  const cache = new CacheManager({ cacheDir, ...options });
+  const dispose = () => {
+    cache.close();
+    rmSync(cacheDir, { recursive: true, force: true });
+  };
+  return { cache, dispose };
+}
+
+/**
+ * Points the shared cache database at a temporary directory for the tests
+ * of the calling file. Tools that publish resources or record runs open it
+ * on first use, configured from the environment.
+ */
+export function useTemporaryCache(prefix = 'flutter-mcp-cache-') {
+  let cacheDir;
+
+  beforeAll(() => {
+    cacheDir = mkdtempSync(join(tmpdir(), prefix));
+    process.env.CACHE_DIR = cacheDir;
+  });
+
+  afterAll(() => {
+    getCacheManager().close();
+    delete process.env.CACHE_DIR;
+    rmSync(cacheDir, { recursive: true, force: true });
+  });
+}
@@ -0,0 +1,112 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { startHttpServer } from '../../src/transports/httpServer.js';
+
+function createServer() {
+  const server = new Server({ name: 'test', version: '1.0.0' }, { capabilities: { tools: {} } });
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: [{ name: 'echo', inputSchema: { type: 'object', properties: {} } }],
+  }));
+  return server;
+}
+
+describe('MCP HTTP server', () => {
+  let httpServer;
+  let baseUrl;
+
+  beforeAll(async () => {
+    httpServer = await startHttpServer(createServer, { port: 0 });
+    baseUrl = `http://127.0.0.1:${httpServer.httpServer.address().port}`;
+  });
+
+  afterAll(async () => {
+    await httpServer.close();
+  });
+
+  it('serves streamable HTTP sessions and removes them on termination', async () => {
+    const client = new Client({ name: 'test-client', version: '1.0.0' });
+    const transport = new StreamableHTTPClientTransport(new URL(`${baseUrl}/mcp`));
+    await client.connect(transport);
+
+    const { tools } = await client.listTools();
+    expect(tools.map(tool => tool.name)).toEqual(['echo']);
+    expect(httpServer.sessions.get(transport.sessionId).kind).toBe('streamable');
+
+    await transport.terminateSession();
+    await client.close();
+    expect(httpServer.sessions.size).toBe(0);
+  });
+
+  it('falls back to SSE for older clients', async () => {
+    const client = new Client({ name: 'test-client', version: '1.0.0' });
+    await client.connect(new SSEClientTransport(new URL(`${baseUrl}/sse`)));
+
+    const { tools } = await client.listTools();
+    expect(tools).toHaveLength(1);
+    expect([...httpServer.sessions.values()].map(session => session.kind)).toEqual(['sse']);
+
+    await client.close();
+  });
+
+  it('rejects requests without a session that are not initialize requests', async () => {
+    const response = await fetch(`${baseUrl}/mcp`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }),
+    });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error.message).toContain('mcp-session-id');
+  });
+
+  it('accepts only same-origin and localhost origins by default', async () => {
+    const health = origin => fetch(`${baseUrl}/health`, { headers: { Origin: origin } });
+
+    expect((await health(baseUrl)).status).toBe(200);
+    expect((await health('http://localhost:5173')).status).toBe(200);
+
+    const rebound = await health('http://attacker.example');
+    expect(rebound.status).toBe(403);
+    expect(rebound.headers.get('access-control-allow-origin')).toBeNull();
+    expect((await health('null')).status).toBe(403);
+  });
+
+  it('closes sessions that have been idle past the timeout', async () => {
+    const client = new Client({ name: 'test-client', version: '1.0.0' });
+    const transport = new StreamableHTTPClientTransport(new URL(`${baseUrl}/mcp`));
+    await client.connect(transport);
+
+    httpServer.sessions.get(transport.sessionId).lastActivity = 0;
+    httpServer.sweepIdleSessions();
+    expect(httpServer.sessions.has(transport.sessionId)).toBe(false);
+
+    await client.close();
+  });
+});
+
+describe('MCP HTTP server with allowed origins', () => {
+  let httpServer;
+  let baseUrl;
+
+  beforeAll(async () => {
+    httpServer = await startHttpServer(createServer, { port: 0, allowedOrigins: ['https://app.example'] });
+    baseUrl = `http://127.0.0.1:${httpServer.httpServer.address().port}`;
+  });
+
+  afterAll(async () => {
+    await httpServer.close();
+  });
+
+  it('accepts only the listed origins', async () => {
+    const health = origin => fetch(`${baseUrl}/health`, { headers: { Origin: origin } });
+
+    const allowed = await health('https://app.example');
+    expect(allowed.status).toBe(200);
+    expect(allowed.headers.get('access-control-allow-origin')).toBe('https://app.example');
+    expect((await health('http://localhost:5173')).status).toBe(403);
+  });
+});
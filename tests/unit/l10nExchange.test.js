@@ -0,0 +1,184 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { execFileSync } from 'child_process';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { exchangeTranslations } from '../../src/tools/l10nExchange.js';
+import { readTranslationFile } from '../../src/utils/translationFiles.js';
+import { writeFiles } from './helpers.js';
+
+const arb = entries => `${JSON.stringify(entries, null, 2)}\n`;
+
+const TEMPLATE = {
+  '@@locale': 'en',
+  title: 'Shop',
+  '@title': { description: 'App bar title' },
+  cartItems: '{count, plural, =0{Your cart is empty} =1{One item} other{{count} items}}',
+  '@cartItems': {
+    description: 'Items in the cart',
+    placeholders: { count: { type: 'int', example: '3' } },
+  },
+  greeting: 'Hello {name}',
+  '@greeting': { placeholders: { name: { type: 'String' } } },
+  checkout: 'Check out & pay',
+};
+
+const PROJECT = {
+  'pubspec.yaml': 'name: shop\n',
+  'lib/l10n/app_en.arb': arb(TEMPLATE),
+  'lib/l10n/app_de.arb': arb({
+    '@@locale': 'de',
+    title: 'Laden',
+    '@title': { description: 'Titel' },
+    checkout: 'Bezahlen',
+  }),
+};
+
+async function exchange(args) {
+  const result = await exchangeTranslations(args);
+  return JSON.parse(result.content[0].text);
+}
+
+describe('exchange_translations', () => {
+  let projectDir;
+
+  beforeAll(() => {
+    projectDir = mkdtempSync(join(tmpdir(), 'flutter-mcp-l10n-exchange-'));
+    writeFiles(projectDir, PROJECT);
+  });
+
+  afterAll(() => {
+    rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  it('exports the untranslated keys with their notes as XLIFF 1.2', async () => {
+    const result = await exchange({ projectPath: projectDir, locales: ['de', 'pt-BR'] });
+
+    expect(result.exported).toEqual([
+      { locale: 'de', file: 'app_de.xlf', new: 2, changed: 0 },
+      { locale: 'pt_BR', file: 'app_pt_BR.xlf', new: 4, changed: 0 },
+    ]);
+    const xliff = result.files['app_de.xlf'];
+    expect(xliff).toContain('<file original="lib/l10n/app_en.arb" datatype="plaintext" source-language="en" target-language="de">');
+    expect(xliff).toContain([
+      '      <trans-unit id="cartItems" resname="cartItems" xml:space="preserve">',
+      '        <source>{count, plural, =0{Your cart is empty} =1{One item} other{{count} items}}</source>',
+      '        <target state="needs-translation"></target>',
+      '        <note from="description">Items in the cart</note>',
+      '        <note from="placeholders">{count}: int, e.g. 3</note>',
+      '      </trans-unit>',
+    ].join('\n'));
+    expect(xliff).not.toContain('id="checkout"');
+  });
+
+  it('exports keys whose template message changed since a git revision', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'flutter-mcp-l10n-exchange-git-'));
+    const git = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd: dir, stdio: 'pipe' });
+    try {
+      writeFiles(dir, PROJECT);
+      git('init', '-q', '-b', 'main');
+      git('add', '.');
+      git('commit', '-q', '-m', 'handoff');
+      writeFiles(dir, { 'lib/l10n/app_en.arb': arb({ ...TEMPLATE, checkout: 'Pay now' }) });
+
+      const result = await exchange({ projectPath: dir, fileFormat: 'xliff20', baseRef: 'main' });
+
+      expect(result.exported).toEqual([{ locale: 'de', file: 'app_de.xlf', new: 2, changed: 1 }]);
+      expect(result.files['app_de.xlf']).toContain([
+        '    <unit id="checkout" name="checkout">',
+        '      <notes>',
+        '        <note category="previous-source">Check out &amp; pay</note>',
+        '      </notes>',
+        '      <segment state="initial">',
+        '        <source xml:space="preserve">Pay now</source>',
+        '        <target>Bezahlen</target>',
+      ].join('\n'));
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('writes CSV with the locales as column names', async () => {
+    const result = await exchange({ projectPath: projectDir, fileFormat: 'csv', locales: ['de'] });
+    const csv = result.files['app_de.csv'];
+
+    expect(csv.split('\r\n').slice(0, 2)).toEqual([
+      'key,en,de,status,description,placeholders,previous-source',
+      'cartItems,"{count, plural, =0{Your cart is empty} =1{One item} other{{count} items}}",,new,Items in the cart,"{count}: int, e.g. 3",',
+    ]);
+    expect(readTranslationFile(csv).units.map(unit => unit.key)).toEqual(['cartItems', 'greeting']);
+  });
+
+  it('imports translations into the locale ARB files in template order', async () => {
+    const xliff = (await exchange({ projectPath: projectDir, locales: ['de'] })).files['app_de.xlf']
+      .replace(/(<source>\{count.*<\/source>\n\s*)<target state="needs-translation"><\/target>/,
+        '$1<target>{count, plural, =0{Leer} =1{Ein Artikel} other{{count} Artikel}}</target>')
+      .replace(/(<source>Hello \{name\}<\/source>\n\s*)<target state="needs-translation"><\/target>/,
+        '$1<target>Hallo {nom}</target>');
+    const csv = [
+      'key,en,de',
+      'title,Shop,Shop & mehr',
+      'unknown,,Unbekannt',
+      '',
+    ].join('\n');
+
+    const result = await exchange({ projectPath: projectDir, action: 'import', content: xliff });
+    expect(result.imported).toEqual([
+      { locale: 'de', file: 'lib/l10n/app_de.arb', created: false, updated: 0, added: 1, unchanged: 0, rejected: 1 },
+    ]);
+    expect(result.rejected).toEqual([{
+      file: 'content',
+      locale: 'de',
+      key: 'greeting',
+      reason: 'placeholder_mismatch',
+      message: 'The translation adds {nom} and leaves out {name}',
+    }]);
+
+    writeFiles(projectDir, { 'translations/de.csv': csv });
+    const fromCsv = await exchange({ projectPath: projectDir, action: 'import', files: ['translations/de.csv'] });
+    expect(fromCsv.rejected.map(entry => entry.reason)).toEqual(['unknown_key']);
+    expect(fromCsv.imported[0]).toMatchObject({ updated: 1, added: 0 });
+
+    const copy = mkdtempSync(join(tmpdir(), 'flutter-mcp-l10n-exchange-patch-'));
+    try {
+      writeFiles(copy, PROJECT);
+      execFileSync('git', ['apply', '-'], { cwd: copy, input: result.patch + fromCsv.patch });
+      const source = readFileSync(join(copy, 'lib/l10n/app_de.arb'), 'utf8');
+
+      expect(Object.keys(JSON.parse(source))).toEqual(['@@locale', 'title', '@title', 'cartItems', 'checkout']);
+      expect(JSON.parse(source)).toMatchObject({
+        title: 'Shop & mehr',
+        '@title': { description: 'Titel' },
+        cartItems: '{count, plural, =0{Leer} =1{Ein Artikel} other{{count} Artikel}}',
+      });
+    } finally {
+      rmSync(copy, { recursive: true, force: true });
+    }
+  });
+
+  it('creates the ARB file of a new locale', async () => {
+    const content = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<xliff version="2.0" xmlns="urn:oasis:names:tc:xliff:document:2.0" srcLang="en" trgLang="fr-CA">',
+      '  <file id="f"><unit id="greeting"><segment><source>Hello {name}</source><target>Bonjour {name}</target></segment></unit>',
+      '  <unit id="title"><segment><source>Shop</source><target/></segment></unit></file>',
+      '</xliff>',
+    ].join('\n');
+
+    const result = await exchange({ projectPath: projectDir, action: 'import', content });
+
+    expect(result.imported).toEqual([
+      { locale: 'fr_CA', file: 'lib/l10n/app_fr_CA.arb', created: true, updated: 0, added: 1, unchanged: 0, rejected: 0 },
+    ]);
+    expect(result.skipped).toBe(1);
+    expect(result.patch).toContain('--- /dev/null\n+++ b/lib/l10n/app_fr_CA.arb\n@@ -0,0 +1,4 @@\n+{\n+  "@@locale": "fr_CA",\n+  "greeting": "Bonjour {name}"\n+}\n');
+  });
+
+  it('reports input it cannot use', async () => {
+    const noFiles = await exchangeTranslations({ projectPath: projectDir, action: 'import' });
+    expect(noFiles.content[0].text).toBe('Error exchanging translations: Pass the translated files as files or content');
+
+    const noLocale = await exchangeTranslations({ projectPath: projectDir, action: 'import', content: 'key,en\n' });
+    expect(noLocale.content[0].text).toContain('the columns must be key, source locale, target locale');
+  });
+});
@@ -0,0 +1,242 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { execFileSync } from 'child_process';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { extractUserFacingStrings, findUserFacingStrings } from '../../src/utils/stringExtractor.js';
+import { generateL10nSetup } from '../../src/tools/l10nGenerator.js';
+import { validateL10n } from '../../src/tools/l10nValidator.js';
+import { pseudoLocalizeMessage } from '../../src/utils/pseudoLocalization.js';
+import { parseIcuMessage, messageArguments } from '../../src/utils/icuMessage.js';
+import { writeFiles, useTemporaryCache } from './helpers.js';
+
+useTemporaryCache('flutter-mcp-l10n-cache-');
+
+const LOGIN_PAGE = `import 'package:flutter/material.dart';
+
+class LoginPage extends StatelessWidget {
+  const LoginPage({super.key});
+
+  @override
+  Widget build(BuildContext context) {
+    debugPrint('Building login page');
+    return Scaffold(
+      appBar: AppBar(title: const Text('Sign in')),
+      body: Column(
+        key: const ValueKey('login_column'),
+        children: [
+          TextField(decoration: const InputDecoration(hintText: 'Please enter your email', labelText: 'Email')),
+          Image.asset('assets/images/logo.png'),
+          Text('Welcome back, \${user.name}! You have $count messages'),
+          Text('home.title'),
+          Text('settings_title'.tr()),
+          IconButton(tooltip: 'Continue', onPressed: () {}, icon: const Icon(Icons.check)),
+          Text('Sign in'),
+          Text('https://example.com'),
+          Text('•'),
+        ],
+      ),
+    );
+  }
+}
+`;
+
+const PROJECT = {
+  'pubspec.yaml': 'name: shop\n',
+  'lib/screens/login.dart': LOGIN_PAGE,
+  'lib/l10n/app_en.arb': '{\n  "@@locale": "en",\n  "email": "Email"\n}\n',
+  'lib/models/user.g.dart': "const label = Text('Generated');\n",
+};
+
+describe('hardcoded string extraction', () => {
+  let projectDir;
+
+  beforeAll(() => {
+    projectDir = mkdtempSync(join(tmpdir(), 'flutter-mcp-l10n-'));
+    writeFiles(projectDir, PROJECT);
+  });
+
+  afterAll(() => {
+    rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  it('finds the strings in user-facing slots', () => {
+    const skipped = {};
+    const { strings, edits } = findUserFacingStrings(LOGIN_PAGE, 'lib/screens/login.dart', skipped);
+
+    expect(strings.map(entry => [entry.slot, entry.message, entry.line])).toEqual([
+      ['Text', 'Sign in', 10],
+      ['hintText', 'Please enter your email', 14],
+      ['labelText', 'Email', 14],
+      ['Text', 'Welcome back, {userName}! You have {count} messages', 16],
+      ['tooltip', 'Continue', 19],
+      ['Text', 'Sign in', 20],
+    ]);
+    expect(strings[3].placeholders).toEqual([
+      { name: 'userName', expression: 'user.name' },
+      { name: 'count', expression: 'count' },
+    ]);
+    expect(skipped).toEqual({ key: 1, translated: 1, url: 1, no_text: 1 });
+    // const Text('Sign in') and const InputDecoration(...)
+    expect(edits).toHaveLength(2);
+  });
+
+  it('proposes ARB keys and reuses the template ones', async () => {
+    const result = await extractUserFacingStrings(projectDir);
+
+    expect(result.template).toBe('lib/l10n/app_en.arb');
+    expect(result.foundStrings.map(entry => entry.key)).toEqual([
+      'signIn',
+      'pleaseEnterYourEmail',
+      'email',
+      'welcomeBackYouHaveMessages',
+      'continueText',
+      'signIn',
+    ]);
+    expect(result.foundStrings[3]).toMatchObject({
+      location: 'lib/screens/login.dart:16',
+      placeholders: ['userName', 'count'],
+      replacement: 'AppLocalizations.of(context)!.welcomeBackYouHaveMessages(user.name, count)',
+    });
+    expect(result.arbEntries['@welcomeBackYouHaveMessages']).toEqual({
+      description: 'Text in lib/screens/login.dart',
+      placeholders: { userName: {}, count: {} },
+    });
+    expect(result.arbEntries.email).toBeUndefined();
+    expect(result.statistics).toMatchObject({ filesScanned: 1, filesWithStrings: 1, strings: 6, newKeys: 4 });
+  });
+
+  it('produces a patch that git applies', async () => {
+    const { patch } = await extractUserFacingStrings(projectDir);
+    expect(patch).toContain("@@ -1,4 +1,5 @@\n import 'package:flutter/material.dart';\n+import 'package:flutter_gen/gen_l10n/app_localizations.dart';\n");
+    const copy = mkdtempSync(join(tmpdir(), 'flutter-mcp-l10n-patch-'));
+    try {
+      writeFiles(copy, PROJECT);
+      execFileSync('git', ['apply', '-'], { cwd: copy, input: patch });
+
+      const page = readFileSync(join(copy, 'lib/screens/login.dart'), 'utf8');
+      expect(page).toContain("import 'package:flutter/material.dart';\nimport 'package:flutter_gen/gen_l10n/app_localizations.dart';\n");
+      expect(page).toContain('appBar: AppBar(title: Text(AppLocalizations.of(context)!.signIn)),');
+      expect(page).toContain('decoration: InputDecoration(hintText: AppLocalizations.of(context)!.pleaseEnterYourEmail, labelText: AppLocalizations.of(context)!.email)');
+      expect(page).toContain("Text('home.title'),");
+      expect(page).toContain('icon: const Icon(Icons.check)');
+
+      const arb = JSON.parse(readFileSync(join(copy, 'lib/l10n/app_en.arb'), 'utf8'));
+      expect(Object.keys(arb)).toEqual([
+        '@@locale', 'email',
+        'signIn', '@signIn',
+        'pleaseEnterYourEmail', '@pleaseEnterYourEmail',
+        'welcomeBackYouHaveMessages', '@welcomeBackYouHaveMessages',
+        'continueText', '@continueText',
+      ]);
+    } finally {
+      rmSync(copy, { recursive: true, force: true });
+    }
+  });
+
+  it('follows l10n.yaml and creates a missing template', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'flutter-mcp-l10n-yaml-'));
+    try {
+      writeFiles(dir, {
+        'pubspec.yaml': 'name: shop\n',
+        'l10n.yaml': 'arb-dir: lib/i18n\ntemplate-arb-file: strings_de.arb\nsynthetic-package: false\noutput-class: S\nnullable-getter: false\n',
+        'lib/main.dart': "Widget greeting(BuildContext ctx) => Text('Hallo');\n\nWidget helper() => Text('Kein Kontext');\n",
+      });
+      const result = await extractUserFacingStrings(dir);
+
+      expect(result.foundStrings.map(entry => entry.replacement)).toEqual(['S.of(ctx).hallo']);
+      expect(result.manualMigration).toEqual([expect.objectContaining({ text: 'Kein Kontext', location: 'lib/main.dart:3', slot: 'Text' })]);
+      expect(result.statistics.skipped).toEqual({ no_context: 1 });
+      expect(result.patch).toContain("+import 'package:shop/i18n/app_localizations.dart';");
+      expect(result.patch).toContain('new file mode 100644\n--- /dev/null\n+++ b/lib/i18n/strings_de.arb');
+      expect(result.patch).toContain('+  "@@locale": "de",');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('returns the extraction from generate_l10n', async () => {
+    const result = await generateL10nSetup({ projectPath: projectDir, supportedLocales: ['en', 'es'] });
+    const { setup, documentation } = JSON.parse(result.content[0].text);
+
+    expect(setup.extractedStrings.statistics.strings).toBe(6);
+    expect(documentation).toContain('- Spanish (es)');
+
+    const withoutProject = JSON.parse((await generateL10nSetup({})).content[0].text);
+    expect(withoutProject.setup.extractedStrings).toMatchObject({ available: false });
+  });
+});
+
+describe('pseudo-localization', () => {
+  const visibleText = message => message.replace(/\{\w+\}|[\u200f\u202e\u202c]/g, '');
+
+  it('accents, expands and brackets the text', () => {
+    const message = 'Please enter your email address';
+    const pseudo = pseudoLocalizeMessage(message);
+
+    expect(pseudo).toMatch(/^\[Þļéåšé éñţéŕ ýöûŕ éṁåîļ åđđŕéšš one two/);
+    expect(pseudo.endsWith(']')).toBe(true);
+    const growth = (pseudo.length - 2) / message.length - 1;
+    expect(growth).toBeGreaterThanOrEqual(0.3);
+    expect(growth).toBeLessThanOrEqual(0.4);
+    expect(visibleText(pseudoLocalizeMessage('Save')).length - 2).toBeLessThanOrEqual(Math.ceil(4 * 1.4));
+  });
+
+  it('keeps ICU syntax and placeholders intact', () => {
+    const message = '{count, plural, =0{No items} =1{1 item} other{{count} items from {shop}}}';
+    const pseudo = pseudoLocalizeMessage(message);
+
+    expect(pseudo).toBe('[{count, plural, =0{Ñö îţéṁš one} =1{1 îţéṁ on} other{{count} îţéṁš ƒŕöṁ {shop} one }}]');
+    expect([...messageArguments(parseIcuMessage(pseudo)).keys()]).toEqual(['count', 'shop']);
+    expect(pseudoLocalizeMessage("Don''t '{panic}'", { escaping: true })).toBe("[Đöñ''ţ '{'þåñîç'}' one t]");
+  });
+
+  it('mirrors the text for RTL and adds the plural cases Arabic needs', () => {
+    const pseudo = pseudoLocalizeMessage('{n, plural, =1{One day} other{{n} days}}', { rtl: true, locale: 'ar_XB' });
+    const [plural] = parseIcuMessage(pseudo).filter(node => node.type === 'plural');
+
+    expect(plural.options.map(option => option.selector)).toEqual(['=1', 'zero', 'two', 'few', 'many', 'other']);
+    expect(plural.options[0].message).toEqual([{ type: 'text', value: '\u200f\u202eÖñé đåý on\u202c\u200f' }]);
+    expect(plural.options[5].message[0]).toEqual({ type: 'argument', name: 'n', start: expect.any(Number), end: expect.any(Number) });
+  });
+
+  it('generates pseudo-locale ARB files from the project template', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'flutter-mcp-l10n-pseudo-'));
+    try {
+      writeFiles(dir, {
+        'pubspec.yaml': 'name: shop\n',
+        'lib/l10n/app_en.arb': JSON.stringify({
+          '@@locale': 'en',
+          cartItems: '{count, plural, =0{Your cart is empty} =1{One item} other{{count} items}}',
+          '@cartItems': { placeholders: { count: { type: 'int' } } },
+          greeting: 'Hello {name}',
+          '@greeting': { placeholders: { name: { type: 'String' } } },
+        }, null, 2),
+      });
+      const result = await generateL10nSetup({
+        projectPath: dir,
+        supportedLocales: ['en', 'de'],
+        extractExisting: false,
+        pseudoLocales: ['en_XA', 'ar_XB'],
+      });
+      const { setup, documentation } = JSON.parse(result.content[0].text);
+
+      expect(setup.pseudoLocalization.locales).toEqual([
+        { locale: 'en_XA', file: 'lib/l10n/app_en_XA.arb', rtl: false, messages: 2, skipped: [] },
+        { locale: 'ar_XB', file: 'lib/l10n/app_ar_XB.arb', rtl: true, messages: 2, skipped: [] },
+      ]);
+      expect(JSON.parse(setup.arbFiles['app_en_XA.arb']).greeting).toBe('[Ĥéļļö {name} on]');
+      expect(setup.implementation.localeService).toContain("    Locale('de'),\n    // Pseudo-locales for layout testing\n    if (kDebugMode) Locale('en', 'XA'),\n    if (kDebugMode) Locale('ar', 'XB'),\n");
+      expect(setup.implementation.mainApp).toContain('supportedLocales: LocaleService().supportedLocales,');
+      expect(setup.implementation.localeProvider).toContain("    case 'ar_XB':\n      return Locale('ar', 'XB');");
+      expect(documentation).toContain('- ar_XB: lib/l10n/app_ar_XB.arb (right to left)');
+
+      execFileSync('git', ['apply', '-'], { cwd: dir, input: setup.pseudoLocalization.patch });
+      const validation = JSON.parse((await validateL10n({ projectPath: dir })).content[0].text);
+      expect(validation.locales.map(entry => [entry.locale, entry.coverage])).toEqual([['ar_XB', 100], ['en_XA', 100]]);
+      expect(validation.issues.filter(issue => issue.type !== 'unused_key')).toEqual([]);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,173 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { parseIcuMessage, IcuSyntaxError, pluralCategories } from '../../src/utils/icuMessage.js';
+import { validateL10n } from '../../src/tools/l10nValidator.js';
+import { generateL10nSetup } from '../../src/tools/l10nGenerator.js';
+import { writeFiles, useTemporaryCache } from './helpers.js';
+
+useTemporaryCache('flutter-mcp-l10n-cache-');
+
+const arb = entries => JSON.stringify(entries, null, 2);
+
+const PROJECT = {
+  'pubspec.yaml': 'name: shop\n',
+  'lib/l10n/app_en.arb': arb({
+    '@@locale': 'en',
+    title: 'Shop',
+    cartItems: '{count, plural, =0{Your cart is empty} =1{One item} other{{count} items}}',
+    '@cartItems': { placeholders: { count: { type: 'int' } } },
+    greeting: 'Hello {name}',
+    '@greeting': { placeholders: { name: { type: 'String' }, unused: {} } },
+    pronoun: '{gender, select, male{he} female{she} other{they}}',
+    '@pronoun': { placeholders: { gender: { type: 'int' } } },
+    farewell: 'Bye {name}',
+    legacy: 'Old',
+  }),
+  'lib/l10n/app_ru.arb': arb({
+    title: 'Магазин',
+    cartItems: '{count, plural, =0{Корзина пуста} one{{count} товар} other{{count} товаров}}',
+    greeting: 'Привет {userName}',
+    pronoun: '{gender, select, male{он} female{она}',
+    farewell: 'Пока',
+    '@farewell': { placeholders: { name: { type: 'int' } } },
+    legacy: 'Старое',
+    extra: 'Лишнее',
+  }),
+  'lib/l10n/app_de.arb': '{ "title": "Laden", }',
+  'lib/main.dart': [
+    "import 'package:flutter_gen/gen_l10n/app_localizations.dart';",
+    '',
+    'Widget build(BuildContext context) {',
+    '  final l10n = AppLocalizations.of(context)!;',
+    "  return Column(children: [Text(l10n.title), Text('${l10n.cartItems(3)}'), Text(l10n.greeting('Ann'))]);",
+    '}',
+    'String pronounOf(AppLocalizations? l10n) => l10n?.pronoun("other") ?? "";',
+    'String farewell(AppLocalizations l10n) => l10n.farewell("Ann");',
+  ].join('\n'),
+};
+
+async function validate(projectPath) {
+  const result = await validateL10n({ projectPath });
+  return JSON.parse(result.content[0].text);
+}
+
+describe('ICU messages', () => {
+  it('parses plurals, selects and placeholders', () => {
+    const nodes = parseIcuMessage('{count, plural, offset:1 =0{None} other{# from {name}}}');
+
+    expect(nodes).toMatchObject([{
+      type: 'plural',
+      name: 'count',
+      offset: 1,
+      options: [
+        { selector: '=0', message: [{ type: 'text', value: 'None' }] },
+        { selector: 'other', message: [{ type: 'pound' }, { type: 'text', value: ' from ' }, { type: 'argument', name: 'name' }] },
+      ],
+    }]);
+    expect(parseIcuMessage("It''s '{literal}'", { escaping: true })).toEqual([{ type: 'text', value: "It's {literal}" }]);
+  });
+
+  it('rejects broken syntax', () => {
+    expect(() => parseIcuMessage('{count, plural, one{x}')).toThrow(IcuSyntaxError);
+    expect(() => parseIcuMessage('{count, plural, one{x} one{y}}')).toThrow('Duplicate plural case one');
+    expect(() => parseIcuMessage('Total}')).toThrow('Unexpected }');
+  });
+
+  it('knows the plural categories of a locale', () => {
+    expect(pluralCategories('en_US')).toEqual(['one', 'other']);
+    expect(pluralCategories('ru')).toEqual(['one', 'few', 'many', 'other']);
+    expect(pluralCategories('ja')).toEqual(['other']);
+    expect(pluralCategories('mt')).toEqual(['one', 'two', 'few', 'many', 'other']);
+    expect(pluralCategories('he')).toEqual(['one', 'two', 'other']);
+    expect(pluralCategories('es')).toEqual(['one', 'other']);
+    expect(pluralCategories('tlh')).toBeNull();
+  });
+});
+
+describe('validate_l10n', () => {
+  let projectDir;
+
+  beforeAll(() => {
+    projectDir = mkdtempSync(join(tmpdir(), 'flutter-mcp-l10n-validate-'));
+    writeFiles(projectDir, PROJECT);
+  });
+
+  afterAll(() => {
+    rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  it('reports the issues of every ARB file', async () => {
+    const result = await validate(projectDir);
+    const found = result.issues.map(entry => [entry.type, entry.file.slice('lib/l10n/'.length), entry.key, entry.line]);
+
+    expect(found).toEqual([
+      ['unused_placeholder', 'app_en.arb', 'greeting', 12],
+      ['placeholder_type', 'app_en.arb', 'pronoun', 21],
+      ['undeclared_placeholder', 'app_en.arb', 'farewell', 29],
+      ['invalid_arb', 'app_de.arb', undefined, undefined],
+      ['plural_categories', 'app_ru.arb', 'cartItems', 3],
+      ['placeholder_mismatch', 'app_ru.arb', 'greeting', 4],
+      ['placeholder_missing', 'app_ru.arb', 'greeting', 4],
+      ['icu_syntax', 'app_ru.arb', 'pronoun', 5],
+      ['placeholder_missing', 'app_ru.arb', 'farewell', 6],
+      ['unknown_key', 'app_ru.arb', 'extra', 15],
+      ['unused_key', 'app_en.arb', 'legacy', 30],
+    ]);
+    expect(result.issues.find(entry => entry.type === 'plural_categories').message)
+      .toBe('The plural on count in cartItems has no few, many case for ru');
+    expect(result.issues.filter(entry => entry.type === 'missing_translation')).toEqual([]);
+    expect(result.unusedKeys).toEqual(['legacy']);
+    expect(result.locales).toEqual([
+      { locale: 'ru', file: 'lib/l10n/app_ru.arb', translated: 6, missing: 0, coverage: 100 },
+    ]);
+    expect(result.summary).toMatchObject({ template: 'lib/l10n/app_en.arb', locales: ['en', 'ru'], keys: 6, status: 'FAILING' });
+  });
+
+  it('counts the keys a locale is missing', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'flutter-mcp-l10n-missing-'));
+    try {
+      writeFiles(dir, {
+        'l10n.yaml': 'arb-dir: res\ntemplate-arb-file: intl_en.arb\n',
+        'res/intl_en.arb': arb({ a: 'A', b: 'B', c: 'C', d: '{n, plural, one{1} other{#}}' }),
+        'res/intl_pt_BR.arb': arb({ a: 'A', d: '{n, plural, one{1} other{#}}' }),
+      });
+      const result = await validate(dir);
+
+      expect(result.locales).toEqual([
+        { locale: 'pt_BR', file: 'res/intl_pt_BR.arb', translated: 2, missing: 2, coverage: 50 },
+      ]);
+      expect(result.issues.map(entry => [entry.type, entry.key, entry.severity])).toEqual([
+        ['undeclared_placeholder', 'd', 'low'],
+        ['missing_translation', 'b', 'medium'],
+        ['missing_translation', 'c', 'medium'],
+      ]);
+      expect(result.unusedKeys).toMatchObject({ available: false });
+      expect(result.summary.status).toBe('PASSING');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('accepts the ARB files generate_l10n writes', async () => {
+    const generated = await generateL10nSetup({ supportedLocales: ['en', 'es', 'fr', 'de'], useGenderRules: true });
+    const { setup } = JSON.parse(generated.content[0].text);
+    const dir = mkdtempSync(join(tmpdir(), 'flutter-mcp-l10n-generated-'));
+    try {
+      writeFiles(dir, Object.fromEntries(Object.entries(setup.arbFiles).map(([name, content]) => [`lib/l10n/${name}`, content])));
+      const result = await validate(dir);
+
+      // There is no Dart code to use the keys
+      expect(result.issues.filter(entry => entry.type !== 'unused_key')).toEqual([]);
+      expect(result.locales.map(entry => entry.coverage)).toEqual([100, 100, 100]);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('reports a missing template', async () => {
+    const result = await validateL10n({ projectPath: join(tmpdir(), 'flutter-mcp-no-such-project') });
+    expect(result.content[0].text).toBe('Error validating localizations: Template ARB file lib/l10n/app_en.arb not found');
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach, jest } from '@jest/globals';
+import { getCacheManager } from '../../src/cache/cacheManager.js';
+import { DocsSnapshot } from '../../src/services/docsSnapshot.js';
+import { createTemporaryCache, useTemporaryCache } from './helpers.js';
+
+function expireAll(cache, agoMs = 1000) {
+  cache.db.prepare('UPDATE cache SET expires_at = ?').run(Date.now() - agoMs);
+  cache.memoryCache.flushAll();
+}
+
+describe('stale cache entries', () => {
+  let cache;
+  let dispose;
+
+  beforeEach(() => {
+    ({ cache, dispose } = createTemporaryCache({}, 'flutter-mcp-offline-'));
+  });
+
+  afterEach(() => dispose());
+
+  it('returns expired entries only when asked to', async () => {
+    await cache.set('pubPackage', { packageName: 'dio' }, { name: 'dio' });
+    expireAll(cache);
+
+    expect(await cache.get('pubPackage', { packageName: 'dio' })).toBeNull();
+    const entry = await cache.getEntry('pubPackage', { packageName: 'dio' }, { allowStale: true });
+    expect(entry).toMatchObject({ value: { name: 'dio' }, stale: true });
+    expect(Date.parse(entry.cachedAt)).not.toBeNaN();
+  });
+
+  it('serves stale entries offline and when the fetch fails', async () => {
+    await cache.set('pubPackage', { query: 'http' }, [{ name: 'http' }]);
+    expireAll(cache);
+    const fetch = jest.fn().mockRejectedValue(new Error('getaddrinfo ENOTFOUND pub.dev'));
+
+    const offline = await cache.getOrFetch('pubPackage', { query: 'http' }, fetch, { offline: true });
+    expect(fetch).not.toHaveBeenCalled();
+    expect(offline).toEqual([{ name: 'http', stale: true, cachedAt: expect.any(String) }]);
+
+    const failed = await cache.getOrFetch('pubPackage', { query: 'http' }, fetch);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(failed[0].stale).toBe(true);
+  });
+
+  it('fetches and caches missing entries, and reports misses offline', async () => {
+    const fetch = jest.fn().mockResolvedValue({ name: 'provider' });
+
+    expect(await cache.getOrFetch('pubPackage', { packageName: 'provider' }, fetch, { offline: true })).toBeNull();
+    expect(await cache.getOrFetch('pubPackage', { packageName: 'provider' }, fetch)).toEqual({ name: 'provider' });
+    expect(await cache.getOrFetch('pubPackage', { packageName: 'provider' }, fetch)).toEqual({ name: 'provider' });
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    await expect(cache.getOrFetch('pubPackage', { packageName: 'bloc' }, () => Promise.reject(new Error('503'))))
+      .rejects.toThrow('503');
+  });
+
+  it('keeps expired entries for staleTTL before cleaning them up', async () => {
+    await cache.set('flutterDocs', { className: 'Row' }, { className: 'Row' });
+    await cache.set('flutterDocs', { className: 'Column' }, { className: 'Column' });
+    cache.db.prepare('UPDATE cache SET expires_at = ?').run(Date.now() - 1000);
+    cache.db.prepare("UPDATE cache SET expires_at = ? WHERE value LIKE '%Column%'")
+      .run(Date.now() - (cache.staleTTL + 60) * 1000);
+
+    cache.cleanup();
+
+    expect(cache.db.prepare('SELECT COUNT(*) AS count FROM cache').get().count).toBe(1);
+    expect(await cache.getEntry('flutterDocs', { className: 'Row' }, { allowStale: true })).not.toBeNull();
+  });
+});
+
+describe('bundled docs snapshot', () => {
+  const snapshot = DocsSnapshot.load();
+
+  it('is versioned and covers the core widgets', () => {
+    expect(snapshot.version).toBeGreaterThanOrEqual(1);
+    expect(snapshot.flutterVersion).toMatch(/^\d+\.\d+/);
+    expect(snapshot.listClasses()).toEqual(expect.arrayContaining([
+      { className: 'Container', library: 'widgets' },
+      { className: 'Scaffold', library: 'material' },
+    ]));
+  });
+
+  it('marks snapshot documentation as stale', () => {
+    const documentation = snapshot.getClass('Scaffold', 'widgets');
+
+    expect(documentation).toMatchObject({
+      className: 'Scaffold',
+      library: 'material',
+      stale: true,
+      source: 'snapshot',
+      snapshot: { version: snapshot.version, flutterVersion: snapshot.flutterVersion },
+    });
+    expect(documentation.constructors[0].signature).toContain('Scaffold(');
+    expect(snapshot.getClass('NoSuchWidget')).toBeNull();
+  });
+});
+
+describe('FlutterDocsService offline', () => {
+  let service;
+
+  // The service uses the shared cache
+  useTemporaryCache('flutter-mcp-offline-service-');
+
+  beforeAll(async () => {
+    const { FlutterDocsService } = await import('../../src/services/flutterDocsService.js');
+    service = new FlutterDocsService({ offline: true });
+  });
+
+  it('answers from the cache, then the snapshot, without network access', async () => {
+    await getCacheManager().set('flutterDocs', { className: 'Row', library: 'widgets' }, { className: 'Row', description: 'cached' });
+    expireAll(getCacheManager());
+
+    expect(await service.fetchFlutterClass('Row')).toMatchObject({ description: 'cached', stale: true });
+    expect(await service.fetchFlutterClass('TextField')).toMatchObject({ className: 'TextField', source: 'snapshot' });
+    expect(await service.fetchFlutterClass('NoSuchWidget')).toBeNull();
+    expect(await service.fetchPackageInfo('dio')).toBeNull();
+  });
+});
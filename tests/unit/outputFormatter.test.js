@@ -0,0 +1,146 @@
+import { describe, it, expect } from '@jest/globals';
+import { ToolRegistry, splitSharedArguments } from '../../src/registry/toolRegistry.js';
+import { formatToolResult } from '../../src/formatters/outputFormatter.js';
+import { renderMarkdown } from '../../src/formatters/markdown.js';
+import { buildSarifLog } from '../../src/formatters/sarif.js';
+
+const widgetCode = `
+class Avatar extends StatelessWidget {
+  @override
+  Widget build(BuildContext context) {
+    return Column(children: [
+      Image.network(url),
+      IconButton(icon: Icon(Icons.edit), onPressed: edit),
+    ]);
+  }
+}
+`;
+
+const jsonResult = data => ({ content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] });
+
+describe('output formats', () => {
+  it('offers sarif only for tools that report findings', async () => {
+    const registry = await new ToolRegistry().load();
+    const issueTools = registry.list()
+      .filter(tool => tool.inputSchema.properties.format.enum.includes('sarif'))
+      .map(tool => tool.name);
+
+    expect(issueTools.sort()).toEqual([
+      'analyze_architecture',
+      'analyze_performance',
+      'analyze_widget',
+      'audit_dependencies',
+      'diagnose_render_issues',
+      'validate_flutter_docs',
+      'validate_l10n',
+    ]);
+    expect(registry.get('flutter_search').inputSchema.properties.sourcePath).toBeUndefined();
+    expect(splitSharedArguments(registry.get('analyze_widget'), { widgetCode: 'x', format: 'sarif', sourcePath: 'lib/a.dart' }))
+      .toEqual({ toolArgs: { widgetCode: 'x' }, shared: { format: 'sarif', sourcePath: 'lib/a.dart' } });
+  });
+
+  it('renders analyze_widget issues as SARIF with rule ids and lines', async () => {
+    const registry = await new ToolRegistry().load();
+    const tool = registry.get('analyze_widget');
+    const result = await tool.handler({ widgetCode, checkAccessibility: true, checkPerformance: true });
+
+    const log = JSON.parse(formatToolResult(tool, result, { format: 'sarif', sourcePath: 'lib/avatar.dart' }).content[0].text);
+    const [run] = log.runs;
+
+    expect(log.version).toBe('2.1.0');
+    expect(run.tool.driver.rules.map(rule => rule.id)).toEqual(['image_semantic_label', 'icon_button_tooltip']);
+    expect(run.results.map(({ ruleId, level, locations }) => [ruleId, level, locations[0].physicalLocation])).toEqual([
+      ['image_semantic_label', 'warning', { artifactLocation: { uri: 'lib/avatar.dart' }, region: { startLine: 6 } }],
+      ['icon_button_tooltip', 'warning', { artifactLocation: { uri: 'lib/avatar.dart' }, region: { startLine: 7 } }],
+    ]);
+  });
+
+  it('leaves error results and json output untouched', () => {
+    const tool = { name: 'analyze_widget', version: '1.0.0', findings: data => data.issues };
+    const error = { content: [{ type: 'text', text: 'Error analyzing widget: boom' }] };
+
+    expect(formatToolResult(tool, error, { format: 'markdown' })).toBe(error);
+    expect(formatToolResult(tool, jsonResult({ issues: [] }), {})).toEqual(jsonResult({ issues: [] }));
+    expect(() => formatToolResult({ name: 'flutter_status' }, jsonResult({}), { format: 'sarif' }))
+      .toThrow('does not support SARIF');
+  });
+});
+
+describe('renderMarkdown', () => {
+  it('renders scalars as bullets, records as tables and code as fenced blocks', () => {
+    const markdown = renderMarkdown({
+      score: 85,
+      issues: [
+        { type: 'performance', message: 'Use a | b', line: 4 },
+        { type: 'memory', message: 'Close it', lines: [7, 9] },
+      ],
+      summary: { totalIssues: 2, tags: ['a', 'b'] },
+      debugCode: 'void main() {\n  runApp(App());\n}',
+      empty: [],
+    }, { title: 'analyze_widget' });
+
+    expect(markdown).toBe(`# analyze_widget
+
+- **Score**: 85
+
+## Issues
+
+| Type | Message | Line | Lines |
+| --- | --- | --- | --- |
+| performance | Use a \\| b | 4 |  |
+| memory | Close it |  | 7, 9 |
+
+## Summary
+
+- **Total issues**: 2
+- **Tags**: a, b
+
+## Debug code
+
+\`\`\`
+void main() {
+  runApp(App());
+}
+\`\`\`
+`);
+  });
+});
+
+describe('buildSarifLog', () => {
+  it('maps severities to SARIF levels and keeps file locations', () => {
+    const log = buildSarifLog({ name: 'analyze_architecture', version: '1.0.0' }, [
+      { type: 'inappropriate_dependency', severity: 'critical', file: 'lib/domain/user.dart', message: 'Layer boundary violation', fix: 'Remove the import' },
+      { type: 'god_class', severity: 'medium', message: 'Too many responsibilities' },
+      { type: 'redundant_center', severity: 'low', location: 12, message: 'Nested Center' },
+      { type: 'god_class', severity: 'medium', message: 'Widgets has 30 methods' },
+      { type: 'custom_check', message: 'Plugin finding' },
+    ]);
+
+    expect(log.runs[0].tool.driver.rules.map(({ id, shortDescription }) => [id, shortDescription.text])).toEqual([
+      ['inappropriate_dependency', 'An import that crosses a layer boundary'],
+      ['god_class', 'A class with too many responsibilities'],
+      ['redundant_center', 'Nested Center widgets'],
+      ['custom_check', 'Custom check'],
+    ]);
+
+    expect(log.runs[0].results).toEqual([
+      {
+        ruleId: 'inappropriate_dependency',
+        ruleIndex: 0,
+        level: 'error',
+        message: { text: 'Layer boundary violation. Remove the import' },
+        locations: [{ physicalLocation: { artifactLocation: { uri: 'lib/domain/user.dart' } } }],
+      },
+      { ruleId: 'god_class', ruleIndex: 1, level: 'warning', message: { text: 'Too many responsibilities' } },
+      {
+        ruleId: 'redundant_center',
+        ruleIndex: 2,
+        level: 'note',
+        message: { text: 'Nested Center' },
+        locations: [{ physicalLocation: { region: { startLine: 12 } } }],
+      },
+      { ruleId: 'god_class', ruleIndex: 1, level: 'warning', message: { text: 'Widgets has 30 methods' } },
+      { ruleId: 'custom_check', ruleIndex: 3, level: 'warning', message: { text: 'Plugin finding' } },
+    ]);
+  });
+});
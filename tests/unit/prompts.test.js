@@ -0,0 +1,46 @@
+import { describe, it, expect } from '@jest/globals';
+import { promptTemplates, getPrompt } from '../../src/prompts/prompts.js';
+import { ToolRegistry } from '../../src/registry/toolRegistry.js';
+
+describe('prompt templates', () => {
+  it('only refer to registered tools', async () => {
+    const registry = await new ToolRegistry().load();
+
+    promptTemplates.forEach(template => {
+      template.tools.forEach(tool => expect(registry.has(tool)).toBe(true));
+    });
+  });
+
+  it('pass valid arguments to the tools they reference', async () => {
+    const registry = await new ToolRegistry().load();
+    const { messages } = getPrompt('plan_feature', { projectName: 'shop', features: 'cart, checkout', stateManagement: 'bloc' });
+    const text = messages[0].content.text;
+    const args = JSON.parse(text.match(/`generate_clean_architecture` with `(.+?)`/)[1]);
+
+    expect(args).toEqual({
+      projectName: 'shop',
+      features: ['cart', 'checkout'],
+      stateManagement: 'bloc',
+      includeTests: true,
+      includeDI: true,
+    });
+    expect(Object.keys(args).every(key => key in registry.get('generate_clean_architecture').inputSchema.properties))
+      .toBe(true);
+  });
+
+  it('embeds the code and pre-wires the review tools', () => {
+    const { messages } = getPrompt('review_widget', { widgetCode: 'Image.network(url)', focus: 'accessibility' });
+    const text = messages[0].content.text;
+
+    expect(messages[0].role).toBe('user');
+    expect(text).toContain('"checkAccessibility":true,"checkPerformance":false');
+    expect(text).toContain('`suggest_improvements`');
+    expect(text).toContain('```dart\nImage.network(url)\n```');
+  });
+
+  it('rejects missing and invalid arguments', () => {
+    expect(() => getPrompt('review_widget', {})).toThrow('Missing required argument: widgetCode');
+    expect(() => getPrompt('review_widget', { widgetCode: 'Text("a")', focus: 'speed' })).toThrow('focus');
+    expect(() => getPrompt('unknown_prompt')).toThrow('Unknown prompt');
+  });
+});
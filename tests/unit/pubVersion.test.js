@@ -0,0 +1,136 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  VersionFormatError,
+  parseVersion,
+  compareVersions,
+  nextBreaking,
+  formatVersion,
+  parseConstraint,
+  allows,
+  intersect,
+  union,
+  isEmpty,
+  isAny,
+  minimumVersion,
+  formatConstraint,
+  dependencyConstraint,
+  dartSdkConstraint,
+} from '../../src/utils/pubVersion.js';
+
+const sorted = versions => [...versions].sort(compareVersions);
+
+describe('pub versions', () => {
+  it('parses pre-release and build identifiers', () => {
+    expect(parseVersion('1.2.3-dev.10+build.7')).toEqual({
+      major: 1,
+      minor: 2,
+      patch: 3,
+      preRelease: ['dev', 10],
+      build: ['build', 7],
+    });
+    expect(formatVersion('1.2.3-dev.10+build.7')).toBe('1.2.3-dev.10+build.7');
+    expect(() => parseVersion('1.2')).toThrow(VersionFormatError);
+    expect(() => parseVersion('1.2.3.4')).toThrow('Could not parse version "1.2.3.4"');
+  });
+
+  it('orders versions as pub does', () => {
+    expect(sorted(['1.0.0+1', '1.0.0', '1.0.0-beta.11', '1.0.0-beta.2', '1.0.0-beta', '1.0.0-alpha', '0.9.9', '1.0.0-rc.1']))
+      .toEqual(['0.9.9', '1.0.0-alpha', '1.0.0-beta', '1.0.0-beta.2', '1.0.0-beta.11', '1.0.0-rc.1', '1.0.0', '1.0.0+1']);
+    expect(compareVersions('1.0.0-1', '1.0.0-alpha')).toBeLessThan(0);
+    expect(compareVersions('2.10.0', '2.9.0')).toBeGreaterThan(0);
+  });
+
+  it('finds the next breaking version, minor below 1.0.0', () => {
+    expect(formatVersion(nextBreaking('1.2.3'))).toBe('2.0.0');
+    expect(formatVersion(nextBreaking('0.2.3'))).toBe('0.3.0');
+    expect(formatVersion(nextBreaking('0.0.3'))).toBe('0.1.0');
+  });
+});
+
+describe('pub version constraints', () => {
+  it('gives carets pub semantics before 1.0.0', () => {
+    expect(allows('^1.2.3', '1.9.0')).toBe(true);
+    expect(allows('^1.2.3', '2.0.0')).toBe(false);
+    expect(allows('^0.2.3', '0.2.9')).toBe(true);
+    expect(allows('^0.2.3', '0.3.0')).toBe(false);
+    expect(allows('^0.0.3', '0.0.9')).toBe(true);
+    expect(allows('^0.0.3', '0.1.0')).toBe(false);
+  });
+
+  it('reads ranges, exact versions and any', () => {
+    expect(allows('>=2.0.0 <4.0.0', '3.9.9')).toBe(true);
+    expect(allows('>=2.0.0 <4.0.0', '4.0.0')).toBe(false);
+    expect(allows('>=2.0.0<4.0.0', '2.0.0')).toBe(true);
+    expect(allows('> 1.0.0 <= 2.0.0', '2.0.0')).toBe(true);
+    expect(allows('>1.0.0', '1.0.0')).toBe(false);
+    expect(allows('1.2.3', '1.2.3')).toBe(true);
+    expect(allows('1.2.3', '1.2.4')).toBe(false);
+    expect(allows('any', '0.0.1-dev')).toBe(true);
+    expect(allows(undefined, '5.0.0')).toBe(true);
+    expect(isAny(parseConstraint('any'))).toBe(true);
+  });
+
+  it('leaves the pre-releases of an exclusive upper bound out', () => {
+    expect(allows('<2.0.0', '2.0.0-dev.1')).toBe(false);
+    expect(allows('^1.0.0', '2.0.0-dev.1')).toBe(false);
+    expect(allows('^1.0.0', '1.5.0-dev.1')).toBe(true);
+    expect(allows('>=2.0.0-dev.1 <2.0.0', '2.0.0-dev.5')).toBe(true);
+    expect(allows('<=2.0.0', '2.0.0-dev.1')).toBe(true);
+    expect(allows('>=3.4.0 <4.0.0', '3.5.0-180.3.beta')).toBe(true);
+    expect(allows('^1.0.0', '1.0.0+hotfix.1')).toBe(true);
+  });
+
+  it('rejects what pub rejects', () => {
+    expect(() => parseConstraint('~1.0')).toThrow('Could not parse version constraint "~1.0"');
+    expect(() => parseConstraint('^1.0')).toThrow(VersionFormatError);
+    expect(() => parseConstraint('>=1.0.0 >=1.2.0')).toThrow('has more than one lower bound');
+    expect(() => parseConstraint('1.0.0 <2.0.0')).toThrow(VersionFormatError);
+    expect(() => parseConstraint('>=1.0.0 || <0.5.0')).toThrow(VersionFormatError);
+  });
+
+  it('intersects constraints', () => {
+    expect(formatConstraint(intersect('^1.2.0', '>=1.5.0 <3.0.0'))).toBe('^1.5.0');
+    expect(formatConstraint(intersect('>=1.0.0 <=2.0.0', '>=2.0.0'))).toBe('2.0.0');
+    expect(formatConstraint(intersect('any', '^0.4.1'))).toBe('^0.4.1');
+    expect(isEmpty(intersect('^1.0.0', '^2.0.0'))).toBe(true);
+    expect(isEmpty(intersect('<2.0.0', '>=2.0.0'))).toBe(true);
+    expect(isEmpty(intersect('^0.1.0', '^0.2.0'))).toBe(true);
+    expect(formatConstraint(intersect('^1.0.0', '^2.0.0'))).toBe('<empty>');
+  });
+
+  it('unites constraints, merging the ranges that overlap or touch', () => {
+    expect(formatConstraint(union('^1.0.0', '^3.0.0'))).toBe('^1.0.0 or ^3.0.0');
+    expect(formatConstraint(union('>=1.0.0 <2.0.0', '>=1.5.0 <2.5.0'))).toBe('>=1.0.0 <2.5.0');
+    expect(formatConstraint(union('>=1.0.0 <=2.0.0', '>2.0.0 <3.0.0'))).toBe('>=1.0.0 <3.0.0');
+    expect(formatConstraint(union('<1.0.0', 'any'))).toBe('any');
+
+    const both = union('^1.0.0', '^3.0.0');
+    expect(allows(both, '3.1.0')).toBe(true);
+    expect(allows(both, '2.1.0')).toBe(false);
+    expect(formatConstraint(intersect(both, '>=1.5.0 <3.5.0'))).toBe('^1.5.0 or >=3.0.0 <3.5.0');
+  });
+
+  it('finds the lowest version a constraint allows', () => {
+    expect(minimumVersion('>=2.19.0 <4.0.0')).toBe('2.19.0');
+    expect(minimumVersion('^3.0.0')).toBe('3.0.0');
+    expect(minimumVersion('<3.0.0')).toBeNull();
+    expect(minimumVersion(undefined)).toBeNull();
+  });
+
+  it('reads null-safe <3.0.0 SDK constraints as Dart 3 does', () => {
+    expect(allows(dartSdkConstraint('>=2.12.0 <3.0.0'), '3.4.0')).toBe(true);
+    expect(formatConstraint(dartSdkConstraint('>=2.19.0 <3.0.0'))).toBe('>=2.19.0 <4.0.0');
+    expect(allows(dartSdkConstraint('>=2.11.0 <3.0.0'), '3.4.0')).toBe(false);
+    expect(allows(dartSdkConstraint('>=2.12.0 <=3.0.0'), '3.4.0')).toBe(false);
+    expect(formatConstraint(dartSdkConstraint('>=2.12.0 <2.19.0'))).toBe('>=2.12.0 <2.19.0');
+  });
+
+  it('reads the constraint of a pubspec dependency', () => {
+    expect(dependencyConstraint('^1.0.0')).toBe('^1.0.0');
+    expect(dependencyConstraint(null)).toBe('any');
+    expect(dependencyConstraint({ hosted: 'https://example.com', version: '^2.0.0' })).toBe('^2.0.0');
+    expect(dependencyConstraint({ sdk: 'flutter' })).toBeNull();
+    expect(dependencyConstraint({ git: { url: 'https://example.com/x.git' } })).toBeNull();
+    expect(dependencyConstraint({ path: '../x' })).toBeNull();
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import {
+  ResourceUpdatedNotificationSchema,
+  ResourceListChangedNotificationSchema,
+} from '@modelcontextprotocol/sdk/types.js';
+import { ResourceStore, parseResourceUri } from '../../src/resources/resourceStore.js';
+import { registerResourceHandlers, resourceCapabilities } from '../../src/resources/resourceHandlers.js';
+import { createTemporaryCache } from './helpers.js';
+
+const docsService = {
+  async fetchFlutterClass(className, library) {
+    return className === 'Scaffold' ? { className, library, description: 'Material layout' } : null;
+  },
+  async fetchPackageDocumentation(packageName) {
+    return { packageInfo: { name: packageName, version: '5.4.0' } };
+  },
+};
+
+describe('parseResourceUri', () => {
+  it('understands the three resource schemes', () => {
+    expect(parseResourceUri('flutter-doc://material/Scaffold'))
+      .toEqual({ scheme: 'flutter-doc', library: 'material', className: 'Scaffold' });
+    expect(parseResourceUri('pub://package/dio')).toEqual({ scheme: 'pub', packageName: 'dio' });
+    expect(parseResourceUri('scaffold://shop/lib/main.dart'))
+      .toEqual({ scheme: 'scaffold', project: 'shop', path: 'lib/main.dart' });
+    expect(parseResourceUri('pub://other/dio')).toBeNull();
+    expect(parseResourceUri('https://pub.dev/packages/dio')).toBeNull();
+  });
+});
+
+describe('MCP resources', () => {
+  let cache;
+  let dispose;
+  let store;
+  let client;
+  let notifications;
+
+  beforeEach(async () => {
+    ({ cache, dispose } = createTemporaryCache({}, 'flutter-mcp-resources-'));
+    store = new ResourceStore({ cache });
+
+    const server = new Server({ name: 'test', version: '1.0.0' }, { capabilities: { resources: resourceCapabilities } });
+    registerResourceHandlers(server, { store, docsService });
+
+    notifications = [];
+    client = new Client({ name: 'test-client', version: '1.0.0' });
+    client.setNotificationHandler(ResourceUpdatedNotificationSchema, n => notifications.push(['updated', n.params.uri]));
+    client.setNotificationHandler(ResourceListChangedNotificationSchema, () => notifications.push(['listChanged']));
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([client.connect(clientTransport), server.connect(serverTransport)]);
+  });
+
+  afterEach(async () => {
+    await client.close();
+    dispose();
+  });
+
+  it('lists and reads generated scaffold files', async () => {
+    store.putScaffold('shop', {
+      'lib/main.dart': 'void main() {}',
+      'lib/l10n/app_en.arb': '{"@@locale": "en"}',
+    }, 'generate_l10n');
+
+    const { resources } = await client.listResources();
+    expect(resources.map(resource => [resource.uri, resource.mimeType])).toEqual([
+      ['scaffold://shop/lib/l10n/app_en.arb', 'application/json'],
+      ['scaffold://shop/lib/main.dart', 'text/x-dart'],
+    ]);
+
+    const { contents } = await client.readResource({ uri: 'scaffold://shop/lib/main.dart' });
+    expect(contents).toEqual([{ uri: 'scaffold://shop/lib/main.dart', mimeType: 'text/x-dart', text: 'void main() {}' }]);
+  });
+
+  it('reads documentation through the docs service', async () => {
+    const { contents } = await client.readResource({ uri: 'flutter-doc://material/Scaffold' });
+    expect(JSON.parse(contents[0].text)).toMatchObject({ className: 'Scaffold', library: 'material' });
+
+    const pub = await client.readResource({ uri: 'pub://package/dio' });
+    expect(JSON.parse(pub.contents[0].text).packageInfo.version).toBe('5.4.0');
+
+    await expect(client.readResource({ uri: 'flutter-doc://material/Nope' })).rejects.toThrow('-32002');
+    await expect(client.readResource({ uri: 'scaffold://shop/missing.dart' })).rejects.toThrow('Resource not found');
+  });
+
+  it('notifies subscribers when a scaffold file changes', async () => {
+    store.putScaffold('shop', { 'lib/main.dart': 'void main() {}' });
+    await client.subscribeResource({ uri: 'scaffold://shop/lib/main.dart' });
+
+    store.putScaffold('shop', { 'lib/main.dart': 'void main() => runApp(App());', 'lib/app.dart': '' });
+    store.putScaffold('shop', { 'lib/app.dart': '' });
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    expect(notifications).toEqual([
+      ['listChanged'],
+      ['listChanged'],
+      ['updated', 'scaffold://shop/lib/main.dart'],
+    ]);
+  });
+
+  it('drops scaffold files once they expire', async () => {
+    store.putScaffold('old', { 'lib/main.dart': 'void main() {}' });
+    expect(store.get('scaffold://old/lib/main.dart')).not.toBeNull();
+
+    store.db.prepare('UPDATE resources SET expires_at = ? WHERE uri = ?').run(Date.now() - 1, 'scaffold://old/lib/main.dart');
+    expect(store.get('scaffold://old/lib/main.dart')).toBeNull();
+    expect((await client.listResources()).resources).toEqual([]);
+
+    store.putScaffold('shop', { 'lib/main.dart': 'void main() {}' });
+    expect(store.db.prepare('SELECT uri FROM resources').all()).toEqual([{ uri: 'scaffold://shop/lib/main.dart' }]);
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  validateArguments,
+  assertValidArguments,
+  extractHandlerFields,
+  findSchemaDrift,
+} from '../../src/utils/schemaValidator.js';
+import { ValidationError } from '../../src/utils/errorHandler.js';
+
+const schema = {
+  type: 'object',
+  properties: {
+    widgetCode: { type: 'string' },
+    checkAccessibility: { type: 'boolean', default: true },
+    platform: { type: 'string', enum: ['android', 'ios'], default: 'android' },
+    locales: { type: 'array', items: { type: 'string' } },
+  },
+  required: ['widgetCode'],
+};
+
+describe('validateArguments', () => {
+  it('applies defaults for missing fields', () => {
+    const { value, errors } = validateArguments(schema, { widgetCode: 'Text("a")' });
+
+    expect(errors).toEqual([]);
+    expect(value).toEqual({ widgetCode: 'Text("a")', checkAccessibility: true, platform: 'android' });
+  });
+
+  it('names every failing field', () => {
+    const { errors } = validateArguments(schema, {
+      checkAccessibility: 'yes',
+      platform: 'web',
+      locales: ['en', 1],
+      extra: true,
+    });
+
+    expect(errors.map(error => error.field)).toEqual([
+      'widgetCode',
+      'checkAccessibility',
+      'platform',
+      'locales[1]',
+      'extra',
+    ]);
+  });
+
+  it('treats missing arguments as an empty object', () => {
+    expect(validateArguments({ type: 'object', properties: {} }, undefined).errors).toEqual([]);
+  });
+});
+
+describe('assertValidArguments', () => {
+  it('throws a ValidationError pointing at the first failing field', () => {
+    expect(() => assertValidArguments('analyze_widget', schema, { widgetCode: 1 })).toThrow(ValidationError);
+
+    try {
+      assertValidArguments('analyze_widget', schema, { widgetCode: 1 });
+    } catch (error) {
+      expect(error.field).toBe('widgetCode');
+      expect(error.message).toContain('analyze_widget');
+      expect(error.errors).toHaveLength(1);
+    }
+  });
+});
+
+describe('schema self-check', () => {
+  async function handler(args) {
+    const {
+      projectPath,
+      locales = ['en', 'es'],
+      strict = true,
+    } = args;
+    return [projectPath, locales, strict, args.extra];
+  }
+
+  it('extracts the fields a handler reads', () => {
+    expect(extractHandlerFields(handler)).toEqual(['projectPath', 'locales', 'strict', 'extra']);
+  });
+
+  it('reports fields missing from the inputSchema', () => {
+    const drift = findSchemaDrift([{
+      name: 'analyze_architecture',
+      inputSchema: { type: 'object', properties: { projectPath: {}, locales: {}, strict: {} } },
+      handler,
+    }]);
+
+    expect(drift).toEqual([expect.objectContaining({ tool: 'analyze_architecture', field: 'extra' })]);
+  });
+});
@@ -0,0 +1,337 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import { execFileSync } from 'child_process';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { parseLcov, coveragePercent } from '../../src/utils/lcovParser.js';
+import { parseUnifiedDiff } from '../../src/utils/diffParser.js';
+import { analyzeTestCoverage } from '../../src/tools/testCoverageAnalyzer.js';
+import { resolveRequestConfig } from '../../src/config/config.js';
+import { createToolContext } from '../../src/utils/toolContext.js';
+import { CoverageHistory } from '../../src/cache/coverageHistory.js';
+import { writeFiles, createTemporaryCache, useTemporaryCache } from './helpers.js';
+
+// The tool records its runs in the shared cache database
+useTemporaryCache('flutter-mcp-coverage-cache-');
+
+const LCOV = [
+  'SF:lib/services/api_service.dart',
+  'FN:3,fetch',
+  'FN:9,parse',
+  'FNDA:2,fetch',
+  'FNDA:0,parse',
+  'FNF:2',
+  'FNH:1',
+  'DA:3,2',
+  'DA:4,2',
+  'DA:9,0',
+  'DA:10,0',
+  'BRDA:4,0,0,2',
+  'BRDA:4,0,1,-',
+  'BRF:2',
+  'BRH:1',
+  'LF:4',
+  'LH:2',
+  'end_of_record',
+  'SF:lib/models/user.dart',
+  'DA:1,1',
+  'DA:2,1',
+  'LF:2',
+  'LH:2',
+  'end_of_record',
+  'SF:lib/widgets/home.dart',
+  'DA:5,0',
+  'DA:6,3',
+  'DA:7,0',
+  'end_of_record',
+].join('\n');
+
+describe('lcov parser', () => {
+  it('reads line, function and branch totals per file', () => {
+    const [api, user, home] = parseLcov(LCOV);
+
+    expect(api).toMatchObject({
+      path: 'lib/services/api_service.dart',
+      lines: { covered: 2, total: 4 },
+      functions: { covered: 1, total: 2 },
+      branches: { covered: 1, total: 2 },
+    });
+    expect(api.lineHits.get(9)).toBe(0);
+    expect(user.functions).toEqual({ covered: 0, total: 0 });
+    // No LF/LH records: counted from DA
+    expect(home.lines).toEqual({ covered: 1, total: 3 });
+  });
+
+  it('merges sections of the same file', () => {
+    const [file] = parseLcov([
+      'TN:a', 'SF:lib/a.dart', 'DA:1,1', 'DA:2,0', 'LF:2', 'LH:1', 'end_of_record',
+      'TN:b', 'SF:lib/a.dart', 'DA:1,0', 'DA:2,4', 'LF:2', 'LH:1', 'end_of_record',
+    ].join('\n'));
+
+    expect(file.lines).toEqual({ covered: 2, total: 2 });
+    expect(file.lineHits.get(2)).toBe(4);
+  });
+
+  it('rejects malformed data', () => {
+    expect(() => parseLcov('')).toThrow('No coverage records');
+    expect(() => parseLcov('SF:lib/a.dart\nDA:x\nend_of_record')).toThrow('Invalid lcov record on line 2');
+  });
+
+  it('computes percentages with one decimal', () => {
+    expect(coveragePercent({ covered: 2, total: 3 })).toBe(66.7);
+    expect(coveragePercent({ covered: 0, total: 0 })).toBeNull();
+  });
+});
+
+const DIFF = [
+  'diff --git a/app/lib/services/api_service.dart b/app/lib/services/api_service.dart',
+  'index 1111111..2222222 100644',
+  '--- a/app/lib/services/api_service.dart',
+  '+++ b/app/lib/services/api_service.dart',
+  '@@ -2,3 +2,4 @@ class ApiService {',
+  ' ',
+  '-  old();',
+  '+  fetch();',
+  '+  retry();',
+  '   // unchanged',
+  '@@ -9,0 +10 @@',
+  '+  parse();',
+  'diff --git a/app/lib/models/user.dart b/app/lib/models/user.dart',
+  'new file mode 100644',
+  '--- /dev/null',
+  '+++ b/app/lib/models/user.dart',
+  '@@ -0,0 +1,2 @@',
+  '+class User {',
+  '+}',
+  'diff --git a/app/lib/old.dart b/app/lib/old.dart',
+  '--- a/app/lib/old.dart',
+  '+++ /dev/null',
+  '@@ -1 +0,0 @@',
+  '-class Old {}',
+  'diff --git a/app/lib/router.dart b/app/lib/router.dart',
+  '--- a/app/lib/router.dart',
+  '+++ b/app/lib/router.dart',
+  '@@ -1 +1 @@',
+  '-// routes',
+  '+final routes = [];',
+].join('\n');
+
+describe('unified diff parser', () => {
+  it('lists the added and modified lines of each file', () => {
+    expect(parseUnifiedDiff(DIFF)).toEqual([
+      { path: 'app/lib/services/api_service.dart', oldPath: 'app/lib/services/api_service.dart', status: 'modified', changedLines: [3, 4, 10] },
+      { path: 'app/lib/models/user.dart', oldPath: null, status: 'added', changedLines: [1, 2] },
+      { path: 'app/lib/old.dart', oldPath: 'app/lib/old.dart', status: 'deleted', changedLines: [] },
+      { path: 'app/lib/router.dart', oldPath: 'app/lib/router.dart', status: 'modified', changedLines: [1] },
+    ]);
+  });
+});
+
+const DAY = 86400 * 1000;
+
+function coverageFile(path, covered, total) {
+  return { path, lines: { covered, total }, functions: { covered: 0, total: 0 }, branches: { covered: 0, total: 0 } };
+}
+
+describe('coverage history', () => {
+  let cache;
+  let dispose;
+  let history;
+
+  beforeEach(() => {
+    ({ cache, dispose } = createTemporaryCache({}, 'flutter-mcp-coverage-history-'));
+    history = new CoverageHistory(cache.db, { retentionDays: 30, maxRuns: 3 });
+  });
+
+  afterEach(() => dispose());
+
+  it('reports deltas against the previous run of the branch', () => {
+    const now = Date.now();
+    history.record({ project: 'app', branch: 'main', commit: 'a1', files: [
+      coverageFile('lib/a/x.dart', 8, 10), coverageFile('lib/a/y.dart', 10, 10), coverageFile('lib/b/z.dart', 5, 10),
+    ] }, now - 2000);
+    history.record({ project: 'app', branch: 'feature', commit: 'f1', files: [coverageFile('lib/a/x.dart', 0, 10)] }, now - 1000);
+    history.record({ project: 'app', branch: 'main', commit: 'a2', files: [
+      coverageFile('lib/a/x.dart', 4, 10), coverageFile('lib/a/y.dart', 9, 10), coverageFile('lib/b/z.dart', 6, 10),
+    ] }, now);
+
+    const trends = history.getTrends('app', 'main');
+
+    expect(trends.series.map(point => [point.commit, point.coverage])).toEqual([['a1', 76.7], ['a2', 63.3]]);
+    expect(trends.overall).toEqual({ previous: 76.7, current: 63.3, delta: -13.4 });
+    expect(trends.previousCommit).toBe('a1');
+    expect(trends.byDirectory).toEqual([
+      { directory: 'lib/a', previous: 90, current: 65, delta: -25 },
+      { directory: 'lib/b', previous: 50, current: 60, delta: 10 },
+    ]);
+    expect(trends.regressedFiles.map(file => [file.path, file.delta])).toEqual([['lib/a/x.dart', -40], ['lib/a/y.dart', -10]]);
+    expect(history.getTrends('app', 'release')).toBeNull();
+  });
+
+  it('replaces the run of an analyzed commit', () => {
+    history.record({ project: 'app', branch: 'main', commit: 'a1', files: [coverageFile('lib/x.dart', 1, 10)] });
+    history.record({ project: 'app', branch: 'main', commit: 'a1', files: [coverageFile('lib/x.dart', 9, 10)] });
+
+    const trends = history.getTrends('app', 'main');
+    expect(trends.runs).toBe(1);
+    expect(trends.overall).toEqual({ previous: null, current: 90, delta: null });
+    expect(cache.db.prepare('SELECT COUNT(*) AS count FROM coverage_files').get().count).toBe(1);
+  });
+
+  it('keeps runs within the retention policy', () => {
+    const now = Date.now();
+    history.record({ project: 'app', branch: 'main', commit: 'old', files: [coverageFile('lib/x.dart', 1, 10)] }, now - 40 * DAY);
+    ['c1', 'c2', 'c3', 'c4'].forEach((commit, index) => {
+      history.record({ project: 'app', branch: 'main', commit, files: [coverageFile('lib/x.dart', index, 10)] }, now - (4 - index) * 1000);
+    });
+
+    expect(history.getTrends('app', 'main').series.map(point => point.commit)).toEqual(['c2', 'c3', 'c4']);
+    expect(cache.db.prepare('SELECT COUNT(*) AS count FROM coverage_files').get().count).toBe(3);
+  });
+});
+
+describe('analyze_test_coverage', () => {
+  let projectDir;
+
+  beforeAll(() => {
+    projectDir = mkdtempSync(join(tmpdir(), 'flutter-mcp-coverage-'));
+    writeFiles(projectDir, { 'coverage/lcov.info': LCOV.replace('SF:lib/models', `SF:${projectDir}/lib/models`) });
+  });
+
+  afterAll(() => {
+    rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  it('reports the coverage in coverage/lcov.info', async () => {
+    const result = await analyzeTestCoverage({ projectPath: projectDir, threshold: 70 });
+    const report = JSON.parse(result.content[0].text);
+
+    expect(report.summary).toEqual({
+      totalCoverage: 55.6,
+      lineCoverage: 55.6,
+      branchCoverage: 50,
+      functionCoverage: 50,
+      status: 'FAILING',
+      files: 3,
+      source: 'coverage/lcov.info',
+    });
+    expect(report.byFile.map(file => file.path)).toEqual([
+      'lib/models/user.dart',
+      'lib/services/api_service.dart',
+      'lib/widgets/home.dart',
+    ]);
+    expect(report.byFile[2]).toMatchObject({ coverage: 33.3, uncoveredLines: [5, 7] });
+    expect(report.criticalGaps.map(gap => gap.file)).toEqual(['lib/widgets/home.dart']);
+    expect(report.uncoveredCode).toContainEqual(expect.objectContaining({
+      file: 'lib/services/api_service.dart',
+      missingLines: 2,
+      category: 'services',
+    }));
+    expect(report.visualReport.heatmap).toContainEqual({
+      file: 'lib/widgets/home.dart',
+      coverage: 33.3,
+      color: '#F44336',
+      uncoveredLines: 2,
+    });
+  });
+
+  it('accepts lcov data inline and reports a missing report', async () => {
+    const inline = JSON.parse((await analyzeTestCoverage({ lcov: LCOV, includeVisualReport: false })).content[0].text);
+    expect(inline.summary).toMatchObject({ source: 'inline', files: 3 });
+
+    const missing = await analyzeTestCoverage({ projectPath: projectDir, lcovPath: 'build/lcov.info' });
+    expect(missing.content[0].text).toContain('Run `flutter test --coverage` first');
+  });
+
+  it('records each run and reports the trend between commits', async () => {
+    const run = async (commit, lcov) => JSON.parse((await analyzeTestCoverage({
+      projectPath: projectDir, lcov, branch: 'trend', commit,
+    })).content[0].text);
+
+    await run('t1', LCOV);
+    const { trends, visualReport } = await run('t2', LCOV.replace('DA:6,3', 'DA:6,0').replace('DA:10,0', 'DA:10,1').replace('LH:2\nend_of_record\nSF:lib/models', 'LH:3\nend_of_record\nSF:lib/models'));
+
+    expect(trends).toMatchObject({
+      branch: 'trend',
+      runs: 2,
+      overall: { previous: 55.6, current: 55.6, delta: 0 },
+      previousCommit: 't1',
+    });
+    expect(trends.byDirectory[0]).toEqual({ directory: 'lib/widgets', previous: 33.3, current: 0, delta: -33.3 });
+    expect(trends.regressedFiles).toEqual([{ path: 'lib/widgets/home.dart', previous: 33.3, current: 0, delta: -33.3 }]);
+    expect(visualReport.trends.map(point => point.commit)).toEqual(['t1', 't2']);
+
+    const inline = JSON.parse((await analyzeTestCoverage({ lcov: LCOV })).content[0].text);
+    expect(inline.trends).toBeNull();
+  });
+
+  it('reports the coverage of the lines changed by a diff', async () => {
+    const result = await analyzeTestCoverage({ lcov: LCOV, diff: DIFF, includeVisualReport: false });
+    const { patchCoverage, recommendations } = JSON.parse(result.content[0].text);
+
+    expect(patchCoverage).toEqual({
+      base: 'diff',
+      coverage: 80,
+      lines: { covered: 4, total: 5 },
+      threshold: 80,
+      status: 'FAILING',
+      files: [
+        { path: 'app/lib/services/api_service.dart', coverage: 66.7, lines: { covered: 2, total: 3 }, uncoveredLines: [10] },
+        { path: 'app/lib/models/user.dart', coverage: 100, lines: { covered: 2, total: 2 }, uncoveredLines: [] },
+      ],
+      filesWithoutCoverage: ['app/lib/router.dart'],
+    });
+    expect(recommendations[0]).toMatchObject({
+      priority: 'critical',
+      file: 'app/lib/services/api_service.dart',
+      action: 'Add tests for the changed lines 10',
+    });
+  });
+
+  it('fails a patch that adds a file no test loads', async () => {
+    const diff = DIFF.slice(DIFF.indexOf('diff --git a/app/lib/router.dart'));
+    const result = await analyzeTestCoverage({ lcov: LCOV, diff, includeVisualReport: false });
+    const { patchCoverage, recommendations } = JSON.parse(result.content[0].text);
+
+    expect(patchCoverage).toMatchObject({ coverage: null, status: 'FAILING', filesWithoutCoverage: ['app/lib/router.dart'] });
+    expect(recommendations[0]).toMatchObject({ priority: 'critical', file: 'app/lib/router.dart' });
+  });
+
+  it('takes the patch threshold from the configuration', async () => {
+    const config = resolveRequestConfig({ coverage: { patchThreshold: 85 } });
+    const result = await analyzeTestCoverage({ lcov: LCOV, diff: DIFF }, createToolContext({}, {}, config));
+
+    expect(JSON.parse(result.content[0].text).patchCoverage).toMatchObject({ threshold: 85, status: 'FAILING' });
+  });
+
+  it('diffs the project against a git base revision', async () => {
+    const git = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd: projectDir, stdio: 'pipe' });
+    const widget = ['class Home {', '  build() {', '    return 1;', '  }', '', '  tap() {}', '}', ''];
+    writeFiles(projectDir, { 'lib/widgets/home.dart': widget.join('\n') });
+    git('init', '-q', '-b', 'main');
+    git('add', 'lib');
+    git('commit', '-q', '-m', 'base');
+    git('checkout', '-q', '-b', 'feature');
+    widget.splice(4, 0, '  a() {}', '  b() {}', '  c() {}');
+    writeFiles(projectDir, { 'lib/widgets/home.dart': widget.join('\n') });
+
+    const result = await analyzeTestCoverage({ projectPath: projectDir, baseRef: 'main', patchThreshold: 30 });
+    const { patchCoverage } = JSON.parse(result.content[0].text);
+
+    expect(patchCoverage).toMatchObject({
+      base: 'main',
+      coverage: 33.3,
+      status: 'PASSING',
+      files: [{ path: 'lib/widgets/home.dart', lines: { covered: 1, total: 3 }, uncoveredLines: [5, 7] }],
+      filesWithoutCoverage: [],
+    });
+
+    // New files count before they are added to git
+    writeFiles(projectDir, { 'lib/widgets/settings.dart': 'class Settings {}\n' });
+    const withNewFile = JSON.parse((await analyzeTestCoverage({ projectPath: projectDir, baseRef: 'main', patchThreshold: 30 })).content[0].text);
+    expect(withNewFile.patchCoverage).toMatchObject({ status: 'FAILING', filesWithoutCoverage: ['lib/widgets/settings.dart'] });
+
+    const unknown = await analyzeTestCoverage({ projectPath: projectDir, baseRef: 'no-such-branch' });
+    expect(unknown.content[0].text).toContain('git merge-base failed');
+  });
+});
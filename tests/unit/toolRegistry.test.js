@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ToolRegistry, ToolRegistrationError } from '../../src/registry/toolRegistry.js';
+
+const pluginSource = (name, destructured = 'path') => `
+export const tool = {
+  name: '${name}',
+  version: '0.3.1',
+  tags: ['in-house'],
+  description: 'In-house check',
+  inputSchema: { type: 'object', properties: { path: { type: 'string' } } },
+  handler: async (args) => {
+    const { ${destructured} } = args;
+    return { content: [{ type: 'text', text: String(${destructured}) }] };
+  },
+};
+`;
+
+describe('ToolRegistry', () => {
+  let pluginsDir;
+
+  beforeAll(() => {
+    pluginsDir = mkdtempSync(join(tmpdir(), 'flutter-mcp-plugins-'));
+    writeFileSync(join(pluginsDir, 'lintCheck.mjs'), pluginSource('team_lint_check'));
+    writeFileSync(join(pluginsDir, 'drifted.mjs'), pluginSource('team_drifted', 'target'));
+    writeFileSync(join(pluginsDir, 'duplicate.mjs'), pluginSource('analyze_widget'));
+    writeFileSync(join(pluginsDir, 'broken.mjs'), "throw new Error('missing API token');");
+    writeFileSync(join(pluginsDir, 'README.md'), '# not a module');
+  });
+
+  afterAll(() => {
+    rmSync(pluginsDir, { recursive: true, force: true });
+  });
+
+  it('collects a descriptor from every built-in tool module', async () => {
+    const registry = await new ToolRegistry().load();
+    const names = registry.list().map(tool => tool.name);
+
+    expect(names).toEqual(expect.arrayContaining([
+      'flutter_search',
+      'flutter_status',
+      'analyze_widget',
+      'analyze_architecture',
+      'generate_l10n',
+      'analyze_test_coverage',
+    ]));
+    expect(names).toHaveLength(20);
+    registry.list().forEach(tool => {
+      expect(tool.builtin).toBe(true);
+      expect(tool.version).toMatch(/^\d+\.\d+\.\d+$/);
+      expect(tool.tags.length).toBeGreaterThan(0);
+    });
+    expect(registry.list({ tag: 'generation' }).map(tool => tool.name)).toContain('generate_tests');
+  });
+
+  it('loads plugins and skips the ones that fail to register', async () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const registry = await new ToolRegistry({ pluginsDir }).load();
+    const messages = errorSpy.mock.calls.map(call => call.join(' '));
+    errorSpy.mockRestore();
+
+    const plugin = registry.get('team_lint_check');
+    expect(plugin).toMatchObject({ version: '0.3.1', tags: ['in-house'], builtin: false });
+    expect(registry.get('analyze_widget').builtin).toBe(true);
+    expect(registry.has('team_drifted')).toBe(false);
+
+    expect(messages.some(message => message.includes('broken.mjs'))).toBe(true);
+    expect(messages.some(message => message.includes('Duplicate tool name: analyze_widget'))).toBe(true);
+    expect(messages.some(message => message.includes('handler reads "target"'))).toBe(true);
+  });
+
+  it('describes tools in the MCP tools/list shape', async () => {
+    const registry = await new ToolRegistry().load();
+    const status = registry.describe().find(tool => tool.name === 'flutter_status');
+
+    expect(status).toEqual({
+      name: 'flutter_status',
+      description: expect.any(String),
+      inputSchema: {
+        type: 'object',
+        properties: {
+          format: expect.objectContaining({ enum: ['json', 'markdown'], default: 'json' }),
+          config: expect.objectContaining({ type: 'object' }),
+        },
+      },
+      _meta: { version: '2.0.0', tags: ['status'] },
+    });
+  });
+
+  it('rejects malformed descriptors', () => {
+    const registry = new ToolRegistry();
+
+    expect(() => registry.register({ name: 'Bad Name', inputSchema: { type: 'object' }, handler() {} }))
+      .toThrow(ToolRegistrationError);
+    expect(() => registry.register({ name: 'no_handler', inputSchema: { type: 'object' } }))
+      .toThrow('no handler');
+  });
+});